@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createWordDictionary, normalizeQuery } = require('../lib/wordDictionary');
+const { buildJmdictIndex } = require('../lib/wordDictionary/jmdict');
+const { app } = require('../server');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+const sampleIndexPath = path.join(fixturesDir, 'jmdict-index.sample.json');
+
+describe('Word dictionary', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildJmdictIndex', () => {
+    test('parses forms, priorities, senses and tag descriptions', () => {
+      const xml = fs.readFileSync(path.join(fixturesDir, 'jmdict-sample.xml'), 'utf8');
+
+      const index = buildJmdictIndex(xml);
+      const taberu = index.entries.find(entry => entry.id === 1358280);
+
+      expect(index.tags.v1).toBe('Ichidan verb');
+      expect(taberu.kanji).toEqual([
+        { text: '食べる', common: true, tags: [] },
+        { text: '喰べる', common: false, tags: ['iK'] },
+      ]);
+      expect(taberu.readings).toEqual([{ text: 'たべる', common: true, tags: [] }]);
+      expect(taberu.common).toBe(true);
+      expect(taberu.frequency_rank).toBe(25);
+      // The second sense inherits the part of speech of the first
+      expect(taberu.senses[1]).toEqual({
+        pos: ['v1', 'vt'],
+        glosses: ['to live on (e.g. a salary)', 'to live off', 'to subsist on'],
+        misc: [],
+      });
+    });
+
+    test('keeps only English glosses', () => {
+      const xml = fs.readFileSync(path.join(fixturesDir, 'jmdict-sample.xml'), 'utf8');
+
+      const tabemono = buildJmdictIndex(xml).entries.find(entry => entry.id === 1358300);
+
+      expect(tabemono.senses[0].glosses).toEqual(['food', 'provisions']);
+    });
+
+    test('matches the bundled sample index', () => {
+      const xml = fs.readFileSync(path.join(fixturesDir, 'jmdict-sample.xml'), 'utf8');
+      const bundled = JSON.parse(fs.readFileSync(sampleIndexPath, 'utf8'));
+
+      expect(buildJmdictIndex(xml)).toEqual(bundled);
+    });
+  });
+
+  describe('search', () => {
+    const dictionary = createWordDictionary({ indexPath: sampleIndexPath });
+    const ids = (result) => result.entries.map(entry => entry.id);
+
+    test('normalizes romaji and katakana queries to hiragana', () => {
+      expect(normalizeQuery(' Taberu ')).toEqual({ key: 'たべる', isReading: true });
+      expect(normalizeQuery('タベル')).toEqual({ key: 'たべる', isReading: true });
+      expect(normalizeQuery('食べる')).toEqual({ key: '食べる', isReading: false });
+    });
+
+    test('finds words by kanji, kana and romaji', () => {
+      expect(ids(dictionary.search('食べる'))[0]).toBe(1358280);
+      expect(ids(dictionary.search('たべる'))[0]).toBe(1358280);
+      expect(ids(dictionary.search('taberu'))[0]).toBe(1358280);
+      expect(ids(dictionary.search('nihongo'))).toEqual([1464530]);
+    });
+
+    test('returns exact matches before prefix matches, common words first', () => {
+      expect(ids(dictionary.search('たべ'))).toEqual([1358300, 1358280, 2836370]);
+      expect(ids(dictionary.search('食べ', { limit: 2 }))).toEqual([1358300, 1358280]);
+    });
+
+    test('describes the tags used by the results', () => {
+      const { entries } = dictionary.search('食べる');
+
+      expect(dictionary.describeTags(entries)).toEqual({
+        v1: 'Ichidan verb',
+        vt: 'transitive verb',
+        iK: 'word containing irregular kanji usage',
+      });
+    });
+  });
+
+  describe('GET /api/dictionary/search', () => {
+    const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+
+    test('returns entries and kanji details for the kanji they contain', async () => {
+      const response = await request(app)
+        .get('/api/dictionary/search')
+        .query({ q: 'taberu' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.normalized_query).toBe('たべる');
+      expect(response.body.results[0].kanji[0].text).toBe('食べる');
+      expect(response.body.tags).toHaveProperty('v1', 'Ichidan verb');
+      expect(response.body.kanji_details_map['食']).toMatchObject({ meanings: ['eat', 'food'] });
+      // 喰 is not in the sample KANJIDIC2 index
+      expect(response.body.kanji_details_map['喰']).toBeNull();
+    });
+
+    test('should return 400 with missing query', async () => {
+      const response = await request(app)
+        .get('/api/dictionary/search')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    test('requires authentication', async () => {
+      const response = await request(app).get('/api/dictionary/search').query({ q: 'taberu' });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('explains that the index was never built', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const indexPath = process.env.JMDICT_INDEX_PATH;
+      process.env.JMDICT_INDEX_PATH = path.join(fixturesDir, 'missing.json');
+      let serverWithoutIndex;
+      try {
+        jest.isolateModules(() => {
+          serverWithoutIndex = require('../server');
+        });
+      } finally {
+        process.env.JMDICT_INDEX_PATH = indexPath;
+      }
+
+      const response = await request(serverWithoutIndex.app)
+        .get('/api/dictionary/search')
+        .query({ q: 'taberu' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toMatch(/JMdict index has not been built.*README/);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('npm run build:jmdict-index'));
+      await serverWithoutIndex.kuroshiroInitialization;
+    }, 60000);
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { analyzeDifficulty } = require('../lib/difficulty');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+
+const DETAILS = {
+  日: { grade: 1, jlpt: 'N5' },
+  本: { grade: 1, jlpt: 'N5' },
+  語: { grade: 2, jlpt: 'N5' },
+  鬱: { grade: 8, jlpt: 'N1' },
+  彙: { grade: null, jlpt: null },
+};
+
+const morpheme = (surface, wordIndex, pos = '名詞') => ({ surface, pos, word_index: wordIndex });
+
+describe('Difficulty analysis', () => {
+  test('counts kanji by JLPT level and grade, and what the user knows', () => {
+    const report = analyzeDifficulty({
+      sentences: ['日本語と日本。', '鬱と彙'],
+      tokensBySentence: [
+        [morpheme('日本語', 0), morpheme('と', 1, '助詞'), morpheme('日本', 2), morpheme('。', 3, '記号')],
+        [morpheme('鬱', 0), morpheme('と', 1, '助詞'), morpheme('彙', 2)],
+      ],
+      kanjiDetailsMap: DETAILS,
+      knownKanji: new Set(['日', '本']),
+    });
+
+    expect(report.character_count).toBe(10);
+    expect(report.kanji).toMatchObject({
+      total: 7,
+      unique: 5,
+      jlpt: { N5: 3, N4: 0, N3: 0, N2: 0, N1: 1, none: 1 },
+      grade: { grade_1: 2, grade_2: 1, junior_high: 1, jinmeiyo: 0, none: 1 },
+      known: 2,
+      known_share: 0.4,
+      known_occurrence_share: 0.571,
+    });
+    expect(report.kanji.unknown.map(kanji => kanji.character)).toEqual(['語', '鬱', '彙']);
+    // 日本 is known, 日本語 / 鬱 / 彙 are not; と doesn't count towards words with kanji
+    expect(report.words).toEqual({ total: 6, with_kanji: 4, known: 1, known_share: 0.25 });
+    expect(report.sentences).toEqual({ count: 2, mean_length: 5, median_length: 5, max_length: 7, long_share: 0 });
+    // N5 covers 5 of 7 kanji occurrences, N1 6 of 7: under 90% either way
+    expect(report.estimate.jlpt_level).toBeNull();
+  });
+
+  test('rates easy text lower than hard text', () => {
+    const analyze = (sentences) => analyzeDifficulty({ sentences, tokensBySentence: [], kanjiDetailsMap: DETAILS });
+    const easy = analyze(['日本です。']);
+    const hard = analyze(['鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙鬱彙。']);
+
+    expect(easy.estimate).toMatchObject({ jlpt_level: 'N5', label: 'Beginner' });
+    expect(hard.estimate.label).toBe('Advanced');
+    expect(hard.estimate.score).toBeGreaterThan(easy.estimate.score);
+  });
+
+  describe('POST /api/analyze-difficulty', () => {
+    beforeAll(async () => {
+      await kuroshiroInitialization;
+    }, 60000);
+
+    beforeEach(() => {
+      pool.query.mockImplementation(async (sql) => (
+        sql.includes('FROM user_kanji_srs') ? { rows: [{ kanji_character: '食' }] } : { rows: [] }
+      ));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      pool.query.mockReset();
+      jest.restoreAllMocks();
+    });
+
+    test('reports on the text for the requesting user', async () => {
+      const response = await request(app)
+        .post('/api/analyze-difficulty')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: '日本語を食べる人。\n食べる。' });
+
+      expect(response.statusCode).toBe(200);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM user_kanji_srs'), ['123']);
+      expect(response.body.sentences.count).toBe(2);
+      expect(response.body.kanji).toMatchObject({ total: 6, unique: 5, known: 1 });
+      expect(response.body.kanji.jlpt.N5).toBe(4); // 日, 語, 食, 人 in the KANJIDIC2 sample
+      expect(response.body.estimate).toEqual(expect.objectContaining({ score: expect.any(Number), label: expect.any(String) }));
+    });
+
+    test('validates the input like /api/process-text', async () => {
+      const empty = await request(app)
+        .post('/api/analyze-difficulty')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: ' ' });
+      expect(empty.statusCode).toBe(400);
+
+      const format = await request(app)
+        .post('/api/analyze-difficulty')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: '日本。', format: 'pdf' });
+      expect(format.statusCode).toBe(400);
+      expect(format.body.error).toMatch(/Invalid format/);
+    });
+  });
+});
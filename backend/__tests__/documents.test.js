@@ -0,0 +1,242 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { defaultTitle, parseDocumentFields, percentComplete } = require('../lib/documents');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+const sentence = {
+  original_sentence: 'ご飯を食べた。',
+  furigana_html: 'ご<ruby>飯<rt>はん</rt></ruby>を<ruby>食<rt>た</rt></ruby>べた。',
+  translation: 'I ate rice.',
+  kanji_details_map: {},
+  tokens: [],
+  segments: [],
+  paragraph_index: 0,
+};
+const documentRow = {
+  document_id: 7,
+  user_id: 123,
+  title: '夕飯',
+  source_text: 'ご飯を食べた。',
+  processed_sentences: [sentence],
+  furigana: { mode: 'furigana', to: 'hiragana', hide_known: false },
+  last_sentence_index: null,
+  last_read_at: null,
+  created_at: '2024-05-01T10:00:00.000Z',
+  updated_at: '2024-05-01T10:00:00.000Z',
+};
+
+describe('Documents', () => {
+  beforeAll(async () => {
+    await kuroshiroInitialization;
+  }, 60000);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    pool.query.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  describe('parseDocumentFields', () => {
+    test('titles documents after their first line', () => {
+      expect(defaultTitle('\n  第一章 猫\n吾輩は猫である。')).toBe('第一章 猫');
+      expect(defaultTitle('あ'.repeat(50))).toBe(`${'あ'.repeat(40)}…`);
+    });
+
+    test('drops flags that only describe one processing run', () => {
+      const { fields } = parseDocumentFields({ source_text: 'ご飯を食べた。', processed_sentences: [{ ...sentence, cached: true }] });
+
+      expect(fields.title).toBe('ご飯を食べた。');
+      expect(fields.processed_sentences).toEqual([sentence]);
+    });
+
+    test('rejects invalid bodies', () => {
+      expect(parseDocumentFields({ processed_sentences: [] }).error).toMatch(/source_text/);
+      expect(parseDocumentFields({ source_text: 'あ', processed_sentences: 'あ' }).error).toMatch(/processed_sentences/);
+      expect(parseDocumentFields({ source_text: 'あ', processed_sentences: [{ original_sentence: 'あ', pending: true }] }).error)
+        .toMatch(/still being processed/);
+      expect(parseDocumentFields({}, { partial: true }).error).toBe('Nothing to update.');
+      expect(parseDocumentFields({ title: ' ' }, { partial: true }).error).toMatch(/title/);
+    });
+  });
+
+  test('lists summaries, most recently updated first', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ document_id: 7, title: '夕飯', preview: 'ご飯を食べた。', sentence_count: 1, created_at: documentRow.created_at, updated_at: documentRow.updated_at }] })
+      .mockResolvedValueOnce({ rows: [{ total: 1 }] });
+
+    const response = await auth(request(app).get('/api/documents?limit=500'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({
+      documents: [{
+        id: 7,
+        title: '夕飯',
+        preview: 'ご飯を食べた。',
+        sentence_count: 1,
+        last_sentence_index: null,
+        last_read_at: null,
+        percent_complete: 0,
+        created_at: documentRow.created_at,
+        updated_at: documentRow.updated_at,
+      }],
+      total: 1,
+      limit: 200,
+      offset: 0,
+    });
+    expect(pool.query.mock.calls[0][0]).toContain('ORDER BY updated_at DESC');
+    expect(pool.query.mock.calls[0][1]).toEqual(['123', 200, 0]);
+  });
+
+  test('returns a whole document, scoped to its owner', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [documentRow] });
+
+    const response = await auth(request(app).get('/api/documents/7'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toMatchObject({ id: 7, title: '夕飯', processed_sentences: [sentence], sentence_count: 1 });
+    expect(pool.query.mock.calls[0][1]).toEqual(['123', 7]);
+  });
+
+  test('returns 404 for documents of other users and 400 for bad ids', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    expect((await auth(request(app).get('/api/documents/8'))).statusCode).toBe(404);
+    expect((await auth(request(app).get('/api/documents/abc'))).statusCode).toBe(400);
+  });
+
+  test('saves a processed document', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ ...documentRow, created: true }] });
+
+    const response = await auth(request(app).post('/api/documents')).send({
+      title: '夕飯',
+      source_text: 'ご飯を食べた。',
+      processed_sentences: [{ ...sentence, cached: true }],
+      furigana: documentRow.furigana,
+    });
+
+    expect(response.statusCode).toBe(201);
+    expect(response.body.id).toBe(7);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO documents');
+    expect(params.slice(0, 3)).toEqual(['123', '夕飯', 'ご飯を食べた。']);
+    expect(JSON.parse(params[3])).toEqual([sentence]);
+  });
+
+  test('updates the saved document when the same text is saved again', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ ...documentRow, last_sentence_index: 0, created: false }] });
+
+    const response = await auth(request(app).post('/api/documents')).send({
+      source_text: 'ご飯を食べた。',
+      processed_sentences: [sentence],
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toMatchObject({ id: 7, title: '夕飯', last_sentence_index: 0 });
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("source_type = 'text' AND md5(source_text) = md5($3) AND source_text = $3");
+    expect(sql).toContain('WHERE NOT EXISTS (SELECT 1 FROM existing)');
+    expect(params[2]).toBe('ご飯を食べた。');
+  });
+
+  test('accepts documents larger than the default body limit', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ ...documentRow, created: true }] });
+    const many = Array.from({ length: 400 }, () => ({ ...sentence, tokens: new Array(20).fill({ surface: 'ご飯' }) }));
+
+    const response = await auth(request(app).post('/api/documents')).send({ source_text: 'ご飯を食べた。', processed_sentences: many });
+
+    expect(response.statusCode).toBe(201);
+  });
+
+  test('updates only the given fields', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ ...documentRow, title: '晩ご飯' }] });
+
+    const response = await auth(request(app).patch('/api/documents/7')).send({ title: '晩ご飯' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.title).toBe('晩ご飯');
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('SET title = $3, updated_at = NOW()');
+    expect(params).toEqual(['123', 7, '晩ご飯']);
+  });
+
+  test('deletes a document', async () => {
+    pool.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+    expect((await auth(request(app).delete('/api/documents/7'))).statusCode).toBe(204);
+    expect((await auth(request(app).delete('/api/documents/7'))).statusCode).toBe(404);
+  });
+
+  describe('reading progress', () => {
+    test('counts the last viewed sentence as read', () => {
+      expect(percentComplete(null, 10)).toBe(0);
+      expect(percentComplete(0, 10)).toBe(10);
+      expect(percentComplete(2, 3)).toBe(100);
+      expect(percentComplete(5, 3)).toBe(100); // the document was shortened since
+      expect(percentComplete(0, 0)).toBe(0);
+    });
+
+    test('records the last viewed sentence', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ last_sentence_index: 4, last_read_at: '2024-05-02T08:00:00.000Z', sentence_count: 10 }] });
+
+      const response = await auth(request(app).put('/api/documents/7/progress')).send({ sentence_index: 4 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({
+        id: 7,
+        sentence_count: 10,
+        last_sentence_index: 4,
+        last_read_at: '2024-05-02T08:00:00.000Z',
+        percent_complete: 50,
+      });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).not.toContain('updated_at');
+      expect(params).toEqual(['123', 7, 4]);
+    });
+
+    test('rejects indexes past the end of the document', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ sentence_count: 3 }] });
+
+      const response = await auth(request(app).put('/api/documents/7/progress')).send({ sentence_index: 3 });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error).toBe('sentence_index is out of range (the document has 3 sentences).');
+    });
+
+    test('validates the request and the owner', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+
+      expect((await auth(request(app).put('/api/documents/7/progress')).send({ sentence_index: -1 })).statusCode).toBe(400);
+      expect((await auth(request(app).put('/api/documents/7/progress')).send({ sentence_index: '2' })).statusCode).toBe(400);
+      expect((await auth(request(app).put('/api/documents/8/progress')).send({ sentence_index: 0 })).statusCode).toBe(404);
+    });
+
+    test('lists started but unfinished documents, most recently read first', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ document_id: 3, title: '猫', preview: '吾輩は猫である。', sentence_count: 20, last_sentence_index: 4, last_read_at: '2024-05-02T08:00:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [{ total: 1 }] });
+
+      const response = await auth(request(app).get('/api/documents?status=in_progress&limit=5'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.documents[0]).toMatchObject({ id: 3, last_sentence_index: 4, percent_complete: 25 });
+      expect(pool.query.mock.calls[0][0]).toContain('last_sentence_index + 1 < jsonb_array_length(processed_sentences)');
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY last_read_at DESC');
+      expect((await auth(request(app).get('/api/documents?status=finished'))).statusCode).toBe(400);
+    });
+  });
+
+  test('requires authentication', async () => {
+    expect((await request(app).get('/api/documents')).statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,327 @@
+const zlib = require('zlib');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { parseEpub } = require('../lib/epub');
+const { extractChapter } = require('../lib/epub/xhtml');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+// Minimal ZIP writer: { name: content } -> archive (deflated entries, except `stored` ones;
+// `truncated` ones lose the second half of their compressed data)
+function buildZip(files, { stored = ['mimetype'], truncated = [] } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const raw = Buffer.from(content, 'utf8');
+    const method = stored.includes(name) ? 0 : 8;
+    const packed = method === 0 ? raw : zlib.deflateRawSync(raw);
+    const data = truncated.includes(name) ? packed.subarray(0, Math.floor(packed.length / 2)) : packed;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+    offset += 30 + nameBuffer.length + data.length;
+  }
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+const xhtml = (body) => `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>x</title><style>p { margin: 0; }</style></head>
+<body>${body}</body></html>`;
+
+const CONTAINER = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`;
+
+// EPUB 3: nav document, a cover page, a non-linear note and two chapters
+const epub3Files = {
+  'mimetype': 'application/epub+zip',
+  'META-INF/container.xml': CONTAINER,
+  'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>吾輩は猫である</dc:title>
+    <dc:creator id="author">夏目 漱石</dc:creator>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c1" href="text/chapter%201.xhtml" media-type="application/xhtml+xml"/>
+    <item id="note" href="text/note.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c2" href="text/chapter2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="img" href="images/cover.jpg" media-type="image/jpeg"/>
+  </manifest>
+  <spine>
+    <itemref idref="cover"/>
+    <itemref idref="c1"/>
+    <itemref idref="note" linear="no"/>
+    <itemref idref="c2"/>
+  </spine>
+</package>`,
+  'OEBPS/nav.xhtml': xhtml(`<nav epub:type="toc"><ol>
+    <li><a href="text/chapter%201.xhtml">一</a></li>
+    <li><a href="text/chapter2.xhtml#start">二</a></li>
+  </ol></nav>`),
+  'OEBPS/cover.xhtml': xhtml('<div><img src="images/cover.jpg" alt="cover"/></div>'),
+  'OEBPS/text/chapter 1.xhtml': xhtml(`
+    <h1>一</h1>
+    <p>　<ruby>吾輩<rp>（</rp><rt>わがはい</rt><rp>）</rp></ruby>は猫である。
+    名前はまだ無い。</p>
+    <p>どこで生れたか&#x3068;んと見当がつかぬ。<br/>何でも&amp;薄暗い所。</p>`),
+  'OEBPS/text/note.xhtml': xhtml('<p>注釈</p>'),
+  'OEBPS/text/chapter2.xhtml': xhtml('<p><ruby><rb>書</rb><rt>しょ</rt><rb>生</rb><rt>せい</rt></ruby>という人間。</p>'),
+};
+
+describe('EPUB import', () => {
+  describe('extractChapter', () => {
+    test('keeps one line per block and the author ruby as offsets into the text', () => {
+      const { text, ruby, heading } = extractChapter(epub3Files['OEBPS/text/chapter 1.xhtml']);
+
+      expect(text).toBe('一\n　吾輩は猫である。 名前はまだ無い。\nどこで生れたかとんと見当がつかぬ。\n何でも&薄暗い所。');
+      expect(heading).toBe('一');
+      expect(ruby).toEqual([{ start: 3, end: 5, reading: 'わがはい' }]);
+      expect(text.slice(3, 5)).toBe('吾輩');
+    });
+
+    test('splits ruby with several bases into one annotation per base', () => {
+      const { text, ruby } = extractChapter(epub3Files['OEBPS/text/chapter2.xhtml']);
+
+      expect(text).toBe('書生という人間。');
+      expect(ruby).toEqual([{ start: 0, end: 1, reading: 'しょ' }, { start: 1, end: 2, reading: 'せい' }]);
+    });
+  });
+
+  describe('parseEpub', () => {
+    test('reads the spine chapters with their table of contents titles', () => {
+      const book = parseEpub(buildZip(epub3Files));
+
+      expect(book.title).toBe('吾輩は猫である');
+      expect(book.author).toBe('夏目 漱石');
+      // the image-only cover and the non-linear note are not chapters
+      expect(book.chapters.map(chapter => chapter.title)).toEqual(['一', '二']);
+      expect(book.chapters[1]).toEqual({
+        title: '二',
+        text: '書生という人間。',
+        ruby: [{ start: 0, end: 1, reading: 'しょ' }, { start: 1, end: 2, reading: 'せい' }],
+      });
+    });
+
+    test('takes EPUB 2 titles from the NCX and falls back to the first heading', () => {
+      const book = parseEpub(buildZip({
+        'mimetype': 'application/epub+zip',
+        'META-INF/container.xml': CONTAINER,
+        'OEBPS/content.opf': `<package version="2.0"><metadata><dc:title>短編集</dc:title></metadata>
+          <manifest>
+            <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+            <item id="a" href="a.html" media-type="application/xhtml+xml"/>
+            <item id="b" href="b.html" media-type="application/xhtml+xml"/>
+            <item id="c" href="c.html" media-type="application/xhtml+xml"/>
+          </manifest>
+          <spine toc="ncx"><itemref idref="a"/><itemref idref="b"/><itemref idref="c"/></spine></package>`,
+        'OEBPS/toc.ncx': `<ncx><navMap>
+          <navPoint id="p1"><navLabel><text>第一話</text></navLabel><content src="a.html"/></navPoint>
+        </navMap></ncx>`,
+        'OEBPS/a.html': xhtml('<p>春が来た。</p>'),
+        'OEBPS/b.html': xhtml('<h2>第二話</h2><p>夏が来た。</p>'),
+        'OEBPS/c.html': xhtml('<p>秋が来た。</p>'),
+      }, { stored: ['mimetype', 'OEBPS/a.html'] }));
+
+      expect(book.author).toBeNull();
+      expect(book.chapters.map(chapter => chapter.title)).toEqual(['第一話', '第二話', 'Chapter 3']);
+    });
+
+    test('rejects files that are not usable EPUBs', () => {
+      expect(() => parseEpub(Buffer.from('not a zip file at all'))).toThrow(expect.objectContaining({ code: 'INVALID_EPUB' }));
+      expect(() => parseEpub(buildZip({ 'mimetype': 'application/epub+zip' }))).toThrow('Invalid EPUB: META-INF/container.xml is missing');
+      expect(() => parseEpub(buildZip({ ...epub3Files, 'OEBPS/text/chapter2.xhtml': xhtml(''), 'OEBPS/text/chapter 1.xhtml': xhtml('<p> </p>') })))
+        .toThrow('Invalid EPUB: no chapter contains any text');
+    });
+  });
+
+  describe('endpoints', () => {
+    beforeAll(async () => {
+      await kuroshiroInitialization;
+      pool.query.mockReset(); // startup queries (connection check, cache invalidation)
+    }, 60000);
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      pool.query.mockReset();
+      jest.restoreAllMocks();
+    });
+
+    const bookRow = {
+      document_id: 9,
+      user_id: 123,
+      title: '吾輩は猫である',
+      source_text: '一\n…',
+      processed_sentences: [],
+      furigana: null,
+      source_type: 'epub',
+      author: '夏目 漱石',
+      last_chapter_index: null,
+      last_sentence_index: null,
+      last_read_at: null,
+      created_at: '2024-05-01T10:00:00.000Z',
+      updated_at: '2024-05-01T10:00:00.000Z',
+    };
+
+    test('stores an uploaded book with its chapters unprocessed', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [bookRow] });
+
+      const response = await auth(request(app).post('/api/documents/epub'))
+        .set('Content-Type', 'application/epub+zip')
+        .send(buildZip(epub3Files));
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body).toMatchObject({
+        id: 9,
+        title: '吾輩は猫である',
+        source_type: 'epub',
+        author: '夏目 漱石',
+        chapter_count: 2,
+        chapters: [
+          { index: 0, title: '一', processed: false, sentence_count: null },
+          { index: 1, title: '二', processed: false, sentence_count: null },
+        ],
+        percent_complete: 0,
+      });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO document_chapters');
+      expect(params.slice(0, 2)).toEqual(['123', '吾輩は猫である']);
+      expect(JSON.parse(params[4])[1]).toEqual({ title: '二', text: '書生という人間。', ruby: expect.any(Array) });
+    });
+
+    test('rejects uploads that are not EPUBs', async () => {
+      const garbage = await auth(request(app).post('/api/documents/epub'))
+        .set('Content-Type', 'application/epub+zip')
+        .send(Buffer.from('PK not really'));
+      expect(garbage.statusCode).toBe(400);
+      expect(garbage.body.error).toMatch(/^Invalid EPUB/);
+
+      const wrongType = await auth(request(app).post('/api/documents/epub')).send({ text: '本' });
+      expect(wrongType.statusCode).toBe(415);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('rejects books with corrupt or oversized entries', async () => {
+      const upload = (files, options) => auth(request(app).post('/api/documents/epub'))
+        .set('Content-Type', 'application/epub+zip')
+        .send(buildZip(files, options));
+
+      const truncated = await upload(epub3Files, { truncated: ['OEBPS/content.opf'] });
+      expect(truncated.statusCode).toBe(400);
+      expect(truncated.body.error).toMatch(/^Invalid EPUB: OEBPS\/content\.opf: /);
+
+      // Inflates past the 64 MB limit of one entry (a few KB compressed)
+      const bomb = await upload({ ...epub3Files, 'OEBPS/text/chapter2.xhtml': '\0'.repeat(65 * 1024 * 1024) });
+      expect(bomb.statusCode).toBe(400);
+      expect(bomb.body.error).toMatch(/^Invalid EPUB: OEBPS\/text\/chapter2\.xhtml: /);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('opens a book with its table of contents and progress through the chapters', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...bookRow, last_chapter_index: 1, last_sentence_index: 4, last_read_at: '2024-05-02T08:00:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [{ chapter_index: 0, title: '一', sentence_count: 12 }, { chapter_index: 1, title: '二', sentence_count: 10 }] });
+
+      const response = await auth(request(app).get('/api/documents/9'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.chapters[1]).toEqual({ index: 1, title: '二', processed: true, sentence_count: 10 });
+      // 1 of 2 chapters read, then half of the second
+      expect(response.body).toMatchObject({ last_chapter_index: 1, last_sentence_index: 4, percent_complete: 75 });
+    });
+
+    test('serves one chapter and saves it once it was processed', async () => {
+      const chapterRow = { chapter_index: 1, title: '二', source_text: '書生という人間。', ruby: [], processed_sentences: null, furigana: null };
+      pool.query.mockResolvedValueOnce({ rows: [chapterRow] });
+
+      const chapter = await auth(request(app).get('/api/documents/9/chapters/1'));
+      expect(chapter.statusCode).toBe(200);
+      expect(chapter.body).toMatchObject({ index: 1, source_text: '書生という人間。', processed_sentences: null, sentence_count: null });
+      expect(pool.query.mock.calls[0][1]).toEqual(['123', 9, 1]);
+
+      const sentence = { original_sentence: '書生という人間。', translation: 'A person called a student.', pending: false, cached: true };
+      pool.query.mockResolvedValueOnce({ rows: [{ ...chapterRow, processed_sentences: [{ original_sentence: sentence.original_sentence, translation: sentence.translation }] }] });
+
+      const saved = await auth(request(app).put('/api/documents/9/chapters/1')).send({ processed_sentences: [sentence] });
+      expect(saved.statusCode).toBe(200);
+      expect(saved.body.sentence_count).toBe(1);
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain('UPDATE document_chapters');
+      expect(JSON.parse(params[3])).toEqual([{ original_sentence: '書生という人間。', translation: 'A person called a student.' }]);
+
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      expect((await auth(request(app).get('/api/documents/9/chapters/5'))).statusCode).toBe(404);
+      expect((await auth(request(app).get('/api/documents/9/chapters/-1'))).statusCode).toBe(400);
+      expect((await auth(request(app).put('/api/documents/9/chapters/1')).send({})).statusCode).toBe(400);
+    });
+
+    test('records progress within a chapter', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ last_chapter_index: 0, last_sentence_index: 5, last_read_at: '2024-05-02T08:00:00.000Z', sentence_count: 12, chapter_count: 2 }] });
+
+      const response = await auth(request(app).put('/api/documents/9/progress')).send({ sentence_index: 5, chapter_index: 0 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({
+        id: 9,
+        sentence_count: 12,
+        last_sentence_index: 5,
+        last_chapter_index: 0,
+        last_read_at: '2024-05-02T08:00:00.000Z',
+        percent_complete: 25,
+      });
+      expect(pool.query.mock.calls[0][1]).toEqual(['123', 9, 0, 5]);
+    });
+
+    test('explains why chapter progress was not recorded', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ chapter_index: 1, sentence_count: null }] })
+        .mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ source_type: 'epub', sentence_count: 0 }] });
+
+      const unprocessed = await auth(request(app).put('/api/documents/9/progress')).send({ sentence_index: 0, chapter_index: 1 });
+      expect(unprocessed.statusCode).toBe(400);
+      expect(unprocessed.body.error).toBe('The chapter has not been processed yet.');
+
+      const withoutChapter = await auth(request(app).put('/api/documents/9/progress')).send({ sentence_index: 0 });
+      expect(withoutChapter.statusCode).toBe(400);
+      expect(withoutChapter.body.error).toBe('chapter_index is required for documents with chapters.');
+
+      expect((await auth(request(app).put('/api/documents/9/progress')).send({ sentence_index: 0, chapter_index: 'one' })).statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Explanations need Gemini: replace the SDK with a stub model
+const mockGeminiModel = { generateContent: jest.fn() };
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+    getGenerativeModel: () => mockGeminiModel,
+  })),
+}));
+process.env.GEMINI_API_KEY = 'test-gemini-api-key';
+
+const { app, kuroshiroInitialization } = require('../server');
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+
+const geminiResponse = (value) => ({ response: { text: () => (typeof value === 'string' ? value : JSON.stringify(value)) } });
+
+const explanation = {
+  translation: 'I go to school.',
+  clauses: [{ text: '学校に行く。', role: 'main clause', translation: 'I go to school.' }],
+  particles: [{ particle: 'に', role: 'destination', attaches_to: '学校' }],
+  conjugations: [],
+  grammar_points: [{ name: 'に (destination)', jlpt_level: 'N5', explanation: 'Marks where you go.' }],
+};
+
+const explain = (body) => request(app)
+  .post('/api/explain-sentence')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Sentence Explanation Endpoint', () => {
+  beforeAll(async () => {
+    await kuroshiroInitialization;
+  }, 60000);
+
+  beforeEach(() => {
+    mockGeminiModel.generateContent.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the validated breakdown', async () => {
+    mockGeminiModel.generateContent.mockResolvedValueOnce(geminiResponse(explanation));
+
+    const response = await explain({ sentence: ' 学校に行く。 ', context: '毎日、学校に行く。' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ sentence: '学校に行く。', ...explanation, explainer: 'gemini:gemini-2.0-flash' });
+    expect(mockGeminiModel.generateContent.mock.calls[0][0]).toContain('毎日、学校に行く。');
+  });
+
+  test('retries once when the response is invalid', async () => {
+    mockGeminiModel.generateContent
+      .mockResolvedValueOnce(geminiResponse('Sure! 学校 means school.'))
+      .mockResolvedValueOnce(geminiResponse(explanation));
+
+    const response = await explain({ sentence: '学校に行く。' });
+
+    expect(response.statusCode).toBe(200);
+    expect(mockGeminiModel.generateContent).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns 502 when the model keeps answering with invalid JSON', async () => {
+    mockGeminiModel.generateContent.mockResolvedValue(geminiResponse({ translation: 'I go to school.' }));
+
+    const response = await explain({ sentence: '学校に行く。' });
+
+    expect(response.statusCode).toBe(502);
+    expect(response.body.error).toBe('The model returned an invalid explanation.');
+  });
+
+  test('returns 502 when the model call fails', async () => {
+    mockGeminiModel.generateContent.mockRejectedValue(new Error('quota exceeded'));
+
+    const response = await explain({ sentence: '学校に行く。' });
+
+    expect(response.statusCode).toBe(502);
+  });
+
+  test('validates the request', async () => {
+    expect((await explain({})).statusCode).toBe(400);
+    expect((await explain({ sentence: '   ' })).statusCode).toBe(400);
+    expect((await explain({ sentence: 'あ'.repeat(301) })).statusCode).toBe(400);
+    expect((await explain({ sentence: '学校に行く。', context: 42 })).statusCode).toBe(400);
+    expect(mockGeminiModel.generateContent).not.toHaveBeenCalled();
+  });
+
+  test('requires authentication', async () => {
+    const response = await request(app).post('/api/explain-sentence').send({ sentence: '学校に行く。' });
+
+    expect(response.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  createGeminiExplainer,
+  buildExplainPrompt,
+  parseJsonObject,
+  normalizeJlptLevel,
+  validateExplanation,
+} = require('../lib/explainer');
+
+const sentence = '本を読んでしまった。';
+
+const validResponse = {
+  translation: 'I ended up reading the book.',
+  clauses: [{ text: '本を読んでしまった。', role: 'main clause', translation: 'I ended up reading the book.' }],
+  particles: [{ particle: 'を', role: 'direct object marker', attaches_to: '本' }],
+  conjugations: [{ surface: '読んでしまった', dictionary_form: '読む', form: 'te-form + しまう, past' }],
+  grammar_points: [{ name: '〜てしまう', jlpt_level: 'N4', explanation: 'Completion or regret.' }],
+};
+
+describe('Grammar explainer', () => {
+  test('prompt carries the sentence, and the paragraph only when given, as delimited data', () => {
+    expect(buildExplainPrompt(sentence)).toContain(`<source_text>\n{"sentence":"${sentence}"}\n</source_text>`);
+    expect(buildExplainPrompt(sentence)).not.toContain('"paragraph"');
+    expect(buildExplainPrompt(sentence, '昨日のこと。本を読んでしまった。')).toContain('"paragraph":"昨日のこと。本を読んでしまった。"');
+  });
+
+  test('parses JSON objects, with or without a Markdown fence', () => {
+    expect(parseJsonObject('{"clauses":[]}')).toEqual({ clauses: [] });
+    expect(parseJsonObject('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    expect(parseJsonObject('[1, 2]')).toBeNull();
+    expect(parseJsonObject('Here is the breakdown:')).toBeNull();
+  });
+
+  test('normalizes JLPT levels', () => {
+    expect(normalizeJlptLevel('N3')).toBe('N3');
+    expect(normalizeJlptLevel('n2')).toBe('N2');
+    expect(normalizeJlptLevel('JLPT N1')).toBe('N1');
+    expect(normalizeJlptLevel(5)).toBe('N5');
+    expect(normalizeJlptLevel('N6')).toBeNull();
+    expect(normalizeJlptLevel(null)).toBeNull();
+  });
+
+  test('accepts a well-formed response', () => {
+    const { explanation, error } = validateExplanation(validResponse, sentence);
+
+    expect(error).toBeUndefined();
+    expect(explanation).toEqual({ sentence, ...validResponse });
+  });
+
+  test('rejects responses without the required lists', () => {
+    expect(validateExplanation(null, sentence).error).toMatch(/not a JSON object/);
+    const { clauses, grammar_points, ...partial } = validResponse;
+    expect(validateExplanation(partial, sentence).error).toBe('Response is missing clauses, grammar_points.');
+  });
+
+  test('drops incomplete items and text that is not in the sentence', () => {
+    const { explanation } = validateExplanation({
+      ...validResponse,
+      particles: [{ particle: 'を', role: 'object' }, { particle: 'が', role: 'subject' }, { particle: 'に' }, 'は'],
+      conjugations: [{ surface: '食べた', dictionary_form: '食べる', form: 'past' }],
+      grammar_points: [{ name: '〜てしまう', jlpt_level: 'level 4', explanation: '  ' }, { name: '〜た', jlpt_level: 'n5', explanation: 'Past.' }],
+    }, sentence);
+
+    expect(explanation.particles).toEqual([{ particle: 'を', role: 'object', attaches_to: null }]);
+    expect(explanation.conjugations).toEqual([]);
+    expect(explanation.grammar_points).toEqual([{ name: '〜た', jlpt_level: 'N5', explanation: 'Past.' }]);
+  });
+
+  test('asks the model for JSON and validates its answer', async () => {
+    const model = { generateContent: jest.fn().mockResolvedValue({ response: { text: () => JSON.stringify(validResponse) } }) };
+    const getGenerativeModel = jest.fn(() => model);
+    const explainer = createGeminiExplainer({
+      apiKey: 'test-key',
+      modelName: 'test-model',
+      GoogleGenerativeAI: jest.fn().mockImplementation(() => ({ getGenerativeModel })),
+    });
+
+    const result = await explainer.explainSentence(sentence);
+
+    expect(getGenerativeModel).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'test-model',
+      generationConfig: { responseMimeType: 'application/json' },
+    }));
+    expect(result.explanation.grammar_points[0].name).toBe('〜てしまう');
+    expect(explainer.version).toBe('gemini:test-model');
+  });
+
+  test('requires an API key', () => {
+    expect(() => createGeminiExplainer({})).toThrow('API Key missing');
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const {
+  DEFAULT_FURIGANA_OPTIONS,
+  parseFuriganaOptions,
+  splitRubyGroups,
+  hideKnownReadings,
+} = require('../lib/furigana');
+const { app, kuroshiroInitialization } = require('../server');
+
+const pool = Pool.mock.results[0].value;
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+
+const ruby = (base, reading) => `<ruby>${base}<rp>(</rp><rt>${reading}</rt><rp>)</rp></ruby>`;
+
+describe('Furigana options', () => {
+  test('fills in defaults and rejects unknown values', () => {
+    expect(parseFuriganaOptions(undefined)).toEqual({ options: DEFAULT_FURIGANA_OPTIONS });
+    expect(parseFuriganaOptions({ to: 'romaji' })).toEqual({ options: { mode: 'furigana', to: 'romaji', hide_known: false } });
+    expect(parseFuriganaOptions({ mode: 'ruby' }).error).toMatch(/furigana\.mode/);
+    expect(parseFuriganaOptions({ to: 'cyrillic' }).error).toMatch(/furigana\.to/);
+    expect(parseFuriganaOptions({ hide_known: 'yes' }).error).toMatch(/furigana\.hide_known/);
+    expect(parseFuriganaOptions('furigana').error).toMatch(/expected an object/);
+  });
+
+  test('gives every chunk of a romaji ruby group its own ruby', () => {
+    const grouped = `<ruby>今日<rp>(</rp><rt>kyō</rt><rp>)</rp>は<rp>(</rp><rt>wa</rt><rp>)</rp></ruby>`;
+
+    expect(splitRubyGroups(grouped)).toBe(ruby('今日', 'kyō') + ruby('は', 'wa'));
+    expect(splitRubyGroups(ruby('食', 'た') + 'べる')).toBe(ruby('食', 'た') + 'べる');
+  });
+
+  test('hides readings only where every kanji is known', () => {
+    const known = new Set(['食', '今']);
+
+    expect(hideKnownReadings(ruby('食', 'た') + 'べ' + ruby('物', 'もの'), 'furigana', known)).toBe('食べ' + ruby('物', 'もの'));
+    expect(hideKnownReadings(ruby('今日', 'きょう'), 'furigana', known)).toBe(ruby('今日', 'きょう'));
+    expect(hideKnownReadings(ruby('は', 'wa'), 'furigana', known)).toBe(ruby('は', 'wa'));
+    expect(hideKnownReadings('今日(きょう)は食(た)べる', 'okurigana', known)).toBe('今日(きょう)は食べる');
+    expect(hideKnownReadings('たべる', 'spaced', known)).toBe('たべる');
+  });
+});
+
+describe('Furigana endpoints', () => {
+  beforeAll(async () => {
+    await kuroshiroInitialization;
+  }, 60000);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    pool.query.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  const rerender = (body) => request(app)
+    .post('/api/furigana')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  test('re-renders sentences in katakana without translating', async () => {
+    const response = await rerender({ sentences: ['食べ物を食べる。'], furigana: { to: 'katakana' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.furigana).toEqual({ mode: 'furigana', to: 'katakana', hide_known: false });
+    expect(response.body.sentences[0].furigana_html).toContain(ruby('物', 'モノ'));
+    expect(response.body.sentences[0].segments.slice(0, 2)).toEqual([
+      { text: '食', reading: 'タ', start: 0, end: 1, known: false, kanji: [{ text: '食', reading: 'タ', start: 0, end: 1, known: false }] },
+      { text: 'べ', reading: null, start: 1, end: 2, kanji: null },
+    ]);
+  });
+
+  test('suppresses readings over the user\'s known kanji', async () => {
+    pool.query.mockImplementation(async (sql) => (
+      sql.includes('FROM user_kanji_srs') ? { rows: [{ kanji_character: '食' }] } : { rows: [] }
+    ));
+
+    const response = await rerender({ sentences: ['食べ物を食べる。'], furigana: { hide_known: true } });
+
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('repetition > 0'), ['123']);
+    expect(response.body.sentences[0].furigana_html).toBe('食べ' + ruby('物', 'もの') + 'を食べる。');
+    expect(response.body.sentences[0].segments.filter(segment => segment.reading).map(segment => [segment.text, segment.known]))
+      .toEqual([['食', true], ['物', false], ['食', true]]);
+  });
+
+  test('renders okurigana and spaced romaji', async () => {
+    const okurigana = await rerender({ sentences: ['食べる。'], furigana: { mode: 'okurigana' } });
+    const spaced = await rerender({ sentences: ['食べる。'], furigana: { mode: 'spaced', to: 'romaji' } });
+
+    expect(okurigana.body.sentences[0].furigana_html).toBe('食(た)べる。');
+    expect(spaced.body.sentences[0].furigana_html).toMatch(/^taberu/);
+  });
+
+  test('validates the request', async () => {
+    expect((await rerender({ sentences: [] })).status).toBe(400);
+    expect((await rerender({ sentences: ['食べる。'], furigana: { mode: 'ruby' } })).status).toBe(400);
+  });
+
+  test('applies the options on /api/process-text', async () => {
+    const response = await request(app)
+      .post('/api/process-text')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: '食べる。', furigana: { mode: 'okurigana', to: 'katakana' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.furigana).toEqual({ mode: 'okurigana', to: 'katakana', hide_known: false });
+    expect(response.body.processedSentences[0].furigana_html).toBe('食(タ)べる。');
+  });
+
+  test('rejects invalid options on /api/process-text', async () => {
+    const response = await request(app)
+      .post('/api/process-text')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: '食べる。', furigana: { to: 'cyrillic' } });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  buildFuriganaSegments,
+  applySegmentOptions,
+  alignReading,
+  splitKanjiReading,
+} = require('../lib/furiganaSegments');
+
+const kanjiDetailsMap = {
+  '日': { readings_on: ['にち', 'じつ'], readings_kun: ['ひ', '-び', '-か'] },
+  '本': { readings_on: ['ほん'], readings_kun: ['もと'] },
+  '語': { readings_on: ['ご'], readings_kun: ['かた.る'] },
+  '学': { readings_on: ['ガク'], readings_kun: ['まな.ぶ'] },
+  '校': { readings_on: ['コウ'], readings_kun: [] },
+  '人': { readings_on: ['じん', 'にん'], readings_kun: ['ひと'] },
+};
+
+// Tokens as lib/tokenizer builds them
+const token = (surface, reading, start) => ({ surface, reading, start, end: start + surface.length });
+
+describe('Furigana segments', () => {
+  test('aligns a reading with the kana in the surface', () => {
+    expect(alignReading('食べ', 'たべ')).toEqual([{ text: '食', reading: 'た' }, { text: 'べ', reading: null }]);
+    expect(alignReading('お茶', 'おちゃ')).toEqual([{ text: 'お', reading: null }, { text: '茶', reading: 'ちゃ' }]);
+    expect(alignReading('取り扱い', 'とりあつかい')).toEqual([
+      { text: '取', reading: 'と' }, { text: 'り', reading: null }, { text: '扱', reading: 'あつか' }, { text: 'い', reading: null },
+    ]);
+    expect(alignReading('食べ', 'のみ')).toBeNull();
+  });
+
+  test('splits compound readings per kanji, with sound changes', () => {
+    expect(splitKanjiReading('学校', 'がっこう', kanjiDetailsMap)).toEqual([
+      { text: '学', reading: 'がっ' }, { text: '校', reading: 'こう' },
+    ]);
+    expect(splitKanjiReading('人々', 'ひとびと', kanjiDetailsMap)).toEqual([
+      { text: '人', reading: 'ひと' }, { text: '々', reading: 'びと' },
+    ]);
+    expect(splitKanjiReading('本日', 'ほんじつ', kanjiDetailsMap)).toEqual([
+      { text: '本', reading: 'ほん' }, { text: '日', reading: 'じつ' },
+    ]);
+    // 日本 (にほん) uses a reading KANJIDIC doesn't list for 日
+    expect(splitKanjiReading('日本語', 'にほんご', kanjiDetailsMap)).toBeNull();
+    expect(splitKanjiReading('今日', 'きょう', {})).toBeNull();
+  });
+
+  test('builds segments with offsets from tokens', () => {
+    const tokens = [token('学校', 'がっこう', 0), token('で', 'で', 2), token('日本語', 'にほんご', 3), token('を', 'を', 6), token('学び', 'まなび', 7)];
+
+    expect(buildFuriganaSegments(tokens, kanjiDetailsMap)).toEqual([
+      {
+        text: '学校', reading: 'がっこう', start: 0, end: 2,
+        kanji: [{ text: '学', reading: 'がっ', start: 0, end: 1 }, { text: '校', reading: 'こう', start: 1, end: 2 }],
+      },
+      { text: 'で', reading: null, start: 2, end: 3, kanji: null },
+      { text: '日本語', reading: 'にほんご', start: 3, end: 6, kanji: null },
+      { text: 'を', reading: null, start: 6, end: 7, kanji: null },
+      { text: '学', reading: 'まな', start: 7, end: 8, kanji: [{ text: '学', reading: 'まな', start: 7, end: 8 }] },
+      { text: 'び', reading: null, start: 8, end: 9, kanji: null },
+    ]);
+  });
+
+  test('keeps one reading for the whole token when it cannot be aligned', () => {
+    expect(buildFuriganaSegments([token('明日', 'あした', 0)])).toEqual([
+      { text: '明日', reading: 'あした', start: 0, end: 2, kanji: null },
+    ]);
+    expect(buildFuriganaSegments([token('Ｘ線', null, 0)])).toEqual([
+      { text: 'Ｘ線', reading: null, start: 0, end: 2, kanji: null },
+    ]);
+  });
+
+  test('converts readings and marks known kanji', () => {
+    const segments = buildFuriganaSegments([token('人々', 'ひとびと', 0), token('は', 'は', 2), token('学校', 'がっこう', 3)], kanjiDetailsMap);
+
+    const katakana = applySegmentOptions(segments, { to: 'katakana', hide_known: false });
+    expect(katakana[0].reading).toBe('ヒトビト');
+    expect(katakana[0].kanji.map(part => part.reading)).toEqual(['ヒト', 'ビト']);
+    expect(katakana[1].reading).toBeNull();
+
+    const romaji = applySegmentOptions(segments, { to: 'romaji', hide_known: true }, new Set(['人', '学']));
+    expect(romaji[1].reading).toBe('ha');
+    expect(romaji[0]).toMatchObject({ reading: 'hitobito', known: true });
+    expect(romaji[0].kanji.map(part => part.known)).toEqual([true, true]);
+    expect(romaji[2]).toMatchObject({ known: false });
+    expect(romaji[2].kanji.map(part => part.known)).toEqual([true, false]);
+  });
+});
@@ -0,0 +1,69 @@
+const { getCachedKanjiDetails, saveKanjiDetails, resolveKanjiDetails } = require('../lib/kanjiCache');
+
+const sunDetails = { meanings: ['day', 'sun'], readings_on: ['にち'], readings_kun: ['ひ'], jlpt: 'N5' };
+
+describe('Kanji details cache', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads a whole document worth of kanji in a single query', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ kanji_character: '日', details: sunDetails }] });
+
+    const cached = await getCachedKanjiDetails(pool, ['日', '人'], 7);
+
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][0]).toContain('kanji_character = ANY($1)');
+    expect(pool.query.mock.calls[0][1]).toEqual([['日', '人'], 7]);
+    expect(cached).toEqual({ '日': sunDetails });
+  });
+
+  test('skips the database when there is nothing to read or write', async () => {
+    expect(await getCachedKanjiDetails(pool, [])).toEqual({});
+    await saveKanjiDetails(pool, {});
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('only calls the lookup for cache misses and stores the results', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ kanji_character: '日', details: sunDetails }] });
+    const lookup = jest.fn().mockResolvedValue({ meanings: ['person'] });
+
+    const detailsMap = await resolveKanjiDetails(['日', '人'], { pool, lookup });
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(lookup).toHaveBeenCalledWith('人');
+    expect(detailsMap).toEqual({ '日': sunDetails, '人': { meanings: ['person'] } });
+
+    const [insertQuery, insertValues] = pool.query.mock.calls[1];
+    expect(insertQuery).toContain('INSERT INTO kanji_details_cache');
+    expect(insertValues).toEqual([['人'], [JSON.stringify({ meanings: ['person'] })]]);
+  });
+
+  test('caches "not found" but never caches lookup errors', async () => {
+    const lookup = jest.fn()
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ error: 'Jisho API lookup failed: timeout' });
+
+    const detailsMap = await resolveKanjiDetails(['㐂', '人'], { pool, lookup });
+
+    expect(detailsMap['人']).toEqual({ error: 'Jisho API lookup failed: timeout' });
+    expect(pool.query.mock.calls[1][1]).toEqual([['㐂'], [null]]);
+  });
+
+  test('falls back to lookups when the cache table is unavailable', async () => {
+    pool.query.mockRejectedValue(new Error('relation "kanji_details_cache" does not exist'));
+    const lookup = jest.fn().mockResolvedValue(sunDetails);
+
+    const detailsMap = await resolveKanjiDetails(['日'], { pool, lookup });
+
+    expect(detailsMap).toEqual({ '日': sunDetails });
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { createKanjiDictionary } = require('../lib/kanjiDictionary');
+const { createJishoProvider } = require('../lib/kanjiDictionary/jishoProvider');
+const { buildKanjidicIndex } = require('../lib/kanjiDictionary/kanjidic2');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+const sampleIndexPath = path.join(fixturesDir, 'kanjidic2-index.sample.json');
+
+describe('Kanji dictionary', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildKanjidicIndex', () => {
+    test('converts KANJIDIC2 XML into kanjiDetailsMap entries', () => {
+      const xml = fs.readFileSync(path.join(fixturesDir, 'kanjidic2-sample.xml'), 'utf8');
+
+      const index = buildKanjidicIndex(xml);
+
+      expect(index.database_version).toBe('2024-001');
+      expect(Object.keys(index.entries)).toEqual(['日', '人', '食', '語']);
+      expect(index.entries['日']).toEqual({
+        meanings: ['day', 'sun', 'Japan', 'counter for days'],
+        readings_on: ['にち', 'じつ'],
+        readings_kun: ['ひ', '-び', '-か'],
+        stroke_count: 4,
+        grade: 1,
+        jlpt: 'N5',
+        newspaper_frequency: 1,
+        taught_in: 'grade 1',
+        radical: '日',
+      });
+      expect(index.entries['人'].radical).toBe('人');
+    });
+
+    test('matches the bundled sample index', () => {
+      const xml = fs.readFileSync(path.join(fixturesDir, 'kanjidic2-sample.xml'), 'utf8');
+      const bundled = JSON.parse(fs.readFileSync(sampleIndexPath, 'utf8'));
+
+      expect(buildKanjidicIndex(xml)).toEqual(bundled);
+    });
+  });
+
+  describe('kanjidic provider', () => {
+    test('looks up kanji offline from the index file', async () => {
+      const dictionary = createKanjiDictionary({ provider: 'kanjidic', kanjidicIndexPath: sampleIndexPath });
+
+      expect(dictionary.name).toBe('kanjidic');
+      expect(dictionary.isRemote).toBe(false);
+      await expect(dictionary.lookup('食')).resolves.toMatchObject({
+        meanings: ['eat', 'food'],
+        readings_kun: ['く.う', 'く.らう', 'た.べる', 'は.む'],
+        uri: 'https://jisho.org/search/%E9%A3%9F%23kanji',
+      });
+      await expect(dictionary.lookup('鬱')).resolves.toBeNull();
+    });
+
+    test('fails at creation when the index file is missing', () => {
+      expect(() => createKanjiDictionary({ provider: 'kanjidic', kanjidicIndexPath: path.join(fixturesDir, 'missing.json') }))
+        .toThrow(/^KANJIDIC2 index not found at .*missing\.json\. Build it with `npm run build:kanjidic-index/);
+    });
+  });
+
+  describe('jisho provider', () => {
+    test('maps Jisho results to the kanjiDetailsMap shape', async () => {
+      const jisho = {
+        searchForKanji: jest.fn().mockResolvedValue({
+          found: true,
+          uri: 'https://jisho.org/search/%E4%BA%BA%23kanji',
+          meaning: 'person',
+          onyomi: ['ジン', 'ニン'],
+          kunyomi: ['ひと'],
+          strokeCount: 2,
+          jlptLevel: 'N5',
+          newspaperFrequencyRank: '5',
+          taughtIn: 'grade 1',
+          radical: { symbol: '人' },
+        }),
+      };
+      const provider = createJishoProvider({ jisho });
+
+      expect(provider.isRemote).toBe(true);
+      await expect(provider.lookup('人')).resolves.toEqual({
+        uri: 'https://jisho.org/search/%E4%BA%BA%23kanji',
+        meanings: ['person'],
+        readings_on: ['じん', 'にん'],
+        readings_kun: ['ひと'],
+        stroke_count: 2,
+        grade: null,
+        jlpt: 'N5',
+        newspaper_frequency: '5',
+        taught_in: 'grade 1',
+        radical: '人',
+      });
+    });
+
+    test('returns null when not found and an error object when the lookup throws', async () => {
+      const jisho = {
+        searchForKanji: jest.fn()
+          .mockResolvedValueOnce({ found: false })
+          .mockRejectedValueOnce(new Error('ECONNRESET')),
+      };
+      const provider = createJishoProvider({ jisho });
+
+      await expect(provider.lookup('㐂')).resolves.toBeNull();
+      await expect(provider.lookup('人')).resolves.toEqual({ error: 'Jisho API lookup failed: ECONNRESET' });
+    });
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => createKanjiDictionary({ provider: 'wiktionary' })).toThrow(/Unknown kanji dictionary provider/);
+  });
+});
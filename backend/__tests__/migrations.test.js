@@ -0,0 +1,55 @@
+const { listMigrations, applyMigrations } = require('../lib/migrations');
+
+describe('Migrations', () => {
+  let pool;
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      connect: jest.fn().mockResolvedValue(client),
+    };
+  });
+
+  test('lists the SQL files in order', () => {
+    const files = listMigrations();
+
+    expect(files[0]).toBe('001_kanji_details_cache.sql');
+    expect(files).toEqual([...files].sort());
+    expect(files.every(file => /^\d{3}_\w+\.sql$/.test(file))).toBe(true);
+  });
+
+  test('applies only the migrations not recorded yet, each in a transaction', async () => {
+    const files = listMigrations();
+    pool.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: files.slice(0, -1).map(filename => ({ filename })) });
+
+    const applied = await applyMigrations(pool);
+
+    const last = files[files.length - 1];
+    expect(applied).toEqual([last]);
+    expect(pool.query.mock.calls[0][0]).toContain('CREATE TABLE IF NOT EXISTS schema_migrations');
+    expect(client.query.mock.calls.map(([sql]) => sql.trim().split('\n')[0])).toEqual([
+      'BEGIN',
+      expect.stringMatching(/^--/),
+      'INSERT INTO schema_migrations (filename) VALUES ($1)',
+      'COMMIT',
+    ]);
+    expect(client.query.mock.calls[2][1]).toEqual([last]);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('rolls back and stops at a failing migration', async () => {
+    client.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockRejectedValueOnce(new Error('permission denied for schema public'));
+
+    await expect(applyMigrations(pool)).rejects.toThrow('001_kanji_details_cache.sql: permission denied for schema public');
+
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(pool.connect).toHaveBeenCalledTimes(1);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { parseAozora, parseRubyHtml, validateRuby, attachRuby } = require('../lib/ruby');
+const { renderFurigana } = require('../lib/furigana');
+const { applyAuthorRuby } = require('../lib/furiganaSegments');
+const { segmentText } = require('../lib/segmenter');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+
+const ruby = (base, reading) => `<ruby>${base}<rp>(</rp><rt>${reading}</rt><rp>)</rp></ruby>`;
+
+const AOZORA = `羅生門
+芥川龍之介
+
+-------------------------------------------------------
+【テキスト中に現れる記号について】
+
+《》：ルビ
+（例）下人《げにん》
+-------------------------------------------------------
+
+［＃５字下げ］一［＃「一」は中見出し］
+
+｜或日《あるひ》の暮方の事である。一人の下人《げにん》が、羅生門《らしょうもん》の下で雨やみを待っていた。
+※［＃「木＋世」、U+4E16、12-3］界は《広い》。
+
+底本：「芥川龍之介全集1」ちくま文庫、筑摩書房
+入力：j.utiyama
+`;
+
+describe('Author ruby', () => {
+  test('parses Aozora Bunko ruby and strips the editorial notes', () => {
+    const { text, ruby: spans } = parseAozora(AOZORA);
+
+    expect(text).toBe('羅生門\n芥川龍之介\n\n\n一\n\n或日の暮方の事である。一人の下人が、羅生門の下で雨やみを待っていた。\n世界は《広い》。');
+    expect(spans.map(span => [text.slice(span.start, span.end), span.reading])).toEqual([['或日', 'あるひ'], ['下人', 'げにん'], ['羅生門', 'らしょうもん']]);
+  });
+
+  test('starts the ruby base at ｜ or at the start of the same-script run', () => {
+    const { text, ruby: spans } = parseAozora('｜白い犬《しろいいぬ》と一匹のネコ《ねこ》と巴里《パリ》。');
+
+    expect(text).toBe('白い犬と一匹のネコと巴里。');
+    expect(spans.map(span => [text.slice(span.start, span.end), span.reading])).toEqual([['白い犬', 'しろいいぬ'], ['ネコ', 'ねこ'], ['巴里', 'パリ']]);
+  });
+
+  test('reads ruby out of pasted HTML', () => {
+    const { text, ruby: spans } = parseRubyHtml('<p><ruby>紅<rp>(</rp><rt>くれない</rt><rp>)</rp></ruby>の空。</p>');
+
+    expect(text).toBe('紅の空。');
+    expect(spans).toEqual([{ start: 0, end: 1, reading: 'くれない' }]);
+  });
+
+  test('validates ruby sent with plain text', () => {
+    expect(validateRuby([{ start: 2, end: 3, reading: 'か' }, { start: 0, end: 1, reading: ' あ ' }], 'あいう')).toEqual({
+      ruby: [{ start: 0, end: 1, reading: 'あ' }, { start: 2, end: 3, reading: 'か' }],
+    });
+    expect(validateRuby([{ start: 0, end: 4, reading: 'あ' }], 'あいう').error).toMatch(/Invalid ruby/);
+    expect(validateRuby([{ start: 0, end: 2, reading: 'あ' }, { start: 1, end: 3, reading: 'い' }], 'あいう').error).toMatch(/overlap/);
+    expect(validateRuby('あ', 'あいう').error).toMatch(/Invalid ruby/);
+  });
+
+  test('moves the ruby onto the sentences it belongs to', () => {
+    const text = '下人が来た。羅生門の下。';
+    const segments = attachRuby(segmentText(text), [{ start: 0, end: 2, reading: 'げにん' }, { start: 6, end: 9, reading: 'らしょうもん' }]);
+
+    expect(segments.map(segment => segment.ruby)).toEqual([
+      [{ start: 0, end: 2, reading: 'げにん' }],
+      [{ start: 0, end: 3, reading: 'らしょうもん' }],
+    ]);
+  });
+
+  test('renders author ruby as given and only sends the rest to Kuroshiro', async () => {
+    const kuroshiro = { convert: jest.fn(async (text) => `[${text}]`) };
+    const spans = [{ start: 2, end: 4, reading: 'げにん' }];
+
+    expect(await renderFurigana(kuroshiro, 'その下人が', undefined, undefined, spans)).toBe(`[その]${ruby('下人', 'げにん')}[が]`);
+    expect(kuroshiro.convert).toHaveBeenCalledTimes(2);
+    expect(await renderFurigana(kuroshiro, '下人', { mode: 'okurigana', to: 'katakana', hide_known: false }, undefined, [{ start: 0, end: 2, reading: 'げにん' }]))
+      .toBe('下人(ゲニン)');
+    expect(await renderFurigana(kuroshiro, '下人', { mode: 'furigana', to: 'hiragana', hide_known: true }, new Set(['下', '人']), [{ start: 0, end: 2, reading: 'げにん' }]))
+      .toBe('下人');
+  });
+
+  test('replaces the segments under author ruby', () => {
+    const segments = [
+      { text: '今日', reading: 'きょう', start: 0, end: 2, kanji: null },
+      { text: 'は', reading: null, start: 2, end: 3, kanji: null },
+    ];
+    const details = { 今: { readings_on: ['コン'], readings_kun: ['いま'] }, 日: { readings_on: ['ニチ'], readings_kun: ['ひ', 'か'] } };
+
+    expect(applyAuthorRuby('今日は', segments, [{ start: 0, end: 2, reading: 'こんにち' }], details)).toEqual([
+      {
+        text: '今日', reading: 'こんにち', start: 0, end: 2,
+        kanji: [{ text: '今', reading: 'こん', start: 0, end: 1 }, { text: '日', reading: 'にち', start: 1, end: 2 }],
+      },
+      { text: 'は', reading: null, start: 2, end: 3, kanji: null },
+    ]);
+    // A span over part of a segment: the rest keeps its text without a reading
+    expect(applyAuthorRuby('今日は', segments, [{ start: 1, end: 2, reading: 'ニチ' }])).toEqual([
+      { text: '今', reading: null, start: 0, end: 1, kanji: null },
+      { text: '日', reading: 'ニチ', start: 1, end: 2, kanji: null },
+      segments[1],
+    ]);
+  });
+
+  describe('endpoints', () => {
+    beforeAll(async () => {
+      await kuroshiroInitialization;
+    }, 60000);
+
+    beforeEach(() => {
+      pool.query.mockResolvedValue({ rows: [] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      pool.query.mockReset();
+      jest.restoreAllMocks();
+    });
+
+    const processText = (body) => request(app)
+      .post('/api/process-text')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    test('keeps the author\'s reading over the dictionary one', async () => {
+      const response = await processText({ text: '私《わたくし》は猫である。', format: 'aozora' });
+
+      expect(response.statusCode).toBe(200);
+      const [sentence] = response.body.processedSentences;
+      expect(sentence.original_sentence).toBe('私は猫である。');
+      expect(sentence.ruby).toEqual([{ start: 0, end: 1, reading: 'わたくし' }]);
+      expect(sentence.furigana_html).toBe(ruby('私', 'わたくし') + 'は' + ruby('猫', 'ねこ') + 'である。');
+      expect(sentence.segments[0]).toMatchObject({ text: '私', reading: 'わたくし' });
+    });
+
+    test('accepts pasted HTML and ruby sent alongside plain text', async () => {
+      const html = await processText({ text: '<ruby>私<rt>わたくし</rt></ruby>は猫である。', format: 'html' });
+      expect(html.body.processedSentences[0].furigana_html).toContain(ruby('私', 'わたくし'));
+
+      const chapter = await processText({ text: '私は猫である。', ruby: [{ start: 0, end: 1, reading: 'わたくし' }] });
+      expect(chapter.body.processedSentences[0].furigana_html).toContain(ruby('私', 'わたくし'));
+
+      const invalid = await processText({ text: '私は猫である。', ruby: [{ start: 0, end: 99, reading: 'わたくし' }] });
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.error).toMatch(/Invalid ruby/);
+
+      const withFormat = await processText({ text: '私は猫である。', format: 'srt', ruby: [] });
+      expect(withFormat.statusCode).toBe(400);
+    });
+
+    test('keeps author ruby when re-rendering with other options', async () => {
+      const response = await request(app)
+        .post('/api/furigana')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ sentences: [{ text: '私は猫。', ruby: [{ start: 0, end: 1, reading: 'わたくし' }] }, '猫。'], furigana: { to: 'katakana' } });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.sentences[0].furigana_html).toBe(ruby('私', 'ワタクシ') + 'は' + ruby('猫', 'ネコ') + '。');
+      expect(response.body.sentences[0].ruby).toEqual([{ start: 0, end: 1, reading: 'わたくし' }]);
+      expect(response.body.sentences[1].ruby).toBeUndefined();
+    });
+  });
+});
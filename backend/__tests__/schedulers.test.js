@@ -0,0 +1,72 @@
+const { cardState, getScheduler, isValidGrade } = require('../lib/schedulers');
+const { fromSm2 } = require('../lib/schedulers/fsrs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2024-05-01T10:00:00Z');
+
+describe('SRS schedulers', () => {
+  test('validates grades and reads card rows', () => {
+    expect([0, 5].every(isValidGrade)).toBe(true);
+    expect([6, -1, 2.5, '3'].some(isValidGrade)).toBe(false);
+    expect(cardState({ interval: '6', repetition: '2', efactor: '2.36', difficulty: null, stability: '4.5' }))
+      .toMatchObject({ interval: 6, repetition: 2, efactor: 2.36, difficulty: null, stability: 4.5 });
+    expect(cardState(null)).toMatchObject({ interval: 0, repetition: 0, efactor: 2.5, stability: null });
+  });
+
+  test('SM-2 grows intervals by the ease factor and drops any FSRS state', () => {
+    const sm2 = getScheduler('sm2');
+    const next = sm2.schedule({ ...cardState(null), interval: 6, repetition: 2, stability: 10, difficulty: 5 }, 4, { now });
+
+    expect(next).toMatchObject({ interval: 15, repetition: 3, efactor: 2.5, difficulty: null, stability: null });
+    expect(Math.round((next.due_date - now) / DAY_MS)).toBe(15);
+    expect(sm2.schedule(cardState(null), 1, { now })).toMatchObject({ interval: 1, repetition: 0 });
+  });
+
+  describe('FSRS', () => {
+    const fsrs = getScheduler('fsrs');
+
+    test('starts new cards from the initial stability of their first rating', () => {
+      const again = fsrs.schedule(cardState(null), 0, { now });
+      const easy = fsrs.schedule(cardState(null), 5, { now });
+
+      expect(again).toMatchObject({ interval: 1, repetition: 0, retrievability: null });
+      expect(easy.stability).toBeCloseTo(13.8206, 3);
+      expect(easy.interval).toBe(14);
+      expect(easy.difficulty).toBeLessThan(again.difficulty);
+    });
+
+    test('grows stability on recall and shrinks it on a lapse', () => {
+      const card = { ...cardState(null), interval: 15, repetition: 2, stability: 15, difficulty: 5, last_reviewed_at: new Date(now - 15 * DAY_MS) };
+
+      const good = fsrs.schedule(card, 4, { now });
+      const forgot = fsrs.schedule(card, 1, { now });
+
+      // Reviewed on time: retrievability is the 90% FSRS schedules for
+      expect(good.retrievability).toBeCloseTo(0.9, 3);
+      expect(good.stability).toBeGreaterThan(15);
+      expect(good.repetition).toBe(3);
+      expect(forgot.stability).toBeLessThan(15);
+      expect(forgot).toMatchObject({ repetition: 0 });
+      expect(forgot.difficulty).toBeGreaterThan(5);
+    });
+
+    test('schedules shorter intervals for a higher target retention', () => {
+      const card = { ...cardState(null), interval: 10, repetition: 2, stability: 10, difficulty: 5, last_reviewed_at: new Date(now - 10 * DAY_MS) };
+
+      const relaxed = fsrs.schedule(card, 4, { now, targetRetention: 0.8 });
+      const strict = fsrs.schedule(card, 4, { now, targetRetention: 0.95 });
+
+      expect(relaxed.stability).toBeCloseTo(strict.stability, 6);
+      expect(relaxed.interval).toBeGreaterThan(strict.interval);
+    });
+
+    test('continues SM-2 cards from a memory state derived from their interval and ease', () => {
+      expect(fromSm2({ interval: 30, efactor: 2.5 })).toEqual({ stability: 30, difficulty: 5 });
+      expect(fromSm2({ interval: 1, efactor: 1.3 })).toEqual({ stability: 1, difficulty: 10 });
+
+      const next = fsrs.schedule({ ...cardState(null), interval: 30, repetition: 4, efactor: 2.5, last_reviewed_at: new Date(now - 30 * DAY_MS) }, 4, { now });
+      expect(next.retrievability).toBeCloseTo(0.9, 3);
+      expect(next.interval).toBeGreaterThan(30);
+    });
+  });
+});
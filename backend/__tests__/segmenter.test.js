@@ -0,0 +1,60 @@
+const { segmentText } = require('../lib/segmenter');
+
+const texts = (segments) => segments.map(segment => segment.text);
+
+describe('Segmenter', () => {
+  test('splits on full-width and half-width sentence-final punctuation', () => {
+    expect(texts(segmentText('ご飯を食べる。美味しい！本当？うん!そう?'))).toEqual([
+      'ご飯を食べる。', '美味しい！', '本当？', 'うん!', 'そう?',
+    ]);
+  });
+
+  test('keeps punctuation runs together', () => {
+    expect(texts(segmentText('本当！？嘘でしょ?!はい。。'))).toEqual(['本当！？', '嘘でしょ?!', 'はい。。']);
+  });
+
+  test('keeps quoted dialogue and closing brackets with their sentence', () => {
+    expect(texts(segmentText('「行こう。早く！」と彼は言った。「うん。」「本当？」（笑）'))).toEqual([
+      '「行こう。早く！」と彼は言った。', '「うん。」', '「本当？」', '（笑）',
+    ]);
+    expect(texts(segmentText('『吾輩は猫である。』を読んだ。'))).toEqual(['『吾輩は猫である。』を読んだ。']);
+    expect(texts(segmentText('彼は「はい」と答えた。（たぶん。）次へ。'))).toEqual(['彼は「はい」と答えた。', '（たぶん。）', '次へ。']);
+  });
+
+  test('ends sentences at an ellipsis only before a break', () => {
+    expect(texts(segmentText('彼は……来なかった。そうか…… 次だ。えっ‥「何？」'))).toEqual([
+      '彼は……来なかった。', 'そうか……', '次だ。', 'えっ‥', '「何？」',
+    ]);
+    expect(texts(segmentText('まさか……。'))).toEqual(['まさか……。']);
+  });
+
+  test('does not let an unclosed bracket swallow the paragraph', () => {
+    expect(texts(segmentText('「行こう。早く！'))).toEqual(['「行こう。', '早く！']);
+  });
+
+  test('numbers paragraphs by line and returns offsets into the original text', () => {
+    const text = '　最初の段落です。二文目。\r\n\r\n二つ目の段落。\n最後';
+    const segments = segmentText(text);
+
+    expect(segments.map(({ paragraph_index, start, end }) => [paragraph_index, start, end])).toEqual([
+      [0, 1, 9], [0, 9, 13], [1, 17, 24], [2, 25, 27],
+    ]);
+    segments.forEach(segment => expect(text.slice(segment.start, segment.end)).toBe(segment.text));
+  });
+
+  test('marks headings', () => {
+    const segments = segmentText('第一章　出会い\n# はじめに\n吾輩は猫である\n名前はまだ無い。\n終わり');
+
+    expect(segments.map(({ text, is_heading }) => [text, is_heading])).toEqual([
+      ['第一章　出会い', true],
+      ['# はじめに', true],
+      ['吾輩は猫である', true],
+      ['名前はまだ無い。', false],
+      ['終わり', false], // a last line has nothing to introduce
+    ]);
+  });
+
+  test('returns nothing for blank input', () => {
+    expect(segmentText(' \n　\n')).toEqual([]);
+  });
+});
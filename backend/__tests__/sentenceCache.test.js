@@ -0,0 +1,115 @@
+const {
+  normalizeSentence,
+  hashSentence,
+  toCacheEntry,
+  fromCacheEntry,
+  buildCacheVersion,
+  getCachedSentences,
+  saveSentences,
+  deleteExpiredSentences,
+} = require('../lib/sentenceCache');
+
+const version = buildCacheVersion({ translatorVersion: 'gemini:gemini-2.0-flash', kanjiDictionaryName: 'jisho' });
+const eatResult = { original_sentence: 'ご飯を食べる。', furigana_html: 'ご<ruby>飯<rt>はん</rt></ruby>を…', translation: 'I eat rice.' };
+
+describe('Processed sentence cache', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+  });
+
+  test('hashes normalized sentences', () => {
+    expect(normalizeSentence('  ご飯を \u3000 食べる。\n')).toBe('ご飯を 食べる。');
+    expect(normalizeSentence('ＡＢを食べる。ｺﾞﾊﾝ')).toBe('ABを食べる。ゴハン');
+    // Decomposed が (か + combining dakuten) and precomposed が share a key
+    expect(hashSentence('\u304B\u3099')).toBe(hashSentence('\u304C'));
+    expect(hashSentence(' ご飯を食べる。')).toBe(hashSentence('ご飯を食べる。'));
+    expect(hashSentence('ご飯を食べた。')).not.toBe(hashSentence('ご飯を食べる。'));
+    expect(hashSentence('ご飯を食べる。')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  describe('offsets of cached results', () => {
+    // A result processed from a variant: decomposed が, half-width カ, doubled full-width space
+    const variant = ' \u304B\u3099ｶﾚを\u3000\u3000食べた。';
+    const processed = {
+      original_sentence: variant,
+      translation: 'I ate curry.',
+      tokens: [
+        { surface: '\u304B\u3099ｶﾚ', base_form: 'ガカレ', start: 1, end: 5 },
+        { surface: 'を', start: 5, end: 6 },
+        { surface: '\u3000\u3000', start: 6, end: 8 },
+        { surface: '食べた', start: 8, end: 11 },
+        { surface: '。', start: 11, end: 12 },
+      ],
+      segments: [
+        { text: '食べ', reading: 'たべ', start: 8, end: 10, kanji: [{ text: '食', reading: 'た', start: 8, end: 9 }] },
+        { text: 'た。', reading: null, start: 10, end: 12, kanji: null },
+      ],
+    };
+
+    test('are stored relative to the normalized sentence', () => {
+      const entry = toCacheEntry(processed);
+
+      expect(entry.original_sentence).toBe('がカレを 食べた。');
+      expect(entry.translation).toBe('I ate curry.');
+      expect(entry.tokens.map(({ surface, start, end }) => [surface, start, end])).toEqual([
+        ['がカレ', 0, 3], ['を', 3, 4], [' ', 4, 5], ['食べた', 5, 8], ['。', 8, 9],
+      ]);
+      expect(entry.tokens[0].base_form).toBe('ガカレ');
+      expect(entry.segments[0]).toEqual({ text: '食べ', reading: 'たべ', start: 5, end: 7, kanji: [{ text: '食', reading: 'た', start: 5, end: 6 }] });
+    });
+
+    test('are rebased onto the text of the sentence served', () => {
+      const entry = toCacheEntry(processed);
+      const served = fromCacheEntry(entry, 'がカレを 食べた。');
+
+      expect(served.original_sentence).toBe('がカレを 食べた。');
+      expect(served.tokens).toEqual(entry.tokens);
+      // Back onto the variant it came from: the same offsets as when it was processed
+      expect(fromCacheEntry(entry, variant)).toEqual(processed);
+    });
+  });
+
+  test('versions name the translator and kanji dictionary', () => {
+    expect(version).toBe('r4|gemini:gemini-2.0-flash|jisho');
+    expect(buildCacheVersion({ translatorVersion: '', kanjiDictionaryName: 'kanjidic' })).toBe('r4|none|kanjidic');
+  });
+
+  test('reads all sentences of a document in one query, for the current version only', async () => {
+    const hash = hashSentence('ご飯を食べる。');
+    pool.query.mockResolvedValueOnce({ rows: [{ sentence_hash: hash, result: eatResult }] });
+
+    const cached = await getCachedSentences(pool, [hash, 'other'], version, 7);
+
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][0]).toContain('cache_version = $2');
+    expect(pool.query.mock.calls[0][1]).toEqual([[hash, 'other'], version, 7]);
+    expect(cached).toEqual({ [hash]: eatResult });
+  });
+
+  test('upserts results under the current version', async () => {
+    await saveSentences(pool, { abc: eatResult }, version);
+
+    const [insertQuery, insertValues] = pool.query.mock.calls[0];
+    expect(insertQuery).toContain('INSERT INTO processed_sentence_cache');
+    expect(insertQuery).toContain('ON CONFLICT (sentence_hash, cache_version)');
+    expect(insertValues).toEqual([['abc'], [JSON.stringify(eatResult)], version]);
+  });
+
+  test('skips the database when there is nothing to read or write', async () => {
+    expect(await getCachedSentences(pool, [], version)).toEqual({});
+    await saveSentences(pool, {}, version);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('removes expired entries of every version', async () => {
+    pool.query.mockResolvedValueOnce({ rowCount: 12 });
+
+    expect(await deleteExpiredSentences(pool, 30)).toBe(12);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('created_at <= NOW() - make_interval(days => $1)');
+    expect(sql).not.toContain('cache_version');
+    expect(params).toEqual([30]);
+  });
+});
@@ -0,0 +1,393 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { loadSrsStats } = require('../lib/srsStats');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+const kanjiRow = {
+  card_type: 'kanji', word: '日', reading: null, meaning: null, source_sentence: null,
+  interval: 1, repetition: 1, efactor: 2.5,
+  due_date: '2024-05-01T10:00:00.000Z', last_reviewed_at: '2024-04-30T10:00:00.000Z', created_at: '2024-04-29T10:00:00.000Z',
+};
+const vocabRow = {
+  card_type: 'vocab', word: '食べる', reading: 'たべる', meaning: 'to eat', source_sentence: 'ご飯を食べた。',
+  interval: 0, repetition: 0, efactor: 2.5,
+  due_date: '2024-05-02T10:00:00.000Z', last_reviewed_at: null, created_at: '2024-05-01T10:00:00.000Z',
+};
+
+describe('SRS review queue', () => {
+  beforeAll(async () => {
+    await kuroshiroInitialization;
+    pool.query.mockClear(); // the connection check server.js runs on startup
+  }, 60000);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    pool.query.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/srs/due', () => {
+    test('lists due kanji and word cards oldest first, with counts and kanji details', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [kanjiRow, vocabRow] })
+        .mockResolvedValueOnce({ rows: [{ card_type: 'kanji', due: 3, total: 10 }, { card_type: 'vocab', due: 1, total: 2 }] })
+        .mockResolvedValueOnce({ rows: [] }); // no context sentences
+
+      const response = await auth(request(app).get('/api/srs/due?limit=2'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.cards).toEqual([
+        expect.objectContaining({ card_type: 'kanji', kanji: '日', interval: 1, repetition: 1 }),
+        expect.objectContaining({ card_type: 'vocab', word: '食べる', reading: 'たべる', meaning: 'to eat' }),
+      ]);
+      expect(response.body.counts).toEqual({ due: 4, total: 12, kanji: { due: 3, total: 10 }, vocab: { due: 1, total: 2 } });
+      expect(response.body.kanji_details_map['日']).toMatchObject({ jlpt: 'N5' });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toMatch(/ORDER BY due_date ASC/);
+      expect(params[0]).toBe('123');
+      expect(params[2]).toBe(2);
+    });
+
+    test('filters by card type and clamps the limit', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await auth(request(app).get('/api/srs/due?type=vocab&limit=1000'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.counts).toEqual({ due: 0, total: 0, kanji: { due: 0, total: 0 }, vocab: { due: 0, total: 0 } });
+      expect(pool.query.mock.calls[0][1]).toEqual(['123', expect.any(Date), 100, 'vocab']);
+    });
+
+    test('rejects unknown card types', async () => {
+      const response = await auth(request(app).get('/api/srs/due?type=radical'));
+
+      expect(response.statusCode).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('context sentences', () => {
+    const context = { sentence: '今日は晴れです。', translation: 'It is sunny today.', document_id: 7, sentence_index: 3 };
+
+    test('adds the sentence the kanji was met in to the new card', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await auth(request(app).post('/api/srs/add')).send({ kanji: '日', context });
+
+      expect(response.statusCode).toBe(201);
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toMatch(/INSERT INTO user_kanji_srs_contexts/);
+      expect(sql).toMatch(/FROM documents WHERE document_id = \$5 AND user_id = \$1/);
+      expect(params).toEqual(['123', '日', '今日は晴れです。', 'It is sunny today.', 7, null, 3]);
+    });
+
+    test('adds further sentences to existing cards', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await auth(request(app).post('/api/srs/add'))
+        .send({ kanji: '日', context: { sentence: '日曜日に行きます。' } });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.message).toMatch(/already in your review queue\. This sentence was added/);
+      expect(pool.query.mock.calls[1][1]).toEqual(['123', '日', '日曜日に行きます。', null, null, null, null]);
+    });
+
+    test('rejects sentences without the kanji', async () => {
+      const response = await auth(request(app).post('/api/srs/add'))
+        .send({ kanji: '日', context: { sentence: '晴れです。' } });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error).toBe('context.sentence does not contain 日.');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('shows the latest contexts on due kanji cards', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [kanjiRow, vocabRow] })
+        .mockResolvedValueOnce({ rows: [{ card_type: 'kanji', due: 1, total: 1 }, { card_type: 'vocab', due: 1, total: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [{
+            kanji_character: '日', sentence: '今日は晴れです。', translation: 'It is sunny today.',
+            document_id: 7, chapter_index: null, sentence_index: 3, document_title: '天気', created_at: '2024-04-29T10:00:00.000Z',
+          }],
+        });
+
+      const response = await auth(request(app).get('/api/srs/due'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.cards[0].contexts).toEqual([{
+        sentence: '今日は晴れです。',
+        translation: 'It is sunny today.',
+        document: { id: 7, title: '天気', chapter_index: null, sentence_index: 3 },
+        created_at: '2024-04-29T10:00:00.000Z',
+      }]);
+      expect(response.body.cards[1].contexts).toBeUndefined();
+      expect(pool.query.mock.calls[2][1]).toEqual(['123', ['日']]);
+    });
+  });
+
+  describe('card browser', () => {
+    test('lists a filtered page of cards with the total matching', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ total: 21 }] })
+        .mockResolvedValueOnce({ rows: [{ ...vocabRow, interval: 1, suspended: false, buried_until: null }] });
+
+      const response = await auth(request(app).get('/api/srs/cards'))
+        .query({ status: 'learning', type: 'vocab', q: 'タベ', limit: 10, offset: 20 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toMatchObject({ total: 21, limit: 10, offset: 20 });
+      expect(response.body.cards).toEqual([expect.objectContaining({ card_type: 'vocab', word: '食べる', suspended: false, buried_until: null })]);
+      const [countSql, countParams] = pool.query.mock.calls[0];
+      expect(countSql).toMatch(/repetition = 0 AND interval > 0/);
+      // Kana searches match readings in hiragana
+      expect(countParams).toEqual(['123', 'vocab', '%タベ%', '%たべ%']);
+      const [pageSql, pageParams] = pool.query.mock.calls[1];
+      expect(pageSql).toMatch(/ORDER BY due_date ASC, created_at ASC\s+LIMIT \$5 OFFSET \$6/);
+      expect(pageParams.slice(4)).toEqual([10, 20]);
+    });
+
+    test('filters kanji cards by JLPT level with the offline dictionary and nothing cached', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ kanji_character: '日' }, { kanji_character: '喰' }] })
+        .mockResolvedValueOnce({ rows: [{ total: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ ...kanjiRow, suspended: true, buried_until: null }] });
+
+      const response = await auth(request(app).get('/api/srs/cards?jlpt=N5&status=suspended'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.cards[0]).toMatchObject({ kanji: '日', suspended: true });
+      expect(response.body.kanji_details_map['日']).toMatchObject({ jlpt: 'N5' });
+      // Levels come from the KANJIDIC2 index (喰 isn't in it), not from kanji_details_cache
+      expect(pool.query.mock.calls[1][1]).toEqual(['123', ['日']]);
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('kanji_details_cache'))).toBe(false);
+    });
+
+    test('rejects unknown filters', async () => {
+      const badStatus = await auth(request(app).get('/api/srs/cards?status=leech'));
+      const badJlpt = await auth(request(app).get('/api/srs/cards?jlpt=N6'));
+      const badSort = await auth(request(app).get('/api/srs/cards?sort=random'));
+
+      expect([badStatus.statusCode, badJlpt.statusCode, badSort.statusCode]).toEqual([400, 400, 400]);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('buries kanji and word cards until the next day in the user\'s time zone', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rowCount: 2 })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await auth(request(app).post('/api/srs/cards/bury')).send({
+        cards: [{ card_type: 'kanji', kanji: '日' }, { card_type: 'kanji', kanji: '人' }, { card_type: 'vocab', word: '食べる', reading: 'たべる' }],
+        tz: 'Asia/Tokyo',
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ action: 'bury', count: 3 });
+      const [kanjiSql, kanjiParams] = pool.query.mock.calls[0];
+      expect(kanjiSql).toMatch(/UPDATE user_kanji_srs SET buried_until = \(date_trunc\('day', \$4::timestamptz AT TIME ZONE \$3\) \+ INTERVAL '1 day'\) AT TIME ZONE \$3/);
+      expect(kanjiParams).toEqual(['123', ['日', '人'], 'Asia/Tokyo', expect.any(Date)]);
+      const [vocabSql, vocabParams] = pool.query.mock.calls[1];
+      expect(vocabSql).toMatch(/UPDATE user_vocab_srs/);
+      expect(vocabParams.slice(0, 3)).toEqual(['123', ['食べる'], ['たべる']]);
+    });
+
+    test('resets and deletes cards', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const reset = await auth(request(app).post('/api/srs/cards/reset')).send({ cards: [{ card_type: 'kanji', kanji: '日' }] });
+      const deleted = await auth(request(app).post('/api/srs/cards/delete')).send({ cards: [{ card_type: 'vocab', word: '食べる', reading: 'たべる' }] });
+
+      expect(reset.body).toEqual({ action: 'reset', count: 1 });
+      expect(pool.query.mock.calls[0][0]).toMatch(/SET interval = 0, repetition = 0, efactor = 2\.5, difficulty = NULL/);
+      expect(deleted.body).toEqual({ action: 'delete', count: 1 });
+      expect(pool.query.mock.calls[1][0]).toMatch(/^DELETE FROM user_vocab_srs WHERE user_id = \$1/);
+    });
+
+    test('rejects unknown actions and malformed cards', async () => {
+      const unknown = await auth(request(app).post('/api/srs/cards/archive')).send({ cards: [{ card_type: 'kanji', kanji: '日' }] });
+      const noReading = await auth(request(app).post('/api/srs/cards/suspend')).send({ cards: [{ card_type: 'vocab', word: '食べる' }] });
+      const empty = await auth(request(app).post('/api/srs/cards/suspend')).send({ cards: [] });
+
+      expect(unknown.statusCode).toBe(404);
+      expect(noReading.statusCode).toBe(400);
+      expect(empty.statusCode).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('review log', () => {
+    test('logs kanji reviews with the previous and new scheduling state', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ interval: 6, repetition: 2, efactor: 2.5, last_reviewed_at: new Date(Date.now() - 6 * 86400000) }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await auth(request(app).post(`/api/srs/review/${encodeURIComponent('日')}`))
+        .send({ grade: 4, duration_ms: 3500 });
+
+      expect(response.statusCode).toBe(200);
+      const [sql, params] = pool.query.mock.calls[3];
+      expect(sql).toMatch(/INSERT INTO srs_review_log/);
+      // user, type, key, reading, grade, previous / new interval, previous / new ease, elapsed days, duration
+      expect(params.slice(0, 8)).toEqual(['123', 'kanji', '日', null, 4, 6, 15, 2.5]);
+      expect(params[9]).toBeCloseTo(6, 3);
+      expect(params[10]).toBe(3500);
+      expect(params.slice(12)).toEqual(['sm2', null]);
+    });
+
+    test('logs first reviews of word cards without elapsed time', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ interval: 0, repetition: 0, efactor: 2.5, last_reviewed_at: null }] })
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ ...vocabRow, interval: params[3], repetition: params[4], efactor: params[5], due_date: params[9] }],
+        }))
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await auth(request(app).post('/api/srs/vocab/review'))
+        .send({ word: '食べる', reading: 'たべる', grade: 2, duration_ms: -1 });
+
+      expect(response.statusCode).toBe(200);
+      const params = pool.query.mock.calls[3][1];
+      expect(params.slice(0, 7)).toEqual(['123', 'vocab', '食べる', 'たべる', 2, 0, 1]);
+      expect(params[9]).toBeNull();
+      expect(params[10]).toBeNull(); // invalid durations are dropped
+    });
+  });
+
+  describe('statistics', () => {
+    test('computes retention, fills the forecast and sums maturity by type', async () => {
+      const statsPool = { query: jest.fn() };
+      statsPool.query
+        .mockResolvedValueOnce({ rows: [{ reviews: 40, recalled: 34, mature_reviews: 10, mature_recalled: 9 }] })
+        .mockResolvedValueOnce({ rows: [{ date: '2024-05-01', count: 12, recalled: 10 }] })
+        .mockResolvedValueOnce({ rows: [{ date: '2024-05-02', count: 5 }, { date: '2024-05-04', count: 2 }] })
+        .mockResolvedValueOnce({ rows: [
+          { card_type: 'kanji', new: 3, learning: 1, young: 4, mature: 2 },
+          { card_type: 'vocab', new: 1, learning: 0, young: 1, mature: 0 },
+        ] });
+
+      // 2024-05-01 20:00 UTC is already 2024-05-02 in Tokyo
+      const stats = await loadSrsStats(statsPool, '123', { timeZone: 'Asia/Tokyo', now: new Date('2024-05-01T20:00:00Z') });
+
+      expect(stats.today).toBe('2024-05-02');
+      expect(stats.retention).toEqual({ days: 30, reviews: 40, recalled: 34, rate: 0.85, mature: { reviews: 10, recalled: 9, rate: 0.9 } });
+      expect(stats.reviews_per_day).toEqual([{ date: '2024-05-01', count: 12, recalled: 10 }]);
+      expect(stats.forecast).toHaveLength(30);
+      expect(stats.forecast.slice(0, 3)).toEqual([
+        { date: '2024-05-02', count: 5 },
+        { date: '2024-05-03', count: 0 },
+        { date: '2024-05-04', count: 2 },
+      ]);
+      expect(stats.forecast[29].date).toBe('2024-05-31');
+      expect(statsPool.query.mock.calls[2][1]).toEqual(['123', expect.any(Date), 'Asia/Tokyo', '2024-05-31']);
+      expect(stats.maturity).toEqual({ new: 4, learning: 1, young: 5, mature: 2, total: 12 });
+    });
+
+    test('GET /api/srs/stats rejects invalid time zones', async () => {
+      const response = await auth(request(app).get('/api/srs/stats?tz=Not/AZone'));
+
+      expect(response.statusCode).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settings', () => {
+    test('defaults to SM-2', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await auth(request(app).get('/api/srs/settings'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ algorithm: 'sm2', target_retention: 0.9 });
+    });
+
+    test('switching to FSRS migrates the reviewed SM-2 cards in the same transaction', async () => {
+      pool.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ algorithm: 'fsrs', target_retention: 0.85 }] })
+        .mockResolvedValueOnce({ rows: [
+          { kanji_character: '日', interval: 6, repetition: 2, efactor: 2.5 },
+          { kanji_character: '人', interval: 0, repetition: 0, efactor: 2.5 }, // new: nothing to migrate
+        ] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ word: '食べる', reading: 'たべる', interval: 1, repetition: 0, efactor: 1.3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await auth(request(app).put('/api/srs/settings')).send({ algorithm: 'fsrs', target_retention: 0.85 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ settings: { algorithm: 'fsrs', target_retention: 0.85 }, migrated_cards: 2 });
+      expect(pool.query.mock.calls[0][0]).toBe('BEGIN');
+      const [kanjiSql, kanjiParams] = pool.query.mock.calls[4];
+      expect(kanjiSql).toMatch(/UPDATE user_kanji_srs/);
+      expect(kanjiParams).toEqual(['123', ['日'], [6], [5]]);
+      expect(pool.query.mock.calls[6][1]).toEqual(['123', ['食べる'], ['たべる'], [1], [10]]);
+      expect(pool.query.mock.calls[7][0]).toBe('COMMIT');
+      const client = await pool.connect.mock.results.at(-1).value;
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not migrate again when FSRS was already chosen', async () => {
+      pool.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ algorithm: 'fsrs', target_retention: 0.9 }] })
+        .mockResolvedValueOnce({ rows: [{ algorithm: 'fsrs', target_retention: 0.95 }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await auth(request(app).put('/api/srs/settings')).send({ target_retention: 0.95 });
+
+      expect(response.body.migrated_cards).toBe(0);
+      expect(pool.query).toHaveBeenCalledTimes(4);
+    });
+
+    test('rolls the settings back when the card migration fails', async () => {
+      pool.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ algorithm: 'fsrs', target_retention: 0.9 }] })
+        .mockRejectedValueOnce(new Error('connection lost'))
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await auth(request(app).put('/api/srs/settings')).send({ algorithm: 'fsrs' });
+
+      expect(response.statusCode).toBe(500);
+      expect(pool.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(pool.query).not.toHaveBeenCalledWith('COMMIT');
+      const client = await pool.connect.mock.results.at(-1).value;
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects unknown algorithms and retention targets out of range', async () => {
+      const algorithm = await auth(request(app).put('/api/srs/settings')).send({ algorithm: 'leitner' });
+      const retention = await auth(request(app).put('/api/srs/settings')).send({ target_retention: 0.5 });
+
+      expect(algorithm.statusCode).toBe(400);
+      expect(retention.statusCode).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
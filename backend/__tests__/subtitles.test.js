@@ -0,0 +1,140 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { parseSubtitles, cueSegments, timestampMs } = require('../lib/subtitles');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+
+const SRT = `\uFEFF1
+00:00:01,000 --> 00:00:03,500
+<i>ご飯を食べる。</i>
+美味しい！
+
+2
+00:00:04,000 --> 00:00:05,250
+{\\an8}行こう。
+
+3
+00:00:06,000 --> 00:00:07,000
+
+`;
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE a note --> with an arrow
+
+STYLE
+::cue { color: yellow; }
+
+intro
+00:01.000 --> 00:02.500 align:start position:10%
+<v 猫>吾輩は<c.yellow>猫</c>である。</v>
+
+01:00:02.000 --> 01:00:03.000
+<ruby>名前<rt>なまえ</rt></ruby>はまだ無い&amp;。
+`;
+
+const ASS = `[Script Info]
+Title: test
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize
+Style: Default,Arial,20
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,{\\i1}二番目、です{\\i0}
+Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,最初の\\N台詞
+Dialogue: 1,0:00:01.00,0:00:02.00,Shadow,,0,0,0,,最初の\\N台詞
+Comment: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,コメント
+Dialogue: 0,0:00:03.00,0:00:04.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}
+`;
+
+describe('Subtitle import', () => {
+  describe('parseSubtitles', () => {
+    test('reads timestamps in every format', () => {
+      expect(timestampMs('00:00:01,000')).toBe(1000);
+      expect(timestampMs('01:02:03.450')).toBe(3723450);
+      expect(timestampMs('02:03.450')).toBe(123450);
+      expect(timestampMs('1:02:03.45')).toBe(3723450);
+      expect(timestampMs('soon')).toBeNull();
+    });
+
+    test('turns SRT cues into one unit each, markup removed and lines joined', () => {
+      expect(parseSubtitles(SRT, 'srt')).toEqual([
+        { text: 'ご飯を食べる。 美味しい！', start_ms: 1000, end_ms: 3500 },
+        { text: '行こう。', start_ms: 4000, end_ms: 5250 },
+      ]);
+    });
+
+    test('skips the WebVTT header, notes and styles and drops voice, class and ruby tags', () => {
+      expect(parseSubtitles(VTT, 'vtt')).toEqual([
+        { text: '吾輩は猫である。', start_ms: 1000, end_ms: 2500 },
+        { text: '名前はまだ無い&。', start_ms: 3602000, end_ms: 3603000 },
+      ]);
+    });
+
+    test('reads ASS dialogue in time order, merging layered copies and skipping drawings', () => {
+      expect(parseSubtitles(ASS, 'ass')).toEqual([
+        { text: '最初の 台詞', start_ms: 1000, end_ms: 2000 },
+        { text: '二番目、です', start_ms: 5000, end_ms: 6500 },
+      ]);
+    });
+
+    test('gives each cue a paragraph of its own', () => {
+      expect(cueSegments([{ text: '行こう。', start_ms: 4000, end_ms: 5250 }])).toEqual([
+        { text: '行こう。', paragraph_index: 0, start: null, end: null, is_heading: false, start_ms: 4000, end_ms: 5250 },
+      ]);
+    });
+  });
+
+  describe('POST /api/process-text with a subtitle format', () => {
+    beforeAll(async () => {
+      await kuroshiroInitialization;
+    }, 60000);
+
+    beforeEach(() => {
+      pool.query.mockResolvedValue({ rows: [] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      pool.query.mockReset();
+      jest.restoreAllMocks();
+    });
+
+    test('processes each cue as one sentence and keeps its timing', async () => {
+      const response = await request(app)
+        .post('/api/process-text')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: SRT, format: 'srt' });
+
+      expect(response.statusCode).toBe(200);
+      // "ご飯を食べる。 美味しい！" would be two sentences as plain text
+      expect(response.body.processedSentences.map(sentence => sentence.original_sentence)).toEqual(['ご飯を食べる。 美味しい！', '行こう。']);
+      expect(response.body.processedSentences[1]).toMatchObject({ paragraph_index: 1, start_ms: 4000, end_ms: 5250 });
+    });
+
+    test('rejects unknown formats and files without cues', async () => {
+      const unknown = await request(app)
+        .post('/api/process-text')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: SRT, format: 'sub' });
+      expect(unknown.statusCode).toBe(400);
+      expect(unknown.body.error).toBe('Invalid format (expected one of: text, aozora, html, srt, vtt, ass).');
+
+      const empty = await request(app)
+        .post('/api/process-text')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: 'ただの文章。', format: 'vtt' });
+      expect(empty.statusCode).toBe(400);
+      expect(empty.body.error).toBe('No subtitle cues found in the VTT file.');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { buildTokens, tokenizeSentence } = require('../lib/tokenizer');
+
+// Minimal kuromoji-style token (only the fields buildTokens reads)
+const morpheme = (surface_form, pos, pos_detail_1, basic_form, reading, word_position) => ({
+  surface_form, pos, pos_detail_1, basic_form, reading,
+  conjugated_form: '*',
+  verbose: { word_position },
+});
+
+// 彼は食べさせられた。
+const passiveCausative = [
+  morpheme('彼', '名詞', '代名詞', '彼', 'カレ', 1),
+  morpheme('は', '助詞', '係助詞', 'は', 'ハ', 2),
+  morpheme('食べ', '動詞', '自立', '食べる', 'タベ', 3),
+  morpheme('させ', '動詞', '接尾', 'させる', 'サセ', 5),
+  morpheme('られ', '動詞', '接尾', 'られる', 'ラレ', 7),
+  morpheme('た', '助動詞', '*', 'た', 'タ', 9),
+  morpheme('。', '記号', '句点', '。', '。', 10),
+];
+
+describe('Tokenizer', () => {
+  describe('buildTokens', () => {
+    test('maps analyzer output to surface, base form, hiragana reading, POS and offsets', () => {
+      const tokens = buildTokens(passiveCausative);
+
+      expect(tokens[2]).toEqual({
+        surface: '食べ',
+        base_form: '食べる',
+        reading: 'たべ',
+        pos: '動詞',
+        pos_detail: '自立',
+        conjugation: null,
+        start: 2,
+        end: 4,
+        word_index: 2,
+      });
+      expect(tokens[tokens.length - 1]).toMatchObject({ surface: '。', start: 9, end: 10 });
+    });
+
+    test('groups auxiliaries and suffix verbs into the preceding word', () => {
+      const tokens = buildTokens(passiveCausative);
+      const words = tokens.reduce((acc, token) => {
+        acc[token.word_index] = (acc[token.word_index] || '') + token.surface;
+        return acc;
+      }, []);
+
+      expect(words).toEqual(['彼', 'は', '食べさせられた', '。']);
+    });
+
+    test('keeps サ変 nouns with する and conjunctive て together', () => {
+      const tokens = buildTokens([
+        morpheme('勉強', '名詞', 'サ変接続', '勉強', 'ベンキョウ', 1),
+        morpheme('し', '動詞', '自立', 'する', 'シ', 3),
+        morpheme('て', '助詞', '接続助詞', 'て', 'テ', 4),
+      ]);
+
+      expect(tokens.map(t => t.word_index)).toEqual([0, 0, 0]);
+    });
+
+    test('falls back to running offsets and null reading when the analyzer omits them', () => {
+      const tokens = buildTokens([
+        { surface_form: 'ＡＢ', pos: '名詞', pos_detail_1: '一般', basic_form: '*', reading: undefined },
+        { surface_form: 'で', pos: '助詞', pos_detail_1: '格助詞', basic_form: 'で', reading: 'デ' },
+      ]);
+
+      expect(tokens[0]).toMatchObject({ base_form: 'ＡＢ', reading: null, start: 0, end: 2 });
+      expect(tokens[1]).toMatchObject({ start: 2, end: 3, word_index: 1 });
+    });
+  });
+
+  describe('tokenizeSentence', () => {
+    test('parses the sentence with the given analyzer', async () => {
+      const analyzer = { parse: jest.fn().mockResolvedValue(passiveCausative) };
+
+      const tokens = await tokenizeSentence(analyzer, '彼は食べさせられた。');
+
+      expect(analyzer.parse).toHaveBeenCalledWith('彼は食べさせられた。');
+      expect(tokens).toHaveLength(passiveCausative.length);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Gemini first, with the local glosser as its fallback; the SDK is replaced by a stub model
+const mockGeminiModel = { generateContent: jest.fn() };
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+    getGenerativeModel: () => mockGeminiModel,
+  })),
+}));
+process.env.TRANSLATION_PROVIDERS = 'gemini,local';
+process.env.GEMINI_API_KEY = 'test-gemini-api-key';
+
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { hashSentence } = require('../lib/sentenceCache');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+
+const geminiResponse = (text) => ({ response: { text: () => text } });
+const cacheWrites = () => pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO processed_sentence_cache'));
+
+describe('Translation fallback and the sentence cache', () => {
+  beforeAll(async () => {
+    await kuroshiroInitialization;
+  }, 60000);
+
+  beforeEach(() => {
+    mockGeminiModel.generateContent.mockReset();
+    pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    pool.query.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  test('does not cache translations from the fallback provider', async () => {
+    mockGeminiModel.generateContent.mockRejectedValue(new Error('503 Service Unavailable'));
+
+    const response = await request(app)
+      .post('/api/process-text')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: 'ご飯を食べる。' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.processedSentences[0]).toMatchObject({ translator: 'local', translation: expect.stringContaining('to eat') });
+    expect(cacheWrites()).toEqual([]);
+  });
+
+  test('caches translations from the first provider', async () => {
+    mockGeminiModel.generateContent.mockResolvedValueOnce(geminiResponse(JSON.stringify([{ index: 1, translation: 'I eat rice.' }])));
+
+    const response = await request(app)
+      .post('/api/process-text')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: 'ご飯を食べる。' });
+
+    expect(response.body.processedSentences[0]).toMatchObject({ translator: 'gemini', translation: 'I eat rice.' });
+    expect(cacheWrites()[0][1][0]).toEqual([hashSentence('ご飯を食べる。')]);
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { app, kuroshiroInitialization } = require('../server');
+const { parseVocabFields, completeVocabFields } = require('../lib/vocabulary');
+
+// The mocked pg pool server.js queries
+const pool = Pool.mock.results[0].value;
+
+const token = jwt.sign({ userId: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+const cardRow = {
+  user_id: 123,
+  word: '食べる',
+  reading: 'たべる',
+  meaning: 'to eat',
+  source_sentence: 'ご飯を食べた。',
+  interval: 0,
+  repetition: 0,
+  efactor: 2.5,
+  due_date: '2024-05-01T10:00:00.000Z',
+  last_reviewed_at: null,
+  created_at: '2024-05-01T10:00:00.000Z',
+  updated_at: '2024-05-01T10:00:00.000Z',
+};
+
+describe('Vocabulary SRS', () => {
+  beforeAll(async () => {
+    await kuroshiroInitialization;
+  }, 60000);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    pool.query.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  describe('parseVocabFields / completeVocabFields', () => {
+    test('stores readings in hiragana and rejects invalid fields', () => {
+      expect(parseVocabFields({ word: ' ケーキ ', reading: 'ケーキ' }).fields)
+        .toEqual({ word: 'ケーキ', reading: 'けーき', meaning: null, sentence: null });
+      expect(parseVocabFields({ word: 'cake' }).error).toMatch(/word/);
+      expect(parseVocabFields({ word: '食べる', reading: 'taberu' }).error).toMatch(/reading/);
+      expect(parseVocabFields({ word: '食べる', meaning: 3 }).error).toMatch(/meaning/);
+    });
+
+    test('fills the reading and meaning from the dictionary entry', () => {
+      const lookupExact = (word) => (word === '食べる'
+        ? [{ readings: [{ text: 'たべる' }], senses: [{ glosses: ['to eat'] }, { glosses: ['to live on'] }] }]
+        : []);
+
+      expect(completeVocabFields({ word: '食べる', reading: null, meaning: null, sentence: null }, lookupExact).fields)
+        .toMatchObject({ reading: 'たべる', meaning: 'to eat' });
+      expect(completeVocabFields({ word: 'すし', reading: null, meaning: null, sentence: null }, lookupExact).fields)
+        .toMatchObject({ reading: 'すし', meaning: null });
+      expect(completeVocabFields({ word: '寿司', reading: null, meaning: null, sentence: null }, lookupExact).error)
+        .toMatch(/reading is required/);
+    });
+  });
+
+  describe('POST /api/srs/vocab', () => {
+    test('adds a word with its dictionary reading and meaning', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [cardRow] });
+
+      const response = await auth(request(app).post('/api/srs/vocab'))
+        .send({ word: '食べる', sentence: 'ご飯を食べた。' });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.message).toBe("Word '食べる（たべる）' added to your review queue.");
+      expect(response.body.card).toMatchObject({ word: '食べる', reading: 'たべる', meaning: 'to eat', source_sentence: 'ご飯を食べた。' });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toMatch(/INSERT INTO user_vocab_srs/);
+      expect(params.slice(0, 5)).toEqual(['123', '食べる', 'たべる', 'to eat', 'ご飯を食べた。']);
+    });
+
+    test('returns the existing card when the word is already queued', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...cardRow, repetition: 2, interval: 6 }] });
+
+      const response = await auth(request(app).post('/api/srs/vocab'))
+        .send({ word: '食べる', reading: 'たべる', meaning: 'eat' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.message).toMatch(/already in your review queue/);
+      expect(response.body.card).toMatchObject({ repetition: 2, interval: 6 });
+    });
+
+    test('needs a reading for words that are not in the dictionary', async () => {
+      const response = await auth(request(app).post('/api/srs/vocab')).send({ word: '寿司' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error).toMatch(/reading is required/);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/srs/vocab/review', () => {
+    // The UPDATE returns the row it wrote
+    const updatedRow = async (sql, params) => ({
+      rows: [{ ...cardRow, interval: params[3], repetition: params[4], efactor: params[5], difficulty: params[6], stability: params[7], due_date: params[9] }],
+    });
+
+    test('reschedules the card', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] }) // no settings: SM-2
+        .mockResolvedValueOnce({ rows: [{ interval: 1, repetition: 1, efactor: 2.5 }] })
+        .mockImplementationOnce(updatedRow);
+
+      const response = await auth(request(app).post('/api/srs/vocab/review'))
+        .send({ word: '食べる', reading: 'タベル', grade: 5 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.card).toMatchObject({ interval: 6, repetition: 2, difficulty: null, stability: null });
+      expect(pool.query.mock.calls[1][1]).toEqual(['123', '食べる', 'たべる']);
+      const dueInDays = (new Date(response.body.card.due_date) - Date.now()) / 86400000;
+      expect(Math.round(dueInDays)).toBe(6);
+    });
+
+    test('schedules with FSRS when the user chose it', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ algorithm: 'fsrs', target_retention: 0.9 }] })
+        .mockResolvedValueOnce({ rows: [{ interval: 0, repetition: 0, efactor: 2.5, difficulty: null, stability: null, last_reviewed_at: null }] })
+        .mockImplementationOnce(updatedRow);
+
+      const response = await auth(request(app).post('/api/srs/vocab/review'))
+        .send({ word: '食べる', reading: 'たべる', grade: 4 });
+
+      expect(response.statusCode).toBe(200);
+      // First "Good": FSRS's initial stability of about 3.7 days
+      expect(response.body.card).toMatchObject({ interval: 4, repetition: 1 });
+      expect(response.body.card.stability).toBeCloseTo(3.7145, 3);
+      expect(response.body.card.difficulty).toBeCloseTo(5.1618, 3);
+      expect(pool.query.mock.calls[3][1][12]).toBe('fsrs'); // review log
+    });
+
+    test('returns 404 for words that are not queued', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await auth(request(app).post('/api/srs/vocab/review'))
+        .send({ word: '食べる', reading: 'たべる', grade: 3 });
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error).toBe('Word is not in your review queue.');
+    });
+
+    test('validates the grade and reading', async () => {
+      const badGrade = await auth(request(app).post('/api/srs/vocab/review'))
+        .send({ word: '食べる', reading: 'たべる', grade: 7 });
+      const noReading = await auth(request(app).post('/api/srs/vocab/review'))
+        .send({ word: '食べる', grade: 3 });
+
+      expect(badGrade.statusCode).toBe(400);
+      expect(noReading.statusCode).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
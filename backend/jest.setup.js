@@ -3,12 +3,19 @@
 process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.GEMINI_API_KEY = 'test-gemini-api-key';
 process.env.GOOGLE_CLIENT_ID = 'test-google-client-id';
+// Serve kanji details from the bundled KANJIDIC2 sample instead of scraping Jisho
+process.env.KANJI_DICTIONARY_PROVIDER = 'kanjidic';
+process.env.KANJIDIC_INDEX_PATH = require('path').join(__dirname, '__tests__', 'fixtures', 'kanjidic2-index.sample.json');
+process.env.JMDICT_INDEX_PATH = require('path').join(__dirname, '__tests__', 'fixtures', 'jmdict-index.sample.json');
 
 // Mock the pg Pool to avoid actual database connections
 jest.mock('pg', () => {
+  const query = jest.fn();
   const mockPool = {
-    query: jest.fn(),
+    query,
     on: jest.fn(),
+    // Clients for transactions share the pool's query mock
+    connect: jest.fn(async () => ({ query, release: jest.fn() })),
   };
   return { Pool: jest.fn(() => mockPool) };
 });
@@ -0,0 +1,152 @@
+// backend/lib/difficulty.js
+// Difficulty report for a text, before anyone reads it: its kanji by JLPT level and school grade,
+// how much of it the user already knows, sentence lengths and an overall estimate.
+// Input is what /api/process-text works from: the sentence segments, their word tokens
+// (lib/tokenizer), the Kanji details map and the user's known kanji.
+
+const JLPT_LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+// School grades (KANJIDIC2): 1-6 elementary, 8 junior high, 9-10 jinmeiyō (names)
+const GRADE_GROUPS = ['grade_1', 'grade_2', 'grade_3', 'grade_4', 'grade_5', 'grade_6', 'junior_high', 'jinmeiyo'];
+
+// Share of kanji occurrences the estimated JLPT level has to cover
+const JLPT_COVERAGE = 0.9;
+// Score weights: kanji level, sentence length, kanji density (kanji per character)
+const LEVEL_WEIGHTS = { N5: 0, N4: 0.25, N3: 0.5, N2: 0.75, N1: 0.9, none: 1 };
+const LONG_SENTENCE_LENGTH = 40;
+const MAX_MEAN_LENGTH = 60; // mean sentence length that counts as hardest
+const MAX_KANJI_DENSITY = 0.5;
+const SCORE_LABELS = [
+    [20, 'Beginner'],
+    [40, 'Elementary'],
+    [60, 'Intermediate'],
+    [80, 'Upper intermediate'],
+    [Infinity, 'Advanced'],
+];
+const MAX_UNKNOWN_KANJI = 20;
+
+const kanjiRegex = /[\u4E00-\u9FAF\u3400-\u4DBF]/g;
+const kanjiOf = (text) => text.match(kanjiRegex) || [];
+const share = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+const gradeGroup = (grade) => {
+    if (grade >= 1 && grade <= 6) return `grade_${grade}`;
+    if (grade === 8) return 'junior_high';
+    if (grade === 9 || grade === 10) return 'jinmeiyo';
+    return 'none';
+};
+
+// Sentence lengths in characters, without spaces
+function sentenceStats(sentences) {
+    const lengths = sentences.map(sentence => sentence.replace(/\s/g, '').length).sort((a, b) => a - b);
+    if (lengths.length === 0) return { count: 0, mean_length: 0, median_length: 0, max_length: 0, long_share: null };
+    const middle = Math.floor(lengths.length / 2);
+    const median = lengths.length % 2 ? lengths[middle] : (lengths[middle - 1] + lengths[middle]) / 2;
+    const mean = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+    return {
+        count: lengths.length,
+        mean_length: Math.round(mean * 10) / 10,
+        median_length: median,
+        max_length: lengths[lengths.length - 1],
+        long_share: share(lengths.filter(length => length > LONG_SENTENCE_LENGTH).length, lengths.length),
+    };
+}
+
+// Words (tokens sharing a word_index, punctuation left out) of every sentence; a word with kanji
+// counts as known when the user knows all of them
+function wordStats(tokensBySentence, knownKanji) {
+    let total = 0;
+    let withKanji = 0;
+    let known = 0;
+    for (const tokens of tokensBySentence) {
+        const words = new Map();
+        for (const token of tokens) {
+            if (token.pos === '記号') continue;
+            words.set(token.word_index, (words.get(token.word_index) || '') + token.surface);
+        }
+        for (const surface of words.values()) {
+            if (!surface.trim()) continue;
+            total++;
+            const kanji = kanjiOf(surface);
+            if (kanji.length === 0) continue;
+            withKanji++;
+            if (kanji.every(char => knownKanji.has(char))) known++;
+        }
+    }
+    return { total, with_kanji: withKanji, known, known_share: share(known, withKanji) };
+}
+
+// Easiest JLPT level whose kanji (and those of easier levels) cover JLPT_COVERAGE of the
+// kanji occurrences; null when even N1 doesn't (many kanji outside the JLPT lists)
+function estimateJlptLevel(occurrencesByLevel, totalOccurrences) {
+    if (totalOccurrences === 0) return 'N5';
+    let covered = 0;
+    for (const level of JLPT_LEVELS) {
+        covered += occurrencesByLevel[level];
+        if (covered / totalOccurrences >= JLPT_COVERAGE) return level;
+    }
+    return null;
+}
+
+// 0 (easiest) to 100 from the kanji levels, sentence length and kanji density
+function difficultyScore(occurrencesByLevel, totalOccurrences, meanLength, characterCount) {
+    const level = totalOccurrences > 0
+        ? Object.entries(occurrencesByLevel).reduce((sum, [key, count]) => sum + LEVEL_WEIGHTS[key] * count, 0) / totalOccurrences
+        : 0;
+    const length = Math.min(1, meanLength / MAX_MEAN_LENGTH);
+    const density = characterCount > 0 ? Math.min(1, totalOccurrences / characterCount / MAX_KANJI_DENSITY) : 0;
+    return Math.round(100 * (0.6 * level + 0.25 * length + 0.15 * density));
+}
+
+function analyzeDifficulty({ sentences, tokensBySentence, kanjiDetailsMap, knownKanji = new Set() }) {
+    const occurrences = sentences.flatMap(kanjiOf);
+    const counts = new Map();
+    for (const char of occurrences) counts.set(char, (counts.get(char) || 0) + 1);
+
+    const jlpt = Object.fromEntries([...JLPT_LEVELS, 'none'].map(level => [level, 0]));
+    const grade = Object.fromEntries([...GRADE_GROUPS, 'none'].map(group => [group, 0]));
+    const occurrencesByLevel = { ...jlpt };
+    let knownUnique = 0;
+    let knownOccurrences = 0;
+    const unknown = [];
+    for (const [char, count] of counts) {
+        const details = kanjiDetailsMap[char] && !kanjiDetailsMap[char].error ? kanjiDetailsMap[char] : null;
+        const level = details && JLPT_LEVELS.includes(details.jlpt) ? details.jlpt : 'none';
+        jlpt[level]++;
+        occurrencesByLevel[level] += count;
+        grade[gradeGroup(details && details.grade)]++;
+        if (knownKanji.has(char)) {
+            knownUnique++;
+            knownOccurrences += count;
+        } else {
+            unknown.push({ character: char, count, jlpt: level === 'none' ? null : level });
+        }
+    }
+
+    const characterCount = sentences.reduce((sum, sentence) => sum + sentence.replace(/\s/g, '').length, 0);
+    const stats = sentenceStats(sentences);
+    const score = difficultyScore(occurrencesByLevel, occurrences.length, stats.mean_length, characterCount);
+
+    return {
+        character_count: characterCount,
+        sentences: stats,
+        kanji: {
+            total: occurrences.length,
+            unique: counts.size,
+            jlpt,
+            grade,
+            known: knownUnique,
+            known_share: share(knownUnique, counts.size),
+            known_occurrence_share: share(knownOccurrences, occurrences.length),
+            // Most frequent first
+            unknown: unknown.sort((a, b) => b.count - a.count).slice(0, MAX_UNKNOWN_KANJI),
+        },
+        words: wordStats(tokensBySentence, knownKanji),
+        estimate: {
+            score,
+            label: SCORE_LABELS.find(([limit]) => score < limit)[1],
+            jlpt_level: estimateJlptLevel(occurrencesByLevel, occurrences.length),
+        },
+    };
+}
+
+module.exports = { JLPT_LEVELS, GRADE_GROUPS, analyzeDifficulty };
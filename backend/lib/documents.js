@@ -0,0 +1,350 @@
+// backend/lib/documents.js
+// Saved documents (tables: documents, document_chapters, see migrations/): a user's processed
+// texts, kept so they can be reopened without processing them again, and where the user stopped
+// reading them. EPUB uploads are multi-chapter documents whose chapters are processed one at a
+// time, when they are first opened. Every query is scoped to the owning user.
+
+const MAX_TITLE_LENGTH = 200;
+const DEFAULT_TITLE_LENGTH = 40;
+const PREVIEW_LENGTH = 80;
+
+// Flags that only describe how a sentence reached the client this time
+const TRANSIENT_SENTENCE_FIELDS = ['cached', 'pending'];
+
+// Title from the first non-empty line of the text (e.g. a heading), shortened
+const defaultTitle = (sourceText) => {
+    const firstLine = sourceText.split(/\r?\n/).map(line => line.trim()).find(Boolean) || 'Untitled';
+    return firstLine.length > DEFAULT_TITLE_LENGTH ? `${firstLine.slice(0, DEFAULT_TITLE_LENGTH)}…` : firstLine;
+};
+
+// Validate a create (all fields) or update (only the given fields) body.
+// Returns { fields } with the columns to write, or { error }.
+function parseDocumentFields(body, { partial = false } = {}) {
+    const { title, source_text: sourceText, processed_sentences: sentences, furigana } = body || {};
+    const fields = {};
+
+    if (sourceText !== undefined || !partial) {
+        if (typeof sourceText !== 'string' || !sourceText.trim()) return { error: 'source_text must be a non-empty string.' };
+        fields.source_text = sourceText;
+    }
+    if (title !== undefined) {
+        if (typeof title !== 'string' || !title.trim()) return { error: 'title must be a non-empty string.' };
+        if (title.length > MAX_TITLE_LENGTH) return { error: `title is too long (max ${MAX_TITLE_LENGTH} characters).` };
+        fields.title = title.trim();
+    } else if (!partial) {
+        fields.title = defaultTitle(sourceText);
+    }
+    if (sentences !== undefined || !partial) {
+        if (!Array.isArray(sentences) || !sentences.every(s => s && typeof s === 'object' && typeof s.original_sentence === 'string')) {
+            return { error: 'processed_sentences must be an array of processed sentences.' };
+        }
+        if (sentences.some(sentence => sentence.pending)) {
+            return { error: 'processed_sentences contains sentences that are still being processed.' };
+        }
+        fields.processed_sentences = sentences.map(sentence => {
+            const stored = { ...sentence };
+            TRANSIENT_SENTENCE_FIELDS.forEach(field => delete stored[field]);
+            return stored;
+        });
+    }
+    if (furigana !== undefined) {
+        if (furigana !== null && (typeof furigana !== 'object' || Array.isArray(furigana))) {
+            return { error: 'furigana must be an object.' };
+        }
+        fields.furigana = furigana;
+    }
+    if (partial && Object.keys(fields).length === 0) return { error: 'Nothing to update.' };
+    return { fields };
+}
+
+// Validate the processing results saved for one chapter; returns { fields } or { error }
+function parseChapterFields(body) {
+    const { processed_sentences: sentences, furigana } = body || {};
+    if (sentences === undefined) return { error: 'processed_sentences must be an array of processed sentences.' };
+    return parseDocumentFields({ processed_sentences: sentences, furigana }, { partial: true });
+}
+
+// JSONB columns are sent as JSON text (pg would turn JS arrays into Postgres arrays)
+const JSON_COLUMNS = ['processed_sentences', 'furigana'];
+const columnValue = (column, value) => (JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value);
+
+// Chapter counts of multi-chapter documents, and the sentence count of the chapter being read
+const CHAPTER_COUNT = 'SELECT COUNT(*)::int FROM document_chapters c WHERE c.document_id = documents.document_id';
+const CHAPTER_SENTENCE_COUNT = `SELECT jsonb_array_length(c.processed_sentences) FROM document_chapters c
+    WHERE c.document_id = documents.document_id AND c.chapter_index = documents.last_chapter_index`;
+
+const SUMMARY_COLUMNS = `document_id, title, left(source_text, ${PREVIEW_LENGTH}) AS preview,
+    jsonb_array_length(processed_sentences) AS sentence_count, last_sentence_index, last_read_at, created_at, updated_at,
+    source_type, author, last_chapter_index, (${CHAPTER_COUNT}) AS chapter_count, (${CHAPTER_SENTENCE_COUNT}) AS chapter_sentence_count`;
+
+// Started but not finished: sentences left in the text, or in the current or a later chapter
+const IN_PROGRESS = `last_read_at IS NOT NULL AND (
+    (source_type = 'text' AND last_sentence_index + 1 < jsonb_array_length(processed_sentences))
+    OR (source_type = 'epub' AND EXISTS (SELECT 1 FROM document_chapters c WHERE c.document_id = documents.document_id
+        AND (c.chapter_index > last_chapter_index
+            OR (c.chapter_index = last_chapter_index AND last_sentence_index + 1 < jsonb_array_length(c.processed_sentences))))))`;
+
+// Share of the document read, up to and including the last viewed sentence (0-100). For
+// multi-chapter documents, `chapter` is { index, count } and the count is that chapter's sentences.
+const percentComplete = (lastSentenceIndex, sentenceCount, chapter = null) => {
+    if (lastSentenceIndex === null || lastSentenceIndex === undefined || !sentenceCount) return 0;
+    const chapterShare = Math.min(1, (lastSentenceIndex + 1) / sentenceCount);
+    const share = chapter ? (chapter.index + chapterShare) / chapter.count : chapterShare;
+    return Math.min(100, Math.round(share * 100));
+};
+
+const isMultiChapter = (row) => row.source_type === 'epub';
+
+const formatProgress = (row, sentenceCount, chapter = null) => ({
+    last_sentence_index: row.last_sentence_index ?? null,
+    ...(chapter ? { last_chapter_index: row.last_chapter_index ?? null } : {}),
+    last_read_at: row.last_read_at ?? null,
+    percent_complete: percentComplete(row.last_sentence_index, sentenceCount, chapter),
+});
+
+// Book details of multi-chapter documents (plain texts have none)
+const formatBook = (row, chapterCount) => (isMultiChapter(row)
+    ? { source_type: row.source_type, author: row.author ?? null, chapter_count: chapterCount }
+    : {});
+
+const formatSummary = (row) => {
+    const chapter = isMultiChapter(row) ? { index: row.last_chapter_index, count: row.chapter_count } : null;
+    return {
+        id: row.document_id,
+        title: row.title,
+        preview: row.preview,
+        sentence_count: row.sentence_count,
+        ...formatBook(row, row.chapter_count),
+        ...(chapter ? formatProgress(row, row.chapter_sentence_count, chapter) : formatProgress(row, row.sentence_count)),
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+};
+
+const formatChapterSummary = (row) => ({
+    index: row.chapter_index,
+    title: row.title,
+    processed: row.sentence_count !== null,
+    sentence_count: row.sentence_count,
+});
+
+// `chapters` (summaries) only for multi-chapter documents
+const formatDocument = (row, chapters = null) => {
+    let progress = formatProgress(row, row.processed_sentences.length);
+    if (chapters) {
+        const current = chapters.find(chapter => chapter.index === row.last_chapter_index);
+        progress = formatProgress(row, current ? current.sentence_count : 0, { index: row.last_chapter_index, count: chapters.length });
+    }
+    return {
+        id: row.document_id,
+        title: row.title,
+        source_text: row.source_text,
+        processed_sentences: row.processed_sentences,
+        furigana: row.furigana,
+        sentence_count: row.processed_sentences.length,
+        ...(chapters ? { ...formatBook(row, chapters.length), chapters } : {}),
+        ...progress,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+};
+
+const formatChapter = (row) => ({
+    index: row.chapter_index,
+    title: row.title,
+    source_text: row.source_text,
+    ruby: row.ruby,
+    processed_sentences: row.processed_sentences,
+    furigana: row.furigana,
+    sentence_count: row.processed_sentences ? row.processed_sentences.length : null,
+});
+
+// Most recently updated first; returns { documents, total }. With `inProgress`, only documents
+// that were started but not finished, most recently read first ("continue reading").
+async function listDocuments(pool, userId, { limit, offset, inProgress = false }) {
+    const where = inProgress ? `user_id = $1 AND ${IN_PROGRESS}` : 'user_id = $1';
+    const orderBy = inProgress ? 'last_read_at DESC' : 'updated_at DESC';
+    const [result, count] = await Promise.all([
+        pool.query(
+            `SELECT ${SUMMARY_COLUMNS} FROM documents WHERE ${where} ORDER BY ${orderBy} LIMIT $2 OFFSET $3`,
+            [userId, limit, offset]
+        ),
+        pool.query(`SELECT COUNT(*)::int AS total FROM documents WHERE ${where}`, [userId]),
+    ]);
+    return { documents: result.rows.map(formatSummary), total: count.rows[0].total };
+}
+
+const listChapters = async (pool, documentId) => {
+    const result = await pool.query(
+        `SELECT chapter_index, title, jsonb_array_length(processed_sentences) AS sentence_count
+         FROM document_chapters WHERE document_id = $1 ORDER BY chapter_index`,
+        [documentId]
+    );
+    return result.rows.map(formatChapterSummary);
+};
+
+const formatWithChapters = async (pool, row) => formatDocument(row, isMultiChapter(row) ? await listChapters(pool, row.document_id) : null);
+
+// null when the document doesn't exist or belongs to someone else
+async function getDocument(pool, userId, documentId) {
+    const result = await pool.query('SELECT * FROM documents WHERE user_id = $1 AND document_id = $2', [userId, documentId]);
+    return result.rows.length > 0 ? formatWithChapters(pool, result.rows[0]) : null;
+}
+
+// Save a processed text. Processing the same text again updates the document saved from it
+// (new results, same title and reading position) instead of adding a copy to the library.
+// Returns { document, created }.
+async function createDocument(pool, userId, fields) {
+    const result = await pool.query(
+        `WITH existing AS (
+            UPDATE documents SET processed_sentences = $4, furigana = $5, updated_at = NOW()
+            WHERE document_id = (
+                SELECT document_id FROM documents
+                WHERE user_id = $1 AND source_type = 'text' AND md5(source_text) = md5($3) AND source_text = $3
+                ORDER BY updated_at DESC LIMIT 1
+            )
+            RETURNING *, FALSE AS created
+         ), inserted AS (
+            INSERT INTO documents (user_id, title, source_text, processed_sentences, furigana)
+            SELECT $1, $2, $3, $4, $5 WHERE NOT EXISTS (SELECT 1 FROM existing)
+            RETURNING *, TRUE AS created
+         )
+         SELECT * FROM existing UNION ALL SELECT * FROM inserted`,
+        [userId, fields.title, fields.source_text, columnValue('processed_sentences', fields.processed_sentences), columnValue('furigana', fields.furigana ?? null)]
+    );
+    const [row] = result.rows;
+    return { document: formatDocument(row), created: row.created };
+}
+
+// A multi-chapter document from a parsed EPUB ({ title, author, chapters: [{ title, text, ruby }] }),
+// its chapters unprocessed. One statement, so a book is never saved without its chapters.
+async function createBook(pool, userId, book) {
+    const sourceText = book.chapters.map(chapter => chapter.text).join('\n');
+    const title = book.title ? book.title.slice(0, MAX_TITLE_LENGTH) : defaultTitle(sourceText);
+    const chapters = book.chapters.map(chapter => ({ title: chapter.title, text: chapter.text, ruby: chapter.ruby }));
+    const result = await pool.query(
+        `WITH document AS (
+            INSERT INTO documents (user_id, title, source_text, source_type, author)
+            VALUES ($1, $2, $3, 'epub', $4) RETURNING *
+         ), chapters AS (
+            INSERT INTO document_chapters (document_id, chapter_index, title, source_text, ruby)
+            SELECT document.document_id, chapter.ordinality - 1, chapter.value->>'title', chapter.value->>'text', chapter.value->'ruby'
+            FROM document, jsonb_array_elements($5::jsonb) WITH ORDINALITY AS chapter(value, ordinality)
+         )
+         SELECT * FROM document`,
+        [userId, title, sourceText, book.author, JSON.stringify(chapters)]
+    );
+    const chapterSummaries = book.chapters.map((chapter, index) => formatChapterSummary({ chapter_index: index, title: chapter.title, sentence_count: null }));
+    return formatDocument(result.rows[0], chapterSummaries);
+}
+
+// One chapter with its text and ruby; null when the document or chapter doesn't exist or
+// belongs to someone else
+async function getChapter(pool, userId, documentId, chapterIndex) {
+    const result = await pool.query(
+        `SELECT c.* FROM document_chapters c JOIN documents d ON d.document_id = c.document_id
+         WHERE d.user_id = $1 AND c.document_id = $2 AND c.chapter_index = $3`,
+        [userId, documentId, chapterIndex]
+    );
+    return result.rows.length > 0 ? formatChapter(result.rows[0]) : null;
+}
+
+// Save a chapter's processed sentences (and furigana options); null when the chapter doesn't exist
+async function updateChapter(pool, userId, documentId, chapterIndex, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, i) => `${column} = $${i + 4}`);
+    const result = await pool.query(
+        `UPDATE document_chapters c SET ${assignments.join(', ')} FROM documents d
+         WHERE d.document_id = c.document_id AND d.user_id = $1 AND c.document_id = $2 AND c.chapter_index = $3
+         RETURNING c.*`,
+        [userId, documentId, chapterIndex, ...columns.map(column => columnValue(column, fields[column]))]
+    );
+    return result.rows.length > 0 ? formatChapter(result.rows[0]) : null;
+}
+
+// Only the given fields change; null when the document doesn't exist or belongs to someone else
+async function updateDocument(pool, userId, documentId, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, i) => `${column} = $${i + 3}`);
+    const result = await pool.query(
+        `UPDATE documents SET ${assignments.join(', ')}, updated_at = NOW()
+         WHERE user_id = $1 AND document_id = $2 RETURNING *`,
+        [userId, documentId, ...columns.map(column => columnValue(column, fields[column]))]
+    );
+    return result.rows.length > 0 ? formatWithChapters(pool, result.rows[0]) : null;
+}
+
+// Last viewed sentence of a chapter in a multi-chapter document (see updateReadingProgress)
+async function updateChapterProgress(pool, userId, documentId, chapterIndex, sentenceIndex) {
+    const result = await pool.query(
+        `UPDATE documents SET last_chapter_index = $3, last_sentence_index = $4, last_read_at = NOW()
+         FROM document_chapters c
+         WHERE documents.user_id = $1 AND documents.document_id = $2 AND c.document_id = documents.document_id
+           AND c.chapter_index = $3 AND $4 < jsonb_array_length(c.processed_sentences)
+         RETURNING documents.last_chapter_index, documents.last_sentence_index, documents.last_read_at,
+           jsonb_array_length(c.processed_sentences) AS sentence_count, (${CHAPTER_COUNT}) AS chapter_count`,
+        [userId, documentId, chapterIndex, sentenceIndex]
+    );
+    if (result.rows.length > 0) {
+        const row = result.rows[0];
+        const chapter = { index: row.last_chapter_index, count: row.chapter_count };
+        return { progress: { id: documentId, sentence_count: row.sentence_count, ...formatProgress(row, row.sentence_count, chapter) } };
+    }
+    const existing = await pool.query(
+        `SELECT c.chapter_index, jsonb_array_length(c.processed_sentences) AS sentence_count
+         FROM documents d LEFT JOIN document_chapters c ON c.document_id = d.document_id AND c.chapter_index = $3
+         WHERE d.user_id = $1 AND d.document_id = $2`,
+        [userId, documentId, chapterIndex]
+    );
+    if (existing.rows.length === 0) return null;
+    const { chapter_index: found, sentence_count: sentenceCount } = existing.rows[0];
+    if (found === null) return { error: 'chapter_index is out of range.' };
+    if (sentenceCount === null) return { error: 'The chapter has not been processed yet.' };
+    return { error: `sentence_index is out of range (the chapter has ${sentenceCount} sentences).` };
+}
+
+// Record the last viewed sentence (and, in multi-chapter documents, its chapter). Returns
+// { progress }, { error } when the index is past the end of the document, or null when the
+// document doesn't exist or belongs to someone else.
+async function updateReadingProgress(pool, userId, documentId, sentenceIndex, chapterIndex = null) {
+    if (chapterIndex !== null) return updateChapterProgress(pool, userId, documentId, chapterIndex, sentenceIndex);
+    const result = await pool.query(
+        `UPDATE documents SET last_sentence_index = $3, last_read_at = NOW()
+         WHERE user_id = $1 AND document_id = $2 AND source_type = 'text' AND $3 < jsonb_array_length(processed_sentences)
+         RETURNING last_sentence_index, last_read_at, jsonb_array_length(processed_sentences) AS sentence_count`,
+        [userId, documentId, sentenceIndex]
+    );
+    if (result.rows.length > 0) {
+        const row = result.rows[0];
+        return { progress: { id: documentId, sentence_count: row.sentence_count, ...formatProgress(row, row.sentence_count) } };
+    }
+    const existing = await pool.query(
+        'SELECT source_type, jsonb_array_length(processed_sentences) AS sentence_count FROM documents WHERE user_id = $1 AND document_id = $2',
+        [userId, documentId]
+    );
+    if (existing.rows.length === 0) return null;
+    if (isMultiChapter(existing.rows[0])) return { error: 'chapter_index is required for documents with chapters.' };
+    return { error: `sentence_index is out of range (the document has ${existing.rows[0].sentence_count} sentences).` };
+}
+
+// true when a document was deleted
+async function deleteDocument(pool, userId, documentId) {
+    const result = await pool.query('DELETE FROM documents WHERE user_id = $1 AND document_id = $2', [userId, documentId]);
+    return result.rowCount > 0;
+}
+
+module.exports = {
+    defaultTitle,
+    parseDocumentFields,
+    parseChapterFields,
+    listDocuments,
+    getDocument,
+    createDocument,
+    createBook,
+    getChapter,
+    updateChapter,
+    updateDocument,
+    updateReadingProgress,
+    deleteDocument,
+    percentComplete,
+};
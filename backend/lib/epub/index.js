@@ -0,0 +1,121 @@
+// backend/lib/epub/index.js
+// Reads an uploaded EPUB (2 or 3): container.xml -> OPF package -> spine chapters, with chapter
+// titles from the EPUB 3 nav document or the EPUB 2 NCX. Returns
+//   { title, author, chapters: [{ title, text, ruby }] }
+// (text and ruby as in ./xhtml). Errors from a file that isn't a usable EPUB carry code INVALID_EPUB.
+
+const path = require('path');
+const { readZip } = require('./zip');
+const { extractChapter, stripTags, decodeEntities } = require('./xhtml');
+
+const CHAPTER_MEDIA_TYPES = ['application/xhtml+xml', 'text/html'];
+
+const epubError = (message) => Object.assign(new Error(`Invalid EPUB: ${message}`), { code: 'INVALID_EPUB' });
+
+// Attributes of one start tag, e.g. <item id="c1" href="c1.xhtml"/> -> { id, href }
+const attributes = (tag) => Object.fromEntries(
+    [...tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)].map(match => [match[1], decodeEntities(match[2] ?? match[3])])
+);
+const startTags = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}\\b[^>]*>`, 'g'))].map(match => attributes(match[0]));
+const firstElementText = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+    return match ? stripTags(match[1]) || null : null;
+};
+
+// Archive path of an href relative to the file it appears in (fragment dropped)
+const resolveHref = (fromFile, href) => {
+    const target = href.split('#')[0];
+    let decoded = target;
+    try {
+        decoded = decodeURIComponent(target);
+    } catch {
+        // keep malformed escapes as written
+    }
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), decoded)).replace(/^\.\//, '');
+};
+
+// Chapter path -> title from the table of contents; the first entry for a file wins
+function tableOfContents(readText, manifest, spineToc) {
+    const titles = new Map();
+    const addTitle = (filePath, title) => {
+        if (title && !titles.has(filePath)) titles.set(filePath, title);
+    };
+
+    const navItem = manifest.find(item => (item.properties || '').split(/\s+/).includes('nav'));
+    const navXml = navItem && readText(navItem.path, { optional: true });
+    if (navXml) {
+        const tocNav = navXml.match(/<nav\b[^>]*epub:type="[^"]*\btoc\b[^"]*"[^>]*>([\s\S]*?)<\/nav>/) || navXml.match(/<nav\b[^>]*>([\s\S]*?)<\/nav>/);
+        for (const [, tag, label] of (tocNav ? tocNav[1] : '').matchAll(/(<a\b[^>]*>)([\s\S]*?)<\/a>/g)) {
+            const { href } = attributes(tag);
+            if (href) addTitle(resolveHref(navItem.path, href), stripTags(label));
+        }
+    }
+
+    const ncxItem = manifest.find(item => item.id === spineToc) || manifest.find(item => item.mediaType === 'application/x-dtbncx+xml');
+    const ncxXml = ncxItem && readText(ncxItem.path, { optional: true });
+    if (ncxXml) {
+        const navPoints = ncxXml.matchAll(/<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*(<content\b[^>]*>)/g);
+        for (const [, label, tag] of navPoints) {
+            const { src } = attributes(tag);
+            if (src) addTitle(resolveHref(ncxItem.path, src), stripTags(label));
+        }
+    }
+    return titles;
+}
+
+function parseEpub(buffer) {
+    let entries;
+    try {
+        entries = readZip(buffer);
+    } catch (zipError) {
+        throw epubError(zipError.message);
+    }
+    const readText = (filePath, { optional = false } = {}) => {
+        const entry = entries.get(filePath);
+        if (!entry) {
+            if (optional) return null;
+            throw epubError(`${filePath} is missing`);
+        }
+        try {
+            return entry.read().toString('utf8');
+        } catch (readError) {
+            // Corrupt, encrypted or oversized entries (zip-bomb guard) make the upload invalid
+            throw epubError(`${filePath}: ${readError.message}`);
+        }
+    };
+
+    const container = readText('META-INF/container.xml');
+    const rootfile = startTags(container, 'rootfile').find(rf => rf['full-path']);
+    if (!rootfile) throw epubError('container.xml names no package document');
+    const opfPath = rootfile['full-path'];
+    const opf = readText(opfPath);
+
+    const manifest = startTags(opf, 'item').filter(item => item.id && item.href).map(item => ({
+        id: item.id,
+        path: resolveHref(opfPath, item.href),
+        mediaType: item['media-type'],
+        properties: item.properties,
+    }));
+    const spineMatch = opf.match(/<spine\b([^>]*)>([\s\S]*?)<\/spine>/);
+    if (!spineMatch) throw epubError('the package document has no spine');
+    const { toc: spineToc } = attributes(spineMatch[1]);
+    const titles = tableOfContents(readText, manifest, spineToc);
+
+    const chapters = [];
+    for (const itemref of startTags(spineMatch[2], 'itemref')) {
+        const item = manifest.find(candidate => candidate.id === itemref.idref);
+        if (!item || itemref.linear === 'no' || !CHAPTER_MEDIA_TYPES.includes(item.mediaType)) continue;
+        const { text, ruby, heading } = extractChapter(readText(item.path));
+        if (!text) continue; // cover pages and other image-only documents
+        chapters.push({ title: titles.get(item.path) || heading || `Chapter ${chapters.length + 1}`, text, ruby });
+    }
+    if (chapters.length === 0) throw epubError('no chapter contains any text');
+
+    return {
+        title: firstElementText(opf, 'dc:title'),
+        author: firstElementText(opf, 'dc:creator'),
+        chapters,
+    };
+}
+
+module.exports = { parseEpub };
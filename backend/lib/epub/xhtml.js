@@ -0,0 +1,95 @@
+// backend/lib/epub/xhtml.js
+// Turns one EPUB chapter (XHTML) into reader text: one line per block element, markup removed.
+// Author <ruby> annotations are kept apart from the text as { start, end, reading }, offsets into
+// the returned text covering the ruby base (漢字 in <ruby>漢字<rt>かんじ</rt></ruby>).
+
+// Elements that start a new line (paragraph) in the reader
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'br', 'hr', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'tr', 'table', 'blockquote', 'pre',
+    'section', 'article', 'aside', 'header', 'footer', 'nav', 'figure', 'figcaption',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+]);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const NAMED_ENTITIES = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&', nbsp: '\u00A0' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+        const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+// Plain text of a fragment (titles in the OPF, nav and NCX); drops <rt>/<rp> readings
+const stripTags = (html) => decodeEntities(
+    html.replace(/<(rt|rp)\b[^>]*>[\s\S]*?<\/\1>/gi, '').replace(/<[^>]*>/g, '')
+).replace(/\s+/g, ' ').trim();
+
+// Returns { text, ruby, heading } (heading: text of the first h1-h6, or null)
+function extractChapter(xhtml) {
+    const bodyMatch = xhtml.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    const body = (bodyMatch ? bodyMatch[1] : xhtml)
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+    let text = '';
+    const ruby = [];
+    let heading = null;
+    let headingText = null; // collecting the first heading
+    let rubyDepth = 0;
+    let baseStart = 0; // where the current ruby base began
+    let reading = null; // collecting an <rt>
+    let inRp = false;
+
+    const newLine = () => {
+        text = text.replace(/ +$/, '');
+        if (text && !text.endsWith('\n')) text += '\n';
+    };
+    const appendText = (raw) => {
+        let chunk = decodeEntities(raw).replace(/[ \t\r\n\u00A0]+/g, ' ');
+        if (!text || text.endsWith('\n')) chunk = chunk.replace(/^ /, '');
+        text += chunk;
+        if (headingText !== null) headingText += chunk;
+    };
+
+    for (const [, closing, tagName, content] of body.matchAll(/<(\/?)([a-zA-Z][\w:.-]*)[^>]*>|([^<]+)/g)) {
+        if (content !== undefined) {
+            if (inRp) continue;
+            if (reading !== null) reading += decodeEntities(content);
+            else appendText(content);
+            continue;
+        }
+        const tag = tagName.toLowerCase();
+        if (tag === 'ruby') {
+            rubyDepth = Math.max(0, rubyDepth + (closing ? -1 : 1));
+            baseStart = text.length;
+        } else if (tag === 'rp' && rubyDepth > 0) {
+            inRp = !closing;
+        } else if (tag === 'rt' && rubyDepth > 0) {
+            if (!closing) {
+                reading = '';
+                continue;
+            }
+            const annotation = (reading || '').trim();
+            const start = baseStart + (text[baseStart] === ' ' ? 1 : 0);
+            const end = text.replace(/ +$/, '').length;
+            if (annotation && end > start) ruby.push({ start, end, reading: annotation });
+            reading = null;
+            baseStart = text.length;
+        } else if (BLOCK_TAGS.has(tag)) {
+            if (HEADING_TAGS.has(tag) && heading === null) {
+                if (!closing) {
+                    headingText = '';
+                } else if (headingText !== null) {
+                    heading = headingText.trim() || null;
+                    headingText = null;
+                }
+            }
+            newLine();
+        }
+    }
+    newLine();
+    return { text: text.replace(/\n$/, ''), ruby, heading };
+}
+
+module.exports = { extractChapter, stripTags, decodeEntities };
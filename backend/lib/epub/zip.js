@@ -0,0 +1,66 @@
+// backend/lib/epub/zip.js
+// Minimal ZIP reader for EPUB uploads (stored and deflated entries, no ZIP64 or encryption),
+// so books are unpacked in memory without extra dependencies.
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+// One entry may not inflate past this (guards against zip bombs)
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+const zipError = (message) => new Error(`Invalid ZIP file: ${message}`);
+
+// End of central directory record, searched backwards past an optional comment
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+    for (let offset = buffer.length - EOCD_MIN_SIZE; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+    }
+    throw zipError('end of central directory not found');
+}
+
+// Returns a Map of entry name -> { name, size, read() -> Buffer }
+function readZip(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < EOCD_MIN_SIZE) throw zipError('file is too small');
+    const eocd = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (offset === 0xffffffff || entryCount === 0xffff) throw zipError('ZIP64 archives are not supported');
+
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+            throw zipError('corrupt central directory');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const read = () => {
+            if (flags & 0x1) throw zipError(`${name} is encrypted`);
+            if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+                throw zipError(`corrupt local header for ${name}`);
+            }
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+            throw zipError(`unsupported compression method ${method} for ${name}`);
+        };
+        if (!name.endsWith('/')) entries.set(name, { name, size, read });
+    }
+    return entries;
+}
+
+module.exports = { readZip };
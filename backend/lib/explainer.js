@@ -0,0 +1,104 @@
+// backend/lib/explainer.js
+// Grammar breakdown of one sentence with Gemini. The model must return JSON of the form
+//   {
+//     translation: "...",
+//     clauses:        [{ text, role, translation }],
+//     particles:      [{ particle, role, attaches_to }],
+//     conjugations:   [{ surface, dictionary_form, form }],
+//     grammar_points: [{ name, jlpt_level, explanation }]
+//   }
+// which is validated (and cleaned up) before it reaches the client.
+
+const { DEFAULT_GEMINI_MODEL, parseJsonObject } = require('./translators/gemini');
+const { DATA_INSTRUCTION, delimitData, validateTranslation } = require('./translators/guard');
+
+const MAX_LIST_ITEMS = 30;
+
+const SYSTEM_INSTRUCTION = 'You are a Japanese teacher explaining the grammar of one sentence to an English-speaking learner. '
+    + `${DATA_INSTRUCTION} Reply only with a JSON object, without Markdown.`;
+
+// The paragraph, when given, travels in the same data block as the sentence
+function buildExplainPrompt(sentence, context) {
+    return `
+        Explain the grammar of the "sentence" in the data below.${context ? ' "paragraph" is the text around it: use it for omitted subjects and references only.' : ''}
+        Return a JSON object of the form:
+        {
+          "translation": "<natural English translation>",
+          "clauses": [{"text": "<clause, copied exactly from the sentence>", "role": "<e.g. main clause, relative clause modifying 本, conditional>", "translation": "<English>"}],
+          "particles": [{"particle": "<particle, copied exactly from the sentence>", "role": "<e.g. topic marker, direct object, location of action>", "attaches_to": "<the word it marks>"}],
+          "conjugations": [{"surface": "<conjugated form, copied exactly from the sentence>", "dictionary_form": "<dictionary form>", "form": "<e.g. past negative, te-form, passive>"}],
+          "grammar_points": [{"name": "<name of the pattern, e.g. 〜てしまう>", "jlpt_level": "<N5|N4|N3|N2|N1 or null>", "explanation": "<one or two sentences in English>"}]
+        }
+        List clauses, particles and conjugations in the order they appear. Use empty arrays when there is nothing to list.
+
+        ${delimitData(context ? { sentence, paragraph: context } : { sentence })}
+    `;
+}
+
+const cleanString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+// "N3", "n3", "JLPT N3" and 3 all become "N3"; anything else is null
+function normalizeJlptLevel(value) {
+    const match = /^(?:jlpt\s*)?n?\s*([1-5])$/i.exec(String(value ?? '').trim());
+    return match ? `N${match[1]}` : null;
+}
+
+// Keep the items of a list whose required fields are non-empty strings (and, for `grounded`
+// fields, actually occur in the sentence); optional fields become null when missing.
+function cleanList(items, { required, optional = [], grounded = [] }, sentence) {
+    if (!Array.isArray(items)) return null;
+    const cleaned = [];
+    for (const item of items.slice(0, MAX_LIST_ITEMS)) {
+        if (!item || typeof item !== 'object') continue;
+        const entry = {};
+        for (const field of [...required, ...optional]) entry[field] = cleanString(item[field]);
+        if (required.some(field => !entry[field])) continue;
+        if (grounded.some(field => !sentence.includes(entry[field]))) continue;
+        cleaned.push(entry);
+    }
+    return cleaned;
+}
+
+// Validate a parsed response; returns { explanation } or { error }
+function validateExplanation(parsed, sentence) {
+    if (!parsed) return { error: 'Response was not a JSON object.' };
+    const explanation = {
+        sentence,
+        translation: validateTranslation(sentence, parsed.translation).translation || null,
+        clauses: cleanList(parsed.clauses, { required: ['text', 'role'], optional: ['translation'], grounded: ['text'] }, sentence),
+        particles: cleanList(parsed.particles, { required: ['particle', 'role'], optional: ['attaches_to'], grounded: ['particle'] }, sentence),
+        conjugations: cleanList(parsed.conjugations, { required: ['surface', 'dictionary_form', 'form'], grounded: ['surface'] }, sentence),
+        grammar_points: cleanList(parsed.grammar_points, { required: ['name', 'explanation'], optional: ['jlpt_level'] }, sentence),
+    };
+    const missing = ['clauses', 'particles', 'conjugations', 'grammar_points'].filter(field => !explanation[field]);
+    if (missing.length > 0) return { error: `Response is missing ${missing.join(', ')}.` };
+    explanation.grammar_points = explanation.grammar_points.map(point => ({ ...point, jlpt_level: normalizeJlptLevel(point.jlpt_level) }));
+    return { explanation };
+}
+
+// Throws when the API key is missing. `GoogleGenerativeAI` can be injected (tests).
+function createGeminiExplainer({ apiKey, modelName = DEFAULT_GEMINI_MODEL, GoogleGenerativeAI } = {}) {
+    if (!apiKey) throw new Error("API Key missing");
+    const SDK = GoogleGenerativeAI || require('@google/generative-ai').GoogleGenerativeAI;
+    const model = new SDK(apiKey).getGenerativeModel({
+        model: modelName,
+        systemInstruction: SYSTEM_INSTRUCTION,
+        generationConfig: { responseMimeType: 'application/json' },
+    });
+
+    // Returns { explanation } or { error } when the response doesn't pass validation
+    const explainSentence = async (sentence, context = null) => {
+        const result = await model.generateContent(buildExplainPrompt(sentence, context));
+        return validateExplanation(parseJsonObject(result.response.text()), sentence);
+    };
+
+    return { name: 'gemini', version: `gemini:${modelName}`, explainSentence };
+}
+
+module.exports = {
+    createGeminiExplainer,
+    buildExplainPrompt,
+    parseJsonObject,
+    normalizeJlptLevel,
+    validateExplanation,
+};
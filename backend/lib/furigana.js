@@ -0,0 +1,119 @@
+// backend/lib/furigana.js
+// Furigana rendering options for /api/process-text and /api/furigana:
+//   mode       - furigana (<ruby> HTML), okurigana (漢字(かんじ)) or spaced (reading only, word by word)
+//   to         - script of the readings: hiragana, katakana or romaji
+//   hide_known - drop readings over kanji the user already knows (furigana and okurigana modes)
+// Author ruby (see ./ruby) is rendered as given; Kuroshiro only reads the text around it.
+
+const wanakana = require('wanakana');
+
+const FURIGANA_MODES = ['furigana', 'okurigana', 'spaced'];
+const FURIGANA_SCRIPTS = ['hiragana', 'katakana', 'romaji'];
+const DEFAULT_FURIGANA_OPTIONS = { mode: 'furigana', to: 'hiragana', hide_known: false };
+
+const kanjiRegex = /[\u4E00-\u9FAF\u3400-\u4DBF]/g;
+
+// Validate the request's `furigana` object; returns { options } or { error }
+function parseFuriganaOptions(value) {
+    if (value === undefined || value === null) return { options: DEFAULT_FURIGANA_OPTIONS };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'Invalid furigana options (expected an object).' };
+    }
+    const options = { ...DEFAULT_FURIGANA_OPTIONS, ...value };
+    if (!FURIGANA_MODES.includes(options.mode)) {
+        return { error: `Invalid furigana.mode (expected one of: ${FURIGANA_MODES.join(', ')}).` };
+    }
+    if (!FURIGANA_SCRIPTS.includes(options.to)) {
+        return { error: `Invalid furigana.to (expected one of: ${FURIGANA_SCRIPTS.join(', ')}).` };
+    }
+    if (typeof options.hide_known !== 'boolean') {
+        return { error: 'Invalid furigana.hide_known (expected true or false).' };
+    }
+    return { options: { mode: options.mode, to: options.to, hide_known: options.hide_known } };
+}
+
+const isDefaultOptions = (options) => (
+    options.mode === DEFAULT_FURIGANA_OPTIONS.mode
+    && options.to === DEFAULT_FURIGANA_OPTIONS.to
+    && options.hide_known === DEFAULT_FURIGANA_OPTIONS.hide_known
+);
+
+// Kuroshiro puts a whole romaji sentence in one <ruby> with a reading per chunk
+// (<ruby>今日<rp>(</rp><rt>kyō</rt><rp>)</rp>は<rp>(</rp><rt>wa</rt><rp>)</rp></ruby>);
+// give every chunk its own <ruby> so all modes produce the same structure.
+function splitRubyGroups(html) {
+    return html.replace(/<ruby>([\s\S]*?)<\/ruby>/g, (group, inner) => {
+        const chunks = [...inner.matchAll(/([^<]+)<rp>\(<\/rp><rt>([^<]*)<\/rt><rp>\)<\/rp>/g)];
+        if (chunks.length <= 1) return group;
+        return chunks.map(([, base, reading]) => `<ruby>${base}<rp>(</rp><rt>${reading}</rt><rp>)</rp></ruby>`).join('');
+    });
+}
+
+// True when the text has kanji and the user knows all of them
+const allKanjiKnown = (text, knownKanji) => {
+    const kanji = text.match(kanjiRegex);
+    return Boolean(kanji) && kanji.every(char => knownKanji.has(char));
+};
+
+// Remove readings over fully known kanji: the <ruby> (furigana mode) or the
+// parenthesized reading (okurigana mode) is replaced by its base text
+function hideKnownReadings(html, mode, knownKanji) {
+    if (knownKanji.size === 0) return html;
+    if (mode === 'furigana') {
+        return html.replace(/<ruby>([^<]+)<rp>\(<\/rp><rt>[^<]*<\/rt><rp>\)<\/rp><\/ruby>/g, (ruby, base) => (
+            allKanjiKnown(base, knownKanji) ? base : ruby
+        ));
+    }
+    if (mode === 'okurigana') {
+        return html.replace(/([\u4E00-\u9FAF\u3400-\u4DBF\u3005]+)\(([^()]*)\)/g, (annotated, base) => (
+            allKanjiKnown(base, knownKanji) ? base : annotated
+        ));
+    }
+    return html; // spaced mode has no kanji left to annotate
+}
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// One author ruby span in the requested mode and script
+function renderAuthorRuby(base, reading, options) {
+    let converted = reading;
+    if (options.to === 'katakana') converted = wanakana.toKatakana(reading);
+    if (options.to === 'romaji') converted = wanakana.toRomaji(reading);
+    if (options.mode === 'spaced') return escapeHtml(converted);
+    if (options.mode === 'okurigana') return `${escapeHtml(base)}(${escapeHtml(converted)})`;
+    return `<ruby>${escapeHtml(base)}<rp>(</rp><rt>${escapeHtml(converted)}</rt><rp>)</rp></ruby>`;
+}
+
+async function convertText(kuroshiro, text, options) {
+    const html = await kuroshiro.convert(text, { mode: options.mode, to: options.to });
+    return options.mode === 'furigana' ? splitRubyGroups(html) : html;
+}
+
+// Convert one sentence with the given options; knownKanji is a Set of characters and ruby
+// the author's readings ({ start, end, reading }, sorted offsets into the sentence)
+async function renderFurigana(kuroshiro, sentence, options = DEFAULT_FURIGANA_OPTIONS, knownKanji = new Set(), ruby = []) {
+    const parts = [];
+    let position = 0;
+    for (const span of ruby) {
+        if (span.start > position) parts.push(await convertText(kuroshiro, sentence.slice(position, span.start), options));
+        parts.push(renderAuthorRuby(sentence.slice(span.start, span.end), span.reading, options));
+        position = span.end;
+    }
+    if (position < sentence.length) parts.push(await convertText(kuroshiro, sentence.slice(position), options));
+
+    let html = parts.join(options.mode === 'spaced' ? ' ' : '');
+    if (options.hide_known) html = hideKnownReadings(html, options.mode, knownKanji);
+    return html;
+}
+
+module.exports = {
+    FURIGANA_MODES,
+    FURIGANA_SCRIPTS,
+    DEFAULT_FURIGANA_OPTIONS,
+    parseFuriganaOptions,
+    isDefaultOptions,
+    splitRubyGroups,
+    hideKnownReadings,
+    renderAuthorRuby,
+    renderFurigana,
+};
@@ -0,0 +1,188 @@
+// backend/lib/furiganaSegments.js
+// Structured furigana: a sentence as a list of segments built from its word tokens,
+//   { text, reading, start, end, kanji }
+// where `reading` (hiragana) is set on segments containing kanji, `start`/`end` are offsets
+// into the sentence and `kanji` splits the reading per character when the dictionary
+// readings allow it (日本語 -> 日|に 本|ほん 語|ご), otherwise null.
+
+const wanakana = require('wanakana');
+
+const kanjiRegex = /[\u4E00-\u9FAF\u3400-\u4DBF\u3005]/; // includes the repeat mark 々
+const kanjiRunRegex = /[\u4E00-\u9FAF\u3400-\u4DBF\u3005]+|[^\u4E00-\u9FAF\u3400-\u4DBF\u3005]+/g;
+const hasKanji = (text) => kanjiRegex.test(text);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Voiced forms for rendaku (ひと + ひと -> ひとびと)
+const RENDAKU = {
+    か: 'が', き: 'ぎ', く: 'ぐ', け: 'げ', こ: 'ご', さ: 'ざ', し: 'じ', す: 'ず', せ: 'ぜ', そ: 'ぞ',
+    た: 'だ', ち: 'ぢ', つ: 'づ', て: 'で', と: 'ど', は: 'ば', ひ: 'び', ふ: 'ぶ', へ: 'べ', ほ: 'ぼ',
+};
+const HANDAKU = { は: 'ぱ', ひ: 'ぴ', ふ: 'ぷ', へ: 'ぺ', ほ: 'ぽ' };
+
+// Dictionary readings of one kanji in hiragana, without okurigana (た.べる -> た) or affix dashes
+const dictionaryReadings = (details) => {
+    if (!details || details.error) return [];
+    const readings = [...(details.readings_on || []), ...(details.readings_kun || [])]
+        .map(reading => wanakana.toHiragana(reading.split('.')[0].replace(/-/g, '')))
+        .filter(Boolean);
+    return [...new Set(readings)];
+};
+
+// Sound changes inside compounds: voicing of the first mora and gemination of the last (がく -> がっ)
+const readingVariants = (reading, isFirst, isLast) => {
+    const variants = new Set([reading]);
+    if (!isFirst) {
+        if (RENDAKU[reading[0]]) variants.add(RENDAKU[reading[0]] + reading.slice(1));
+        if (HANDAKU[reading[0]]) variants.add(HANDAKU[reading[0]] + reading.slice(1));
+    }
+    if (!isLast && reading.length > 1) {
+        for (const variant of [...variants]) variants.add(variant.slice(0, -1) + 'っ');
+    }
+    return [...variants];
+};
+
+// Split the reading of a run of kanji over its characters using their dictionary readings.
+// Returns [{ text, reading }] per character, or null when no combination spells the reading.
+function splitKanjiReading(text, reading, kanjiDetailsMap = {}) {
+    const chars = [...text];
+    if (chars.length === 1) return [{ text, reading }];
+
+    const candidates = chars.map((char, i) => {
+        // 々 repeats the previous kanji
+        const source = char === '々' && i > 0 ? chars[i - 1] : char;
+        return dictionaryReadings(kanjiDetailsMap[source])
+            .flatMap(candidate => readingVariants(candidate, i === 0, i === chars.length - 1));
+    });
+
+    const search = (index, position) => {
+        if (index === chars.length) return position === reading.length ? [] : null;
+        for (const candidate of candidates[index]) {
+            if (!reading.startsWith(candidate, position)) continue;
+            const rest = search(index + 1, position + candidate.length);
+            if (rest) return [{ text: chars[index], reading: candidate }, ...rest];
+        }
+        return null;
+    };
+    return search(0, 0);
+}
+
+// Match a token's reading against its surface, kana parts acting as anchors:
+// 食べ + たべ -> [食|た, べ]. Returns [{ text, reading|null }] or null when they don't line up.
+function alignReading(surface, reading) {
+    const runs = surface.match(kanjiRunRegex) || [];
+    const pattern = runs.map(run => (hasKanji(run) ? '(.+?)' : `(${escapeRegExp(wanakana.toHiragana(run))})`)).join('');
+    const match = new RegExp(`^${pattern}$`).exec(reading);
+    if (!match) return null;
+    return runs.map((run, i) => ({ text: run, reading: hasKanji(run) ? match[i + 1] : null }));
+}
+
+// One segment; `kanji` splits the reading per character when the dictionary allows it
+function readingSegment(text, reading, start, kanjiDetailsMap) {
+    const segment = { text, reading, start, end: start + text.length, kanji: null };
+    const split = reading && splitKanjiReading(text, reading, kanjiDetailsMap);
+    if (split) {
+        let offset = start;
+        segment.kanji = split.map(part => {
+            const kanjiPart = { ...part, start: offset, end: offset + part.text.length };
+            offset = kanjiPart.end;
+            return kanjiPart;
+        });
+    }
+    return segment;
+}
+
+// Build the segments of a sentence from its tokens (lib/tokenizer) and Kanji details
+function buildFuriganaSegments(tokens, kanjiDetailsMap = {}) {
+    const segments = [];
+    const pushSegment = (text, reading, start) => {
+        segments.push(readingSegment(text, reading, start, kanjiDetailsMap));
+    };
+
+    for (const token of tokens) {
+        if (!hasKanji(token.surface) || !token.reading) {
+            pushSegment(token.surface, null, token.start);
+            continue;
+        }
+        const aligned = alignReading(token.surface, token.reading);
+        if (!aligned) {
+            // e.g. irregular readings the anchors can't place: one reading for the whole token
+            segments.push({ text: token.surface, reading: token.reading, start: token.start, end: token.end, kanji: null });
+            continue;
+        }
+        let offset = token.start;
+        for (const part of aligned) {
+            pushSegment(part.text, part.reading, offset);
+            offset += part.text.length;
+        }
+    }
+    return segments;
+}
+
+// Put the author's readings (ruby spans { start, end, reading }, sorted offsets into the
+// sentence) in place of the dictionary ones: each span becomes one segment, and segments it only
+// partly covers keep their text outside the span without a reading.
+function applyAuthorRuby(sentence, segments, ruby = [], kanjiDetailsMap = {}) {
+    if (ruby.length === 0 || segments.length === 0) return segments;
+    const result = [];
+    const pushText = (start, end) => {
+        if (end <= start) return;
+        const text = sentence.slice(start, end);
+        result.push({ text, reading: null, start, end, kanji: null });
+    };
+
+    for (const segment of segments) {
+        const spans = ruby.filter(span => span.start < segment.end && span.end > segment.start);
+        if (spans.length === 0) {
+            result.push(segment);
+            continue;
+        }
+        let position = segment.start;
+        for (const span of spans) {
+            pushText(position, span.start);
+            if (span.start >= segment.start) {
+                const base = sentence.slice(span.start, span.end);
+                const authored = readingSegment(base, span.reading, span.start, kanjiDetailsMap);
+                // Per-kanji readings only for hiragana readings over kanji (not 倫敦《ロンドン》)
+                const splittable = hasKanji(base) && wanakana.isHiragana(span.reading);
+                result.push(splittable ? authored : { ...authored, kanji: null });
+            }
+            position = Math.max(position, span.end);
+        }
+        pushText(position, segment.end);
+    }
+    return result;
+}
+
+// Apply furigana options ({ to, hide_known }) to segments built in hiragana: readings are
+// converted to the target script and `known` marks kanji whose reading should be hidden.
+function applySegmentOptions(segments, options, knownKanji = new Set()) {
+    const convert = (reading) => {
+        if (!reading) return reading;
+        if (options.to === 'katakana') return wanakana.toKatakana(reading);
+        if (options.to === 'romaji') return wanakana.toRomaji(reading);
+        return reading;
+    };
+    // 々 counts as known when the kanji it repeats is
+    const isKnown = (text) => options.hide_known
+        && [...text].filter(char => char !== '々' && hasKanji(char)).every(char => knownKanji.has(char));
+
+    return segments.map(segment => {
+        if (!segment.reading) {
+            // Romaji readings go over kana as well
+            const kanaReading = options.to === 'romaji' && wanakana.isKana(segment.text) ? wanakana.toRomaji(segment.text) : null;
+            return { ...segment, reading: kanaReading || null };
+        }
+        return {
+            ...segment,
+            reading: convert(segment.reading),
+            known: isKnown(segment.text),
+            kanji: segment.kanji && segment.kanji.map((part, i) => ({
+                ...part,
+                reading: convert(part.reading),
+                known: isKnown(part.text === '々' && i > 0 ? segment.kanji[i - 1].text : part.text),
+            })),
+        };
+    });
+}
+
+module.exports = { buildFuriganaSegments, applyAuthorRuby, applySegmentOptions, alignReading, splitKanjiReading };
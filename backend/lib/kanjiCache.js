@@ -0,0 +1,65 @@
+// backend/lib/kanjiCache.js
+// Postgres-backed cache for kanji details (table: kanji_details_cache, see migrations/).
+// Entries use the same shape as kanjiDetailsMap values; NULL details = kanji not found.
+
+const DEFAULT_TTL_DAYS = 30;
+
+// Bulk read: returns { [char]: details } for every char with a fresh cache entry
+async function getCachedKanjiDetails(pool, chars, ttlDays = DEFAULT_TTL_DAYS) {
+    if (chars.length === 0) return {};
+    const result = await pool.query(
+        `SELECT kanji_character, details FROM kanji_details_cache
+         WHERE kanji_character = ANY($1) AND fetched_at > NOW() - make_interval(days => $2)`,
+        [chars, ttlDays]
+    );
+    const cached = {};
+    for (const row of result.rows) {
+        cached[row.kanji_character] = row.details;
+    }
+    return cached;
+}
+
+// Bulk write (UPSERT) of { [char]: details }
+async function saveKanjiDetails(pool, detailsByChar) {
+    const chars = Object.keys(detailsByChar);
+    if (chars.length === 0) return;
+    const details = chars.map(char => (detailsByChar[char] === null ? null : JSON.stringify(detailsByChar[char])));
+    await pool.query(
+        `INSERT INTO kanji_details_cache (kanji_character, details, fetched_at)
+         SELECT kanji_character, details, NOW() FROM unnest($1::text[], $2::jsonb[]) AS t(kanji_character, details)
+         ON CONFLICT (kanji_character)
+         DO UPDATE SET details = EXCLUDED.details, fetched_at = NOW();`,
+        [chars, details]
+    );
+}
+
+// Resolve details for all chars: one cache query, then `lookup(char)` for each miss.
+// Failed lookups ({ error }) are returned but never cached. Cache errors are logged
+// and treated as misses, so a database problem never blocks text processing.
+async function resolveKanjiDetails(chars, { pool, lookup, ttlDays = DEFAULT_TTL_DAYS }) {
+    let detailsMap = {};
+    try {
+        detailsMap = await getCachedKanjiDetails(pool, chars, ttlDays);
+        console.log(`Kanji cache: ${Object.keys(detailsMap).length}/${chars.length} hits.`);
+    } catch (cacheErr) {
+        console.error('❌ Error reading kanji details cache:', cacheErr.message);
+    }
+
+    const fetched = {};
+    for (const char of chars) {
+        if (char in detailsMap) continue;
+        const details = await lookup(char);
+        detailsMap[char] = details;
+        if (!details || !details.error) fetched[char] = details;
+    }
+
+    try {
+        await saveKanjiDetails(pool, fetched);
+    } catch (cacheErr) {
+        console.error('❌ Error writing kanji details cache:', cacheErr.message);
+    }
+
+    return detailsMap;
+}
+
+module.exports = { DEFAULT_TTL_DAYS, getCachedKanjiDetails, saveKanjiDetails, resolveKanjiDetails };
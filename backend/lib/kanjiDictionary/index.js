@@ -0,0 +1,29 @@
+// backend/lib/kanjiDictionary/index.js
+// Pluggable kanji dictionary. Every provider exposes:
+//   name      - provider id used in configuration
+//   isRemote  - true when lookups hit the network (results get cached in Postgres)
+//   lookup(char) -> Promise<details | null | { error }>
+// where details has the kanjiDetailsMap shape (meanings, readings_on, readings_kun,
+// stroke_count, grade, jlpt, newspaper_frequency, taught_in, radical, uri).
+
+const path = require('path');
+const { createJishoProvider } = require('./jishoProvider');
+const { createKanjidicProvider } = require('./kanjidicProvider');
+
+const DEFAULT_KANJIDIC_INDEX_PATH = path.join(__dirname, '..', '..', 'data', 'kanjidic2-index.json');
+
+const providers = {
+    jisho: (options) => createJishoProvider(options),
+    kanjidic: (options) => createKanjidicProvider({ indexPath: options.kanjidicIndexPath || DEFAULT_KANJIDIC_INDEX_PATH }),
+};
+
+// Create the provider named by `provider` (KANJI_DICTIONARY_PROVIDER); defaults to jisho
+function createKanjiDictionary({ provider = 'jisho', ...options } = {}) {
+    const factory = providers[provider];
+    if (!factory) {
+        throw new Error(`Unknown kanji dictionary provider '${provider}'. Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createKanjiDictionary, DEFAULT_KANJIDIC_INDEX_PATH };
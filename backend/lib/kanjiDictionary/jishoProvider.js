@@ -0,0 +1,48 @@
+// backend/lib/kanjiDictionary/jishoProvider.js
+// Kanji dictionary provider that scrapes jisho.org live via unofficial-jisho-api.
+
+const JishoApi = require('unofficial-jisho-api');
+const wanakana = require('wanakana');
+
+function createJishoProvider({ jisho = new JishoApi() } = {}) {
+    // Look up a single Kanji via the Jisho API and map it to the kanjiDetailsMap shape.
+    // Returns null when Jisho doesn't know the Kanji and { error } when the lookup fails.
+    const lookup = async (char) => {
+        try {
+            console.log(`Looking up Kanji '${char}' via Jisho API...`);
+            const result = await jisho.searchForKanji(char);
+
+            if (result && result.found) {
+                let onyomiHiragana = [];
+                if (result.onyomi && result.onyomi.length > 0) {
+                    onyomiHiragana = result.onyomi.map(onReading =>
+                        wanakana.toHiragana(onReading) // Use wanakana
+                    );
+                }
+                console.log(`Found details for Kanji '${char}'`);
+                return {
+                    uri: result.uri,
+                    meanings: result.meaning ? result.meaning.split(', ') : [],
+                    readings_on: onyomiHiragana,
+                    readings_kun: result.kunyomi || [],
+                    stroke_count: result.strokeCount || null,
+                    grade: result.grade || null,
+                    jlpt: result.jlptLevel || null,
+                    newspaper_frequency: result.newspaperFrequencyRank || null,
+                    taught_in: result.taughtIn || null,
+                    radical: result.radical ? result.radical.symbol : null,
+                };
+            }
+            console.warn(`Kanji '${char}' not found via Jisho API. Found flag: ${result ? result.found : 'N/A'}`);
+            return null;
+        } catch (lookupErr) {
+            console.error(`Error looking up Kanji '${char}' with Jisho API:`, lookupErr.message);
+            return { error: `Jisho API lookup failed: ${lookupErr.message}` };
+        }
+    };
+
+    // Remote: results are worth keeping in kanji_details_cache
+    return { name: 'jisho', isRemote: true, lookup };
+}
+
+module.exports = { createJishoProvider };
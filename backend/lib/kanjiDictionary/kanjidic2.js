@@ -0,0 +1,75 @@
+// backend/lib/kanjiDictionary/kanjidic2.js
+// Converts the KANJIDIC2 XML file (EDRDG, CC BY-SA 4.0) into the compact index
+// read by the kanjidic provider: { source, database_version, entries: { [char]: details } }.
+
+const wanakana = require('wanakana');
+
+// KANJIDIC2 still uses the pre-2010 four-level JLPT; map it onto the N-levels
+// Jisho reports (old level 2 covers both N3 and N2, N2 is the closer match).
+const OLD_JLPT_TO_N_LEVEL = { 4: 'N5', 3: 'N4', 2: 'N2', 1: 'N1' };
+
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// All text values of <tag ...>value</tag> whose attributes match `attributes` exactly
+const tagValues = (xml, tag, attributes = '') => {
+    const regex = new RegExp(`<${tag}${attributes ? ' ' + attributes : ''}>([^<]*)</${tag}>`, 'g');
+    return [...xml.matchAll(regex)].map(match => decodeEntities(match[1]));
+};
+const firstTagValue = (xml, tag, attributes) => {
+    const values = tagValues(xml, tag, attributes);
+    return values.length > 0 ? values[0] : null;
+};
+const toInt = (value) => (value === null ? null : parseInt(value, 10));
+
+// Classical (Kangxi) radical number -> radical symbol, e.g. 72 -> 日
+const radicalSymbol = (radicalNumber) => (
+    radicalNumber >= 1 && radicalNumber <= 214
+        ? String.fromCodePoint(0x2F00 + radicalNumber - 1).normalize('NFKC')
+        : null
+);
+
+// School grade -> "taught in" label, worded like Jisho's
+const taughtIn = (grade) => {
+    if (grade >= 1 && grade <= 6) return `grade ${grade}`;
+    if (grade === 8) return 'junior high';
+    return null;
+};
+
+// One <character> element -> [literal, details] (details without uri)
+function parseCharacter(characterXml) {
+    const literal = firstTagValue(characterXml, 'literal');
+    const grade = toInt(firstTagValue(characterXml, 'grade'));
+    const jlpt = toInt(firstTagValue(characterXml, 'jlpt'));
+
+    return [literal, {
+        meanings: tagValues(characterXml, 'meaning'), // English meanings carry no m_lang attribute
+        readings_on: tagValues(characterXml, 'reading', 'r_type="ja_on"').map(reading => wanakana.toHiragana(reading)),
+        readings_kun: tagValues(characterXml, 'reading', 'r_type="ja_kun"'),
+        stroke_count: toInt(firstTagValue(characterXml, 'stroke_count')),
+        grade: grade,
+        jlpt: jlpt ? OLD_JLPT_TO_N_LEVEL[jlpt] || null : null,
+        newspaper_frequency: toInt(firstTagValue(characterXml, 'freq')),
+        taught_in: taughtIn(grade),
+        radical: radicalSymbol(toInt(firstTagValue(characterXml, 'rad_value', 'rad_type="classical"'))),
+    }];
+}
+
+function buildKanjidicIndex(xml) {
+    const entries = {};
+    for (const match of xml.matchAll(/<character>([\s\S]*?)<\/character>/g)) {
+        const [literal, details] = parseCharacter(match[1]);
+        if (literal) entries[literal] = details;
+    }
+    return {
+        source: 'KANJIDIC2',
+        database_version: firstTagValue(xml, 'database_version'),
+        entries: entries,
+    };
+}
+
+module.exports = { buildKanjidicIndex };
@@ -0,0 +1,32 @@
+// backend/lib/kanjiDictionary/kanjidicProvider.js
+// Offline kanji dictionary provider backed by a pre-built KANJIDIC2 index
+// (generate it with `npm run build:kanjidic-index`).
+
+const fs = require('fs');
+
+function createKanjidicProvider({ indexPath }) {
+    // Read once at startup; a missing or corrupt file throws here, not mid-request
+    if (!fs.existsSync(indexPath)) {
+        throw new Error(`KANJIDIC2 index not found at ${indexPath}. `
+            + 'Build it with `npm run build:kanjidic-index -- path/to/kanjidic2.xml.gz` (see README.md).');
+    }
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (!index || typeof index.entries !== 'object') {
+        throw new Error(`Invalid KANJIDIC2 index file: ${indexPath}`);
+    }
+    console.log(`✅ Loaded KANJIDIC2 index (${Object.keys(index.entries).length} kanji, version ${index.database_version || 'unknown'}).`);
+
+    const lookup = async (char) => {
+        const details = index.entries[char];
+        if (!details) return null;
+        return {
+            uri: `https://jisho.org/search/${encodeURIComponent(char)}%23kanji`,
+            ...details,
+        };
+    };
+
+    // Local and deterministic: no need for kanji_details_cache
+    return { name: 'kanjidic', isRemote: false, lookup };
+}
+
+module.exports = { createKanjidicProvider };
@@ -0,0 +1,48 @@
+// backend/lib/migrations.js
+// Applies the SQL files in migrations/ in file name order (001_..., 002_...). Applied files are
+// recorded in schema_migrations, so each one runs once; every file runs in its own transaction.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    filename TEXT PRIMARY KEY,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+)`;
+
+// The .sql files of `dir`, in the order they apply
+function listMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir).filter(file => file.endsWith('.sql')).sort();
+}
+
+// Apply the migrations not applied yet; returns their file names. Stops at the first failing
+// file (rolled back, the error is thrown), leaving the ones before it applied.
+async function applyMigrations(pool, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+    await pool.query(CREATE_MIGRATIONS_TABLE);
+    const { rows } = await pool.query('SELECT filename FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.filename));
+    const pending = listMigrations(dir).filter(file => !applied.has(file));
+
+    for (const file of pending) {
+        const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(sql);
+            await client.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [file]);
+            await client.query('COMMIT');
+            log(file);
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            error.message = `${file}: ${error.message}`;
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+    return pending;
+}
+
+module.exports = { MIGRATIONS_DIR, listMigrations, applyMigrations };
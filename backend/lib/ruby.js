@@ -0,0 +1,111 @@
+// backend/lib/ruby.js
+// Author-provided readings. Aozora Bunko text (｜漢字《かんじ》 ruby, ［＃…］ editorial notes) and
+// HTML with <ruby> tags are turned into plain text plus ruby spans { start, end, reading } (offsets
+// into the plain text, the same shape as EPUB chapters). The spans override Kuroshiro's readings.
+
+const { extractChapter } = require('./epub/xhtml');
+
+const RUBY_FORMATS = ['aozora', 'html'];
+
+// Without a ｜ marker, a reading covers the run of same-script characters before it
+const CHARACTER_CLASSES = [
+    /[\u4E00-\u9FFF\u3400-\u4DBF\uF900-\uFAFF々〆〇ヶ※]/, // kanji (※ stands in for missing kanji)
+    /[\u30A1-\u30FA\u30FC]/, // katakana
+    /[\uFF10-\uFF19\uFF21-\uFF3A\uFF41-\uFF5A]/, // full-width letters and digits
+    /[A-Za-z0-9]/,
+];
+
+// File header explaining the notation (between two dashed lines) and the colophon (底本：...)
+const AOZORA_HEADER = /^-{20,}\n[\s\S]*?\n-{20,}\n/m;
+const AOZORA_FOOTER = /\n\s*底本：[\s\S]*$/;
+// Missing characters: ※［＃「木＋世」、U+4E16、...］; only the Unicode ones can be restored
+const AOZORA_GAIJI = /※［＃[^］\n]*?U\+([0-9A-Fa-f]{4,5})[^］\n]*］/g;
+const AOZORA_ANNOTATION = /［＃[^］\n]*］/g;
+
+// Start of the run of characters ending at `end` that share the class of its last character
+function baseRunStart(text, end) {
+    const charClass = CHARACTER_CLASSES.find(regex => regex.test(text[end - 1]));
+    if (!charClass) return end;
+    let start = end - 1;
+    while (start > 0 && charClass.test(text[start - 1])) start--;
+    return start;
+}
+
+// Returns { text, ruby } for Aozora Bunko text
+function parseAozora(source) {
+    const cleaned = source
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(AOZORA_HEADER, '')
+        .replace(AOZORA_FOOTER, '')
+        .replace(AOZORA_GAIJI, (gaiji, codePoint) => String.fromCodePoint(parseInt(codePoint, 16)))
+        .replace(AOZORA_ANNOTATION, '');
+
+    let text = '';
+    const ruby = [];
+    let markedStart = null; // after a ｜, the base starts there
+    for (let i = 0; i < cleaned.length; i++) {
+        const char = cleaned[i];
+        if (char === '｜' || char === '|') {
+            markedStart = text.length;
+            continue;
+        }
+        const close = char === '《' ? cleaned.indexOf('》', i) : -1;
+        const reading = close > i ? cleaned.slice(i + 1, close).trim() : '';
+        if (reading && !reading.includes('\n')) {
+            const start = markedStart !== null ? markedStart : baseRunStart(text, text.length);
+            if (start < text.length) {
+                ruby.push({ start, end: text.length, reading });
+                markedStart = null;
+                i = close;
+                continue;
+            }
+        }
+        // 《》 used as ordinary brackets; a stray ｜ only applies to the next reading on its line
+        if (char === '\n') markedStart = null;
+        text += char;
+    }
+    return { text, ruby };
+}
+
+// Returns { text, ruby } for HTML (a page or a pasted fragment) with <ruby> tags
+function parseRubyHtml(html) {
+    const { text, ruby } = extractChapter(html);
+    return { text, ruby };
+}
+
+function parseRubySource(text, format) {
+    return format === 'aozora' ? parseAozora(text) : parseRubyHtml(text);
+}
+
+// Check ruby spans sent with plain text (e.g. an EPUB chapter's); returns { ruby } or { error }
+function validateRuby(ruby, text) {
+    const isSpan = (span) => span && typeof span === 'object'
+        && Number.isInteger(span.start) && Number.isInteger(span.end)
+        && span.start >= 0 && span.start < span.end && span.end <= text.length
+        && typeof span.reading === 'string' && span.reading.trim() !== '';
+    if (!Array.isArray(ruby) || !ruby.every(isSpan)) {
+        return { error: 'Invalid ruby (expected [{ start, end, reading }] offsets into the text).' };
+    }
+    const sorted = ruby
+        .map(span => ({ start: span.start, end: span.end, reading: span.reading.trim() }))
+        .sort((a, b) => a.start - b.start);
+    if (sorted.some((span, i) => i > 0 && span.start < sorted[i - 1].end)) {
+        return { error: 'Invalid ruby (spans must not overlap).' };
+    }
+    return { ruby: sorted };
+}
+
+// Give every segment (see lib/segmenter) the spans that lie inside it, as offsets into the
+// segment text. Spans across a sentence boundary are dropped.
+function attachRuby(segments, ruby) {
+    if (ruby.length === 0) return segments;
+    return segments.map(segment => {
+        const spans = ruby
+            .filter(span => span.start >= segment.start && span.end <= segment.end)
+            .map(span => ({ start: span.start - segment.start, end: span.end - segment.start, reading: span.reading }));
+        return spans.length > 0 ? { ...segment, ruby: spans } : segment;
+    });
+}
+
+module.exports = { RUBY_FORMATS, parseAozora, parseRubyHtml, parseRubySource, validateRuby, attachRuby };
@@ -0,0 +1,102 @@
+// backend/lib/schedulers/fsrs.js
+// FSRS (Free Spaced Repetition Scheduler, v4.5 with its default parameters). Each card has a
+// memory state: difficulty (1-10), stability (days until recall drops to 90%) and, at review
+// time, retrievability (the probability of recalling it then). The next interval is the time
+// until retrievability falls to the user's target retention.
+// Grades 0-5 map to FSRS ratings: 0-2 Again, 3 Hard, 4 Good, 5 Easy.
+
+const W = [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755];
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // so that retrievability is 0.9 after `stability` days
+const MAX_INTERVAL = 36500;
+const MIN_STABILITY = 0.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGAIN = 1;
+const HARD = 2;
+const GOOD = 3;
+const EASY = 4;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const ratingFor = (grade) => (grade < 3 ? AGAIN : grade - 1);
+
+const retrievability = (elapsedDays, stability) => Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+
+const nextInterval = (stability, targetRetention) => clamp(
+    Math.round((stability / FACTOR) * (Math.pow(targetRetention, 1 / DECAY) - 1)),
+    1,
+    MAX_INTERVAL
+);
+
+const initialDifficulty = (rating) => clamp(W[4] - (rating - 3) * W[5], 1, 10);
+const initialStability = (rating) => Math.max(W[rating - 1], MIN_STABILITY);
+
+// Difficulty moves with the rating, and slightly back towards that of a first "Good"
+const nextDifficulty = (difficulty, rating) => clamp(
+    W[7] * initialDifficulty(GOOD) + (1 - W[7]) * (difficulty - W[6] * (rating - 3)),
+    1,
+    10
+);
+
+const recallStability = (difficulty, stability, recall, rating) => stability * (1
+    + Math.exp(W[8])
+    * (11 - difficulty)
+    * Math.pow(stability, -W[9])
+    * (Math.exp((1 - recall) * W[10]) - 1)
+    * (rating === HARD ? W[15] : 1)
+    * (rating === EASY ? W[16] : 1));
+
+const forgetStability = (difficulty, stability, recall) => Math.min(stability, Math.max(MIN_STABILITY,
+    W[11] * Math.pow(difficulty, -W[12]) * (Math.pow(stability + 1, W[13]) - 1) * Math.exp((1 - recall) * W[14])));
+
+// Memory state of a card scheduled with SM-2 so far: its interval was about the time to 90%
+// recall, and ease factors from 1.3 (hardest) to 2.5 (default) span difficulties 10 to 5
+const fromSm2 = (card) => ({
+    stability: Math.max(card.interval, MIN_STABILITY),
+    difficulty: clamp(5 + ((2.5 - card.efactor) * 5) / 1.2, 1, 10),
+});
+
+// Never reviewed (SM-2 state still the default)
+const isNewCard = (card) => card.repetition === 0 && card.interval === 0;
+
+function createFsrsScheduler() {
+    const schedule = (card, grade, { now = new Date(), targetRetention = 0.9 } = {}) => {
+        const rating = ratingFor(grade);
+        const memory = card.stability ? { stability: card.stability, difficulty: card.difficulty } : (isNewCard(card) ? null : fromSm2(card));
+
+        let difficulty;
+        let stability;
+        let recall = null;
+        if (!memory) {
+            difficulty = initialDifficulty(rating);
+            stability = initialStability(rating);
+        } else {
+            // Cards without a review date are taken to be reviewed on time
+            const elapsedDays = card.last_reviewed_at
+                ? Math.max(0, (now - new Date(card.last_reviewed_at)) / DAY_MS)
+                : card.interval;
+            recall = retrievability(elapsedDays, memory.stability);
+            difficulty = nextDifficulty(memory.difficulty, rating);
+            stability = rating === AGAIN
+                ? forgetStability(memory.difficulty, memory.stability, recall)
+                : recallStability(memory.difficulty, memory.stability, recall, rating);
+        }
+
+        const interval = nextInterval(stability, targetRetention);
+        const dueDate = new Date(now);
+        dueDate.setDate(now.getDate() + interval);
+        return {
+            interval,
+            repetition: rating === AGAIN ? 0 : card.repetition + 1,
+            efactor: card.efactor, // kept for a switch back to SM-2
+            difficulty,
+            stability,
+            retrievability: recall,
+            due_date: dueDate,
+        };
+    };
+
+    return { name: 'fsrs', schedule };
+}
+
+module.exports = { createFsrsScheduler, fromSm2, isNewCard, retrievability };
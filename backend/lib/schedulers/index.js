@@ -0,0 +1,38 @@
+// backend/lib/schedulers/index.js
+// Review scheduling shared by every SRS card type (kanji, vocabulary). A scheduler exposes:
+//   name                                   - id stored in user settings and the review log ("sm2", "fsrs")
+//   schedule(card, grade, { now, targetRetention })
+//                                          -> the card's next state: { interval (days), repetition, efactor,
+//                                             difficulty, stability, retrievability, due_date }
+// `card` is cardState() of the card's row. Each user picks a scheduler (see lib/srsSettings).
+
+const { createSm2Scheduler } = require('./sm2');
+const { createFsrsScheduler } = require('./fsrs');
+
+const schedulers = {
+    sm2: createSm2Scheduler(),
+    fsrs: createFsrsScheduler(),
+};
+const SCHEDULER_NAMES = Object.keys(schedulers);
+
+const DEFAULT_CARD_STATE = { interval: 0, repetition: 0, efactor: 2.5 };
+
+// Grades are SM-2's 0 (blackout) to 5 (perfect); 3 and up count as recalled
+const isValidGrade = (grade) => typeof grade === 'number' && Number.isInteger(grade) && grade >= 0 && grade <= 5;
+
+const optionalNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Card state from a database row (numeric columns may come back as strings); FSRS memory
+// state is null until the card is scheduled with FSRS
+const cardState = (row) => (row ? {
+    interval: parseFloat(row.interval) || 0,
+    repetition: parseInt(row.repetition, 10) || 0,
+    efactor: parseFloat(row.efactor) || DEFAULT_CARD_STATE.efactor,
+    difficulty: optionalNumber(row.difficulty),
+    stability: optionalNumber(row.stability),
+    last_reviewed_at: row.last_reviewed_at || null,
+} : { ...DEFAULT_CARD_STATE, difficulty: null, stability: null, last_reviewed_at: null });
+
+const getScheduler = (name) => schedulers[name] || schedulers.sm2;
+
+module.exports = { SCHEDULER_NAMES, DEFAULT_CARD_STATE, isValidGrade, cardState, getScheduler };
@@ -0,0 +1,27 @@
+// backend/lib/schedulers/sm2.js
+// SuperMemo-2 through the supermemo package: the interval grows by the card's ease factor
+// (efactor), which each grade nudges up or down; a grade below 3 starts the card over.
+
+const { supermemo } = require('supermemo');
+
+function createSm2Scheduler() {
+    const schedule = (card, grade, { now = new Date() } = {}) => {
+        const next = supermemo({ interval: card.interval, repetition: card.repetition, efactor: card.efactor }, grade);
+        const dueDate = new Date(now);
+        dueDate.setDate(now.getDate() + next.interval);
+        return {
+            interval: next.interval,
+            repetition: next.repetition,
+            efactor: next.efactor,
+            // FSRS memory state is dropped: it would be stale if the user switched back
+            difficulty: null,
+            stability: null,
+            retrievability: null,
+            due_date: dueDate,
+        };
+    };
+
+    return { name: 'sm2', schedule };
+}
+
+module.exports = { createSm2Scheduler };
@@ -0,0 +1,131 @@
+// backend/lib/segmenter.js
+// Splits Japanese text into sentences, keeping paragraph structure.
+// Each line is a paragraph (Japanese prose has no hard wraps); each sentence is returned as
+//   { text, paragraph_index, start, end, is_heading }
+// with start/end as character offsets into the original text (text === original.slice(start, end)).
+
+// Sentence-final punctuation; runs like ！？ or ?! stay together
+const TERMINATORS = '。．！？!?';
+const ELLIPSES = '…‥';
+const OPENING_BRACKETS = '「『（(【〔〈《“‘';
+const CLOSING_BRACKETS = '」』）)】〕〉》”’';
+
+// Lines that are headings rather than prose: Markdown headings, chapter titles (第一章, 第3話),
+// or short lines without any punctuation that are followed by more text
+const MARKDOWN_HEADING = /^#{1,6}\s/;
+const CHAPTER_HEADING = /^第[一二三四五六七八九十百千〇零\d０-９]+[章話節部回幕巻編]/;
+const MAX_HEADING_LENGTH = 30;
+
+// A quote followed by a particle is part of the surrounding sentence: 「行こう。」と言った,
+// 『吾輩は猫である。』を読んだ
+const FOLLOWING_PARTICLE = /^(と|って|を|が|は|に|の|も|で|へ|や)/;
+
+const isTerminator = (char) => TERMINATORS.includes(char);
+const isEllipsis = (char) => ELLIPSES.includes(char);
+const isSpace = (char) => /\s/.test(char);
+
+function isHeadingLine(line, hasFollowingText) {
+    if (MARKDOWN_HEADING.test(line) || CHAPTER_HEADING.test(line)) return true;
+    if (!hasFollowingText || line.length > MAX_HEADING_LENGTH) return false;
+    return ![...line].some(char => (
+        isTerminator(char) || isEllipsis(char) || OPENING_BRACKETS.includes(char) || '、,'.includes(char)
+    ));
+}
+
+// Sentence end positions (exclusive) within one line. With `trackQuotes`, punctuation
+// inside 「」 and other brackets does not end a sentence.
+function findSentenceEnds(line, trackQuotes) {
+    const ends = [];
+    let depth = 0;
+    let i = 0;
+
+    while (i < line.length) {
+        const char = line[i];
+
+        if (trackQuotes && OPENING_BRACKETS.includes(char)) {
+            depth++;
+            i++;
+            continue;
+        }
+        if (trackQuotes && CLOSING_BRACKETS.includes(char) && depth > 0) {
+            const quoteEndedSentence = isTerminator(line[i - 1]) || isEllipsis(line[i - 1]);
+            depth--;
+            i++;
+            if (depth === 0 && quoteEndedSentence) {
+                // A finished quote is a sentence of its own (「はい。」「いいえ。」) unless a
+                // particle continues it; trailing closers/punctuation stay attached
+                while (i < line.length && (CLOSING_BRACKETS.includes(line[i]) || isTerminator(line[i]))) i++;
+                if (!FOLLOWING_PARTICLE.test(line.slice(i))) ends.push(i);
+            }
+            continue;
+        }
+        if (depth > 0) {
+            i++;
+            continue;
+        }
+
+        if (isTerminator(char)) {
+            // Keep runs of punctuation (！？, ?!, 。」) and the closing brackets after them
+            while (i < line.length && (isTerminator(line[i]) || isEllipsis(line[i]))) i++;
+            while (i < line.length && CLOSING_BRACKETS.includes(line[i])) i++;
+            ends.push(i);
+            continue;
+        }
+        if (isEllipsis(char)) {
+            // An ellipsis ends a sentence only before a space, a new quote or the end of the line;
+            // mid-sentence pauses (彼は……来なかった) do not.
+            let j = i;
+            while (j < line.length && isEllipsis(line[j])) j++;
+            if (j < line.length && isTerminator(line[j])) {
+                i = j;
+                continue;
+            }
+            while (j < line.length && CLOSING_BRACKETS.includes(line[j])) j++;
+            if (j === line.length || isSpace(line[j]) || OPENING_BRACKETS.includes(line[j])) ends.push(j);
+            i = j;
+            continue;
+        }
+        i++;
+    }
+
+    // Unbalanced brackets: don't let one stray 「 swallow the rest of the paragraph
+    if (trackQuotes && depth > 0) return findSentenceEnds(line, false);
+    if (ends[ends.length - 1] !== line.length) ends.push(line.length);
+    return ends;
+}
+
+// Trim whitespace off [start, end) and return the segment, or null when nothing is left
+function trimmedSegment(text, start, end, paragraphIndex, isHeading) {
+    while (start < end && isSpace(text[start])) start++;
+    while (end > start && isSpace(text[end - 1])) end--;
+    if (start === end) return null;
+    return { text: text.slice(start, end), paragraph_index: paragraphIndex, start, end, is_heading: isHeading };
+}
+
+function segmentText(text) {
+    const segments = [];
+    const lines = [];
+    const lineRegex = /[^\r\n]+/g;
+    let match;
+    while ((match = lineRegex.exec(text)) !== null) {
+        if (match[0].trim()) lines.push({ line: match[0], offset: match.index });
+    }
+
+    lines.forEach(({ line, offset }, paragraphIndex) => {
+        const trimmed = line.trim();
+        if (isHeadingLine(trimmed, paragraphIndex < lines.length - 1)) {
+            segments.push(trimmedSegment(text, offset, offset + line.length, paragraphIndex, true));
+            return;
+        }
+        let start = 0;
+        for (const end of findSentenceEnds(line, true)) {
+            const segment = trimmedSegment(text, offset + start, offset + end, paragraphIndex, false);
+            if (segment) segments.push(segment);
+            start = end;
+        }
+    });
+
+    return segments;
+}
+
+module.exports = { segmentText };
@@ -0,0 +1,151 @@
+// backend/lib/sentenceCache.js
+// Postgres-backed cache of processed sentences (table: processed_sentence_cache, see migrations/).
+// Entries are keyed by the hash of the normalized sentence plus a cache version naming the
+// translator/model and Kanji dictionary; results from any other version are never served, and
+// expire with the rest after the TTL. Cached offsets (tokens, segments) are stored relative to
+// the normalized sentence and rebased onto the text of each request that hits the entry.
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_DAYS = 30;
+
+// Bump when the shape of processed sentence results (or their keys) changes
+const RESULT_FORMAT_VERSION = 4;
+
+// A character with its combining marks (half-width katakana take separate voicing marks),
+// or a run of whitespace
+const UNIT_REGEX = /\s+|[\s\S][\p{M}\uFF9E\uFF9F]*/gu;
+const WHITESPACE_REGEX = /^\s/;
+const WIDTH_VARIANT_REGEX = /[\uFF01-\uFF5E\uFF61-\uFF9F]+/g; // full-width ASCII, half-width katakana
+
+const foldUnit = (unit) => unit.replace(WIDTH_VARIANT_REGEX, variant => variant.normalize('NFKC')).normalize('NFC');
+
+// Split the sentence into units with their range in the sentence (`original`) and in the
+// normalized text (`normalized`); returns { text, units }
+function alignSentence(sentence) {
+    const units = [...sentence.matchAll(UNIT_REGEX)].map(match => ({
+        original: { start: match.index, end: match.index + match[0].length },
+        folded: WHITESPACE_REGEX.test(match[0]) ? ' ' : foldUnit(match[0]),
+    }));
+    const first = units.findIndex(unit => unit.folded !== ' ');
+    const last = units.length - 1 - [...units].reverse().findIndex(unit => unit.folded !== ' ');
+    let text = '';
+    for (const [i, unit] of units.entries()) {
+        if (first === -1 || i < first || i > last) unit.folded = ''; // surrounding whitespace
+        unit.normalized = { start: text.length, end: text.length + unit.folded.length };
+        text += unit.folded;
+    }
+    return { text, units };
+}
+
+// Same sentence, same key: Unicode NFC, full-width ASCII and half-width katakana at their usual
+// width, surrounding whitespace dropped and runs of whitespace collapsed to one space
+const normalizeSentence = (sentence) => alignSentence(sentence).text;
+
+const hashSentence = (sentence) => crypto.createHash('sha256').update(normalizeSentence(sentence)).digest('hex');
+
+// Map a start or end offset between the two texts of alignSentence; offsets inside a unit
+// widen to the whole unit
+const mapOffset = (units, from, to, offset, edge) => {
+    if (edge === 'start') {
+        const unit = units.find(candidate => candidate[from].end > offset);
+        return unit ? unit[to].start : (units.length > 0 ? units[units.length - 1][to].end : 0);
+    }
+    const unit = [...units].reverse().find(candidate => candidate[from].start < offset);
+    return unit ? unit[to].end : 0;
+};
+
+// Copy of a processed result with the offsets of its tokens and segments (and their kanji
+// parts) mapped by `mapRange`, and their text taken from `text` at the new offsets
+function rebaseResult(result, text, mapRange) {
+    const rebase = (item, textField) => {
+        const range = mapRange(item);
+        return { ...item, ...range, [textField]: text.slice(range.start, range.end) };
+    };
+    return {
+        ...result,
+        original_sentence: text,
+        ...(Array.isArray(result.tokens) && { tokens: result.tokens.map(token => rebase(token, 'surface')) }),
+        ...(Array.isArray(result.segments) && {
+            segments: result.segments.map(segment => ({
+                ...rebase(segment, 'text'),
+                kanji: segment.kanji ? segment.kanji.map(part => rebase(part, 'text')) : segment.kanji,
+            })),
+        }),
+    };
+}
+
+const rangeMapper = (units, from, to) => (item) => ({
+    start: mapOffset(units, from, to, item.start, 'start'),
+    end: mapOffset(units, from, to, item.end, 'end'),
+});
+
+// The cache entry of a result processed from `result.original_sentence`: offsets into the
+// normalized sentence
+function toCacheEntry(result) {
+    const { text, units } = alignSentence(result.original_sentence);
+    return rebaseResult(result, text, rangeMapper(units, 'original', 'normalized'));
+}
+
+// A cached entry served for `sentence` (any variant with the same normalized text)
+function fromCacheEntry(entry, sentence) {
+    const { units } = alignSentence(sentence);
+    return rebaseResult(entry, sentence, rangeMapper(units, 'normalized', 'original'));
+}
+
+// e.g. "r4|gemini:gemini-2.0-flash|jisho"; "none" when text is processed without translations
+const buildCacheVersion = ({ translatorVersion, kanjiDictionaryName }) => (
+    `r${RESULT_FORMAT_VERSION}|${translatorVersion || 'none'}|${kanjiDictionaryName}`
+);
+
+// Bulk read: returns { [hash]: result } for every hash with a fresh entry of this version
+async function getCachedSentences(pool, hashes, version, ttlDays = DEFAULT_TTL_DAYS) {
+    if (hashes.length === 0) return {};
+    const result = await pool.query(
+        `SELECT sentence_hash, result FROM processed_sentence_cache
+         WHERE sentence_hash = ANY($1) AND cache_version = $2 AND created_at > NOW() - make_interval(days => $3)`,
+        [hashes, version, ttlDays]
+    );
+    const cached = {};
+    for (const row of result.rows) {
+        cached[row.sentence_hash] = row.result;
+    }
+    return cached;
+}
+
+// Bulk write (UPSERT) of { [hash]: result }
+async function saveSentences(pool, resultsByHash, version) {
+    const hashes = Object.keys(resultsByHash);
+    if (hashes.length === 0) return;
+    const results = hashes.map(hash => JSON.stringify(resultsByHash[hash]));
+    await pool.query(
+        `INSERT INTO processed_sentence_cache (sentence_hash, cache_version, result, created_at)
+         SELECT sentence_hash, $3, result, NOW() FROM unnest($1::text[], $2::jsonb[]) AS t(sentence_hash, result)
+         ON CONFLICT (sentence_hash, cache_version)
+         DO UPDATE SET result = EXCLUDED.result, created_at = NOW();`,
+        [hashes, results, version]
+    );
+}
+
+// Cleanup: drop entries older than the TTL, whatever their version (entries of other versions
+// may belong to other running instances, so they are left until then). Returns the number of
+// deleted rows.
+async function deleteExpiredSentences(pool, ttlDays = DEFAULT_TTL_DAYS) {
+    const result = await pool.query(
+        'DELETE FROM processed_sentence_cache WHERE created_at <= NOW() - make_interval(days => $1)',
+        [ttlDays]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    DEFAULT_TTL_DAYS,
+    normalizeSentence,
+    hashSentence,
+    toCacheEntry,
+    fromCacheEntry,
+    buildCacheVersion,
+    getCachedSentences,
+    saveSentences,
+    deleteExpiredSentences,
+};
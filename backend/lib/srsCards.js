@@ -0,0 +1,215 @@
+// backend/lib/srsCards.js
+// Queries over SRS cards of every type (tables: user_kanji_srs, user_vocab_srs): the review
+// queue of cards that are due, oldest first, the card browser's filtered pages, and the bulk
+// actions on cards (suspend, bury, reset, delete). Every query is scoped to the owning user.
+
+const wanakana = require('wanakana');
+const { formatVocabCard, normalizeReading } = require('./vocabulary');
+
+const CARD_TYPES = ['kanji', 'vocab'];
+const CARD_STATUSES = ['due', 'new', 'learning', 'young', 'mature', 'suspended', 'buried'];
+const CARD_ACTIONS = ['suspend', 'unsuspend', 'bury', 'reset', 'delete'];
+const CARD_SORTS = ['due', 'added'];
+const MATURE_INTERVAL = 21; // days
+const MAX_BULK_CARDS = 500;
+
+// Both tables in one shape; `word` is the kanji of kanji cards
+const CARDS_UNION = `
+    SELECT 'kanji' AS card_type, kanji_character AS word, NULL AS reading, NULL AS meaning, NULL AS source_sentence,
+           interval, repetition, efactor, difficulty, stability, due_date, last_reviewed_at, created_at, suspended, buried_until
+    FROM user_kanji_srs WHERE user_id = $1
+    UNION ALL
+    SELECT 'vocab' AS card_type, word, reading, meaning, source_sentence,
+           interval, repetition, efactor, difficulty, stability, due_date, last_reviewed_at, created_at, suspended, buried_until
+    FROM user_vocab_srs WHERE user_id = $1`;
+
+// Conditions on rows of CARDS_UNION for each status; `now` is the placeholder of the current time.
+// Suspended and buried cards are out of the review queue (but keep their stage).
+const inQueue = (now) => `NOT suspended AND (buried_until IS NULL OR buried_until <= ${now})`;
+const STATUS_FILTERS = {
+    due: (now) => `due_date <= ${now} AND ${inQueue(now)}`,
+    new: () => 'repetition = 0 AND interval = 0',
+    learning: () => 'repetition = 0 AND interval > 0',
+    young: () => `repetition > 0 AND interval < ${MATURE_INTERVAL}`,
+    mature: () => `repetition > 0 AND interval >= ${MATURE_INTERVAL}`,
+    suspended: () => 'suspended',
+    buried: (now) => `buried_until > ${now}`,
+};
+const TIMED_STATUSES = ['due', 'buried']; // compared with the current time
+
+const ORDER_BY = {
+    due: 'due_date ASC, created_at ASC',
+    added: 'created_at DESC, word ASC',
+};
+
+const optionalNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const formatKanjiCard = (row) => ({
+    kanji: row.word,
+    interval: parseFloat(row.interval) || 0,
+    repetition: parseInt(row.repetition, 10) || 0,
+    efactor: parseFloat(row.efactor),
+    difficulty: optionalNumber(row.difficulty),
+    stability: optionalNumber(row.stability),
+    due_date: row.due_date,
+    last_reviewed_at: row.last_reviewed_at,
+    created_at: row.created_at,
+});
+
+const formatCard = (row) => ({
+    ...(row.card_type === 'kanji'
+        ? { card_type: 'kanji', ...formatKanjiCard(row) }
+        : { card_type: 'vocab', ...formatVocabCard(row) }),
+    suspended: Boolean(row.suspended),
+    buried_until: row.buried_until || null,
+});
+
+// Cards due at `now`, the longest overdue first (`type`: only kanji or vocab cards), with the
+// number of due cards by type (also those past `limit`) and of all cards
+async function listDueCards(pool, userId, { limit, type = null, now = new Date() }) {
+    const typeFilter = type ? 'AND card_type = $4' : '';
+    const params = type ? [userId, now, limit, type] : [userId, now, limit];
+    const cards = await pool.query(
+        `SELECT * FROM (${CARDS_UNION}) cards
+         WHERE ${STATUS_FILTERS.due('$2')} ${typeFilter}
+         ORDER BY due_date ASC, created_at ASC
+         LIMIT $3`,
+        params
+    );
+    const counts = await pool.query(
+        `SELECT card_type, COUNT(*) FILTER (WHERE ${STATUS_FILTERS.due('$2')})::int AS due, COUNT(*)::int AS total
+         FROM (${CARDS_UNION}) cards
+         GROUP BY card_type`,
+        [userId, now]
+    );
+    const byType = Object.fromEntries(CARD_TYPES.map(cardType => [cardType, { due: 0, total: 0 }]));
+    counts.rows.forEach(row => { byType[row.card_type] = { due: row.due, total: row.total }; });
+    return {
+        cards: cards.rows.map(formatCard),
+        counts: {
+            due: byType.kanji.due + byType.vocab.due,
+            total: byType.kanji.total + byType.vocab.total,
+            ...byType,
+        },
+    };
+}
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// One page of the user's cards for the card browser, with the number of cards matching.
+// Filters (all optional): status (CARD_STATUSES), type, kanji (only kanji cards of these
+// characters, e.g. those of a JLPT level), search (part of the word or reading, kana in either
+// script, or of the meaning).
+async function listCards(pool, userId, {
+    status = null, type = null, kanji = null, search = null, sort = 'due', limit, offset = 0, now = new Date(),
+}) {
+    const params = [userId];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const conditions = [];
+    if (status) conditions.push(STATUS_FILTERS[status](TIMED_STATUSES.includes(status) ? param(now) : null));
+    if (type) conditions.push(`card_type = ${param(type)}`);
+    if (kanji) conditions.push(`card_type = 'kanji' AND word = ANY(${param(kanji)})`);
+    if (search) {
+        const pattern = param(`%${escapeLike(search)}%`);
+        const readingPattern = wanakana.isKana(search) ? param(`%${escapeLike(normalizeReading(search))}%`) : pattern;
+        conditions.push(`(word LIKE ${pattern} OR reading LIKE ${readingPattern} OR meaning ILIKE ${pattern})`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.map(condition => `(${condition})`).join(' AND ')}` : '';
+
+    const { rows: [{ total }] } = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM (${CARDS_UNION}) cards ${where}`,
+        params
+    );
+    const { rows } = await pool.query(
+        `SELECT * FROM (${CARDS_UNION}) cards ${where}
+         ORDER BY ${ORDER_BY[sort]}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+    return { cards: rows.map(formatCard), total };
+}
+
+// Validate the cards of a bulk action: { cards: [{ card_type: 'kanji', kanji } or
+// { card_type: 'vocab', word, reading }] }. Returns { refs: { kanji, vocab } } or { error }.
+function parseCardRefs(body) {
+    const { cards } = body || {};
+    if (!Array.isArray(cards) || cards.length === 0) return { error: 'cards must be a non-empty array.' };
+    if (cards.length > MAX_BULK_CARDS) return { error: `Too many cards (max ${MAX_BULK_CARDS}).` };
+
+    const refs = { kanji: [], vocab: [] };
+    for (const card of cards) {
+        if (card && card.card_type === 'kanji' && typeof card.kanji === 'string' && card.kanji) {
+            refs.kanji.push(card.kanji);
+        } else if (card && card.card_type === 'vocab' && typeof card.word === 'string' && typeof card.reading === 'string') {
+            refs.vocab.push({ word: card.word, reading: card.reading });
+        } else {
+            return { error: "Each card needs card_type 'kanji' with kanji, or 'vocab' with word and reading." };
+        }
+    }
+    return { refs };
+}
+
+// The SET clause of each update action; param(value) adds a value after those of the WHERE
+// clause (user id and card keys) and returns its placeholder
+const UPDATES = {
+    suspend: () => 'suspended = TRUE',
+    unsuspend: () => 'suspended = FALSE',
+    // Back in the queue at the start of the next day in the user's time zone
+    bury: (param, { now, timeZone }) => {
+        const zone = param(timeZone);
+        return `buried_until = (date_trunc('day', ${param(now)}::timestamptz AT TIME ZONE ${zone}) + INTERVAL '1 day') AT TIME ZONE ${zone}`;
+    },
+    // A new card again, due right away (its review history stays in the log)
+    reset: (param, { now }) => `interval = 0, repetition = 0, efactor = 2.5, difficulty = NULL, stability = NULL,
+        retrievability = NULL, due_date = ${param(now)}, last_reviewed_at = NULL, buried_until = NULL`,
+};
+
+// Apply `action` (CARD_ACTIONS) to the user's cards in `refs`; returns the number of cards changed.
+// Cards the user doesn't have are skipped. Deleting a kanji card deletes its context sentences.
+async function applyCardAction(pool, userId, action, refs, { now = new Date(), timeZone = 'UTC' } = {}) {
+    const targets = [
+        refs.kanji.length > 0 && {
+            table: 'user_kanji_srs',
+            keys: 'kanji_character = ANY($2)',
+            params: [userId, refs.kanji],
+        },
+        refs.vocab.length > 0 && {
+            table: 'user_vocab_srs',
+            keys: '(word, reading) IN (SELECT * FROM unnest($2::text[], $3::text[]))',
+            params: [userId, refs.vocab.map(card => card.word), refs.vocab.map(card => card.reading)],
+        },
+    ].filter(Boolean);
+
+    let count = 0;
+    for (const target of targets) {
+        const params = [...target.params];
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+        const sql = action === 'delete'
+            ? `DELETE FROM ${target.table} WHERE user_id = $1 AND ${target.keys}`
+            : `UPDATE ${target.table} SET ${UPDATES[action](param, { now, timeZone })}, updated_at = NOW()
+               WHERE user_id = $1 AND ${target.keys}`;
+        const result = await pool.query(sql, params);
+        count += result.rowCount;
+    }
+    return count;
+}
+
+module.exports = {
+    CARD_TYPES,
+    CARD_STATUSES,
+    CARD_ACTIONS,
+    CARD_SORTS,
+    CARDS_UNION,
+    MATURE_INTERVAL,
+    formatCard,
+    listDueCards,
+    listCards,
+    parseCardRefs,
+    applyCardAction,
+};
@@ -0,0 +1,103 @@
+// backend/lib/srsContexts.js
+// Context sentences of kanji SRS cards (table: user_kanji_srs_contexts, see migrations/): the
+// sentences the user met the kanji in, with their translation and the saved document they came
+// from. Shown on the back of the card. Every query is scoped to the owning user.
+
+const MAX_SENTENCE_LENGTH = 1000;
+const MAX_TRANSLATION_LENGTH = 2000;
+const CONTEXTS_PER_CARD = 5; // the most recent ones
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+
+// Validate the optional `context` of an add request for `kanji`:
+// { sentence, translation?, document_id?, chapter_index?, sentence_index? }.
+// Returns { context } (null when there is none) or { error }.
+function parseCardContext(context, kanji) {
+    if (context === undefined || context === null) return { context: null };
+    if (typeof context !== 'object' || Array.isArray(context)) return { error: 'context must be an object.' };
+    const {
+        sentence, translation = null, document_id: documentId = null,
+        chapter_index: chapterIndex = null, sentence_index: sentenceIndex = null,
+    } = context;
+
+    if (typeof sentence !== 'string' || !sentence.trim()) return { error: 'context.sentence must be a non-empty string.' };
+    if (sentence.length > MAX_SENTENCE_LENGTH) return { error: `context.sentence is too long (max ${MAX_SENTENCE_LENGTH} characters).` };
+    if (!sentence.includes(kanji)) return { error: `context.sentence does not contain ${kanji}.` };
+    if (translation !== null && typeof translation !== 'string') return { error: 'context.translation must be a string.' };
+    if (translation && translation.length > MAX_TRANSLATION_LENGTH) {
+        return { error: `context.translation is too long (max ${MAX_TRANSLATION_LENGTH} characters).` };
+    }
+    if (documentId !== null && !(Number.isInteger(documentId) && documentId > 0)) return { error: 'context.document_id must be a document id.' };
+    if (chapterIndex !== null && !isIndex(chapterIndex)) return { error: 'context.chapter_index must be a non-negative integer.' };
+    if (sentenceIndex !== null && !isIndex(sentenceIndex)) return { error: 'context.sentence_index must be a non-negative integer.' };
+
+    return {
+        context: {
+            sentence: sentence.trim(),
+            translation: translation && translation.trim() ? translation.trim() : null,
+            document_id: documentId,
+            chapter_index: documentId === null ? null : chapterIndex,
+            sentence_index: documentId === null ? null : sentenceIndex,
+        },
+    };
+}
+
+// Attach a context to the user's card for `kanji` (which must exist). The document reference is
+// kept only for the user's own documents. Meeting the same sentence again updates it.
+async function addKanjiContext(pool, userId, kanji, context) {
+    await pool.query(
+        `INSERT INTO user_kanji_srs_contexts
+           (user_id, kanji_character, sentence, translation, document_id, chapter_index, sentence_index)
+         SELECT $1, $2, $3, $4, doc.document_id,
+                CASE WHEN doc.document_id IS NULL THEN NULL ELSE $6::int END,
+                CASE WHEN doc.document_id IS NULL THEN NULL ELSE $7::int END
+         FROM (SELECT (SELECT document_id FROM documents WHERE document_id = $5 AND user_id = $1) AS document_id) doc
+         ON CONFLICT (user_id, kanji_character, sentence)
+         DO UPDATE SET translation = COALESCE(EXCLUDED.translation, user_kanji_srs_contexts.translation),
+                       document_id = COALESCE(EXCLUDED.document_id, user_kanji_srs_contexts.document_id),
+                       chapter_index = CASE WHEN EXCLUDED.document_id IS NULL THEN user_kanji_srs_contexts.chapter_index ELSE EXCLUDED.chapter_index END,
+                       sentence_index = CASE WHEN EXCLUDED.document_id IS NULL THEN user_kanji_srs_contexts.sentence_index ELSE EXCLUDED.sentence_index END,
+                       created_at = NOW()`,
+        [userId, kanji, context.sentence, context.translation, context.document_id, context.chapter_index, context.sentence_index]
+    );
+}
+
+const formatContext = (row) => ({
+    sentence: row.sentence,
+    translation: row.translation,
+    document: row.document_id === null || row.document_id === undefined ? null : {
+        id: row.document_id,
+        title: row.document_title,
+        chapter_index: row.chapter_index,
+        sentence_index: row.sentence_index,
+    },
+    created_at: row.created_at,
+});
+
+// Add `contexts` (the most recent first) to each kanji card of `cards`
+async function attachKanjiContexts(pool, userId, cards) {
+    const kanjiCards = cards.filter(card => card.card_type === 'kanji');
+    if (kanjiCards.length === 0) return cards;
+
+    const { rows } = await pool.query(
+        `SELECT kanji_character, sentence, translation, document_id, chapter_index, sentence_index, created_at, document_title
+         FROM (
+             SELECT c.*, d.title AS document_title,
+                    ROW_NUMBER() OVER (PARTITION BY c.kanji_character ORDER BY c.created_at DESC, c.context_id DESC) AS rank
+             FROM user_kanji_srs_contexts c
+             LEFT JOIN documents d ON d.document_id = c.document_id
+             WHERE c.user_id = $1 AND c.kanji_character = ANY($2)
+         ) ranked
+         WHERE rank <= ${CONTEXTS_PER_CARD}
+         ORDER BY kanji_character, rank`,
+        [userId, kanjiCards.map(card => card.kanji)]
+    );
+    const byKanji = new Map();
+    for (const row of rows) {
+        if (!byKanji.has(row.kanji_character)) byKanji.set(row.kanji_character, []);
+        byKanji.get(row.kanji_character).push(formatContext(row));
+    }
+    return cards.map(card => (card.card_type === 'kanji' ? { ...card, contexts: byKanji.get(card.kanji) || [] } : card));
+}
+
+module.exports = { CONTEXTS_PER_CARD, parseCardContext, addKanjiContext, attachKanjiContexts };
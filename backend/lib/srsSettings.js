@@ -0,0 +1,97 @@
+// backend/lib/srsSettings.js
+// Each user's SRS scheduler settings (table: user_srs_settings, see migrations/): the algorithm
+// (lib/schedulers) and the target retention FSRS schedules for. Switching to FSRS migrates the
+// user's SM-2 cards to an FSRS memory state. Every query is scoped to the owning user.
+
+const { SCHEDULER_NAMES, cardState } = require('./schedulers');
+const { fromSm2, isNewCard } = require('./schedulers/fsrs');
+
+const DEFAULT_SETTINGS = { algorithm: 'sm2', target_retention: 0.9 };
+const MIN_TARGET_RETENTION = 0.7;
+const MAX_TARGET_RETENTION = 0.99;
+
+// Card tables and the columns identifying a card in them
+const CARD_TABLES = [
+    { table: 'user_kanji_srs', keys: ['kanji_character'] },
+    { table: 'user_vocab_srs', keys: ['word', 'reading'] },
+];
+
+// Validate an update (any of the fields); returns { fields } or { error }
+function parseSrsSettings(body) {
+    const { algorithm, target_retention: targetRetention } = body || {};
+    const fields = {};
+    if (algorithm !== undefined) {
+        if (!SCHEDULER_NAMES.includes(algorithm)) return { error: `Invalid algorithm (expected one of: ${SCHEDULER_NAMES.join(', ')}).` };
+        fields.algorithm = algorithm;
+    }
+    if (targetRetention !== undefined) {
+        if (typeof targetRetention !== 'number' || targetRetention < MIN_TARGET_RETENTION || targetRetention > MAX_TARGET_RETENTION) {
+            return { error: `target_retention must be a number from ${MIN_TARGET_RETENTION} to ${MAX_TARGET_RETENTION}.` };
+        }
+        fields.target_retention = targetRetention;
+    }
+    if (Object.keys(fields).length === 0) return { error: 'Nothing to update.' };
+    return { fields };
+}
+
+const formatSettings = (row) => (row
+    ? { algorithm: row.algorithm, target_retention: parseFloat(row.target_retention) }
+    : { ...DEFAULT_SETTINGS });
+
+async function loadSrsSettings(pool, userId) {
+    const { rows } = await pool.query('SELECT algorithm, target_retention FROM user_srs_settings WHERE user_id = $1', [userId]);
+    return formatSettings(rows[0]);
+}
+
+// Write the given fields (the others keep their value or default); returns the settings
+async function saveSrsSettings(pool, userId, { algorithm = null, target_retention: targetRetention = null }) {
+    const { rows } = await pool.query(
+        `INSERT INTO user_srs_settings (user_id, algorithm, target_retention)
+         VALUES ($1, COALESCE($2, '${DEFAULT_SETTINGS.algorithm}'), COALESCE($3, ${DEFAULT_SETTINGS.target_retention}))
+         ON CONFLICT (user_id) DO UPDATE SET
+           algorithm = COALESCE($2, user_srs_settings.algorithm),
+           target_retention = COALESCE($3, user_srs_settings.target_retention),
+           updated_at = NOW()
+         RETURNING algorithm, target_retention`,
+        [userId, algorithm, targetRetention]
+    );
+    return formatSettings(rows[0]);
+}
+
+// Give every reviewed card without an FSRS memory state one derived from its SM-2 state
+// (new cards get theirs at their first review); returns the number of cards migrated
+async function migrateCardsToFsrs(pool, userId) {
+    let migrated = 0;
+    for (const { table, keys } of CARD_TABLES) {
+        const { rows } = await pool.query(
+            `SELECT ${keys.join(', ')}, interval, repetition, efactor FROM ${table} WHERE user_id = $1 AND stability IS NULL`,
+            [userId]
+        );
+        const cards = rows.filter(row => !isNewCard(cardState(row)));
+        if (cards.length === 0) continue;
+        const memory = cards.map(row => fromSm2(cardState(row)));
+        const columns = [...keys, 'stability', 'difficulty'];
+        const types = [...keys.map(() => 'text[]'), 'real[]', 'real[]'];
+        await pool.query(
+            `UPDATE ${table} AS c SET stability = m.stability, difficulty = m.difficulty, updated_at = NOW()
+             FROM unnest(${types.map((type, index) => `$${index + 2}::${type}`).join(', ')}) AS m(${columns.join(', ')})
+             WHERE c.user_id = $1 AND ${keys.map(key => `c.${key} = m.${key}`).join(' AND ')}`,
+            [
+                userId,
+                ...keys.map(key => cards.map(row => row[key])),
+                memory.map(state => state.stability),
+                memory.map(state => state.difficulty),
+            ]
+        );
+        migrated += cards.length;
+    }
+    return migrated;
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    parseSrsSettings,
+    loadSrsSettings,
+    saveSrsSettings,
+    migrateCardsToFsrs,
+};
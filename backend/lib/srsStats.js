@@ -0,0 +1,152 @@
+// backend/lib/srsStats.js
+// SRS review history (table: srs_review_log, see migrations/) and the statistics built from it
+// and the card tables: retention, reviews per day, due forecast and card maturity.
+// Days are calendar days in the user's time zone. Every query is scoped to the owning user.
+
+const { CARDS_UNION, MATURE_INTERVAL } = require('./srsCards');
+
+const RECALLED_GRADE = 3; // SM-2: 3 and up count as recalled
+const RETENTION_DAYS = 30;
+const HISTORY_DAYS = 365;
+const FORECAST_DAYS = 30;
+const MAX_DURATION_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time spent answering as sent by the client: a whole number of milliseconds, up to an hour
+const parseDurationMs = (value) => (
+    Number.isInteger(value) && value >= 0 && value <= MAX_DURATION_MS ? value : null
+);
+
+// IANA time zone names only (Postgres would also accept offsets with inverted signs)
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !/^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/.test(timeZone)) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// YYYY-MM-DD of `date` in the time zone, and the calendar day `days` after a YYYY-MM-DD
+const localDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+// Record one review. `card`: { card_type, card_key, reading }; `previous` the card's row before the
+// review (null for a first review), `next` its new state from `scheduler` (lib/schedulers).
+async function logReview(pool, userId, { card, grade, previous, next, scheduler, durationMs = null, now = new Date() }) {
+    const lastReviewedAt = previous && previous.last_reviewed_at ? new Date(previous.last_reviewed_at) : null;
+    const elapsedDays = lastReviewedAt ? Math.max(0, (now - lastReviewedAt) / DAY_MS) : null;
+    await pool.query(
+        `INSERT INTO srs_review_log
+           (user_id, card_type, card_key, reading, grade, previous_interval, new_interval, previous_efactor, new_efactor,
+            elapsed_days, duration_ms, reviewed_at, scheduler, retrievability)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+            userId, card.card_type, card.card_key, card.reading || null, grade,
+            previous ? Math.round(parseFloat(previous.interval) || 0) : 0, next.interval,
+            previous ? parseFloat(previous.efactor) || 2.5 : 2.5, next.efactor,
+            elapsedDays, durationMs, now, scheduler, next.retrievability ?? null,
+        ]
+    );
+}
+
+// Share of recalled reviews in the last RETENTION_DAYS, overall and for mature cards
+async function loadRetention(pool, userId, now) {
+    const { rows: [row] } = await pool.query(
+        `SELECT COUNT(*)::int AS reviews,
+                COUNT(*) FILTER (WHERE grade >= ${RECALLED_GRADE})::int AS recalled,
+                COUNT(*) FILTER (WHERE previous_interval >= ${MATURE_INTERVAL})::int AS mature_reviews,
+                COUNT(*) FILTER (WHERE previous_interval >= ${MATURE_INTERVAL} AND grade >= ${RECALLED_GRADE})::int AS mature_recalled
+         FROM srs_review_log
+         WHERE user_id = $1 AND reviewed_at > $2`,
+        [userId, new Date(now - RETENTION_DAYS * DAY_MS)]
+    );
+    return {
+        days: RETENTION_DAYS,
+        reviews: row.reviews,
+        recalled: row.recalled,
+        rate: rate(row.recalled, row.reviews),
+        mature: { reviews: row.mature_reviews, recalled: row.mature_recalled, rate: rate(row.mature_recalled, row.mature_reviews) },
+    };
+}
+
+// Days of the last HISTORY_DAYS with reviews (oldest first), for the chart and heatmap
+async function loadReviewsPerDay(pool, userId, now, timeZone) {
+    const { rows } = await pool.query(
+        `SELECT to_char(reviewed_at AT TIME ZONE $3, 'YYYY-MM-DD') AS date,
+                COUNT(*)::int AS count,
+                COUNT(*) FILTER (WHERE grade >= ${RECALLED_GRADE})::int AS recalled
+         FROM srs_review_log
+         WHERE user_id = $1 AND reviewed_at > $2
+         GROUP BY 1
+         ORDER BY 1`,
+        [userId, new Date(now - HISTORY_DAYS * DAY_MS), timeZone]
+    );
+    return rows;
+}
+
+// Cards due on each of the next FORECAST_DAYS days, today first (overdue cards count for today);
+// suspended cards never come due
+async function loadForecast(pool, userId, now, timeZone) {
+    const today = localDate(now, timeZone);
+    const { rows } = await pool.query(
+        `SELECT to_char(GREATEST(due_date, $2) AT TIME ZONE $3, 'YYYY-MM-DD') AS date, COUNT(*)::int AS count
+         FROM (${CARDS_UNION}) cards
+         WHERE due_date < ($4::date + 1) AT TIME ZONE $3 AND NOT suspended
+         GROUP BY 1`,
+        [userId, now, timeZone, addDays(today, FORECAST_DAYS - 1)]
+    );
+    const counts = new Map(rows.map(row => [row.date, row.count]));
+    return Array.from({ length: FORECAST_DAYS }, (_, index) => {
+        const date = addDays(today, index);
+        return { date, count: counts.get(date) || 0 };
+    });
+}
+
+// Cards by stage: new (never recalled), learning (forgotten last time), young and mature
+async function loadMaturity(pool, userId) {
+    const { rows } = await pool.query(
+        `SELECT card_type,
+                COUNT(*) FILTER (WHERE repetition = 0 AND interval = 0)::int AS new,
+                COUNT(*) FILTER (WHERE repetition = 0 AND interval > 0)::int AS learning,
+                COUNT(*) FILTER (WHERE repetition > 0 AND interval < ${MATURE_INTERVAL})::int AS young,
+                COUNT(*) FILTER (WHERE repetition > 0 AND interval >= ${MATURE_INTERVAL})::int AS mature
+         FROM (${CARDS_UNION}) cards
+         GROUP BY card_type`,
+        [userId]
+    );
+    const maturity = { new: 0, learning: 0, young: 0, mature: 0, total: 0 };
+    for (const row of rows) {
+        for (const stage of ['new', 'learning', 'young', 'mature']) {
+            maturity[stage] += row[stage];
+            maturity.total += row[stage];
+        }
+    }
+    return maturity;
+}
+
+async function loadSrsStats(pool, userId, { timeZone = 'UTC', now = new Date() } = {}) {
+    const retention = await loadRetention(pool, userId, now);
+    const reviewsPerDay = await loadReviewsPerDay(pool, userId, now, timeZone);
+    const forecast = await loadForecast(pool, userId, now, timeZone);
+    const maturity = await loadMaturity(pool, userId);
+    return {
+        time_zone: timeZone,
+        today: localDate(now, timeZone),
+        retention,
+        reviews_per_day: reviewsPerDay,
+        forecast,
+        maturity,
+    };
+}
+
+module.exports = {
+    MATURE_INTERVAL,
+    parseDurationMs,
+    isValidTimeZone,
+    logReview,
+    loadSrsStats,
+};
@@ -0,0 +1,112 @@
+// backend/lib/subtitles.js
+// Subtitle files (SRT, WebVTT, ASS/SSA) as reading material: every cue becomes one sentence unit,
+// returned as { text, start_ms, end_ms } in time order. Styling, positioning tags and
+// karaoke/drawing commands are dropped; the lines of a cue are joined with a space.
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+
+// 01:02:03,450 (SRT), 02:03.450 or 01:02:03.450 (VTT), 1:02:03.45 (ASS, centiseconds)
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/;
+
+function timestampMs(value) {
+    const match = TIMESTAMP.exec(value.trim());
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+const decodeEntities = (text) => text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lrm;|&rlm;/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Markup shared by SRT and VTT cues: <i>, <font>, <c.class>, <v Speaker>, <00:00:01.000>,
+// ruby readings, and the ASS-style {\an8} some SRT files carry
+const cleanMarkupLine = (line) => decodeEntities(line
+    .replace(/<rt>[\s\S]*?<\/rt>/g, '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, ''))
+    .trim();
+
+const joinLines = (lines) => lines.map(line => line.trim()).filter(Boolean).join(' ');
+
+// SRT and VTT share their layout: blank-line separated blocks with a "start --> end" line,
+// then the cue text. Blocks without one (numbering only, WEBVTT header, NOTE, STYLE, REGION) are skipped.
+function parseTimedBlocks(content) {
+    const cues = [];
+    for (const block of content.split(/\n[ \t]*\n/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+        const [startValue, rest = ''] = lines[timingIndex].split('-->');
+        const start = timestampMs(startValue);
+        const end = timestampMs(rest.trim().split(/\s+/)[0] || ''); // VTT cue settings follow the end time
+        if (start === null || end === null) continue;
+        cues.push({ text: joinLines(lines.slice(timingIndex + 1).map(cleanMarkupLine)), start_ms: start, end_ms: end });
+    }
+    return cues;
+}
+
+// ASS/SSA: Dialogue lines of the [Events] section, fields named by its Format line (Text last,
+// it may contain commas)
+function parseAss(content) {
+    const events = content.split(/^\[Events\][ \t]*$/im)[1];
+    if (!events) return [];
+    const body = events.split(/^\[[^\]]+\][ \t]*$/m)[0];
+    const formatLine = body.match(/^Format:(.*)$/m);
+    const fields = (formatLine ? formatLine[1] : 'Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text')
+        .split(',').map(field => field.trim().toLowerCase());
+    const column = (name) => fields.indexOf(name);
+
+    const cues = [];
+    for (const [, line] of body.matchAll(/^Dialogue:(.*)$/gm)) {
+        const values = line.split(',');
+        const text = values.slice(fields.length - 1).join(',');
+        // Vector drawings ({\p1}) are shapes, not text
+        if (/\{[^}]*\\p[1-9]/.test(text)) continue;
+        const start = timestampMs(values[column('start')] || '');
+        const end = timestampMs(values[column('end')] || '');
+        if (start === null || end === null) continue;
+        const lines = text.replace(/\{[^}]*\}/g, '').replace(/\\h/g, ' ').split(/\\[Nn]/);
+        cues.push({ text: joinLines(lines), start_ms: start, end_ms: end });
+    }
+    return cues;
+}
+
+// Cues in time order; empty cues are dropped and a cue repeating the one before it (layered
+// ASS styles, cues split by karaoke timing) extends it instead
+function parseSubtitles(content, format) {
+    const normalized = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const parsed = format === 'ass' ? parseAss(normalized) : parseTimedBlocks(normalized);
+    const cues = [];
+    parsed
+        .filter(cue => cue.text)
+        .sort((a, b) => a.start_ms - b.start_ms)
+        .forEach(cue => {
+            const previous = cues[cues.length - 1];
+            if (previous && previous.text === cue.text && cue.start_ms <= previous.end_ms) {
+                previous.end_ms = Math.max(previous.end_ms, cue.end_ms);
+            } else {
+                cues.push({ ...cue });
+            }
+        });
+    return cues;
+}
+
+// Cues in the segment shape of ./segmenter (one paragraph per cue). start/end are null: the
+// cue text is cleaned up, so it has no offsets in the file.
+const cueSegments = (cues) => cues.map((cue, index) => ({
+    text: cue.text,
+    paragraph_index: index,
+    start: null,
+    end: null,
+    is_heading: false,
+    start_ms: cue.start_ms,
+    end_ms: cue.end_ms,
+}));
+
+module.exports = { SUBTITLE_FORMATS, parseSubtitles, cueSegments, timestampMs };
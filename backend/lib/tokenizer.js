@@ -0,0 +1,77 @@
+// backend/lib/tokenizer.js
+// Word-level tokenization built on the kuromoji analyzer that Kuroshiro loads.
+
+const wanakana = require('wanakana');
+
+// kuromoji (IPADIC) uses '*' for "no value"
+const valueOrNull = (value) => (value && value !== '*' ? value : null);
+
+// Decide whether a morpheme belongs to the word that precedes it, so that
+// e.g. 食べ|させ|られ|た is shown as one word instead of four fragments.
+const attachesToPreviousWord = (token, previous) => {
+    if (!previous || previous.pos === '記号') return false;
+
+    switch (token.pos) {
+        case '助動詞': // た, ない, たい, です, ...
+            return true;
+        case '動詞':
+            // させ/られ (接尾), いる/しまう (非自立), and する after a サ変 noun (勉強する)
+            if (token.pos_detail_1 === '接尾' || token.pos_detail_1 === '非自立') return true;
+            return token.basic_form === 'する' && previous.pos === '名詞' && previous.pos_detail_1 === 'サ変接続';
+        case '形容詞':
+            return token.pos_detail_1 === '接尾' || token.pos_detail_1 === '非自立';
+        case '名詞':
+            // Suffixes such as さん, 的, 達
+            return token.pos_detail_1 === '接尾';
+        case '助詞':
+            // Conjunctive て/で/ば stay with the verb or adjective they follow
+            return token.pos_detail_1 === '接続助詞'
+                && ['て', 'で', 'ば'].includes(token.surface_form)
+                && ['動詞', '形容詞', '助動詞'].includes(previous.pos);
+        default:
+            return false;
+    }
+};
+
+// Convert raw analyzer output into the `tokens` array returned per sentence.
+// Offsets are character offsets into the sentence (end is exclusive).
+function buildTokens(analyzerTokens) {
+    const tokens = [];
+    let offset = 0;
+    let wordIndex = -1;
+    let previous = null;
+
+    for (const raw of analyzerTokens) {
+        const surface = raw.surface_form || '';
+        const position = raw.verbose && raw.verbose.word_position;
+        const start = typeof position === 'number' ? position - 1 : offset;
+        const reading = valueOrNull(raw.reading);
+
+        if (!attachesToPreviousWord(raw, previous)) wordIndex++;
+
+        tokens.push({
+            surface: surface,
+            base_form: valueOrNull(raw.basic_form) || surface,
+            reading: reading ? wanakana.toHiragana(reading) : null,
+            pos: raw.pos,
+            pos_detail: valueOrNull(raw.pos_detail_1),
+            conjugation: valueOrNull(raw.conjugated_form),
+            start: start,
+            end: start + surface.length,
+            word_index: wordIndex,
+        });
+
+        offset = start + surface.length;
+        previous = raw;
+    }
+
+    return tokens;
+}
+
+// Tokenize one sentence with an initialized kuroshiro-analyzer-kuromoji instance
+async function tokenizeSentence(analyzer, sentence) {
+    const analyzerTokens = await analyzer.parse(sentence);
+    return buildTokens(analyzerTokens);
+}
+
+module.exports = { buildTokens, tokenizeSentence };
@@ -0,0 +1,147 @@
+// backend/lib/translators/gemini.js
+// Gemini translation provider: one structured call per document chunk, or one call per sentence.
+// User text is sent as delimited data (see ./guard), answers are schema-constrained JSON and
+// every translation is validated before it is returned.
+
+const { DATA_INSTRUCTION, delimitData, validateTranslation } = require('./guard');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+
+const SYSTEM_INSTRUCTION = `You translate Japanese text into natural English. ${DATA_INSTRUCTION} `
+    + 'Reply only with JSON matching the response schema, with no labels, comments or Markdown.';
+
+// Response schemas (OpenAPI subset understood by the Gemini API)
+const SENTENCE_SCHEMA = {
+    type: 'object',
+    properties: { translation: { type: 'string' } },
+    required: ['translation'],
+};
+const DOCUMENT_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: { index: { type: 'integer' }, translation: { type: 'string' } },
+        required: ['index', 'translation'],
+    },
+};
+
+// --- Prompts ---
+function buildSentencePrompt(sentence) {
+    return `
+        Translate the Japanese sentence in the data below into natural English.
+        Return {"translation": "<English translation>"}.
+
+        ${delimitData(sentence)}
+    `;
+}
+
+// `context`: the sentences just before this part of the document (long documents are
+// translated in chunks), sent for reference only
+function buildDocumentPrompt(sentences, context = []) {
+    const numbered = sentences.map((text, i) => ({ index: i + 1, text }));
+    const data = context.length > 0 ? { context, sentences: numbered } : numbered;
+    const dataShape = context.length > 0
+        ? 'The data is a JSON object: "sentences" is an array of numbered sentences from the document, "context" holds '
+            + 'the sentences just before them. Use the context to understand the sentences but do not translate it.'
+        : 'The data is a JSON array of numbered sentences.';
+    return `
+        Translate the Japanese document in the data below into natural English.
+        ${dataShape} Use the whole document as context (omitted subjects,
+        pronouns, tone) so that the translations read as one coherent text, but translate each sentence separately.
+        Return exactly ${sentences.length} objects, in the same order as the input,
+        each of the form {"index": <sentence number>, "translation": "<English translation>"}.
+        Do not merge, split, skip or reorder sentences.
+
+        ${delimitData(data)}
+    `;
+}
+
+// --- Response parsing and checks ---
+// Parse the model output (tolerates a ```json fence around it); null unless it is JSON
+const parseJson = (text) => {
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(cleaned);
+    } catch {
+        return null;
+    }
+};
+
+function parseJsonArray(text) {
+    const parsed = parseJson(text);
+    return Array.isArray(parsed) ? parsed : null;
+}
+
+function parseJsonObject(text) {
+    const parsed = parseJson(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+}
+
+// Check the response lines up with the input: item i must carry index i + 1 and a
+// non-empty translation. Returns one translation (or null when the check fails) per sentence.
+function alignTranslations(items, sentenceCount) {
+    const aligned = new Array(sentenceCount).fill(null);
+    if (!items) return aligned;
+    for (let i = 0; i < sentenceCount; i++) {
+        const item = items[i];
+        if (item && item.index === i + 1 && typeof item.translation === 'string' && item.translation.trim()) {
+            aligned[i] = item.translation.trim();
+        }
+    }
+    return aligned;
+}
+
+// Throws when the API key is missing or the SDK rejects the configuration.
+// `GoogleGenerativeAI` can be injected (tests); defaults to the real SDK.
+function createGeminiTranslator({ apiKey, modelName = DEFAULT_GEMINI_MODEL, GoogleGenerativeAI } = {}) {
+    if (!apiKey) throw new Error("API Key missing");
+    const SDK = GoogleGenerativeAI || require('@google/generative-ai').GoogleGenerativeAI;
+    const client = new SDK(apiKey);
+    const modelWithSchema = (responseSchema) => client.getGenerativeModel({
+        model: modelName,
+        systemInstruction: SYSTEM_INSTRUCTION,
+        generationConfig: { responseMimeType: 'application/json', responseSchema },
+    });
+    const sentenceModel = modelWithSchema(SENTENCE_SCHEMA);
+    const documentModel = modelWithSchema(DOCUMENT_SCHEMA);
+    console.log(`✅ Gemini client initialized successfully with model: ${modelName}`);
+
+    // Throws when the response is not the expected JSON or the translation is rejected
+    const translateSentence = async (sentence) => {
+        const result = await sentenceModel.generateContent(buildSentencePrompt(sentence));
+        const parsed = parseJsonObject(result.response.text());
+        if (!parsed) throw new Error('Rejected translation: response was not a JSON object');
+        const { translation, error } = validateTranslation(sentence, parsed.translation);
+        if (error) throw new Error(`Rejected translation: ${error}`);
+        console.log(`Gemini generated translation for: "${sentence}"`);
+        return translation;
+    };
+
+    // Returns one translation per sentence, null where the response didn't line up or
+    // the translation was rejected
+    const translateDocument = async (sentences, context = []) => {
+        const result = await documentModel.generateContent(buildDocumentPrompt(sentences, context));
+        const items = parseJsonArray(result.response.text());
+        if (!items) console.warn('Document translation response was not a JSON array.');
+        const aligned = alignTranslations(items, sentences.length).map((translation, i) => {
+            if (!translation) return null;
+            const checked = validateTranslation(sentences[i], translation);
+            if (checked.error) console.warn(`Rejected document translation for "${sentences[i]}": ${checked.error}`);
+            return checked.translation || null;
+        });
+        console.log(`Gemini translated ${aligned.filter(Boolean).length}/${sentences.length} sentences in one call.`);
+        return aligned;
+    };
+
+    return { name: 'gemini', version: `gemini:${modelName}`, translateSentence, translateDocument };
+}
+
+module.exports = {
+    DEFAULT_GEMINI_MODEL,
+    createGeminiTranslator,
+    buildSentencePrompt,
+    buildDocumentPrompt,
+    alignTranslations,
+    parseJsonArray,
+    parseJsonObject,
+};
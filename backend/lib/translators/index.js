@@ -0,0 +1,131 @@
+// backend/lib/translators/index.js
+// Pluggable translation layer. A provider exposes:
+//   name, version                      - id used in configuration / cache keys (e.g. "gemini:gemini-2.0-flash")
+//   translateSentence(sentence)        -> Promise<string>, throws on failure (or a rejected translation)
+//   translateDocument(sentences, context)
+//                                      -> Promise<Array<string | null>> (optional; null = not translated),
+//                                         `context` being the sentences before this chunk of the document
+// Providers are tried in the configured order (TRANSLATION_PROVIDERS, e.g. "gemini,local").
+
+const { createGeminiTranslator } = require('./gemini');
+const { createLocalTranslator } = require('./local');
+
+const TRANSLATION_ERROR = "[Translation API Error]";
+
+// Documents are translated in chunks of at most this many sentences and characters, so a
+// long text never goes out as one huge request and each chunk can be shown once it's done
+const DOCUMENT_CHUNK_SENTENCES = 20;
+const DOCUMENT_CHUNK_CHARS = 2000;
+const DOCUMENT_CONTEXT_SENTENCES = 3; // preceding sentences sent along with a chunk
+
+const providerFactories = {
+    gemini: (options) => createGeminiTranslator(options.gemini),
+    local: (options) => createLocalTranslator(options.local),
+};
+
+// Parse "gemini, local" into ['gemini', 'local']
+const parseProviderList = (value, fallback = ['gemini']) => {
+    if (value === undefined) return fallback;
+    return value.split(',').map(name => name.trim()).filter(Boolean);
+};
+
+// Split sentences into consecutive chunks within the limits above (a single sentence over the
+// character budget gets a chunk of its own). Returns [{ start, sentences }].
+function chunkSentences(sentences, { maxSentences = DOCUMENT_CHUNK_SENTENCES, maxChars = DOCUMENT_CHUNK_CHARS } = {}) {
+    const chunks = [];
+    let current = null;
+    let chars = 0;
+    sentences.forEach((sentence, index) => {
+        if (!current || current.sentences.length >= maxSentences || chars + sentence.length > maxChars) {
+            current = { start: index, sentences: [] };
+            chunks.push(current);
+            chars = 0;
+        }
+        current.sentences.push(sentence);
+        chars += sentence.length;
+    });
+    return chunks;
+}
+
+// Build the ordered fallback chain. Providers that fail to initialize (missing API key,
+// unknown name) are logged and skipped; `available` is false when none are left.
+function createTranslationChain(providerNames, options = {}) {
+    const providers = [];
+    for (const name of providerNames) {
+        try {
+            const factory = providerFactories[name];
+            if (!factory) throw new Error(`Unknown translation provider '${name}'`);
+            providers.push(factory(options));
+        } catch (initError) {
+            console.error(`❌ Error initializing translation provider '${name}':`, initError.message);
+        }
+    }
+    if (providers.length === 0) {
+        console.error("⚠️ No translation provider available. Text will be processed without translations.");
+    }
+
+    // Try each provider in order; the first non-empty translation wins. When all of them
+    // fail, `error` says why the last one did (e.g. "gemini: Rejected translation: ...").
+    const translateSentence = async (sentence) => {
+        let lastError = 'no translation returned';
+        for (const provider of providers) {
+            try {
+                const translation = await provider.translateSentence(sentence);
+                if (translation) return { translation, source: 'sentence', translator: provider.name };
+                lastError = `${provider.name}: no translation returned`;
+            } catch (providerError) {
+                console.error(`Error translating with '${provider.name}':`, sentence, providerError.message);
+                lastError = `${provider.name}: ${providerError.message}`;
+            }
+        }
+        return { translation: TRANSLATION_ERROR, source: 'sentence', translator: null, error: lastError };
+    };
+
+    // One document-level call per chunk with the first provider that supports it; sentences
+    // it doesn't cover go through the per-sentence chain. onTranslated(index, result) is
+    // awaited for every sentence of a chunk as soon as that chunk is done.
+    const translateDocument = async (sentences, onTranslated = () => {}) => {
+        const results = new Array(sentences.length).fill(null);
+        const documentProvider = providers.find(provider => provider.translateDocument);
+        for (const chunk of chunkSentences(sentences)) {
+            const chunkResults = new Array(chunk.sentences.length).fill(null);
+            if (documentProvider) {
+                const context = sentences.slice(Math.max(0, chunk.start - DOCUMENT_CONTEXT_SENTENCES), chunk.start);
+                try {
+                    const aligned = await documentProvider.translateDocument(chunk.sentences, context);
+                    aligned.forEach((translation, i) => {
+                        if (translation) chunkResults[i] = { translation, source: 'document', translator: documentProvider.name };
+                    });
+                } catch (providerError) {
+                    console.error(`Error translating document with '${documentProvider.name}':`, providerError.message);
+                }
+            }
+            for (const [i, sentence] of chunk.sentences.entries()) {
+                if (!chunkResults[i]) {
+                    console.warn(`Falling back to per-sentence translation for: "${sentence}"`);
+                    chunkResults[i] = await translateSentence(sentence);
+                }
+                results[chunk.start + i] = chunkResults[i];
+                await onTranslated(chunk.start + i, chunkResults[i]);
+            }
+        }
+        return results;
+    };
+
+    return {
+        available: providers.length > 0,
+        providers: providers.map(provider => provider.name),
+        version: providers.map(provider => provider.version).join('>'),
+        translateSentence,
+        translateDocument,
+    };
+}
+
+module.exports = {
+    TRANSLATION_ERROR,
+    DOCUMENT_CHUNK_SENTENCES,
+    DOCUMENT_CHUNK_CHARS,
+    chunkSentences,
+    createTranslationChain,
+    parseProviderList,
+};
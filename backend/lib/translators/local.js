@@ -0,0 +1,45 @@
+// backend/lib/translators/local.js
+// Local, deterministic stand-in translator for offline development and tests.
+//   gloss - word-by-word English glosses from the JMdict index ("ご飯 · to eat")
+//   echo  - returns the sentence itself, marked as untranslated
+// Gloss mode falls back to echo while the tokenizer or dictionary is unavailable.
+
+const LOCAL_TRANSLATOR_MODES = ['gloss', 'echo'];
+
+// Parts of speech worth glossing; particles, auxiliaries and punctuation are dropped
+const CONTENT_POS = ['名詞', '動詞', '形容詞', '副詞', '連体詞', '感動詞', '接続詞'];
+
+// `tokenize(sentence)` resolves to word tokens (lib/tokenizer) or null;
+// `lookupGloss(word)` returns the first English gloss for a dictionary form or null.
+function createLocalTranslator({ mode = 'gloss', tokenize, lookupGloss } = {}) {
+    if (!LOCAL_TRANSLATOR_MODES.includes(mode)) {
+        throw new Error(`Unknown local translator mode '${mode}'. Expected one of: ${LOCAL_TRANSLATOR_MODES.join(', ')}`);
+    }
+
+    const echo = (sentence) => `[untranslated] ${sentence}`;
+
+    const gloss = async (sentence) => {
+        const tokens = tokenize ? await tokenize(sentence) : null;
+        if (!tokens || !lookupGloss) return echo(sentence);
+
+        // Gloss each word by the dictionary form of its first token
+        const words = [];
+        for (const token of tokens) {
+            if (words[token.word_index]) {
+                words[token.word_index].surface += token.surface;
+            } else {
+                words[token.word_index] = { head: token, surface: token.surface };
+            }
+        }
+        const parts = words
+            .filter(word => word && CONTENT_POS.includes(word.head.pos))
+            .map(word => lookupGloss(word.head.base_form) || word.surface);
+        return parts.length > 0 ? parts.join(' · ') : echo(sentence);
+    };
+
+    const translateSentence = mode === 'gloss' ? gloss : async (sentence) => echo(sentence);
+
+    return { name: 'local', version: `local:${mode}`, translateSentence };
+}
+
+module.exports = { createLocalTranslator, LOCAL_TRANSLATOR_MODES };
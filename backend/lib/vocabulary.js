@@ -0,0 +1,133 @@
+// backend/lib/vocabulary.js
+// Vocabulary SRS cards (table: user_vocab_srs, see migrations/): words and expressions keyed by
+// word + reading, with their meaning and the sentence they were picked from. Scheduled like
+// kanji cards (./schedulers). Every query is scoped to the owning user.
+
+const wanakana = require('wanakana');
+const { DEFAULT_CARD_STATE, cardState } = require('./schedulers');
+
+const MAX_WORD_LENGTH = 100;
+const MAX_MEANING_LENGTH = 500;
+const MAX_SENTENCE_LENGTH = 1000;
+
+const japaneseRegex = /[\u3040-\u30FF\u4E00-\u9FAF\u3400-\u4DBF\u3005]/;
+const kanaOnlyRegex = /^[\u3040-\u30FF]+$/; // hiragana, katakana and ー
+
+// Readings are stored in hiragana (keeping ー) so ケーキ / けーき are the same card
+const normalizeReading = (reading) => wanakana.toHiragana(reading.trim(), { convertLongVowelMark: false });
+
+// Validate the word, reading and (optional) meaning and sentence of a card.
+// Returns { fields } or { error }; reading is null when not given.
+function parseVocabFields(body) {
+    const { word, reading, meaning, sentence } = body || {};
+    if (typeof word !== 'string' || !word.trim() || !japaneseRegex.test(word)) {
+        return { error: 'word must be a Japanese word or expression.' };
+    }
+    if (word.trim().length > MAX_WORD_LENGTH) return { error: `word is too long (max ${MAX_WORD_LENGTH} characters).` };
+    if (reading !== undefined && reading !== null) {
+        if (typeof reading !== 'string' || !kanaOnlyRegex.test(reading.trim())) {
+            return { error: 'reading must be written in kana.' };
+        }
+    }
+    if (meaning !== undefined && meaning !== null) {
+        if (typeof meaning !== 'string') return { error: 'meaning must be a string.' };
+        if (meaning.length > MAX_MEANING_LENGTH) return { error: `meaning is too long (max ${MAX_MEANING_LENGTH} characters).` };
+    }
+    if (sentence !== undefined && sentence !== null) {
+        if (typeof sentence !== 'string') return { error: 'sentence must be a string.' };
+        if (sentence.length > MAX_SENTENCE_LENGTH) return { error: `sentence is too long (max ${MAX_SENTENCE_LENGTH} characters).` };
+    }
+    return {
+        fields: {
+            word: word.trim(),
+            reading: typeof reading === 'string' ? normalizeReading(reading) : null,
+            meaning: typeof meaning === 'string' && meaning.trim() ? meaning.trim() : null,
+            sentence: typeof sentence === 'string' && sentence.trim() ? sentence.trim() : null,
+        },
+    };
+}
+
+// Fill in the reading (kana-only words are their own reading) and the meaning from the word
+// dictionary entry (lookupExact of lib/wordDictionary) when they were not given.
+// Returns { fields } or { error } when the reading can't be found.
+function completeVocabFields(fields, lookupExact) {
+    const entries = lookupExact ? lookupExact(fields.word) : [];
+    const hasReading = (entry, reading) => entry.readings.some(form => normalizeReading(form.text) === reading);
+
+    let { reading } = fields;
+    if (!reading) {
+        if (kanaOnlyRegex.test(fields.word)) reading = normalizeReading(fields.word);
+        else if (entries.length > 0) reading = normalizeReading(entries[0].readings[0].text);
+        else return { error: 'reading is required (the word is not in the dictionary).' };
+    }
+    let { meaning } = fields;
+    if (!meaning) {
+        const entry = entries.find(candidate => hasReading(candidate, reading));
+        meaning = entry ? entry.senses[0].glosses.join('; ') : null;
+    }
+    return { fields: { ...fields, reading, meaning } };
+}
+
+const formatVocabCard = (row) => ({
+    word: row.word,
+    reading: row.reading,
+    meaning: row.meaning,
+    source_sentence: row.source_sentence,
+    interval: parseFloat(row.interval) || 0,
+    repetition: parseInt(row.repetition, 10) || 0,
+    efactor: parseFloat(row.efactor),
+    difficulty: row.difficulty === null || row.difficulty === undefined ? null : parseFloat(row.difficulty),
+    stability: row.stability === null || row.stability === undefined ? null : parseFloat(row.stability),
+    due_date: row.due_date,
+    last_reviewed_at: row.last_reviewed_at,
+    created_at: row.created_at,
+});
+
+// Add a new card, due right away. Returns { card, created }; an existing card is left as it is
+// (created: false).
+async function addVocabCard(pool, userId, { word, reading, meaning, sentence }) {
+    const inserted = await pool.query(
+        `INSERT INTO user_vocab_srs (user_id, word, reading, meaning, source_sentence, interval, repetition, efactor, due_date)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+         ON CONFLICT (user_id, word, reading) DO NOTHING
+         RETURNING *`,
+        [userId, word, reading, meaning, sentence, DEFAULT_CARD_STATE.interval, DEFAULT_CARD_STATE.repetition, DEFAULT_CARD_STATE.efactor]
+    );
+    if (inserted.rows.length > 0) return { card: formatVocabCard(inserted.rows[0]), created: true };
+    const existing = await pool.query(
+        'SELECT * FROM user_vocab_srs WHERE user_id = $1 AND word = $2 AND reading = $3',
+        [userId, word, reading]
+    );
+    return { card: existing.rows[0] ? formatVocabCard(existing.rows[0]) : null, created: false };
+}
+
+// Record a review with the user's scheduler (lib/schedulers); returns { card, previous, next }
+// (the rescheduled card, its row before the review and the scheduler's result), or null when
+// the user has no such card
+async function reviewVocabCard(pool, userId, { word, reading }, grade, { scheduler, targetRetention, now = new Date() }) {
+    const current = await pool.query(
+        `SELECT interval, repetition, efactor, difficulty, stability, last_reviewed_at
+         FROM user_vocab_srs WHERE user_id = $1 AND word = $2 AND reading = $3`,
+        [userId, word, reading]
+    );
+    if (current.rows.length === 0) return null;
+    const next = scheduler.schedule(cardState(current.rows[0]), grade, { now, targetRetention });
+    const updated = await pool.query(
+        `UPDATE user_vocab_srs
+         SET interval = $4, repetition = $5, efactor = $6, difficulty = $7, stability = $8, retrievability = $9,
+             due_date = $10, last_reviewed_at = $11, updated_at = NOW()
+         WHERE user_id = $1 AND word = $2 AND reading = $3
+         RETURNING *`,
+        [userId, word, reading, next.interval, next.repetition, next.efactor, next.difficulty, next.stability, next.retrievability, next.due_date, now]
+    );
+    return updated.rows[0] ? { card: formatVocabCard(updated.rows[0]), previous: current.rows[0], next } : null;
+}
+
+module.exports = {
+    parseVocabFields,
+    completeVocabFields,
+    normalizeReading,
+    formatVocabCard,
+    addVocabCard,
+    reviewVocabCard,
+};
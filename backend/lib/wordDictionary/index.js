@@ -0,0 +1,103 @@
+// backend/lib/wordDictionary/index.js
+// Word dictionary backed by a pre-built JMdict index (`npm run build:jmdict-index`).
+// Queries may be kanji, kana or romaji; romaji is converted to kana with wanakana.
+
+const fs = require('fs');
+const path = require('path');
+const wanakana = require('wanakana');
+
+const DEFAULT_JMDICT_INDEX_PATH = path.join(__dirname, '..', '..', 'data', 'jmdict-index.json');
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// Readings are keyed in hiragana so that katakana and romaji queries find them too
+const readingKey = (text) => wanakana.toHiragana(text, { passRomaji: true });
+
+// Turn the raw query into the key used for lookups
+function normalizeQuery(query) {
+    const trimmed = query.trim();
+    if (wanakana.isRomaji(trimmed)) {
+        return { key: wanakana.toHiragana(trimmed.toLowerCase()), isReading: true };
+    }
+    if (wanakana.isKana(trimmed)) {
+        return { key: readingKey(trimmed), isReading: true };
+    }
+    return { key: trimmed, isReading: false };
+}
+
+const addToMap = (map, key, entryIndex) => {
+    if (!map.has(key)) map.set(key, []);
+    const list = map.get(key);
+    if (list[list.length - 1] !== entryIndex) list.push(entryIndex);
+};
+
+function createWordDictionary({ indexPath = DEFAULT_JMDICT_INDEX_PATH } = {}) {
+    // Read once at startup; a missing or corrupt file throws here, not mid-request
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (!index || !Array.isArray(index.entries)) {
+        throw new Error(`Invalid JMdict index file: ${indexPath}`);
+    }
+
+    // form -> entry indexes, for kanji forms and (hiragana) readings
+    const byKanji = new Map();
+    const byReading = new Map();
+    index.entries.forEach((entry, entryIndex) => {
+        entry.kanji.forEach(form => addToMap(byKanji, form.text, entryIndex));
+        entry.readings.forEach(form => addToMap(byReading, readingKey(form.text), entryIndex));
+    });
+    console.log(`✅ Loaded JMdict index (${index.entries.length} entries).`);
+
+    const matchingEntries = (map, key) => {
+        const exact = map.get(key) || [];
+        const prefix = [];
+        for (const [form, entryIndexes] of map) {
+            if (form !== key && form.startsWith(key)) prefix.push(...entryIndexes);
+        }
+        return { exact, prefix };
+    };
+
+    // Exact matches first, then prefix matches; common and frequent words first in each group
+    const rank = (entryIndexes) => [...new Set(entryIndexes)]
+        .map(entryIndex => index.entries[entryIndex])
+        .sort((a, b) => (
+            (b.common - a.common)
+            || ((a.frequency_rank || Infinity) - (b.frequency_rank || Infinity))
+            || (a.id - b.id)
+        ));
+
+    const search = (query, { limit = DEFAULT_SEARCH_LIMIT } = {}) => {
+        const { key, isReading } = normalizeQuery(query);
+        if (!key) return { normalizedQuery: key, entries: [] };
+
+        const { exact, prefix } = matchingEntries(isReading ? byReading : byKanji, key);
+        const exactEntries = rank(exact);
+        const seen = new Set(exactEntries);
+        const prefixEntries = rank(prefix).filter(entry => !seen.has(entry));
+
+        return { normalizedQuery: key, entries: [...exactEntries, ...prefixEntries].slice(0, limit) };
+    };
+
+    // Entries whose kanji form or reading is exactly `word` (no prefix matches), best first
+    const lookupExact = (word) => {
+        const { key, isReading } = normalizeQuery(word);
+        if (!key) return [];
+        return rank((isReading ? byReading : byKanji).get(key) || []);
+    };
+
+    // Descriptions for the tag codes used by the given entries (e.g. v1 -> "Ichidan verb")
+    const describeTags = (entries) => {
+        const tags = {};
+        for (const entry of entries) {
+            const codes = [
+                ...entry.kanji.flatMap(form => form.tags),
+                ...entry.readings.flatMap(form => form.tags),
+                ...entry.senses.flatMap(sense => [...sense.pos, ...sense.misc]),
+            ];
+            codes.forEach(code => { if (index.tags[code]) tags[code] = index.tags[code]; });
+        }
+        return tags;
+    };
+
+    return { search, lookupExact, describeTags };
+}
+
+module.exports = { createWordDictionary, normalizeQuery, DEFAULT_JMDICT_INDEX_PATH };
@@ -0,0 +1,85 @@
+// backend/lib/wordDictionary/jmdict.js
+// Converts the JMdict XML file (EDRDG, CC BY-SA 4.0) into the compact index read by
+// the word dictionary: { source, tags: { [code]: description }, entries: [...] }.
+
+// Priority codes JMdict uses to mark a word as common
+const COMMON_PRIORITIES = ['news1', 'ichi1', 'spec1', 'spec2', 'gai1'];
+
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Values of <tag>value</tag> / <tag attr="...">value</tag>
+const tagValues = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}(?: [^>]*)?>([^<]*)</${tag}>`, 'g'))].map(match => match[1]);
+// JMdict writes tag codes as DTD entities (&v1;); keep just the code
+const entityCodes = (xml, tag) => tagValues(xml, tag).map(value => value.replace(/^&(.+);$/, '$1'));
+const elements = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+
+// nfXX = frequency band XX (500 words each) in the newspaper corpus; lower is more frequent
+const frequencyRank = (priorities) => {
+    const bands = priorities.filter(p => /^nf\d\d$/.test(p)).map(p => parseInt(p.slice(2), 10));
+    return bands.length > 0 ? Math.min(...bands) : null;
+};
+
+function parseEntry(entryXml) {
+    const kanji = elements(entryXml, 'k_ele').map(kEle => {
+        const priorities = tagValues(kEle, 'ke_pri');
+        return {
+            text: decodeEntities(tagValues(kEle, 'keb')[0]),
+            common: priorities.some(p => COMMON_PRIORITIES.includes(p)),
+            tags: entityCodes(kEle, 'ke_inf'),
+            priorities,
+        };
+    });
+    const readings = elements(entryXml, 'r_ele').map(rEle => {
+        const priorities = tagValues(rEle, 're_pri');
+        return {
+            text: decodeEntities(tagValues(rEle, 'reb')[0]),
+            common: priorities.some(p => COMMON_PRIORITIES.includes(p)),
+            tags: entityCodes(rEle, 're_inf'),
+            priorities,
+        };
+    });
+
+    // A sense without <pos> inherits the part of speech of the previous sense
+    let previousPos = [];
+    const senses = elements(entryXml, 'sense').map(sense => {
+        const pos = entityCodes(sense, 'pos');
+        if (pos.length > 0) previousPos = pos;
+        return {
+            pos: previousPos,
+            glosses: [...sense.matchAll(/<gloss(?: ([^>]*))?>([^<]*)<\/gloss>/g)]
+                .filter(match => !match[1] || !/xml:lang="(?!eng)/.test(match[1])) // English glosses only
+                .map(match => decodeEntities(match[2])),
+            misc: [...entityCodes(sense, 'misc'), ...entityCodes(sense, 'field'), ...entityCodes(sense, 'dial')],
+        };
+    }).filter(sense => sense.glosses.length > 0);
+
+    const allPriorities = [...kanji, ...readings].flatMap(form => form.priorities);
+    return {
+        id: parseInt(tagValues(entryXml, 'ent_seq')[0], 10),
+        kanji: kanji.map(({ priorities, ...form }) => form),
+        readings: readings.map(({ priorities, ...form }) => form),
+        senses: senses,
+        common: [...kanji, ...readings].some(form => form.common),
+        frequency_rank: frequencyRank(allPriorities),
+    };
+}
+
+function buildJmdictIndex(xml) {
+    // Tag descriptions come from the DTD: <!ENTITY v1 "Ichidan verb">
+    const tags = {};
+    for (const match of xml.matchAll(/<!ENTITY ([\w-]+) "([^"]*)">/g)) {
+        tags[match[1]] = match[2];
+    }
+    return {
+        source: 'JMdict',
+        tags: tags,
+        entries: elements(xml, 'entry').map(parseEntry),
+    };
+}
+
+module.exports = { buildJmdictIndex };
@@ -0,0 +1,9 @@
+-- Persistent cache for kanji dictionary lookups (served before calling Jisho).
+-- details holds the kanji_details_map entry; NULL means the kanji was not found.
+CREATE TABLE IF NOT EXISTS kanji_details_cache (
+    kanji_character TEXT PRIMARY KEY,
+    details JSONB,
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kanji_details_cache_fetched_at ON kanji_details_cache (fetched_at);
@@ -0,0 +1,13 @@
+-- Content-addressed cache of processed sentences (furigana, tokens, Kanji details, translation).
+-- sentence_hash is the SHA-256 of the normalized sentence (see lib/sentenceCache.js);
+-- cache_version identifies the translator/model and Kanji dictionary that produced the result,
+-- so changing either misses.
+CREATE TABLE IF NOT EXISTS processed_sentence_cache (
+    sentence_hash TEXT NOT NULL,
+    cache_version TEXT NOT NULL,
+    result JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (sentence_hash, cache_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_sentence_cache_created_at ON processed_sentence_cache (created_at);
@@ -0,0 +1,15 @@
+-- Saved documents (the Library): the source text with its processed sentences, so a
+-- document can be reopened without processing or translating it again.
+-- furigana holds the furigana options the sentences were rendered with.
+CREATE TABLE IF NOT EXISTS documents (
+    document_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    source_text TEXT NOT NULL,
+    processed_sentences JSONB NOT NULL DEFAULT '[]',
+    furigana JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_user_updated_at ON documents (user_id, updated_at DESC);
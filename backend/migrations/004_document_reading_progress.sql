@@ -0,0 +1,6 @@
+-- Reading position in saved documents: the last sentence the user viewed (index into
+-- processed_sentences) and when. Kept apart from updated_at so reading doesn't reorder the Library.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS last_sentence_index INTEGER;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS last_read_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_documents_user_last_read_at ON documents (user_id, last_read_at DESC);
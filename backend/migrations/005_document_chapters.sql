@@ -0,0 +1,19 @@
+-- Multi-chapter documents (EPUB uploads). The document row keeps the book's metadata and the
+-- whole text (for the Library preview); each spine chapter is a row of document_chapters whose
+-- processed_sentences stay NULL until the chapter is first opened and processed.
+-- ruby holds the author's annotations as [{ start, end, reading }] offsets into source_text.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS source_type TEXT NOT NULL DEFAULT 'text';
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS author TEXT;
+-- Reading position within a multi-chapter document: last_sentence_index counts within this chapter
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS last_chapter_index INTEGER;
+
+CREATE TABLE IF NOT EXISTS document_chapters (
+    document_id INTEGER NOT NULL REFERENCES documents(document_id) ON DELETE CASCADE,
+    chapter_index INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    source_text TEXT NOT NULL,
+    ruby JSONB NOT NULL DEFAULT '[]',
+    processed_sentences JSONB,
+    furigana JSONB,
+    PRIMARY KEY (document_id, chapter_index)
+);
@@ -0,0 +1,20 @@
+-- Vocabulary SRS cards, next to the single-kanji cards of user_kanji_srs: a word or expression
+-- keyed by word + reading (hiragana), with its meaning and the sentence it was picked from.
+-- interval / repetition / efactor / due_date are SM-2 scheduling state, as for kanji cards.
+CREATE TABLE IF NOT EXISTS user_vocab_srs (
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    word TEXT NOT NULL,
+    reading TEXT NOT NULL,
+    meaning TEXT,
+    source_sentence TEXT,
+    interval INTEGER NOT NULL DEFAULT 0,
+    repetition INTEGER NOT NULL DEFAULT 0,
+    efactor REAL NOT NULL DEFAULT 2.5,
+    due_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, word, reading)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_vocab_srs_user_due_date ON user_vocab_srs (user_id, due_date);
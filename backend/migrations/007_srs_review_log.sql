@@ -0,0 +1,21 @@
+-- Every SRS review, kept for statistics (retention, reviews per day) since the card tables only
+-- hold the current scheduling state. card_key is the kanji of kanji cards and the word of
+-- vocabulary cards (reading: NULL for kanji). elapsed_days is the time since the card's previous
+-- review (NULL for a first review); duration_ms how long the answer took, when the client sent it.
+CREATE TABLE IF NOT EXISTS srs_review_log (
+    review_id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    card_type TEXT NOT NULL CHECK (card_type IN ('kanji', 'vocab')),
+    card_key TEXT NOT NULL,
+    reading TEXT,
+    grade SMALLINT NOT NULL CHECK (grade BETWEEN 0 AND 5),
+    previous_interval INTEGER NOT NULL,
+    new_interval INTEGER NOT NULL,
+    previous_efactor REAL NOT NULL,
+    new_efactor REAL NOT NULL,
+    elapsed_days REAL,
+    duration_ms INTEGER,
+    reviewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_srs_review_log_user_reviewed_at ON srs_review_log (user_id, reviewed_at);
@@ -0,0 +1,21 @@
+-- Choice of scheduler per user (lib/schedulers): SM-2 or FSRS, and for FSRS the share of cards
+-- the user wants to still remember when they come due (target retention).
+CREATE TABLE IF NOT EXISTS user_srs_settings (
+    user_id INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    algorithm TEXT NOT NULL DEFAULT 'sm2' CHECK (algorithm IN ('sm2', 'fsrs')),
+    target_retention REAL NOT NULL DEFAULT 0.9 CHECK (target_retention BETWEEN 0.7 AND 0.99),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- FSRS memory state of each card: difficulty (1-10), stability (days) and the retrievability
+-- at its last review. NULL while the card is scheduled with SM-2.
+ALTER TABLE user_kanji_srs ADD COLUMN IF NOT EXISTS difficulty REAL;
+ALTER TABLE user_kanji_srs ADD COLUMN IF NOT EXISTS stability REAL;
+ALTER TABLE user_kanji_srs ADD COLUMN IF NOT EXISTS retrievability REAL;
+ALTER TABLE user_vocab_srs ADD COLUMN IF NOT EXISTS difficulty REAL;
+ALTER TABLE user_vocab_srs ADD COLUMN IF NOT EXISTS stability REAL;
+ALTER TABLE user_vocab_srs ADD COLUMN IF NOT EXISTS retrievability REAL;
+
+-- Which scheduler handled each review, and the retrievability FSRS predicted for it
+ALTER TABLE srs_review_log ADD COLUMN IF NOT EXISTS scheduler TEXT NOT NULL DEFAULT 'sm2';
+ALTER TABLE srs_review_log ADD COLUMN IF NOT EXISTS retrievability REAL;
@@ -0,0 +1,17 @@
+-- Context sentences of kanji cards: where the user met the kanji, several per card. Each has
+-- the sentence, its translation and, for sentences of saved documents, the document and the
+-- sentence's position in it (chapter_index: books only). Deleting the card deletes its
+-- contexts; deleting the document only drops the reference.
+CREATE TABLE IF NOT EXISTS user_kanji_srs_contexts (
+    context_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    kanji_character TEXT NOT NULL,
+    sentence TEXT NOT NULL,
+    translation TEXT,
+    document_id INTEGER REFERENCES documents(document_id) ON DELETE SET NULL,
+    chapter_index INTEGER,
+    sentence_index INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (user_id, kanji_character) REFERENCES user_kanji_srs(user_id, kanji_character) ON DELETE CASCADE,
+    UNIQUE (user_id, kanji_character, sentence)
+);
@@ -0,0 +1,7 @@
+-- Managing SRS cards from the card browser. Suspended cards stay out of the review queue until
+-- unsuspended; buried cards until buried_until (the start of the next day). Both keep their
+-- scheduling state.
+ALTER TABLE user_kanji_srs ADD COLUMN IF NOT EXISTS suspended BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_kanji_srs ADD COLUMN IF NOT EXISTS buried_until TIMESTAMPTZ;
+ALTER TABLE user_vocab_srs ADD COLUMN IF NOT EXISTS suspended BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_vocab_srs ADD COLUMN IF NOT EXISTS buried_until TIMESTAMPTZ;
@@ -0,0 +1,3 @@
+-- Finds the saved document of a text when the same text is processed again, so the library
+-- keeps one document per text (see createDocument in lib/documents.js).
+CREATE INDEX IF NOT EXISTS idx_documents_user_source_md5 ON documents (user_id, md5(source_text));
@@ -0,0 +1,26 @@
+// backend/scripts/build-jmdict-index.js
+// Builds data/jmdict-index.json from the JMdict XML file.
+//
+// Download JMdict_e.gz from https://www.edrdg.org/jmdict/j_jmdict.html,
+// then run:  npm run build:jmdict-index -- path/to/JMdict_e.gz [output.json]
+// JMdict is (c) the Electronic Dictionary Research and Development Group, CC BY-SA 4.0.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { buildJmdictIndex } = require('../lib/wordDictionary/jmdict');
+const { DEFAULT_JMDICT_INDEX_PATH } = require('../lib/wordDictionary');
+
+const [inputPath, outputPath = DEFAULT_JMDICT_INDEX_PATH] = process.argv.slice(2);
+if (!inputPath) {
+    console.error('Usage: node scripts/build-jmdict-index.js <JMdict_e[.gz]> [output.json]');
+    process.exit(1);
+}
+
+let raw = fs.readFileSync(inputPath);
+if (inputPath.endsWith('.gz')) raw = zlib.gunzipSync(raw);
+
+const index = buildJmdictIndex(raw.toString('utf8'));
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, JSON.stringify(index));
+console.log(`✅ Wrote ${index.entries.length} entries to ${outputPath}`);
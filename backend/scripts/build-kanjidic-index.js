@@ -0,0 +1,26 @@
+// backend/scripts/build-kanjidic-index.js
+// Builds data/kanjidic2-index.json from the KANJIDIC2 XML file.
+//
+// Download kanjidic2.xml.gz from https://www.edrdg.org/wiki/index.php/KANJIDIC_Project,
+// then run:  npm run build:kanjidic-index -- path/to/kanjidic2.xml.gz [output.json]
+// KANJIDIC2 is (c) the Electronic Dictionary Research and Development Group, CC BY-SA 4.0.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { buildKanjidicIndex } = require('../lib/kanjiDictionary/kanjidic2');
+const { DEFAULT_KANJIDIC_INDEX_PATH } = require('../lib/kanjiDictionary');
+
+const [inputPath, outputPath = DEFAULT_KANJIDIC_INDEX_PATH] = process.argv.slice(2);
+if (!inputPath) {
+    console.error('Usage: node scripts/build-kanjidic-index.js <kanjidic2.xml[.gz]> [output.json]');
+    process.exit(1);
+}
+
+let raw = fs.readFileSync(inputPath);
+if (inputPath.endsWith('.gz')) raw = zlib.gunzipSync(raw);
+
+const index = buildKanjidicIndex(raw.toString('utf8'));
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, JSON.stringify(index));
+console.log(`✅ Wrote ${Object.keys(index.entries).length} kanji to ${outputPath}`);
@@ -0,0 +1,20 @@
+// backend/scripts/migrate.js
+// Brings the database at DATABASE_URL (.env) up to date with migrations/.
+//
+// Run:  npm run migrate
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { applyMigrations } = require('../lib/migrations');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+applyMigrations(pool, { log: (file) => console.log(`✅ Applied ${file}`) })
+    .then((applied) => {
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations.` : '✅ Database is up to date.');
+    })
+    .catch((error) => {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -1,8 +1,7 @@
-// backend/server.js (Using Gemini 2.0 Flash)
+// backend/server.js
 
 require('dotenv').config();
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const cors = require('cors');
 const { Pool } = require('pg');
 const bcrypt = require('bcrypt');
@@ -13,12 +12,34 @@ const { OAuth2Client } = require('google-auth-library');
 
 const Kuroshiro = require('kuroshiro').default;
 const KuromojiAnalyzer = require('kuroshiro-analyzer-kuromoji');
-const JishoApi = require('unofficial-jisho-api');
 const wanakana = require('wanakana'); // Import wanakana
 
-const { supermemo } = require('supermemo');
+const { tokenizeSentence } = require('./lib/tokenizer');
+const { resolveKanjiDetails, DEFAULT_TTL_DAYS } = require('./lib/kanjiCache');
+const { createKanjiDictionary } = require('./lib/kanjiDictionary');
+const { createWordDictionary } = require('./lib/wordDictionary');
+const { createTranslationChain, parseProviderList, TRANSLATION_ERROR } = require('./lib/translators');
+const { createGeminiExplainer } = require('./lib/explainer');
+const sentenceCache = require('./lib/sentenceCache');
+const documents = require('./lib/documents');
+const { parseEpub } = require('./lib/epub');
+const { segmentText } = require('./lib/segmenter');
+const { SUBTITLE_FORMATS, parseSubtitles, cueSegments } = require('./lib/subtitles');
+const { RUBY_FORMATS, parseRubySource, validateRuby, attachRuby } = require('./lib/ruby');
+const { JLPT_LEVELS, analyzeDifficulty } = require('./lib/difficulty');
+const { isValidGrade, cardState, getScheduler } = require('./lib/schedulers');
+const vocabulary = require('./lib/vocabulary');
+const srsCards = require('./lib/srsCards');
+const srsStats = require('./lib/srsStats');
+const srsSettings = require('./lib/srsSettings');
+const srsContexts = require('./lib/srsContexts');
+const { DEFAULT_FURIGANA_OPTIONS, parseFuriganaOptions, isDefaultOptions, renderFurigana } = require('./lib/furigana');
+const { buildFuriganaSegments, applyAuthorRuby, applySegmentOptions } = require('./lib/furiganaSegments');
 
-const jisho = new JishoApi();
+// How long cached remote kanji lookups stay valid (kanji_details_cache)
+const KANJI_CACHE_TTL_DAYS = parseInt(process.env.KANJI_CACHE_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+// How long processed sentences stay cached (processed_sentence_cache)
+const SENTENCE_CACHE_TTL_DAYS = parseInt(process.env.SENTENCE_CACHE_TTL_DAYS, 10) || sentenceCache.DEFAULT_TTL_DAYS;
 
 // --- Initialize DB Pool ---
 const pool = new Pool({
@@ -30,25 +51,79 @@ pool.query('SELECT NOW()', (err, res) => {
   else { console.log('✅ Database connection successful.'); }
 });
 
-// --- Initialize Gemini Client ---
-const apiKey = process.env.GEMINI_API_KEY;
-let model;
+// Translation modes for /api/process-text: one call per document chunk, or one per sentence
+const TRANSLATION_MODES = ['document', 'sentence'];
+const DEFAULT_TRANSLATION_MODE = TRANSLATION_MODES.includes(process.env.TRANSLATION_MODE) ? process.env.TRANSLATION_MODE : 'document';
+
+// --- Initialize Kanji Dictionary (KANJI_DICTIONARY_PROVIDER: jisho | kanjidic) ---
+// A provider that can't be set up (e.g. kanjidic without its index) stops the server, so an
+// offline setup never silently turns into Jisho lookups over the network.
+const kanjiDictionary = createKanjiDictionary({
+    provider: process.env.KANJI_DICTIONARY_PROVIDER || 'jisho',
+    kanjidicIndexPath: process.env.KANJIDIC_INDEX_PATH,
+});
+console.log(`✅ Kanji dictionary provider: ${kanjiDictionary.name}`);
+
+// --- Initialize Word Dictionary (JMdict index built with `npm run build:jmdict-index`) ---
+let wordDictionary;
+let wordDictionaryUnavailable = null; // why dictionary search is off, shown to the client
+try {
+    wordDictionary = createWordDictionary({ indexPath: process.env.JMDICT_INDEX_PATH });
+} catch (dictionaryError) {
+    if (dictionaryError.code === 'ENOENT') {
+        console.warn(`⚠️ JMdict index not found at ${dictionaryError.path}: dictionary search, local glosses and readings`
+            + " of SRS words are disabled. Build it with `npm run build:jmdict-index -- path/to/JMdict_e.gz` (see README.md).");
+    } else {
+        console.error("❌ Error loading JMdict index, dictionary search disabled:", dictionaryError.message);
+    }
+    wordDictionary = null;
+    wordDictionaryUnavailable = dictionaryError.code === 'ENOENT'
+        ? 'Dictionary is not available: the JMdict index has not been built on this server (see backend/README.md).'
+        : 'Dictionary is not available: the JMdict index could not be loaded.';
+}
+
+// --- Initialize Translation Providers (TRANSLATION_PROVIDERS: ordered list of gemini | local) ---
+// The local provider glosses words from the JMdict index; with no provider at all,
+// text is still processed (furigana, tokens, Kanji) without translations.
+const translator = createTranslationChain(parseProviderList(process.env.TRANSLATION_PROVIDERS), {
+    gemini: { apiKey: process.env.GEMINI_API_KEY, modelName: process.env.GEMINI_MODEL },
+    local: {
+        mode: process.env.LOCAL_TRANSLATOR_MODE || 'gloss',
+        tokenize: (sentence) => (isKuroshiroReady ? tokenizeSentence(kuromojiAnalyzer, sentence) : null),
+        lookupGloss: (word) => {
+            const [entry] = wordDictionary ? wordDictionary.lookupExact(word) : [];
+            return entry ? entry.senses[0].glosses[0] : null;
+        },
+    },
+});
+if (translator.available) {
+    console.log(`✅ Translation providers: ${translator.providers.join(' > ')}`);
+}
+
+// --- Initialize Grammar Explainer (Gemini only; /api/explain-sentence is disabled without it) ---
+let explainer = null;
 try {
-    if (!apiKey) throw new Error("API Key missing");
-    const genAI = new GoogleGenerativeAI(apiKey);
-    // --- UPDATED MODEL IDENTIFIER ---
-    model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-    // --- END UPDATE ---
-    console.log("✅ Gemini client initialized successfully with model: gemini-2.0-flash");
-} catch (initError) {
-    console.error("❌ Error initializing Gemini client:", initError.message);
-    // Attempt fallback or log more specific error if model name is invalid for this library
-    if (initError.message.includes('model')) {
-         console.error("⚠️ Possible invalid model name for Node.js library. Check documentation.");
-    }
-    model = null;
+    explainer = createGeminiExplainer({ apiKey: process.env.GEMINI_API_KEY, modelName: process.env.GEMINI_MODEL });
+} catch (explainerError) {
+    console.error("⚠️ Grammar explanations disabled:", explainerError.message);
 }
 
+// --- Processed Sentence Cache ---
+// Results are only reused for the same translator/model and Kanji dictionary; expired
+// entries (of any configuration) are dropped at startup.
+const SENTENCE_CACHE_VERSION = sentenceCache.buildCacheVersion({
+    translatorVersion: translator.version,
+    kanjiDictionaryName: kanjiDictionary.name,
+});
+(async () => {
+    try {
+        const deleted = await sentenceCache.deleteExpiredSentences(pool, SENTENCE_CACHE_TTL_DAYS);
+        if (deleted) console.log(`🧹 Removed ${deleted} expired cached sentences.`);
+    } catch (cacheErr) {
+        console.error('❌ Error removing expired cached sentences:', cacheErr.message);
+    }
+})();
+
 // --- Initialize Google Auth Client ---
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
@@ -58,6 +133,7 @@ if (!GOOGLE_CLIENT_ID) {
 
 // --- Initialize Kuroshiro (Only needed for furigana HTML & kana conversion) ---
 let kuroshiro; // The Kuroshiro instance
+let kuromojiAnalyzer; // Kuroshiro's analyzer, reused for word tokenization
 let isKuroshiroReady = false;
 async function initializeKuroshiro() {
     try {
@@ -65,6 +141,7 @@ async function initializeKuroshiro() {
         const analyzer = new KuromojiAnalyzer({ dictPath: 'node_modules/kuromoji/dict' });
         console.log("⏳ Initializing Kuroshiro (and its internal Kuromoji)...");
         await kuroshiro.init(analyzer);
+        kuromojiAnalyzer = analyzer;
         isKuroshiroReady = true;
         console.log("✅ Kuroshiro initialized successfully.");
     } catch (kuroshiroError) {
@@ -74,7 +151,7 @@ async function initializeKuroshiro() {
 }
 
 // Initialize Kuroshiro
-initializeKuroshiro().then(() => {
+const kuroshiroInitialization = initializeKuroshiro().then(() => {
      if(isKuroshiroReady) {
         console.log("✅✅ Kuroshiro language processor initialized.");
      } else {
@@ -114,11 +191,26 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again after 15 minutes',
 });
 app.use(limiter);
+// Saved documents carry every processed sentence, well over the default 100kb
+app.use('/api/documents', express.json({ limit: '20mb' }));
 app.use(express.json());
 
 // --- Helper Function ---
 const isKanji = (char) => /[\u4E00-\u9FAF\u3400-\u4DBF]/.test(char);
 
+// Resolve kanjiDetailsMap entries for a list of Kanji with the configured dictionary.
+// Remote providers (Jisho) go through the Postgres cache; local ones are read directly.
+const lookupKanjiDetails = async (chars) => {
+    if (kanjiDictionary.isRemote) {
+        return resolveKanjiDetails(chars, { pool, lookup: kanjiDictionary.lookup, ttlDays: KANJI_CACHE_TTL_DAYS });
+    }
+    const detailsMap = {};
+    for (const char of chars) {
+        detailsMap[char] = await kanjiDictionary.lookup(char);
+    }
+    return detailsMap;
+};
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -153,127 +245,286 @@ app.get('/', (req, res) => {
   res.send('Hello from the Japanese Processor Backend! 👋');
 });
 
-// --- Text Processing Endpoint (Simplified - No Tokenizer) ---
-app.post('/api/process-text', authenticateToken, async (req, res) => {
-  console.log('Received request to /api/process-text');
+// --- Text Processing Pipeline (shared by the JSON and streaming endpoints) ---
 
-  // Check readiness
-  if (!model || !apiKey) {
-     return res.status(500).json({ error: "Internal Server Error: AI model not configured." });
-  }
+// Readiness check for the language processor (translation is optional)
+const requireTextProcessor = (req, res, next) => {
   if (!isKuroshiroReady || !kuroshiro) { // Check the instance variable
      console.error("Kuroshiro not ready.");
      return res.status(500).json({ error: "Internal Server Error: Language processor not ready." });
   }
+  next();
+};
+
+// Input formats: plain text (split into sentences), text with the author's readings (Aozora Bunko
+// notation or HTML <ruby>, see lib/ruby) or a subtitle file (one sentence unit per cue)
+const INPUT_FORMATS = ['text', ...RUBY_FORMATS, ...SUBTITLE_FORMATS];
+
+// Split the input into sentence segments; author ruby ends up on the segments it belongs to.
+// Plain text may come with its ruby already separated (`ruby`, e.g. an EPUB chapter's).
+const segmentInput = (text, format, ruby) => {
+  if (SUBTITLE_FORMATS.includes(format)) return { segments: cueSegments(parseSubtitles(text, format)) };
+  if (RUBY_FORMATS.includes(format)) {
+    const source = parseRubySource(text, format);
+    return { segments: attachRuby(segmentText(source.text), source.ruby) };
+  }
+  if (ruby === undefined || ruby === null) return { segments: segmentText(text) };
+  const checked = validateRuby(ruby, text);
+  if (checked.error) return { error: checked.error };
+  return { segments: attachRuby(segmentText(text), checked.ruby) };
+};
 
-  const { text } = req.body;
+// Validate the text of a request body and segment it; returns { error } or { text, segments }
+const parseTextInput = (body) => {
+  const { text, format = 'text', ruby } = body || {};
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
-    return res.status(400).json({ error: 'No text provided.' });
+    return { error: 'No text provided.' };
+  }
+  if (!INPUT_FORMATS.includes(format)) {
+    return { error: `Invalid format (expected one of: ${INPUT_FORMATS.join(', ')}).` };
+  }
+  if (ruby !== undefined && ruby !== null && format !== 'text') {
+    return { error: 'ruby can only be sent with format "text".' };
+  }
+  const { segments, error } = segmentInput(text, format, ruby);
+  if (error) return { error };
+  if (SUBTITLE_FORMATS.includes(format) && segments.length === 0) {
+    return { error: `No subtitle cues found in the ${format.toUpperCase()} file.` };
+  }
+  if (segments.length === 0) return { error: 'No text provided.' };
+  return { text, segments };
+};
+
+// Validate the request body; returns { error } or { text, segments, translationMode, furiganaOptions }
+const parseProcessTextBody = (body) => {
+  const { translation_mode: translationMode = DEFAULT_TRANSLATION_MODE, furigana } = body || {};
+  const { text, segments, error: inputError } = parseTextInput(body);
+  if (inputError) return { error: inputError };
+  if (!TRANSLATION_MODES.includes(translationMode)) {
+    return { error: `Invalid translation_mode (expected one of: ${TRANSLATION_MODES.join(', ')}).` };
+  }
+  const { options: furiganaOptions, error } = parseFuriganaOptions(furigana);
+  if (error) return { error };
+  return { text, segments, translationMode, furiganaOptions };
+};
+
+// Kanji the user already knows: SRS cards whose last review was successful
+// (supermemo resets repetition to 0 on a failed review). Empty on database errors.
+const loadKnownKanji = async (userId) => {
+  try {
+    const result = await pool.query(
+      'SELECT kanji_character FROM user_kanji_srs WHERE user_id = $1 AND repetition > 0',
+      [userId]
+    );
+    return new Set(result.rows.map(row => row.kanji_character));
+  } catch (dbError) {
+    console.error('❌ Error loading known kanji:', dbError.message);
+    return new Set();
+  }
+};
+
+// Resolve the furigana settings for a request: options plus the known kanji when needed
+const loadFuriganaSettings = async (options, userId) => ({
+  options,
+  knownKanji: options.hide_known ? await loadKnownKanji(userId) : new Set(),
+});
+
+// Translate through the provider chain: the document in chunks of sentences, one call each
+// (falling back to single sentences where the response doesn't line up), or sentence by sentence.
+// Without any provider every sentence gets a null translation (furigana-only).
+// onTranslated(index, result) fires as soon as each translation is known.
+const NO_TRANSLATION = { translation: null, source: null, translator: null };
+const translateSentences = async (sentences, translationMode, onTranslated = () => {}) => {
+  const translations = [];
+  if (!translator.available) {
+    for (const index of sentences.keys()) {
+      translations.push(NO_TRANSLATION);
+      await onTranslated(index, NO_TRANSLATION);
+    }
+  } else if (translationMode === 'document') {
+    translations.push(...await translator.translateDocument(sentences, onTranslated));
+  } else {
+    for (const [index, sentence] of sentences.entries()) {
+      const result = await translator.translateSentence(sentence);
+      translations.push(result);
+      await onTranslated(index, result);
+    }
+  }
+  return translations;
+};
+
+// Build the result object for one sentence (furigana, tokens, Kanji details, translation)
+const processSentence = async (trimmedSentence, translationResult, documentKanjiDetails) => {
+  console.log(`Processing sentence: "${trimmedSentence}"`);
+
+  let furiganaHtml = trimmedSentence;
+  let kanjiDetailsMap = {};
+  let tokens = [];
+  let segments = [];
+  let sentenceProcessingError = null;
+
+  try {
+      // a. Generate Furigana HTML using Kuroshiro
+      console.log("⏳ Generating furigana HTML...");
+      furiganaHtml = await renderFurigana(kuroshiro, trimmedSentence);
+      console.log("✅ Furigana HTML generated.");
+
+      // b. Split the sentence into word tokens (surface, base form, reading, POS, offsets)
+      tokens = await tokenizeSentence(kuromojiAnalyzer, trimmedSentence);
+
+      // c. Find unique Kanji characters in the sentence
+      const uniqueKanjiInSentence = [...new Set(trimmedSentence.split('').filter(isKanji))];
+      console.log(`Found unique Kanji: ${uniqueKanjiInSentence.join(', ')}`);
+
+      // d. Pick this sentence's Kanji details from the document-wide map
+      for (const char of uniqueKanjiInSentence) {
+          kanjiDetailsMap[char] = documentKanjiDetails[char] !== undefined ? documentKanjiDetails[char] : null;
+      }
+
+      // e. Structured furigana: base text, reading and per-kanji readings with offsets
+      segments = buildFuriganaSegments(tokens, kanjiDetailsMap);
+  } catch (processingError) {
+      console.error('Error processing sentence:', trimmedSentence, processingError);
+      sentenceProcessingError = processingError.message || "Sentence processing failed";
+  }
+
+  // Assemble Result for this sentence (Simplified Structure)
+  return {
+      original_sentence: trimmedSentence,
+      furigana_html: furiganaHtml,
+      translation: translationResult.translation,
+      translation_source: translationResult.source,
+      translator: translationResult.translator,
+      kanji_details_map: kanjiDetailsMap,
+      tokens: tokens,
+      segments: segments,
+      ...(translationResult.error && { translation_error: translationResult.error }),
+      ...(sentenceProcessingError && { error: sentenceProcessingError })
+  };
+};
+
+// Look up every unique Kanji in the document at once
+const lookupDocumentKanji = async (text) => {
+  const documentKanji = [...new Set(text.split('').filter(isKanji))];
+  console.log(`Resolving details for ${documentKanji.length} unique Kanji...`);
+  return lookupKanjiDetails(documentKanji);
+};
+
+// Only complete results are cached; failed translations or lookups are retried next time.
+// Translations from a fallback provider (e.g. local glosses while Gemini is down) are not
+// cached either, so they don't outlive the outage.
+const isCacheableResult = (processed) => (
+  !processed.error
+  && processed.translation !== TRANSLATION_ERROR
+  && (translator.available ? processed.translator === translator.providers[0] : processed.translator === null)
+  && Object.values(processed.kanji_details_map).every(details => !details || !details.error)
+);
+
+// Where a sentence sits in the document (see lib/segmenter); never cached, since the
+// same sentence can appear anywhere
+const segmentPosition = (segment) => ({
+  paragraph_index: segment.paragraph_index,
+  start: segment.start,
+  end: segment.end,
+  is_heading: segment.is_heading,
+  // Subtitle cues keep their timing
+  ...(segment.start_ms !== undefined ? { start_ms: segment.start_ms, end_ms: segment.end_ms } : {}),
+});
+
+// Results are processed (and cached) with Kuroshiro's readings and the default furigana; the
+// author's ruby and other options are applied per request on top, which only costs another
+// local Kuroshiro pass. Results with author ruby keep it (`ruby`) for later re-rendering.
+const applyFurigana = async (result, furigana, ruby = []) => {
+  if (ruby.length === 0 && (!furigana || isDefaultOptions(furigana.options))) return result;
+  const { options, knownKanji } = furigana || { options: DEFAULT_FURIGANA_OPTIONS, knownKanji: new Set() };
+  try {
+    const segments = applyAuthorRuby(result.original_sentence, result.segments || [], ruby, result.kanji_details_map);
+    return {
+      ...result,
+      furigana_html: await renderFurigana(kuroshiro, result.original_sentence, options, knownKanji, ruby),
+      segments: applySegmentOptions(segments, options, knownKanji),
+      ...(ruby.length > 0 && { ruby }),
+    };
+  } catch (furiganaError) {
+    console.error('Error applying furigana options:', result.original_sentence, furiganaError.message);
+    return result;
+  }
+};
+
+// Process all segments of a document. Cached sentences are served first; the rest are
+// translated and processed together, then cached. Every result carries `cached` and
+// its segment position. onProcessed(index, result) fires as soon as each sentence is
+// ready (not in index order); once isCancelled() returns true the rest are skipped.
+const processSentences = async (segments, { translationMode, furigana, onProcessed = () => {}, isCancelled = () => false }) => {
+  const sentences = segments.map(segment => segment.text);
+  const results = new Array(sentences.length);
+  const hashes = sentences.map(sentenceCache.hashSentence);
+
+  let cachedByHash = {};
+  try {
+    cachedByHash = await sentenceCache.getCachedSentences(pool, [...new Set(hashes)], SENTENCE_CACHE_VERSION, SENTENCE_CACHE_TTL_DAYS);
+  } catch (cacheErr) {
+    console.error('❌ Error reading sentence cache:', cacheErr.message);
+  }
+
+  const missIndexes = [];
+  for (const [index, sentence] of sentences.entries()) {
+    const cached = cachedByHash[hashes[index]];
+    if (!cached) {
+      missIndexes.push(index);
+      continue;
+    }
+    const result = { ...sentenceCache.fromCacheEntry(cached, sentence), ...segmentPosition(segments[index]), cached: true };
+    results[index] = await applyFurigana(result, furigana, segments[index].ruby);
+    await onProcessed(index, results[index]);
+  }
+  console.log(`Sentence cache: ${sentences.length - missIndexes.length}/${sentences.length} hits.`);
+  if (missIndexes.length === 0) return results;
+
+  const missSentences = missIndexes.map(index => sentences[index]);
+  const documentKanjiDetails = await lookupDocumentKanji(missSentences.join(''));
+  const fresh = {};
+  await translateSentences(missSentences, translationMode, async (missIndex, translationResult) => {
+    if (isCancelled()) return;
+    const index = missIndexes[missIndex];
+    const processed = await processSentence(sentences[index], translationResult, documentKanjiDetails);
+    if (isCacheableResult(processed)) fresh[hashes[index]] = sentenceCache.toCacheEntry(processed);
+    results[index] = await applyFurigana({ ...processed, ...segmentPosition(segments[index]), cached: false }, furigana, segments[index].ruby);
+    await onProcessed(index, results[index]);
+  });
+
+  try {
+    await sentenceCache.saveSentences(pool, fresh, SENTENCE_CACHE_VERSION);
+  } catch (cacheErr) {
+    console.error('❌ Error writing sentence cache:', cacheErr.message);
+  }
+  return results;
+};
+
+// --- Text Processing Endpoint ---
+app.post('/api/process-text', authenticateToken, requireTextProcessor, async (req, res) => {
+  console.log('Received request to /api/process-text');
+
+  // Text is split into paragraphs and sentences (subtitle files into cues) while validating
+  const { text, segments, translationMode, furiganaOptions, error } = parseProcessTextBody(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
   console.log('Processing text length:', text.length);
 
   try {
-    // 1. Split text into sentences
-    const sentences = text.match(/[^。！？]+[。！？]?/g) || [text];
-    const processedSentences = [];
+    // 1. Process each sentence (cached results are reused)
+    const furigana = await loadFuriganaSettings(furiganaOptions, req.user.userId);
+    const processedSentences = await processSentences(segments, { translationMode, furigana });
 
-    // 2. Process each sentence
-    for (const sentence of sentences) {
-        const trimmedSentence = sentence.trim();
-        if (trimmedSentence.length === 0) continue;
-        console.log(`Processing sentence: "${trimmedSentence}"`);
-
-        let translation = "[Translation Error]";
-        let furiganaHtml = trimmedSentence;
-        let kanjiDetailsMap = {};
-        let sentenceProcessingError = null;
-
-        try {
-            // 2a. Generate Furigana HTML using Kuroshiro
-            console.log("⏳ Generating furigana HTML...");
-            furiganaHtml = await kuroshiro.convert(trimmedSentence, { mode: "furigana", to: "hiragana" });
-            console.log("✅ Furigana HTML generated.");
-
-            // 2b. Find unique Kanji characters in the sentence
-            const uniqueKanjiInSentence = [...new Set(trimmedSentence.split('').filter(isKanji))];
-            console.log(`Found unique Kanji: ${uniqueKanjiInSentence.join(', ')}`);
-
-            // 2c. Look up details for each unique Kanji using Jisho API
-            for (const char of uniqueKanjiInSentence) {
-                try {
-                    console.log(`Looking up Kanji '${char}' via Jisho API...`);
-                    const result = await jisho.searchForKanji(char);
-
-                    if (result && result.found) {
-                        let onyomiHiragana = [];
-                        if (result.onyomi && result.onyomi.length > 0) {
-                            onyomiHiragana = result.onyomi.map(onReading =>
-                                wanakana.toHiragana(onReading) // Use wanakana
-                            );
-                        }
-
-                        kanjiDetailsMap[char] = {
-                            uri: result.uri,
-                            meanings: result.meaning ? result.meaning.split(', ') : [],
-                            readings_on: onyomiHiragana,
-                            readings_kun: result.kunyomi || [],
-                            stroke_count: result.strokeCount || null,
-                            grade: result.grade || null,
-                            jlpt: result.jlptLevel || null,
-                            newspaper_frequency: result.newspaperFrequencyRank || null,
-                            taught_in: result.taughtIn || null,
-                            radical: result.radical ? result.radical.symbol : null,
-                        };
-                        console.log(`Found details for Kanji '${char}'`);
-                    } else {
-                        console.warn(`Kanji '${char}' not found via Jisho API. Found flag: ${result ? result.found : 'N/A'}`);
-                        kanjiDetailsMap[char] = null;
-                    }
-                } catch (lookupErr) {
-                    console.error(`Error object during lookup for Kanji '${char}':`, lookupErr);
-                    console.error(`Error looking up Kanji '${char}' with Jisho API:`, lookupErr.message);
-                    kanjiDetailsMap[char] = { error: `Jisho API lookup failed: ${lookupErr.message}` };
-                }
-            } // End Kanji char loop
-
-            // 2d. Get Translation using Gemini
-            const prompt = `
-                Translate the following Japanese sentence accurately into natural English.
-                Return ONLY the English translation as a plain string, without any labels, quotes, or explanations.
-                Input Sentence: "${trimmedSentence}"
-                English Translation:
-            `;
-            try {
-                // Ensure model is valid before calling
-                 if (!model) throw new Error("Gemini model not initialized correctly.");
-                const result = await model.generateContent(prompt);
-                const response = result.response;
-                translation = response.text().trim();
-                console.log(`Gemini generated translation for: "${trimmedSentence}"`);
-            } catch (geminiError) {
-                console.error('Error calling Gemini API for translation:', trimmedSentence, geminiError);
-                translation = "[Translation API Error]";
-            }
-
-        } catch (processingError) {
-            console.error('Error processing sentence:', trimmedSentence, processingError);
-            sentenceProcessingError = processingError.message || "Sentence processing failed";
-            if (furiganaHtml === trimmedSentence) furiganaHtml = trimmedSentence;
-        }
-
-        // 3. Assemble Result for this sentence (Simplified Structure)
-        processedSentences.push({
-            original_sentence: trimmedSentence,
-            furigana_html: furiganaHtml,
-            translation: translation,
-            kanji_details_map: kanjiDetailsMap,
-            ...(sentenceProcessingError && { error: sentenceProcessingError })
-        });
-
-    } // End sentence loop
-
-    // 4. Send overall response
-    res.status(200).json({ processedSentences: processedSentences });
+    // 2. Send overall response
+    res.status(200).json({
+      processedSentences: processedSentences,
+      translation_mode: translationMode,
+      furigana: furiganaOptions,
+      translation_available: translator.available,
+      cache_hits: processedSentences.filter(sentence => sentence.cached).length,
+    });
 
   } catch (error) {
       console.error('Unexpected error in /api/process-text:', error);
@@ -281,6 +532,440 @@ app.post('/api/process-text', authenticateToken, async (req, res) => {
   }
 });
 
+// --- Streaming Text Processing Endpoint (NDJSON) ---
+// Writes one JSON object per line:
+//   { type: "start", sentence_count, sentences, segments } - segmented input (with paragraph_index,
+//                                                            offsets, is_heading; author ruby as `ruby`;
+//                                                            cues of subtitle files also start_ms, end_ms),
+//                                                            before any processing
+//   { type: "sentence", index, sentence }                 - a finished sentence (with `error` if it failed,
+//                                                            `cached` if reused); cached sentences come first
+//   { type: "summary", sentence_count, error_count, errors, translation_mode, furigana,
+//     translation_available, cache_hits, elapsed_ms }
+//   { type: "error", error }                              - the whole request failed
+app.post('/api/process-text/stream', authenticateToken, requireTextProcessor, async (req, res) => {
+  console.log('Received request to /api/process-text/stream');
+
+  const { segments, translationMode, furiganaOptions, error } = parseProcessTextBody(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const startedAt = Date.now();
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+  const send = (event) => { if (!clientGone) res.write(JSON.stringify(event) + '\n'); };
+
+  try {
+    send({
+      type: 'start',
+      sentence_count: segments.length,
+      sentences: segments.map(segment => segment.text),
+      segments: segments,
+    });
+
+    const errors = [];
+    let cacheHits = 0;
+    const furigana = await loadFuriganaSettings(furiganaOptions, req.user.userId);
+
+    // Cached sentences are sent right away, the others as soon as their translation is known
+    await processSentences(segments, {
+      translationMode,
+      furigana,
+      onProcessed: (index, processed) => {
+        if (processed.cached) cacheHits++;
+        if (processed.error) errors.push({ index, error: processed.error });
+        else if (processed.translation === TRANSLATION_ERROR) errors.push({ index, error: 'Translation failed.', reason: processed.translation_error || null });
+        send({ type: 'sentence', index, sentence: processed });
+      },
+      isCancelled: () => clientGone,
+    });
+
+    send({
+      type: 'summary',
+      sentence_count: segments.length,
+      error_count: errors.length,
+      errors: errors,
+      translation_mode: translationMode,
+      furigana: furiganaOptions,
+      translation_available: translator.available,
+      cache_hits: cacheHits,
+      elapsed_ms: Date.now() - startedAt,
+    });
+  } catch (error) {
+    console.error('Unexpected error in /api/process-text/stream:', error);
+    send({ type: 'error', error: 'An internal server error occurred.' });
+  }
+  res.end();
+});
+
+
+// --- Furigana Re-rendering Endpoint ---
+// POST /api/furigana { sentences: [...], furigana: { mode, to, hide_known } }
+// Re-renders already processed sentences with other furigana options, without translating.
+// A sentence with author ruby is sent as { text, ruby } (the `ruby` of its processed result).
+const MAX_FURIGANA_SENTENCES = 1000;
+
+// Returns { text, ruby } per sentence, or null when one of them is invalid
+const parseFuriganaSentences = (sentences) => {
+  const parsed = [];
+  for (const sentence of sentences) {
+    if (typeof sentence === 'string') {
+      parsed.push({ text: sentence, ruby: [] });
+      continue;
+    }
+    if (!sentence || typeof sentence.text !== 'string') return null;
+    const { ruby, error } = validateRuby(sentence.ruby || [], sentence.text);
+    if (error) return null;
+    parsed.push({ text: sentence.text, ruby });
+  }
+  return parsed;
+};
+
+app.post('/api/furigana', authenticateToken, requireTextProcessor, async (req, res) => {
+  const { sentences } = req.body || {};
+  const parsedSentences = Array.isArray(sentences) && sentences.length > 0 ? parseFuriganaSentences(sentences) : null;
+  if (!parsedSentences) {
+    return res.status(400).json({ error: 'sentences must be a non-empty array of strings or { text, ruby } objects.' });
+  }
+  if (sentences.length > MAX_FURIGANA_SENTENCES) {
+    return res.status(400).json({ error: `Too many sentences (max ${MAX_FURIGANA_SENTENCES}).` });
+  }
+  const { options, error } = parseFuriganaOptions(req.body.furigana);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { knownKanji } = await loadFuriganaSettings(options, req.user.userId);
+    const documentKanjiDetails = await lookupDocumentKanji(parsedSentences.map(sentence => sentence.text).join(''));
+    const rendered = [];
+    for (const { text: sentence, ruby } of parsedSentences) {
+      const tokens = await tokenizeSentence(kuromojiAnalyzer, sentence);
+      const segments = applyAuthorRuby(sentence, buildFuriganaSegments(tokens, documentKanjiDetails), ruby, documentKanjiDetails);
+      rendered.push({
+        original_sentence: sentence,
+        furigana_html: await renderFurigana(kuroshiro, sentence, options, knownKanji, ruby),
+        segments: applySegmentOptions(segments, options, knownKanji),
+        ...(ruby.length > 0 && { ruby }),
+      });
+    }
+    res.status(200).json({ furigana: options, sentences: rendered });
+  } catch (error) {
+    console.error('Unexpected error in /api/furigana:', error);
+    res.status(500).json({ error: 'An internal server error occurred.' });
+  }
+});
+
+// --- Difficulty Analysis Endpoint ---
+// POST /api/analyze-difficulty { text, format?, ruby? } (the input of /api/process-text)
+// How hard a text is for the requesting user (see lib/difficulty), without translating it.
+app.post('/api/analyze-difficulty', authenticateToken, requireTextProcessor, async (req, res) => {
+  const { segments, error } = parseTextInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const sentences = segments.map(segment => segment.text);
+    const kanjiDetailsMap = await lookupDocumentKanji(sentences.join(''));
+    const tokensBySentence = [];
+    for (const sentence of sentences) {
+      tokensBySentence.push(await tokenizeSentence(kuromojiAnalyzer, sentence));
+    }
+    const knownKanji = await loadKnownKanji(req.user.userId);
+    res.status(200).json(analyzeDifficulty({ sentences, tokensBySentence, kanjiDetailsMap, knownKanji }));
+  } catch (error) {
+    console.error('Unexpected error in /api/analyze-difficulty:', error);
+    res.status(500).json({ error: 'An internal server error occurred.' });
+  }
+});
+
+// --- Sentence Explanation Endpoint ---
+// POST /api/explain-sentence { sentence, context? }
+// Grammar breakdown of one sentence (clauses, particles, conjugations, grammar points).
+// A response that fails validation is retried once before giving up.
+const MAX_EXPLAIN_SENTENCE_LENGTH = 300;
+const MAX_EXPLAIN_CONTEXT_LENGTH = 2000;
+app.post('/api/explain-sentence', authenticateToken, async (req, res) => {
+  if (!explainer) {
+    return res.status(503).json({ error: 'Grammar explanations are not available.' });
+  }
+  const { sentence, context = null } = req.body || {};
+  if (!sentence || typeof sentence !== 'string' || sentence.trim().length === 0) {
+    return res.status(400).json({ error: 'No sentence provided.' });
+  }
+  if (sentence.length > MAX_EXPLAIN_SENTENCE_LENGTH) {
+    return res.status(400).json({ error: `Sentence is too long (max ${MAX_EXPLAIN_SENTENCE_LENGTH} characters).` });
+  }
+  if (context !== null && (typeof context !== 'string' || context.length > MAX_EXPLAIN_CONTEXT_LENGTH)) {
+    return res.status(400).json({ error: `context must be a string of at most ${MAX_EXPLAIN_CONTEXT_LENGTH} characters.` });
+  }
+
+  const trimmedSentence = sentence.trim();
+  try {
+    let result = await explainer.explainSentence(trimmedSentence, context && context.trim());
+    if (result.error) {
+      console.warn(`Invalid explanation for "${trimmedSentence}" (${result.error}), retrying.`);
+      result = await explainer.explainSentence(trimmedSentence, context && context.trim());
+    }
+    if (result.error) {
+      console.error(`Invalid explanation for "${trimmedSentence}":`, result.error);
+      return res.status(502).json({ error: 'The model returned an invalid explanation.' });
+    }
+    res.status(200).json({ ...result.explanation, explainer: explainer.version });
+  } catch (error) {
+    console.error(`Error explaining "${trimmedSentence}":`, error);
+    res.status(502).json({ error: 'Failed to explain the sentence.' });
+  }
+});
+
+
+// --- Document Library Endpoints ---
+// GET    /api/documents?limit=&offset=   summaries, most recently updated first
+//        (&status=in_progress: started but unfinished, most recently read first)
+// GET    /api/documents/:id              the full document, processed sentences included
+// POST   /api/documents                  { source_text, processed_sentences, title?, furigana? }
+// PATCH  /api/documents/:id              any of the POST fields
+// DELETE /api/documents/:id
+// PUT    /api/documents/:id/progress     { sentence_index, chapter_index? } last sentence viewed
+//        (chapter_index: required for documents with chapters)
+// POST   /api/documents/epub             the book file as the raw body (Content-Type: application/epub+zip)
+// GET    /api/documents/:id/chapters/:n  one chapter: text, author ruby, processed sentences (null until processed)
+// PUT    /api/documents/:id/chapters/:n  { processed_sentences, furigana? } once the chapter was processed
+const parseDocumentId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+const parseChapterIndex = (value) => {
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+};
+const EPUB_UPLOAD_TYPES = ['application/epub+zip', 'application/octet-stream'];
+const MAX_EPUB_SIZE = '50mb';
+
+app.get('/api/documents', authenticateToken, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { status } = req.query;
+  if (status !== undefined && status !== 'in_progress') {
+    return res.status(400).json({ error: "Invalid status (expected 'in_progress')." });
+  }
+  try {
+    const { documents: summaries, total } = await documents.listDocuments(pool, req.user.userId, { limit, offset, inProgress: status === 'in_progress' });
+    res.status(200).json({ documents: summaries, total, limit, offset });
+  } catch (error) {
+    console.error(`Error listing documents (User ${req.user.userId}):`, error);
+    res.status(500).json({ error: 'Failed to load documents.' });
+  }
+});
+
+app.get('/api/documents/:id', authenticateToken, async (req, res) => {
+  const documentId = parseDocumentId(req.params.id);
+  if (!documentId) {
+    return res.status(400).json({ error: 'Invalid document id.' });
+  }
+  try {
+    const document = await documents.getDocument(pool, req.user.userId, documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+    res.status(200).json(document);
+  } catch (error) {
+    console.error(`Error loading document ${documentId} (User ${req.user.userId}):`, error);
+    res.status(500).json({ error: 'Failed to load document.' });
+  }
+});
+
+app.post('/api/documents', authenticateToken, async (req, res) => {
+  const { fields, error } = documents.parseDocumentFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const { document, created } = await documents.createDocument(pool, req.user.userId, fields);
+    console.log(`📚 ${created ? 'Saved' : 'Updated'} document ${document.id} "${document.title}" (User ${req.user.userId})`);
+    res.status(created ? 201 : 200).json(document);
+  } catch (dbError) {
+    console.error(`Error saving document (User ${req.user.userId}):`, dbError);
+    res.status(500).json({ error: 'Failed to save document.' });
+  }
+});
+
+app.patch('/api/documents/:id', authenticateToken, async (req, res) => {
+  const documentId = parseDocumentId(req.params.id);
+  if (!documentId) {
+    return res.status(400).json({ error: 'Invalid document id.' });
+  }
+  const { fields, error } = documents.parseDocumentFields(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const document = await documents.updateDocument(pool, req.user.userId, documentId, fields);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+    res.status(200).json(document);
+  } catch (dbError) {
+    console.error(`Error updating document ${documentId} (User ${req.user.userId}):`, dbError);
+    res.status(500).json({ error: 'Failed to update document.' });
+  }
+});
+
+app.put('/api/documents/:id/progress', authenticateToken, async (req, res) => {
+  const documentId = parseDocumentId(req.params.id);
+  if (!documentId) {
+    return res.status(400).json({ error: 'Invalid document id.' });
+  }
+  const { sentence_index: sentenceIndex, chapter_index: chapterIndex = null } = req.body || {};
+  if (!Number.isInteger(sentenceIndex) || sentenceIndex < 0) {
+    return res.status(400).json({ error: 'sentence_index must be a non-negative integer.' });
+  }
+  if (chapterIndex !== null && (!Number.isInteger(chapterIndex) || chapterIndex < 0)) {
+    return res.status(400).json({ error: 'chapter_index must be a non-negative integer.' });
+  }
+  try {
+    const result = await documents.updateReadingProgress(pool, req.user.userId, documentId, sentenceIndex, chapterIndex);
+    if (!result) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(200).json(result.progress);
+  } catch (dbError) {
+    console.error(`Error saving reading progress for document ${documentId} (User ${req.user.userId}):`, dbError);
+    res.status(500).json({ error: 'Failed to save reading progress.' });
+  }
+});
+
+app.delete('/api/documents/:id', authenticateToken, async (req, res) => {
+  const documentId = parseDocumentId(req.params.id);
+  if (!documentId) {
+    return res.status(400).json({ error: 'Invalid document id.' });
+  }
+  try {
+    const deleted = await documents.deleteDocument(pool, req.user.userId, documentId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+    res.sendStatus(204);
+  } catch (dbError) {
+    console.error(`Error deleting document ${documentId} (User ${req.user.userId}):`, dbError);
+    res.status(500).json({ error: 'Failed to delete document.' });
+  }
+});
+
+// The book is unpacked here; its chapters are only processed once they are opened
+app.post('/api/documents/epub', authenticateToken, express.raw({ type: EPUB_UPLOAD_TYPES, limit: MAX_EPUB_SIZE }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(415).json({ error: 'Upload the book as the request body with Content-Type: application/epub+zip.' });
+  }
+  let book;
+  try {
+    book = parseEpub(req.body);
+  } catch (parseError) {
+    if (parseError.code === 'INVALID_EPUB') {
+      return res.status(400).json({ error: parseError.message });
+    }
+    console.error(`Error reading EPUB upload (User ${req.user.userId}):`, parseError);
+    return res.status(500).json({ error: 'Failed to read the book.' });
+  }
+  try {
+    const document = await documents.createBook(pool, req.user.userId, book);
+    console.log(`📚 Saved book ${document.id} "${document.title}" with ${book.chapters.length} chapters (User ${req.user.userId})`);
+    res.status(201).json(document);
+  } catch (dbError) {
+    console.error(`Error saving book (User ${req.user.userId}):`, dbError);
+    res.status(500).json({ error: 'Failed to save document.' });
+  }
+});
+
+app.get('/api/documents/:id/chapters/:index', authenticateToken, async (req, res) => {
+  const documentId = parseDocumentId(req.params.id);
+  const chapterIndex = parseChapterIndex(req.params.index);
+  if (!documentId || chapterIndex === null) {
+    return res.status(400).json({ error: 'Invalid document id or chapter index.' });
+  }
+  try {
+    const chapter = await documents.getChapter(pool, req.user.userId, documentId, chapterIndex);
+    if (!chapter) {
+      return res.status(404).json({ error: 'Chapter not found.' });
+    }
+    res.status(200).json(chapter);
+  } catch (dbError) {
+    console.error(`Error loading chapter ${chapterIndex} of document ${documentId} (User ${req.user.userId}):`, dbError);
+    res.status(500).json({ error: 'Failed to load chapter.' });
+  }
+});
+
+app.put('/api/documents/:id/chapters/:index', authenticateToken, async (req, res) => {
+  const documentId = parseDocumentId(req.params.id);
+  const chapterIndex = parseChapterIndex(req.params.index);
+  if (!documentId || chapterIndex === null) {
+    return res.status(400).json({ error: 'Invalid document id or chapter index.' });
+  }
+  const { fields, error } = documents.parseChapterFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const chapter = await documents.updateChapter(pool, req.user.userId, documentId, chapterIndex, fields);
+    if (!chapter) {
+      return res.status(404).json({ error: 'Chapter not found.' });
+    }
+    res.status(200).json(chapter);
+  } catch (dbError) {
+    console.error(`Error saving chapter ${chapterIndex} of document ${documentId} (User ${req.user.userId}):`, dbError);
+    res.status(500).json({ error: 'Failed to save chapter.' });
+  }
+});
+
+
+// --- Word Dictionary Search Endpoint ---
+// GET /api/dictionary/search?q=食べる (kanji, kana or romaji)
+app.get('/api/dictionary/search', authenticateToken, async (req, res) => {
+  if (!wordDictionary) {
+    return res.status(503).json({ error: wordDictionaryUnavailable });
+  }
+
+  const { q } = req.query;
+  if (!q || typeof q !== 'string' || q.trim().length === 0) {
+    return res.status(400).json({ error: 'No search query provided.' });
+  }
+  if (q.length > 50) {
+    return res.status(400).json({ error: 'Search query is too long.' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+  try {
+    const { normalizedQuery, entries } = wordDictionary.search(q, { limit });
+
+    // Kanji details for every Kanji in the results, so the UI can open KanjiDetailsModal
+    const resultKanji = [...new Set(
+      entries.flatMap(entry => entry.kanji.map(form => form.text)).join('').split('').filter(isKanji)
+    )];
+    const kanjiDetailsMap = await lookupKanjiDetails(resultKanji);
+
+    res.status(200).json({
+      query: q,
+      normalized_query: normalizedQuery,
+      results: entries,
+      tags: wordDictionary.describeTags(entries),
+      kanji_details_map: kanjiDetailsMap,
+    });
+  } catch (error) {
+    console.error(`Error searching dictionary for "${q}":`, error);
+    res.status(500).json({ error: 'Dictionary search failed.' });
+  }
+});
+
 
 // --- Authentication Endpoints (Keep existing code) ---
 // ... ( /auth/register, /auth/login, /auth/google endpoints remain the same) ...
@@ -426,14 +1111,179 @@ app.post('/auth/google', async (req, res) => {
   }
 });
 
+// GET /api/srs/due?limit=&type=   cards due for review, longest overdue first (type: kanji or vocab),
+//                                 with due / total counts by type and the details of the kanji cards;
+//                                 kanji cards carry their latest context sentences (`contexts`)
+app.get('/api/srs/due', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const { type } = req.query;
+  if (type !== undefined && !srsCards.CARD_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Invalid type (expected one of: ${srsCards.CARD_TYPES.join(', ')}).` });
+  }
+
+  try {
+    const { cards: dueCards, counts } = await srsCards.listDueCards(pool, userId, { limit, type });
+    const cards = await srsContexts.attachKanjiContexts(pool, userId, dueCards);
+    const kanjiDetailsMap = await lookupKanjiDetails(cards.filter(card => card.card_type === 'kanji').map(card => card.kanji));
+    res.status(200).json({ cards, counts, limit, kanji_details_map: kanjiDetailsMap });
+  } catch (error) {
+    console.error(`Error loading due SRS cards (User ${userId}):`, error);
+    res.status(500).json({ error: 'Failed to load due cards.' });
+  }
+});
+
+// --- SRS card browser ---
+// GET  /api/srs/cards?status=&type=&jlpt=&q=&sort=&limit=&offset=
+//      a page of the user's cards with the total matching and the details of the kanji cards.
+//      status: due, new, learning, young, mature, suspended or buried; jlpt: N5-N1 (kanji cards
+//      only); q: part of the word, reading or meaning; sort: due (default) or added (newest first)
+// POST /api/srs/cards/:action   { cards: [{ card_type: 'kanji', kanji } | { card_type: 'vocab', word, reading }], tz? }
+//      suspend, unsuspend, bury (until the next day in the IANA time zone tz, default UTC), reset
+//      (a new card again) or delete cards; response: { action, count } (cards changed)
+const MAX_CARD_SEARCH_LENGTH = 100;
+
+// The user's kanji cards of a JLPT level, by the configured kanji dictionary (offline or
+// cached), so every card gets its level even if its details were never looked up before
+const kanjiCardsOfJlptLevel = async (userId, level) => {
+  const { rows } = await pool.query('SELECT kanji_character FROM user_kanji_srs WHERE user_id = $1', [userId]);
+  const kanji = rows.map(row => row.kanji_character);
+  const detailsMap = await lookupKanjiDetails(kanji);
+  return kanji.filter(char => detailsMap[char] && detailsMap[char].jlpt === level);
+};
+
+app.get('/api/srs/cards', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { status, type, jlpt, sort = 'due' } = req.query;
+  const search = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : null;
+  if (status !== undefined && !srsCards.CARD_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status (expected one of: ${srsCards.CARD_STATUSES.join(', ')}).` });
+  }
+  if (type !== undefined && !srsCards.CARD_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Invalid type (expected one of: ${srsCards.CARD_TYPES.join(', ')}).` });
+  }
+  if (jlpt !== undefined && !JLPT_LEVELS.includes(jlpt)) {
+    return res.status(400).json({ error: `Invalid jlpt (expected one of: ${JLPT_LEVELS.join(', ')}).` });
+  }
+  if (!srsCards.CARD_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort (expected one of: ${srsCards.CARD_SORTS.join(', ')}).` });
+  }
+  if (search && search.length > MAX_CARD_SEARCH_LENGTH) {
+    return res.status(400).json({ error: `q is too long (max ${MAX_CARD_SEARCH_LENGTH} characters).` });
+  }
+
+  try {
+    const kanji = jlpt ? await kanjiCardsOfJlptLevel(userId, jlpt) : null;
+    const { cards, total } = await srsCards.listCards(pool, userId, { status, type, kanji, search, sort, limit, offset });
+    const kanjiDetailsMap = await lookupKanjiDetails(cards.filter(card => card.card_type === 'kanji').map(card => card.kanji));
+    res.status(200).json({ cards, total, limit, offset, kanji_details_map: kanjiDetailsMap });
+  } catch (error) {
+    console.error(`Error listing SRS cards (User ${userId}):`, error);
+    res.status(500).json({ error: 'Failed to load cards.' });
+  }
+});
+
+app.post('/api/srs/cards/:action', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const { action } = req.params;
+  if (!srsCards.CARD_ACTIONS.includes(action)) {
+    return res.status(404).json({ error: `Unknown action (expected one of: ${srsCards.CARD_ACTIONS.join(', ')}).` });
+  }
+  const { refs, error } = srsCards.parseCardRefs(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const timeZone = req.body.tz === undefined ? 'UTC' : req.body.tz;
+  if (!srsStats.isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'Invalid tz (expected an IANA time zone such as Asia/Tokyo).' });
+  }
+
+  try {
+    const count = await srsCards.applyCardAction(pool, userId, action, refs, { timeZone });
+    console.log(`SRS ${action}: ${count} cards (User ${userId})`);
+    res.status(200).json({ action, count });
+  } catch (error) {
+    console.error(`Error applying ${action} to SRS cards (User ${userId}):`, error);
+    res.status(500).json({ error: 'Failed to update cards.' });
+  }
+});
+
+// GET /api/srs/settings   the user's scheduler: { algorithm: 'sm2' | 'fsrs', target_retention }
+// PUT /api/srs/settings   any of those fields; switching to FSRS migrates the SM-2 cards
+//                         (response: { settings, migrated_cards })
+app.get('/api/srs/settings', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json(await srsSettings.loadSrsSettings(pool, req.user.userId));
+  } catch (error) {
+    console.error(`Error loading SRS settings (User ${req.user.userId}):`, error);
+    res.status(500).json({ error: 'Failed to load SRS settings.' });
+  }
+});
+
+app.put('/api/srs/settings', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const { fields, error } = srsSettings.parseSrsSettings(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // One transaction, so the algorithm never changes without its cards being migrated
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const previous = await srsSettings.loadSrsSettings(client, userId);
+    const settings = await srsSettings.saveSrsSettings(client, userId, fields);
+    let migratedCards = 0;
+    if (settings.algorithm === 'fsrs' && previous.algorithm !== 'fsrs') {
+      migratedCards = await srsSettings.migrateCardsToFsrs(client, userId);
+    }
+    await client.query('COMMIT');
+    if (migratedCards > 0) console.log(`Migrated ${migratedCards} SRS cards to FSRS for user ${userId}`);
+    res.status(200).json({ settings, migrated_cards: migratedCards });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(rollbackError => console.error('Error rolling back SRS settings:', rollbackError.message));
+    }
+    console.error(`Error saving SRS settings (User ${userId}):`, error);
+    if (error.code === '23503') { // foreign_key_violation
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    res.status(500).json({ error: 'Failed to save SRS settings.' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// GET /api/srs/stats?tz=   retention (last 30 days), reviews per day (last year), due forecast
+//                          (next 30 days) and card maturity; days in the IANA time zone tz (default UTC)
+app.get('/api/srs/stats', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const timeZone = req.query.tz === undefined ? 'UTC' : req.query.tz;
+  if (!srsStats.isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'Invalid tz (expected an IANA time zone such as Asia/Tokyo).' });
+  }
+
+  try {
+    res.status(200).json(await srsStats.loadSrsStats(pool, userId, { timeZone }));
+  } catch (error) {
+    console.error(`Error loading SRS statistics (User ${userId}):`, error);
+    res.status(500).json({ error: 'Failed to load statistics.' });
+  }
+});
+
+// POST /api/srs/review/:kanji   { grade, duration_ms? }   record a review (grade 0-5); every review is
+//                               logged (srs_review_log), with the time taken to answer when sent
 app.post('/api/srs/review/:kanji', authenticateToken, async (req, res) => {
   // req.user is guaranteed to exist here if middleware passed
   const userId = req.user.userId;
   const kanji = req.params.kanji;
-  const { grade } = req.body;
+  const { grade, duration_ms: durationMs } = req.body;
 
   // Validate grade
-  if (grade === undefined || typeof grade !== 'number' || grade < 0 || grade > 5) {
+  if (!isValidGrade(grade)) {
     return res.status(400).json({ error: 'Invalid review grade provided (must be 0-5).' });
   }
   // Validate Kanji
@@ -442,37 +1292,43 @@ app.post('/api/srs/review/:kanji', authenticateToken, async (req, res) => {
   }
 
   try {
+    // The user's scheduler (SM-2 or FSRS)
+    const settings = await srsSettings.loadSrsSettings(pool, userId);
+    const scheduler = getScheduler(settings.algorithm);
+
     // Fetch current SRS data
     const currentSrsData = await pool.query(
-      'SELECT interval, repetition, efactor FROM user_kanji_srs WHERE user_id = $1 AND kanji_character = $2',
+      'SELECT interval, repetition, efactor, difficulty, stability, last_reviewed_at FROM user_kanji_srs WHERE user_id = $1 AND kanji_character = $2',
       [userId, kanji]
     );
 
-    // Initialize or parse item data
-    let item = (currentSrsData.rows.length === 0)
-      ? { interval: 0, repetition: 0, efactor: 2.5 } // Defaults for first review
-      : {
-          interval: parseFloat(currentSrsData.rows[0].interval) || 0,
-          repetition: parseInt(currentSrsData.rows[0].repetition, 10) || 0,
-          efactor: parseFloat(currentSrsData.rows[0].efactor) || 2.5
-        };
-
-    // Calculate next state using supermemo library
-    const updatedSrs = supermemo(item, grade);
-
-    // Calculate next due date
+    // Next state and due date (defaults for a first review)
     const now = new Date();
-    const nextDueDate = new Date(now);
-    nextDueDate.setDate(now.getDate() + updatedSrs.interval);
+    const updatedSrs = scheduler.schedule(cardState(currentSrsData.rows[0]), grade, { now, targetRetention: settings.target_retention });
+    const nextDueDate = updatedSrs.due_date;
 
     // Update database (UPSERT)
     const upsertQuery = `
-      INSERT INTO user_kanji_srs (user_id, kanji_character, interval, repetition, efactor, due_date, last_reviewed_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      INSERT INTO user_kanji_srs (user_id, kanji_character, interval, repetition, efactor, difficulty, stability, retrievability, due_date, last_reviewed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       ON CONFLICT (user_id, kanji_character)
-      DO UPDATE SET interval = EXCLUDED.interval, repetition = EXCLUDED.repetition, efactor = EXCLUDED.efactor, due_date = EXCLUDED.due_date, last_reviewed_at = NOW(), updated_at = NOW();
+      DO UPDATE SET interval = EXCLUDED.interval, repetition = EXCLUDED.repetition, efactor = EXCLUDED.efactor,
+        difficulty = EXCLUDED.difficulty, stability = EXCLUDED.stability, retrievability = EXCLUDED.retrievability,
+        due_date = EXCLUDED.due_date, last_reviewed_at = EXCLUDED.last_reviewed_at, updated_at = NOW();
     `;
-    await pool.query(upsertQuery, [ userId, kanji, updatedSrs.interval, updatedSrs.repetition, updatedSrs.efactor, nextDueDate ]);
+    await pool.query(upsertQuery, [
+      userId, kanji, updatedSrs.interval, updatedSrs.repetition, updatedSrs.efactor,
+      updatedSrs.difficulty, updatedSrs.stability, updatedSrs.retrievability, nextDueDate, now,
+    ]);
+    await srsStats.logReview(pool, userId, {
+      card: { card_type: 'kanji', card_key: kanji },
+      grade,
+      previous: currentSrsData.rows[0] || null,
+      next: updatedSrs,
+      scheduler: scheduler.name,
+      durationMs: srsStats.parseDurationMs(durationMs),
+      now,
+    });
 
     console.log(`SRS updated for ${kanji} (User ${userId}): Grade=${grade}, Interval=${updatedSrs.interval}, EFactor=${updatedSrs.efactor.toFixed(2)}, Due=${nextDueDate.toISOString().split('T')[0]}`);
     res.status(200).json({ message: 'Review recorded successfully.' });
@@ -483,6 +1339,9 @@ app.post('/api/srs/review/:kanji', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/srs/add   { kanji, context? }   add a kanji card (201, or 200 if it exists); context:
+//                     { sentence, translation?, document_id?, chapter_index?, sentence_index? }, the
+//                     sentence the kanji was met in, attached to the card (new or existing)
 app.post('/api/srs/add', authenticateToken, async (req, res) => {
   const userId = req.user.userId; // Get user ID from authenticated token
   const { kanji } = req.body; // Get Kanji character from request body
@@ -491,6 +1350,10 @@ app.post('/api/srs/add', authenticateToken, async (req, res) => {
   if (!kanji || typeof kanji !== 'string' || kanji.length !== 1 || !isKanji(kanji)) {
       return res.status(400).json({ error: 'Invalid Kanji character provided.' });
   }
+  const { context, error: contextError } = srsContexts.parseCardContext(req.body.context, kanji);
+  if (contextError) {
+      return res.status(400).json({ error: contextError });
+  }
 
   try {
       // Attempt to insert the Kanji for the user with default SRS values.
@@ -506,11 +1369,17 @@ app.post('/api/srs/add', authenticateToken, async (req, res) => {
           DO NOTHING;
       `;
       const result = await pool.query(insertQuery, [userId, kanji]);
+      if (context) {
+          await srsContexts.addKanjiContext(pool, userId, kanji, context);
+      }
 
       // Check if a row was actually inserted (result.rowCount === 1) or if conflict occurred (rowCount === 0)
       if (result.rowCount === 1) {
           console.log(`Kanji '${kanji}' added to SRS for user ${userId}`);
           res.status(201).json({ message: `Kanji '${kanji}' added to your review queue.` });
+      } else if (context) {
+          console.log(`Kanji '${kanji}' already exists in SRS for user ${userId}. Context sentence saved.`);
+          res.status(200).json({ message: `Kanji '${kanji}' is already in your review queue. This sentence was added to its card.` });
       } else {
           console.log(`Kanji '${kanji}' already exists in SRS for user ${userId}. No action taken.`);
           res.status(200).json({ message: `Kanji '${kanji}' is already in your review queue.` });
@@ -526,10 +1395,81 @@ app.post('/api/srs/add', authenticateToken, async (req, res) => {
   }
 });
 
-// --- Start the Server ---
-app.listen(port, () => {
-  console.log(`✨ Backend server is running on port ${port}`);
+// --- Vocabulary SRS ---
+// POST /api/srs/vocab         { word, reading?, meaning?, sentence? }  add a word card (201, or 200 if it exists);
+//                                                                    reading and meaning default to the JMdict entry
+// POST /api/srs/vocab/review  { word, reading, grade, duration_ms? } record a review (grade 0-5)
+app.post('/api/srs/vocab', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const parsed = vocabulary.parseVocabFields(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { fields, error } = vocabulary.completeVocabFields(parsed.fields, wordDictionary && wordDictionary.lookupExact);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { card, created } = await vocabulary.addVocabCard(pool, userId, fields);
+    const label = `${card.word}（${card.reading}）`;
+    if (created) {
+      console.log(`Word '${label}' added to SRS for user ${userId}`);
+      return res.status(201).json({ message: `Word '${label}' added to your review queue.`, card });
+    }
+    res.status(200).json({ message: `Word '${label}' is already in your review queue.`, card });
+  } catch (error) {
+    console.error(`Error adding word '${fields.word}' to SRS for user ${userId}:`, error);
+    if (error.code === '23503') { // foreign_key_violation
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    res.status(500).json({ error: 'Failed to add word to review queue.' });
+  }
+});
+
+app.post('/api/srs/vocab/review', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const { grade, duration_ms: durationMs } = req.body || {};
+  if (!isValidGrade(grade)) {
+    return res.status(400).json({ error: 'Invalid review grade provided (must be 0-5).' });
+  }
+  const { fields, error } = vocabulary.parseVocabFields(req.body);
+  if (error || !fields.reading) {
+    return res.status(400).json({ error: error || 'reading must be written in kana.' });
+  }
+
+  try {
+    const settings = await srsSettings.loadSrsSettings(pool, userId);
+    const scheduler = getScheduler(settings.algorithm);
+    const now = new Date();
+    const reviewed = await vocabulary.reviewVocabCard(pool, userId, fields, grade, { scheduler, targetRetention: settings.target_retention, now });
+    if (!reviewed) {
+      return res.status(404).json({ error: 'Word is not in your review queue.' });
+    }
+    const { card, previous, next } = reviewed;
+    await srsStats.logReview(pool, userId, {
+      card: { card_type: 'vocab', card_key: card.word, reading: card.reading },
+      grade,
+      previous,
+      next,
+      scheduler: scheduler.name,
+      durationMs: srsStats.parseDurationMs(durationMs),
+      now,
+    });
+    console.log(`SRS updated for word ${card.word} (User ${userId}): Grade=${grade}, Interval=${card.interval}, EFactor=${card.efactor.toFixed(2)}`);
+    res.status(200).json({ message: 'Review recorded successfully.', card });
+  } catch (error) {
+    console.error(`Error processing review for word ${fields.word} (User ${userId}):`, error);
+    res.status(500).json({ error: 'Failed to process review.' });
+  }
 });
 
-// Export the app for testing purposes
-module.exports = { app };
+// --- Start the Server (not when required by the tests) ---
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`✨ Backend server is running on port ${port}`);
+  });
+}
+
+// Export the app (and Kuroshiro's init promise, so tests can wait for it) for testing purposes
+module.exports = { app, kuroshiroInitialization };
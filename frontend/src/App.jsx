@@ -1,15 +1,45 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import Header from './components/Header';
 import Navbar from './components/Navbar'; // Import Navbar
 import TextInput from './components/TextInput';
 import OutputDisplay from './components/OutputDisplay';
 import AuthForms from './components/AuthForms';
 import KanjiDetailsModal from './components/KanjiDetailsModal';
-import SrsReviewTester from './components/SrsReviewTester'; // Keep for now
+import SrsReviewSession from './components/SrsReviewSession';
+import SrsStats from './components/SrsStats';
+import SrsSettings from './components/SrsSettings';
+import SrsCardBrowser from './components/SrsCardBrowser';
+import DictionarySearch from './components/DictionarySearch';
+import DocumentLibrary from './components/DocumentLibrary';
+import ContinueReading from './components/ContinueReading';
+import ReadingProgressBar from './components/ReadingProgressBar';
+import ChapterToc from './components/ChapterToc';
+import DifficultyReport from './components/DifficultyReport';
 
 // --- Configuration ---
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
 
+// Furigana options sent to /api/process-text and /api/furigana
+const DEFAULT_FURIGANA_OPTIONS = { mode: 'furigana', to: 'hiragana', hide_known: false };
+// Reading position updates are sent once the reader has stopped scrolling for this long
+const PROGRESS_SAVE_DELAY_MS = 1500;
+
+// Same formula as the backend: sentences up to and including the last viewed one. In books,
+// `chapter` is { index, count } and sentenceCount counts that chapter's sentences.
+const percentComplete = (lastSentenceIndex, sentenceCount, chapter = null) => {
+  if (lastSentenceIndex === null || !sentenceCount) return 0;
+  const chapterShare = Math.min(1, (lastSentenceIndex + 1) / sentenceCount);
+  const share = chapter ? (chapter.index + chapterShare) / chapter.count : chapterShare;
+  return Math.min(100, Math.round(share * 100));
+};
+// Reading progress of the document on screen, for the progress bar
+const documentPercent = (doc) => {
+  if (!doc.chapters) return percentComplete(doc.lastSentenceIndex, doc.sentenceCount);
+  const chapter = doc.chapters[doc.lastChapterIndex];
+  return percentComplete(doc.lastSentenceIndex, chapter && chapter.sentence_count, { index: doc.lastChapterIndex, count: doc.chapters.length });
+};
+const sameFuriganaOptions = (a, b) => Boolean(a && b) && a.mode === b.mode && a.to === b.to && a.hide_known === b.hide_known;
+
 // --- API Call Functions (Keep existing) ---
 async function apiRegister(email, password) {
     console.log("Attempting registration via API for:", email);
@@ -47,10 +77,27 @@ async function apiLogin(email, password) {
     }
 }
 
+// Reads an NDJSON response body and calls onEvent for every parsed line
+async function readNdjsonStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the incomplete last line for the next chunk
+        lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+        if (done) break;
+    }
+    if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
 // --- Main App Component ---
 function App() {
   // --- State ---
   const [inputText, setInputText] = useState('');
+  const [inputFormat, setInputFormat] = useState('text'); // 'text', text with author ruby (aozora, html) or a subtitle format (srt, vtt, ass)
   const [processedData, setProcessedData] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -62,7 +109,20 @@ function App() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedKanjiChar, setSelectedKanjiChar] = useState(null);
   const [selectedKanjiDetails, setSelectedKanjiDetails] = useState(null);
+  // The word the clicked Kanji belongs to ({ word, reading, meaning, sentence }), offered as a vocabulary card
+  const [selectedWord, setSelectedWord] = useState(null);
+  // The sentence it was clicked in ({ sentence, translation, document_id, chapter_index, sentence_index }),
+  // kept with the kanji card
+  const [selectedContext, setSelectedContext] = useState(null);
   const [activeView, setActiveView] = useState('reader');
+  const [furiganaOptions, setFuriganaOptions] = useState(DEFAULT_FURIGANA_OPTIONS);
+  const [isRenderingFurigana, setIsRenderingFurigana] = useState(false);
+  // The saved document on screen: { id, title, sentenceCount, lastSentenceIndex }, and for books
+  // also { chapters, chapterIndex (the open chapter), lastChapterIndex }
+  const [currentDocument, setCurrentDocument] = useState(null);
+  const [resumePosition, setResumePosition] = useState(null); // { index } to scroll back to
+  const [difficultyInput, setDifficultyInput] = useState(null); // { text, format } shown in the difficulty report
+  const pendingProgress = useRef(null); // { documentId, chapterIndex, index, timer } not yet sent
 
   // --- Effects ---
   // Standard useEffect to sync currentUser with authToken
@@ -106,56 +166,316 @@ function App() {
      setIsLoading(true);
      setError(null);
      setProcessedData([]);
+     flushReadingProgress();
+     setCurrentDocument(null);
+     setResumePosition(null);
+     setDifficultyInput({ text: inputText, format: inputFormat });
+     const requestFurigana = furiganaOptions;
      try {
-       const headers = { 'Content-Type': 'application/json' };
-       const currentToken = authToken; // Use the token from state
-
-       if (currentToken) {
-         headers['Authorization'] = `Bearer ${currentToken}`; // Add header if token exists
-         console.log("handleProcessText: Sending Authorization header.");
-       } else {
-         // This case should ideally only happen if the user tries to call this
-         // while not logged in, which the UI should prevent.
-         // The backend middleware will handle the rejection.
-         console.warn("handleProcessText: No auth token found. Request will likely fail if route is protected.");
-       }
+       const finishedSentences = await streamProcessText(inputText, requestFurigana, inputFormat);
+       await saveDocument(inputText, finishedSentences, requestFurigana);
+     } catch (err) {
+         console.error('API call failed:', err);
+         // If the error is auth-related, log the user out
+         if (err.message.includes("Authentication failed")) {
+             handleLogout(); // Force logout if token seems invalid
+         }
+         setError(err.message || 'Failed to connect to the backend or process the text.');
+     } finally {
+       setIsLoading(false);
+     }
+  };
 
-       const response = await fetch(API_BASE_URL + '/api/process-text', {
+  // Difficulty report of the input, without processing it
+  const handleAnalyzeDifficulty = () => {
+     if (!inputText.trim()) return;
+     setDifficultyInput({ text: inputText, format: inputFormat });
+  };
+
+  // Process text (or a subtitle file, cue by cue) with the streaming endpoint, showing sentence
+  // cards as soon as each one is ready; resolves to the final results (kept outside React state
+  // so they can be saved). `ruby`: the author's readings of plain text (EPUB chapters)
+  const streamProcessText = async (text, requestFurigana, format = 'text', ruby = null) => {
+     let finishedSentences = [];
+     const headers = { 'Content-Type': 'application/json' };
+     const currentToken = authToken; // Use the token from state
+
+     if (currentToken) {
+       headers['Authorization'] = `Bearer ${currentToken}`; // Add header if token exists
+       console.log("streamProcessText: Sending Authorization header.");
+     } else {
+       // This case should ideally only happen if the user tries to call this
+       // while not logged in, which the UI should prevent.
+       // The backend middleware will handle the rejection.
+       console.warn("streamProcessText: No auth token found. Request will likely fail if route is protected.");
+     }
+
+     // Use the streaming endpoint so sentence cards appear as soon as each one is ready
+     const response = await fetch(API_BASE_URL + '/api/process-text/stream', {
+       method: 'POST',
+       headers: headers,
+       body: JSON.stringify({ text, furigana: requestFurigana, format, ...(ruby && ruby.length > 0 ? { ruby } : {}) }),
+     });
+
+     // Check for auth errors specifically
+     if (response.status === 401 || response.status === 403) {
+         console.error("Authentication error processing text:", response.status);
+         throw new Error("Authentication failed. Please log in again.");
+     }
+     // Check for other non-OK errors
+     if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: `HTTP error! Status: ${response.status}` }));
+        throw new Error(errorData.error || `HTTP error! Status: ${response.status}`);
+     }
+     // Process the stream: placeholders first, then each sentence as it arrives
+     let streamError = null;
+     await readNdjsonStream(response, (event) => {
+        if (event.type === 'start') {
+            finishedSentences = event.segments.map(segment => ({
+                original_sentence: segment.text,
+                paragraph_index: segment.paragraph_index,
+                is_heading: segment.is_heading,
+                start_ms: segment.start_ms,
+                end_ms: segment.end_ms,
+                pending: true,
+            }));
+            setProcessedData(finishedSentences);
+        } else if (event.type === 'sentence') {
+            finishedSentences = finishedSentences.map((sentence, index) => (index === event.index ? event.sentence : sentence));
+            setProcessedData(current => current.map((sentence, index) => (index === event.index ? event.sentence : sentence)));
+        } else if (event.type === 'summary') {
+            console.log(`Processed ${event.sentence_count} sentences (${event.error_count} with errors, ${event.cache_hits} cached) in ${event.elapsed_ms} ms.`);
+        } else if (event.type === 'error') {
+            streamError = event.error;
+        }
+     });
+     if (streamError) {
+         throw new Error(streamError);
+     }
+     return finishedSentences;
+  };
+
+  // Save processed results to the Library (the backend updates the document of an identical
+  // text rather than adding a copy); failures only cost the saved copy, not the results
+  const saveDocument = async (sourceText, sentences, furigana) => {
+     if (sentences.length === 0 || sentences.some(sentence => sentence.pending)) return;
+     try {
+       const response = await fetch(API_BASE_URL + '/api/documents', {
          method: 'POST',
-         headers: headers,
-         body: JSON.stringify({ text: inputText }),
+         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
+         body: JSON.stringify({ source_text: sourceText, processed_sentences: sentences, furigana }),
        });
+       const data = await response.json();
+       if (!response.ok) {
+         throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+       }
+       setCurrentDocument({ id: data.id, title: data.title, sentenceCount: data.sentence_count, lastSentenceIndex: data.last_sentence_index });
+       console.log(`Saved document ${data.id} "${data.title}" to the library.`);
+     } catch (err) {
+       console.error('Saving document failed:', err);
+     }
+  };
+
+  // Readings of the given sentences with other furigana options (POST /api/furigana, no
+  // translation); resolves to the re-rendered sentences keyed by sentence text
+  const fetchFurigana = async (sentences, options) => {
+     const response = await fetch(API_BASE_URL + '/api/furigana', {
+       method: 'POST',
+       headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
+       // Sentences with author ruby keep it
+       body: JSON.stringify({
+         sentences: sentences.map(sentence => (sentence.ruby ? { text: sentence.original_sentence, ruby: sentence.ruby } : sentence.original_sentence)),
+         furigana: options,
+       }),
+     });
+     const data = await response.json();
+     if (!response.ok) {
+       throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+     }
+     // Results come back in request order; match them up by sentence text
+     return new Map(data.sentences.map(sentence => [sentence.original_sentence, sentence]));
+  };
+  const mergeFurigana = (sentences, furiganaBySentence) => sentences.map(sentence => {
+     const rendered = furiganaBySentence.get(sentence.original_sentence);
+     return rendered ? { ...sentence, furigana_html: rendered.furigana_html, segments: rendered.segments } : sentence;
+  });
+
+  // Re-render the readings of the current results with new furigana options (no new translation)
+  const handleFuriganaOptionsChange = async (newOptions) => {
+     const previousOptions = furiganaOptions;
+     setFuriganaOptions(newOptions);
+     const finished = processedData.filter(sentence => !sentence.pending);
+     if (finished.length === 0) return;
 
-       // Check for auth errors specifically
-       if (response.status === 401 || response.status === 403) {
-           console.error("Authentication error processing text:", response.status);
-           throw new Error("Authentication failed. Please log in again.");
+     setIsRenderingFurigana(true);
+     try {
+       const furiganaBySentence = await fetchFurigana(finished, newOptions);
+       setProcessedData(current => mergeFurigana(current, furiganaBySentence));
+     } catch (err) {
+       console.error('Furigana re-render failed:', err);
+       setFuriganaOptions(previousOptions);
+     } finally {
+       setIsRenderingFurigana(false);
+     }
+  };
+
+  // Authenticated GET of a saved document or chapter
+  const fetchSaved = async (path) => {
+     const response = await fetch(API_BASE_URL + path, {
+       headers: { 'Authorization': `Bearer ${authToken}` },
+     });
+     const data = await response.json();
+     if (!response.ok) {
+       throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+     }
+     return data;
+  };
+
+  // Show saved sentences; only the readings are re-rendered (and only when the current
+  // furigana options differ from the ones they were saved with)
+  const showSavedSentences = async (sentences, savedFurigana) => {
+     setProcessedData(sentences);
+     const savedOptions = savedFurigana || DEFAULT_FURIGANA_OPTIONS;
+     if (sameFuriganaOptions(savedOptions, furiganaOptions)) return;
+     try {
+       const furiganaBySentence = await fetchFurigana(sentences, furiganaOptions);
+       setProcessedData(mergeFurigana(sentences, furiganaBySentence));
+     } catch (err) {
+       console.error('Furigana re-render failed, showing the saved readings:', err);
+       setFuriganaOptions(savedOptions);
+     }
+  };
+
+  // Reopen a saved document in the reader; books open at the chapter last read
+  const handleOpenDocument = async (documentId) => {
+     flushReadingProgress();
+     setError(null);
+     setIsLoading(true);
+     setActiveView('reader');
+     setDifficultyInput(null);
+     try {
+       const data = await fetchSaved(`/api/documents/${documentId}`);
+       const openedDocument = { id: data.id, title: data.title, sentenceCount: data.sentence_count, lastSentenceIndex: data.last_sentence_index };
+       if (data.chapters) {
+         const book = { ...openedDocument, chapters: data.chapters, chapterIndex: null, lastChapterIndex: data.last_chapter_index };
+         setCurrentDocument(book);
+         await openChapter(book, data.last_chapter_index ?? 0);
+         return;
        }
-       // Check for other non-OK errors
-       if (!response.ok) {
-          const errorData = await response.json().catch(() => ({ error: `HTTP error! Status: ${response.status}` }));
-          throw new Error(errorData.error || `HTTP error! Status: ${response.status}`);
+       setInputText(data.source_text);
+       setInputFormat('text');
+       setCurrentDocument(openedDocument);
+       setResumePosition(data.last_sentence_index !== null ? { index: data.last_sentence_index } : null);
+       await showSavedSentences(data.processed_sentences, data.furigana);
+     } catch (err) {
+       console.error('Opening document failed:', err);
+       setError(err.message || 'Failed to open the document.');
+     } finally {
+       setIsLoading(false);
+     }
+  };
+
+  // Show one chapter of a book. Chapters are processed (and saved) the first time they are opened.
+  const openChapter = async (book, chapterIndex) => {
+     setProcessedData([]);
+     setResumePosition(null);
+     setDifficultyInput(null);
+     const chapter = await fetchSaved(`/api/documents/${book.id}/chapters/${chapterIndex}`);
+     setInputText(chapter.source_text);
+     setInputFormat('text');
+     setCurrentDocument(current => (current && current.id === book.id ? { ...current, chapterIndex } : current));
+     if (chapter.processed_sentences) {
+       if (book.lastChapterIndex === chapterIndex && book.lastSentenceIndex !== null) {
+         setResumePosition({ index: book.lastSentenceIndex });
        }
-       // Process successful response
-       const data = await response.json();
-       if (data && data.processedSentences) {
-          setProcessedData(data.processedSentences);
-       } else {
-           console.error("Unexpected response structure:", data);
-           throw new Error("Received unexpected data structure from backend.");
+       await showSavedSentences(chapter.processed_sentences, chapter.furigana);
+       return;
+     }
+
+     const requestFurigana = furiganaOptions;
+     const sentences = await streamProcessText(chapter.source_text, requestFurigana, 'text', chapter.ruby);
+     if (sentences.length === 0 || sentences.some(sentence => sentence.pending)) return;
+     try {
+       const response = await fetch(`${API_BASE_URL}/api/documents/${book.id}/chapters/${chapterIndex}`, {
+         method: 'PUT',
+         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
+         body: JSON.stringify({ processed_sentences: sentences, furigana: requestFurigana }),
+       });
+       const saved = await response.json();
+       if (!response.ok) {
+         throw new Error(saved.error || `HTTP error! Status: ${response.status}`);
        }
+       setCurrentDocument(current => (current && current.id === book.id ? {
+         ...current,
+         chapters: current.chapters.map(other => (other.index === chapterIndex ? { ...other, processed: true, sentence_count: saved.sentence_count } : other)),
+       } : current));
      } catch (err) {
-         console.error('API call failed:', err);
-         // If the error is auth-related, log the user out
-         if (err.message.includes("Authentication failed")) {
-             handleLogout(); // Force logout if token seems invalid
-         }
-         setError(err.message || 'Failed to connect to the backend or process the text.');
+       // The chapter stays readable; it is processed again next time
+       console.error('Saving chapter failed:', err);
+     }
+  };
+
+  const handleOpenChapter = async (chapterIndex) => {
+     if (!currentDocument || !currentDocument.chapters) return;
+     flushReadingProgress();
+     setError(null);
+     setIsLoading(true);
+     try {
+       await openChapter(currentDocument, chapterIndex);
+     } catch (err) {
+       console.error('Opening chapter failed:', err);
+       if (err.message.includes("Authentication failed")) {
+         handleLogout();
+       }
+       setError(err.message || 'Failed to open the chapter.');
      } finally {
        setIsLoading(false);
      }
   };
 
+  // Reading position of the current document (PUT /api/documents/:id/progress), debounced
+  // (chapterIndex: the open chapter of a book, null for other documents)
+  const sendReadingProgress = useCallback(async (documentId, chapterIndex, index) => {
+     try {
+       const position = chapterIndex === null ? { sentence_index: index } : { sentence_index: index, chapter_index: chapterIndex };
+       const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/progress`, {
+         method: 'PUT',
+         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
+         body: JSON.stringify(position),
+       });
+       if (!response.ok) {
+         const data = await response.json().catch(() => ({}));
+         throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+       }
+     } catch (err) {
+       console.error('Saving reading progress failed:', err);
+     }
+  }, [authToken]);
+
+  // Send a waiting update right away (before another document replaces this one)
+  const flushReadingProgress = () => {
+     const pending = pendingProgress.current;
+     if (!pending) return;
+     clearTimeout(pending.timer);
+     pendingProgress.current = null;
+     sendReadingProgress(pending.documentId, pending.chapterIndex, pending.index);
+  };
+
+  const currentDocumentId = currentDocument && currentDocument.id;
+  const currentChapterIndex = currentDocument && currentDocument.chapters ? currentDocument.chapterIndex : null;
+  const handleSentenceViewed = useCallback((index) => {
+     if (!currentDocumentId) return;
+     setCurrentDocument(current => (current && current.id === currentDocumentId
+       ? { ...current, lastSentenceIndex: index, ...(current.chapters ? { lastChapterIndex: currentChapterIndex } : {}) }
+       : current));
+     if (pendingProgress.current) clearTimeout(pendingProgress.current.timer);
+     const timer = setTimeout(() => {
+       pendingProgress.current = null;
+       sendReadingProgress(currentDocumentId, currentChapterIndex, index);
+     }, PROGRESS_SAVE_DELAY_MS);
+     pendingProgress.current = { documentId: currentDocumentId, chapterIndex: currentChapterIndex, index, timer };
+  }, [currentDocumentId, currentChapterIndex, sendReadingProgress]);
+
   // handleRegister (No changes needed)
   const handleRegister = async (email, password) => {
     setAuthError('');
@@ -191,9 +511,12 @@ function App() {
   };
 
   const handleLogout = () => {
+    flushReadingProgress();
     localStorage.removeItem('authToken');
     setAuthToken(null);
     setProcessedData([]);
+    setCurrentDocument(null);
+    setResumePosition(null);
     setError(null);
     setAuthError('');
     setActiveView('reader');
@@ -202,19 +525,30 @@ function App() {
 
 
   // --- Modal Handlers (No changes needed) ---
-  const handleKanjiClick = (kanjiChar, details) => {
+  const handleKanjiClick = (kanjiChar, details, word = null, context = null) => {
     console.log("Kanji clicked:", kanjiChar, "Details:", details);
     setSelectedKanjiChar(kanjiChar);
     setSelectedKanjiDetails(details);
+    setSelectedWord(word);
+    // Sentences of a saved document also record where in it they are
+    setSelectedContext(context && (currentDocument
+      ? { ...context, document_id: currentDocument.id, chapter_index: currentDocument.chapters ? currentDocument.chapterIndex : null }
+      : { sentence: context.sentence, translation: context.translation }));
     setIsModalOpen(true);
   };
   const handleCloseModal = () => {
     setIsModalOpen(false);
     setSelectedKanjiChar(null);
     setSelectedKanjiDetails(null);
+    setSelectedWord(null);
+    setSelectedContext(null);
   };
   // --- End Modal Handlers ---
 
+  // Reading position is kept for saved documents; in books, once the open chapter is processed
+  const openChapterSummary = currentDocument && currentDocument.chapters && currentDocument.chapters[currentDocument.chapterIndex];
+  const tracksProgress = Boolean(currentDocument) && (!currentDocument.chapters || Boolean(openChapterSummary && openChapterSummary.processed));
+
   // --- Determine if logged in (Standard logic) ---
   // User is logged in if both token and user info are present
   const isLoggedIn = !!authToken && !!currentUser;
@@ -236,32 +570,75 @@ function App() {
             {/* Conditionally render content based on activeView */}
             {activeView === 'reader' && (
               <>
+                {/* Started documents, until something is on screen */}
+                {processedData.length === 0 && !isLoading && (
+                  <ContinueReading onOpenDocument={handleOpenDocument} />
+                )}
                 {/* Text Input */}
                 <TextInput
                   inputText={inputText}
                   setInputText={setInputText}
+                  inputFormat={inputFormat}
+                  setInputFormat={setInputFormat}
                   handleProcessText={handleProcessText}
+                  handleAnalyzeDifficulty={handleAnalyzeDifficulty}
                   isLoading={isLoading}
                 />
                 <hr className="my-6 border-t border-stone-300" />
-                {/* Output Display */}
-                <OutputDisplay
-                  processedData={processedData}
-                  isLoading={isLoading}
-                  error={error}
-                  handleKanjiClick={handleKanjiClick}
-                />
+                {currentDocument && (
+                  <div className="mb-3">
+                    <p className="text-sm text-stone-500 mb-1">Saved in your library as "{currentDocument.title}"</p>
+                    <ReadingProgressBar percent={documentPercent(currentDocument)} />
+                  </div>
+                )}
+                <div className="flex flex-col md:flex-row gap-6">
+                  {/* Chapters of a book */}
+                  {currentDocument && currentDocument.chapters && (
+                    <ChapterToc
+                      chapters={currentDocument.chapters}
+                      currentIndex={currentDocument.chapterIndex}
+                      onSelectChapter={handleOpenChapter}
+                      disabled={isLoading}
+                    />
+                  )}
+                  {/* Difficulty summary and Output Display */}
+                  <div className="flex-grow min-w-0">
+                    <DifficultyReport input={difficultyInput} />
+                    <OutputDisplay
+                      processedData={processedData}
+                      isLoading={isLoading}
+                      error={error}
+                      handleKanjiClick={handleKanjiClick}
+                      furiganaOptions={furiganaOptions}
+                      onFuriganaOptionsChange={handleFuriganaOptionsChange}
+                      isRenderingFurigana={isRenderingFurigana}
+                      onSentenceViewed={tracksProgress ? handleSentenceViewed : undefined}
+                      resumePosition={resumePosition}
+                    />
+                  </div>
+                </div>
               </>
             )}
 
+            {activeView === 'library' && (
+              <DocumentLibrary onOpenDocument={handleOpenDocument} currentDocumentId={currentDocument && currentDocument.id} />
+            )}
+
             {activeView === 'srs' && (
               <>
                 <h2 className="text-xl font-semibold mb-4 text-stone-700">SRS Review Session</h2>
-                {/* Render the SRS Tester for now, replace later with real component */}
-                <SrsReviewTester />
-                {/* <SrsReviewSession />  <-- Future component */}
+                <SrsSettings />
+                <SrsReviewSession />
               </>
             )}
+
+            {activeView === 'cards' && <SrsCardBrowser />}
+
+            {activeView === 'stats' && <SrsStats />}
+
+            {activeView === 'dictionary' && (
+              <DictionarySearch handleKanjiClick={handleKanjiClick} />
+            )}
           </main>
         </>
       ) : (
@@ -286,6 +663,8 @@ function App() {
         onClose={handleCloseModal}
         kanjiChar={selectedKanjiChar}
         kanjiDetails={selectedKanjiDetails}
+        word={selectedWord}
+        context={selectedContext}
       />
        {/* Footer (Keep existing) */}
        <footer className="mt-8 text-center text-stone-500 text-sm">
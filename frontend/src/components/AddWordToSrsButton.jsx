@@ -0,0 +1,71 @@
+// src/components/AddWordToSrsButton.jsx
+// "Add word to SRS" action (POST /api/srs/vocab), used by the word tooltip and KanjiDetailsModal.
+// reading and meaning may be left out; the backend takes them from the dictionary entry.
+import React, { useState } from 'react';
+import { PlusCircle, CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+function AddWordToSrsButton({ word, reading, meaning, sentence, className = '' }) {
+  const [isAdding, setIsAdding] = useState(false);
+  const [message, setMessage] = useState('');
+  const [isSuccess, setIsSuccess] = useState(false);
+
+  const handleClick = async (e) => {
+    e.stopPropagation(); // Don't let the click reach the Kanji or word underneath
+    setIsAdding(true);
+    setMessage('');
+    setIsSuccess(false);
+    const token = localStorage.getItem('authToken');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/srs/vocab`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ word, reading: reading || undefined, meaning: meaning || undefined, sentence: sentence || undefined }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        if (response.status === 401 || response.status === 403) {
+          throw new Error('Authentication failed. Please log in again.');
+        }
+        throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+      }
+      setMessage(data.message || 'Added successfully!');
+      setIsSuccess(true);
+    } catch (err) {
+      console.error('Add word to SRS Error:', err);
+      setMessage(`Error: ${err.message}`);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <div className={className}>
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={isAdding || isSuccess}
+        className={`w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+          isAdding || isSuccess
+            ? 'bg-stone-300 text-stone-500 cursor-not-allowed'
+            : 'bg-orange-600 text-white hover:bg-orange-700 active:bg-orange-800'
+        }`}
+      >
+        {isAdding
+          ? <><Loader2 size={14} className="animate-spin" /> Adding...</>
+          : <><PlusCircle size={14} /> Add word {word} to SRS</>}
+      </button>
+      {message && (
+        <p className={`mt-1 text-xs flex items-center gap-1 ${isSuccess ? 'text-green-600' : 'text-red-600'}`}>
+          {isSuccess ? <CheckCircle size={12} /> : <AlertCircle size={12} />}
+          {message}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default AddWordToSrsButton;
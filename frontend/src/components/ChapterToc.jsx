@@ -0,0 +1,37 @@
+// src/components/ChapterToc.jsx
+// Table of contents of a book (EPUB document) next to the reader; chapters that were never
+// opened have not been processed yet
+import React from 'react';
+
+function ChapterToc({ chapters, currentIndex, onSelectChapter, disabled }) {
+  return (
+    <nav aria-label="Chapters" className="md:w-56 shrink-0">
+      <h3 className="text-sm font-semibold uppercase tracking-wide text-stone-500 mb-2">Chapters</h3>
+      <ol className="space-y-1 md:max-h-[70vh] md:overflow-y-auto">
+        {chapters.map(chapter => {
+          const isCurrent = chapter.index === currentIndex;
+          return (
+            <li key={chapter.index}>
+              <button
+                type="button"
+                onClick={() => onSelectChapter(chapter.index)}
+                disabled={disabled || isCurrent}
+                aria-current={isCurrent ? 'true' : undefined}
+                className={`w-full text-left px-2 py-1 rounded-md text-sm transition-colors ${
+                  isCurrent ? 'bg-orange-100 text-orange-800 font-medium' : 'text-stone-700 hover:bg-stone-100 disabled:opacity-50'
+                }`}
+              >
+                <span className="block truncate">{chapter.title}</span>
+                <span className="block text-xs text-stone-400">
+                  {chapter.processed ? `${chapter.sentence_count} sentences` : 'Not processed yet'}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
+
+export default ChapterToc;
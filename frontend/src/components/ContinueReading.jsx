@@ -0,0 +1,52 @@
+// src/components/ContinueReading.jsx
+// "Continue reading" list on the reader landing page: started but unfinished documents
+import React, { useEffect, useState } from 'react';
+import ReadingProgressBar from './ReadingProgressBar';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+const CONTINUE_READING_LIMIT = 5;
+
+function ContinueReading({ onOpenDocument }) {
+  const [documents, setDocuments] = useState([]);
+
+  useEffect(() => {
+    const token = localStorage.getItem('authToken');
+    fetch(`${API_BASE_URL}/api/documents?status=in_progress&limit=${CONTINUE_READING_LIMIT}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP error! Status: ${response.status}`))))
+      .then(data => setDocuments(data.documents))
+      .catch(err => console.error('Continue reading load error:', err)); // the list is optional, stay quiet
+  }, []);
+
+  if (documents.length === 0) return null;
+
+  return (
+    <section className="mb-6">
+      <h2 className="text-lg font-semibold mb-2 text-stone-700">Continue reading</h2>
+      <ul className="grid gap-2 sm:grid-cols-2">
+        {documents.map(doc => (
+          <li key={doc.id}>
+            <button
+              type="button"
+              onClick={() => onOpenDocument(doc.id)}
+              className="w-full text-left p-3 border border-stone-300/50 rounded-md bg-white/80 shadow-sm hover:border-orange-300 transition-colors"
+            >
+              <span className="block font-medium text-stone-800 truncate">{doc.title}</span>
+              <span className="block text-xs text-stone-500 mb-1">
+                {doc.chapter_count
+                  ? `Chapter ${doc.last_chapter_index + 1} of ${doc.chapter_count}`
+                  : `Sentence ${doc.last_sentence_index + 1} of ${doc.sentence_count}`}
+              </span>
+              <ReadingProgressBar percent={doc.percent_complete} label={`${doc.title} progress`} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default ContinueReading;
@@ -0,0 +1,171 @@
+// src/components/DictionarySearch.jsx
+import React, { useState } from 'react';
+import { Search, Loader2 } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+// Regular expression to identify Kanji characters
+const kanjiRegex = /[\u4E00-\u9FAF\u3400-\u4DBF]/;
+
+// --- Single dictionary entry (headword, readings, senses) ---
+function DictionaryEntry({ entry, tags, kanjiDetailsMap, handleKanjiClick }) {
+  const [headword, ...otherForms] = entry.kanji.length > 0 ? entry.kanji : entry.readings;
+  const readings = entry.kanji.length > 0 ? entry.readings : [];
+
+  // Every Kanji in the headword opens KanjiDetailsModal, which can add the entry to SRS
+  const vocabCard = {
+    word: headword.text,
+    reading: entry.readings[0] ? entry.readings[0].text : null,
+    meaning: entry.senses[0] ? entry.senses[0].glosses.join('; ') : null,
+  };
+  const renderHeadword = (text) => text.split('').map((char, index) => (
+    kanjiRegex.test(char) ? (
+      <span
+        key={index}
+        className="cursor-pointer hover:bg-yellow-200 rounded-sm transition-colors"
+        onClick={() => handleKanjiClick(char, kanjiDetailsMap[char] || null, vocabCard)}
+        title={`Show details for ${char}`}
+      >
+        {char}
+      </span>
+    ) : char
+  ));
+
+  return (
+    <li className="p-4 border border-stone-300/50 rounded-md bg-white/80 shadow-sm">
+      <div className="flex items-baseline gap-3 flex-wrap">
+        <span className="text-2xl text-stone-800">{renderHeadword(headword.text)}</span>
+        {readings.length > 0 && (
+          <span className="text-lg text-stone-600">{readings.map(reading => reading.text).join('、')}</span>
+        )}
+        {entry.common && (
+          <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700 border border-green-200">common</span>
+        )}
+        {entry.frequency_rank && (
+          <span className="text-xs text-stone-500" title="Newspaper frequency band (lower is more frequent)">
+            freq. #{entry.frequency_rank}
+          </span>
+        )}
+      </div>
+
+      <ol className="mt-2 space-y-1 list-decimal list-inside text-stone-700">
+        {entry.senses.map((sense, index) => (
+          <li key={index}>
+            {sense.pos.map(code => (
+              <span key={code} title={tags[code] || code} className="text-xs mr-1 px-1.5 py-0.5 rounded bg-stone-100 text-stone-600 border border-stone-200">
+                {code}
+              </span>
+            ))}
+            {sense.glosses.join('; ')}
+            {sense.misc.length > 0 && (
+              <span className="text-xs text-stone-500 ml-1">({sense.misc.map(code => tags[code] || code).join(', ')})</span>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {otherForms.length > 0 && (
+        <p className="mt-2 text-xs text-stone-500">
+          Other forms: {otherForms.map(form => form.text).join('、')}
+        </p>
+      )}
+    </li>
+  );
+}
+
+// --- Main DictionarySearch Component ---
+function DictionarySearch({ handleKanjiClick }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null); // null = no search yet
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setIsSearching(true);
+    setError(null);
+
+    const token = localStorage.getItem('authToken');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/dictionary/search?q=${encodeURIComponent(query.trim())}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (response.status === 401 || response.status === 403) {
+          throw new Error("Authentication failed. Please log in again.");
+        }
+        throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+      }
+      setResults(data);
+    } catch (err) {
+      console.error('Dictionary search error:', err);
+      setError(err.message);
+      setResults(null);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <section>
+      <h2 className="text-xl font-semibold mb-4 text-stone-700">Dictionary</h2>
+
+      {/* Search Form */}
+      <form onSubmit={handleSearch} className="flex gap-2 mb-6">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="食べる, たべる or taberu"
+          aria-label="Search the dictionary"
+          className="flex-grow p-2 border border-stone-400 rounded-md focus:ring-2 focus:ring-orange-600 focus:border-transparent bg-white/90 shadow-sm"
+          disabled={isSearching}
+        />
+        <button
+          type="submit"
+          disabled={isSearching || !query.trim()}
+          className={`flex items-center gap-2 px-4 py-2 rounded-md text-white font-semibold shadow transition-colors focus:outline-none focus:ring-2 focus:ring-orange-600 focus:ring-offset-2 ${
+            isSearching || !query.trim() ? 'bg-orange-600/50 cursor-not-allowed' : 'bg-orange-600 hover:bg-orange-700'
+          }`}
+        >
+          {isSearching ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />}
+          Search
+        </button>
+      </form>
+
+      {/* Error Message Display */}
+      {error && <p className="text-red-600 bg-red-100 p-3 rounded-md border border-red-300">Error: {error}</p>}
+
+      {/* Results */}
+      {results && results.results.length === 0 && (
+        <p className="text-stone-500">No entries found for "{results.query}".</p>
+      )}
+      {results && results.results.length > 0 && (
+        <ul className="space-y-4">
+          {results.results.map(entry => (
+            <DictionaryEntry
+              key={entry.id}
+              entry={entry}
+              tags={results.tags || {}}
+              kanjiDetailsMap={results.kanji_details_map || {}}
+              handleKanjiClick={handleKanjiClick}
+            />
+          ))}
+        </ul>
+      )}
+
+      {/* Initial State Message */}
+      {!results && !error && !isSearching && (
+        <p className="text-stone-500">Search for a word in kanji, kana or romaji.</p>
+      )}
+    </section>
+  );
+}
+
+export default DictionarySearch;
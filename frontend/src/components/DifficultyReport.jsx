@@ -0,0 +1,155 @@
+// src/components/DifficultyReport.jsx
+// Summary of how hard a text is for the user (POST /api/analyze-difficulty): overall estimate,
+// kanji by JLPT level and school grade, known kanji and words, sentence lengths
+import React, { useEffect, useState } from 'react';
+import { Gauge, Loader2 } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+const JLPT_BARS = [
+  { key: 'N5', label: 'N5', className: 'bg-green-400' },
+  { key: 'N4', label: 'N4', className: 'bg-lime-400' },
+  { key: 'N3', label: 'N3', className: 'bg-yellow-400' },
+  { key: 'N2', label: 'N2', className: 'bg-orange-400' },
+  { key: 'N1', label: 'N1', className: 'bg-red-500' },
+  { key: 'none', label: 'Not in JLPT', className: 'bg-stone-400' },
+];
+const GRADE_LABELS = {
+  grade_1: 'Grade 1', grade_2: 'Grade 2', grade_3: 'Grade 3', grade_4: 'Grade 4', grade_5: 'Grade 5', grade_6: 'Grade 6',
+  junior_high: 'Junior high', jinmeiyo: 'Jinmeiyō', none: 'Other',
+};
+
+const percent = (share) => (share === null ? '–' : `${Math.round(share * 100)}%`);
+
+// One stacked bar: unique kanji per JLPT level
+function JlptBar({ jlpt, unique }) {
+  return (
+    <div>
+      <div className="flex h-3 rounded-full overflow-hidden bg-stone-200" role="img" aria-label="Kanji by JLPT level">
+        {JLPT_BARS.filter(bar => jlpt[bar.key] > 0).map(bar => (
+          <div key={bar.key} className={bar.className} style={{ width: `${(jlpt[bar.key] / unique) * 100}%` }} title={`${bar.label}: ${jlpt[bar.key]}`} />
+        ))}
+      </div>
+      <ul className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs text-stone-600">
+        {JLPT_BARS.map(bar => (
+          <li key={bar.key} className="inline-flex items-center gap-1">
+            <span className={`inline-block w-2 h-2 rounded-full ${bar.className}`} />
+            {bar.label}: {jlpt[bar.key]}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// `input`: { text, format } to analyze, or null
+function DifficultyReport({ input }) {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    setReport(null);
+    setError(null);
+    if (!input) return undefined;
+    let isCurrent = true; // ignore answers for a previous input
+    setIsLoading(true);
+    const token = localStorage.getItem('authToken');
+    fetch(API_BASE_URL + '/api/analyze-difficulty', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ text: input.text, format: input.format }),
+    })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+        if (isCurrent) setReport(data);
+      })
+      .catch(err => {
+        console.error('Difficulty analysis error:', err);
+        if (isCurrent) setError(err.message);
+      })
+      .finally(() => {
+        if (isCurrent) setIsLoading(false);
+      });
+    return () => { isCurrent = false; };
+  }, [input]);
+
+  if (!input) return null;
+
+  return (
+    <section aria-label="Text difficulty" className="mb-4 p-4 border border-stone-300/50 rounded-md bg-white/80 shadow-sm">
+      <h2 className="flex items-center gap-2 text-lg font-semibold text-stone-700 mb-2">
+        <Gauge size={18} />
+        Difficulty
+        {report && (
+          <span className="ml-1 font-normal text-stone-600">
+            {report.estimate.label} ({report.estimate.score}/100)
+            {' · '}
+            {report.estimate.jlpt_level ? `about JLPT ${report.estimate.jlpt_level}` : 'beyond JLPT N1'}
+          </span>
+        )}
+      </h2>
+
+      {isLoading && (
+        <div className="flex items-center text-stone-500 text-sm">
+          <Loader2 size={16} className="animate-spin mr-2" />
+          Analyzing...
+        </div>
+      )}
+      {error && <p className="text-red-600 text-sm">Error: {error}</p>}
+
+      {report && (
+        <div className="space-y-3 text-sm text-stone-700">
+          <dl className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            <div>
+              <dt className="text-xs text-stone-500">Sentences</dt>
+              <dd>{report.sentences.count} · avg {report.sentences.mean_length} chars</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-stone-500">Longest sentence</dt>
+              <dd>{report.sentences.max_length} chars (median {report.sentences.median_length})</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-stone-500">Kanji you know</dt>
+              <dd>{report.kanji.known} of {report.kanji.unique} ({percent(report.kanji.known_share)})</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-stone-500">Words you can read</dt>
+              <dd>{report.words.known} of {report.words.with_kanji} with kanji ({percent(report.words.known_share)})</dd>
+            </div>
+          </dl>
+
+          {report.kanji.unique > 0 && <JlptBar jlpt={report.kanji.jlpt} unique={report.kanji.unique} />}
+
+          {report.kanji.unique > 0 && (
+            <p className="text-xs text-stone-600">
+              School grade:{' '}
+              {Object.entries(report.kanji.grade).filter(([, count]) => count > 0).map(([group, count]) => `${GRADE_LABELS[group]} ${count}`).join(' · ')}
+            </p>
+          )}
+
+          {report.kanji.unknown.length > 0 && (
+            <div>
+              <p className="text-xs text-stone-500 mb-1">New kanji, most frequent first</p>
+              <ul className="flex flex-wrap gap-1">
+                {report.kanji.unknown.map(kanji => (
+                  <li
+                    key={kanji.character}
+                    title={kanji.jlpt ? `${kanji.count}× · JLPT ${kanji.jlpt}` : `${kanji.count}×`}
+                    className="px-2 py-0.5 rounded border border-stone-300 bg-white text-base"
+                  >
+                    {kanji.character}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DifficultyReport;
@@ -0,0 +1,199 @@
+// src/components/DocumentLibrary.jsx
+// Saved documents (GET/PATCH/DELETE /api/documents): reopen, rename or delete them, or import
+// an EPUB book (POST /api/documents/epub)
+import React, { useEffect, useState } from 'react';
+import { BookUp, Loader2, Pencil, Trash2 } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+// Authenticated JSON request; throws with the server's error message
+async function documentsRequest(path, options = {}, contentType = 'application/json') {
+  const token = localStorage.getItem('authToken');
+  const response = await fetch(API_BASE_URL + path, {
+    ...options,
+    headers: { 'Content-Type': contentType, 'Authorization': `Bearer ${token}` },
+  });
+  if (response.status === 401 || response.status === 403) {
+    throw new Error("Authentication failed. Please log in again.");
+  }
+  const data = response.status === 204 ? null : await response.json();
+  if (!response.ok) {
+    throw new Error((data && data.error) || `HTTP error! Status: ${response.status}`);
+  }
+  return data;
+}
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// --- Single saved document (title, preview, actions) ---
+function DocumentItem({ doc, isCurrent, onOpen, onRename, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [title, setTitle] = useState(doc.title);
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (title.trim() && title.trim() !== doc.title) {
+      await onRename(doc.id, title.trim());
+    }
+    setIsRenaming(false);
+  };
+
+  return (
+    <li className={`p-4 border rounded-md shadow-sm ${isCurrent ? 'border-orange-300 bg-orange-50/80' : 'border-stone-300/50 bg-white/80'}`}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0 flex-grow">
+          {isRenaming ? (
+            <form onSubmit={handleRename} className="flex gap-2">
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                aria-label="Document title"
+                className="flex-grow p-1 border border-stone-400 rounded-md bg-white/90"
+                autoFocus
+              />
+              <button type="submit" className="px-3 py-1 text-sm rounded-md bg-orange-600 hover:bg-orange-700 text-white">Save</button>
+            </form>
+          ) : (
+            <button
+              type="button"
+              onClick={() => onOpen(doc.id)}
+              className="text-left text-lg font-medium text-stone-800 hover:text-orange-700"
+            >
+              {doc.title}
+            </button>
+          )}
+          <p className="text-stone-500 truncate">{doc.preview}</p>
+          <p className="text-xs text-stone-400 mt-1">
+            {doc.chapter_count ? `${doc.chapter_count} chapters` : `${doc.sentence_count} sentences`} · updated {formatDate(doc.updated_at)}
+          </p>
+        </div>
+        <div className="flex gap-1 shrink-0">
+          <button
+            type="button"
+            onClick={() => setIsRenaming(!isRenaming)}
+            title="Rename"
+            aria-label={`Rename ${doc.title}`}
+            className="p-2 rounded-md text-stone-500 hover:bg-stone-100 hover:text-stone-800"
+          >
+            <Pencil size={16} />
+          </button>
+          <button
+            type="button"
+            onClick={() => onDelete(doc)}
+            title="Delete"
+            aria-label={`Delete ${doc.title}`}
+            className="p-2 rounded-md text-stone-500 hover:bg-red-50 hover:text-red-600"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+}
+
+// --- Main DocumentLibrary Component ---
+function DocumentLibrary({ onOpenDocument, currentDocumentId }) {
+  const [documents, setDocuments] = useState(null); // null = not loaded yet
+  const [error, setError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    documentsRequest('/api/documents')
+      .then(data => setDocuments(data.documents))
+      .catch(err => {
+        console.error('Library load error:', err);
+        setError(err.message);
+      });
+  }, []);
+
+  const handleRename = async (id, title) => {
+    try {
+      const updated = await documentsRequest(`/api/documents/${id}`, { method: 'PATCH', body: JSON.stringify({ title }) });
+      setDocuments(current => current.map(doc => (doc.id === id ? { ...doc, title: updated.title, updated_at: updated.updated_at } : doc)));
+    } catch (err) {
+      console.error('Document rename error:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete "${doc.title}"?`)) return;
+    try {
+      await documentsRequest(`/api/documents/${doc.id}`, { method: 'DELETE' });
+      setDocuments(current => current.filter(other => other.id !== doc.id));
+    } catch (err) {
+      console.error('Document delete error:', err);
+      setError(err.message);
+    }
+  };
+
+  // Upload the book file as is; the server unpacks it and the new document opens at its first chapter
+  const handleImportEpub = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    setIsImporting(true);
+    setError(null);
+    try {
+      const created = await documentsRequest('/api/documents/epub', { method: 'POST', body: file }, 'application/epub+zip');
+      onOpenDocument(created.id);
+    } catch (err) {
+      console.error('EPUB import error:', err);
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-stone-700">Library</h2>
+        <label className={`flex items-center gap-2 px-3 py-1.5 text-sm rounded-md border border-stone-300 bg-white/80 text-stone-700 ${isImporting ? 'opacity-60' : 'cursor-pointer hover:border-orange-300'}`}>
+          {isImporting ? <Loader2 size={16} className="animate-spin" /> : <BookUp size={16} />}
+          {isImporting ? 'Importing...' : 'Import EPUB'}
+          <input
+            type="file"
+            accept=".epub,application/epub+zip"
+            onChange={handleImportEpub}
+            disabled={isImporting}
+            aria-label="Import EPUB"
+            className="sr-only"
+          />
+        </label>
+      </div>
+
+      {/* Error Message Display */}
+      {error && <p className="text-red-600 bg-red-100 p-3 rounded-md border border-red-300 mb-4">Error: {error}</p>}
+
+      {!documents && !error && (
+        <div className="flex items-center text-stone-500">
+          <Loader2 size={16} className="animate-spin mr-2" />
+          Loading documents...
+        </div>
+      )}
+      {documents && documents.length === 0 && (
+        <p className="text-stone-500">No saved documents yet. Processed texts are saved here automatically.</p>
+      )}
+      {documents && documents.length > 0 && (
+        <ul className="space-y-3">
+          {documents.map(doc => (
+            <DocumentItem
+              key={doc.id}
+              doc={doc}
+              isCurrent={doc.id === currentDocumentId}
+              onOpen={onOpenDocument}
+              onRename={handleRename}
+              onDelete={handleDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default DocumentLibrary;
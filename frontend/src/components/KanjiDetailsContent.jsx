@@ -0,0 +1,36 @@
+// src/components/KanjiDetailsContent.jsx
+// A Kanji's details (meanings, readings, strokes, grade, JLPT...), as shown in KanjiDetailsModal
+// and on the back of SRS review cards
+import React from 'react';
+
+// Helper to format readings
+const formatReadings = (readings) => (readings && readings.length > 0 ? readings.join(', ') : 'N/A');
+
+function KanjiDetailsContent({ kanjiChar, kanjiDetails }) {
+  return (
+    <>
+      <h3 className="text-4xl font-bold text-center mb-4 text-orange-700">{kanjiChar}</h3>
+      <div className="space-y-3 text-sm text-stone-700">
+        {kanjiDetails.meanings && kanjiDetails.meanings.length > 0 && ( <p><strong>Meanings:</strong> {kanjiDetails.meanings.join(', ')}</p> )}
+        {kanjiDetails.readings_on && ( <p><strong>On'yomi:</strong> {formatReadings(kanjiDetails.readings_on)}</p> )}
+        {kanjiDetails.readings_kun && ( <p><strong>Kun'yomi:</strong> {formatReadings(kanjiDetails.readings_kun)}</p> )}
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1 pt-2 border-t border-stone-200 mt-3">
+           {kanjiDetails.stroke_count && <p><strong>Strokes:</strong> {kanjiDetails.stroke_count}</p>}
+           {kanjiDetails.grade && <p><strong>Grade:</strong> {kanjiDetails.grade}</p>}
+           {kanjiDetails.jlpt && <p><strong>JLPT:</strong> {kanjiDetails.jlpt}</p>}
+           {kanjiDetails.newspaper_frequency && <p><strong>Frequency:</strong> {kanjiDetails.newspaper_frequency}</p>}
+           {kanjiDetails.radical && <p><strong>Radical:</strong> {kanjiDetails.radical}</p>}
+           {kanjiDetails.taught_in && <p><strong>Taught In:</strong> {kanjiDetails.taught_in}</p>}
+        </div>
+      </div>
+      {/* Link to Jisho.org */}
+      {kanjiDetails.uri && (
+        <a href={kanjiDetails.uri} target="_blank" rel="noopener noreferrer" className="block text-center text-sm text-blue-500 hover:text-blue-600 hover:underline mt-4">
+          View on Jisho.org →
+        </a>
+      )}
+    </>
+  );
+}
+
+export default KanjiDetailsContent;
@@ -1,13 +1,15 @@
 import React, { useState } from 'react'; // Import useState
 import { X, PlusCircle, CheckCircle, AlertCircle, Loader2 } from 'lucide-react'; // Import new icons
+import AddWordToSrsButton from './AddWordToSrsButton';
+import KanjiDetailsContent from './KanjiDetailsContent';
 
 // Get API Base URL
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
 
-// Helper to format readings
-const formatReadings = (readings) => (readings && readings.length > 0 ? readings.join(', ') : 'N/A');
-
-function KanjiDetailsModal({ isOpen, onClose, kanjiChar, kanjiDetails }) {
+// `word` (optional): the word the Kanji was clicked in, { word, reading, meaning, sentence },
+// which can be added to SRS as a vocabulary card. `context` (optional): the sentence the Kanji was
+// clicked in, { sentence, translation, document_id?, chapter_index?, sentence_index? }, saved with its card
+function KanjiDetailsModal({ isOpen, onClose, kanjiChar, kanjiDetails, word, context }) {
   // --- NEW: State for Add to SRS action ---
   const [isAddingSrs, setIsAddingSrs] = useState(false);
   const [addSrsMessage, setAddSrsMessage] = useState('');
@@ -51,7 +53,7 @@ function KanjiDetailsModal({ isOpen, onClose, kanjiChar, kanjiDetails }) {
           // Use effectiveToken which might be real or dummy in dev
           'Authorization': `Bearer ${effectiveToken}`,
         },
-        body: JSON.stringify({ kanji: kanjiChar }), // Send the kanji character
+        body: JSON.stringify(context ? { kanji: kanjiChar, context } : { kanji: kanjiChar }), // The kanji and where it was met
       });
 
       const data = await response.json();
@@ -86,31 +88,7 @@ function KanjiDetailsModal({ isOpen, onClose, kanjiChar, kanjiDetails }) {
     content = <p className="text-center text-red-500">Error: {kanjiDetails.error}</p>;
   } else {
     // Display the full Kanji details
-    content = (
-      <>
-        <h3 className="text-4xl font-bold text-center mb-4 text-orange-700">{kanjiChar}</h3>
-        <div className="space-y-3 text-sm text-stone-700">
-          {/* Meanings, Readings, Other details grid... (Keep existing) */}
-          {kanjiDetails.meanings && kanjiDetails.meanings.length > 0 && ( <p><strong>Meanings:</strong> {kanjiDetails.meanings.join(', ')}</p> )}
-          {kanjiDetails.readings_on && ( <p><strong>On'yomi:</strong> {formatReadings(kanjiDetails.readings_on)}</p> )}
-          {kanjiDetails.readings_kun && ( <p><strong>Kun'yomi:</strong> {formatReadings(kanjiDetails.readings_kun)}</p> )}
-          <div className="grid grid-cols-2 gap-x-4 gap-y-1 pt-2 border-t border-stone-200 mt-3">
-             {kanjiDetails.stroke_count && <p><strong>Strokes:</strong> {kanjiDetails.stroke_count}</p>}
-             {kanjiDetails.grade && <p><strong>Grade:</strong> {kanjiDetails.grade}</p>}
-             {kanjiDetails.jlpt && <p><strong>JLPT:</strong> {kanjiDetails.jlpt}</p>}
-             {kanjiDetails.newspaper_frequency && <p><strong>Frequency:</strong> {kanjiDetails.newspaper_frequency}</p>}
-             {kanjiDetails.radical && <p><strong>Radical:</strong> {kanjiDetails.radical}</p>}
-             {kanjiDetails.taught_in && <p><strong>Taught In:</strong> {kanjiDetails.taught_in}</p>}
-          </div>
-        </div>
-        {/* Link to Jisho.org (Keep existing) */}
-        {kanjiDetails.uri && (
-          <a href={kanjiDetails.uri} target="_blank" rel="noopener noreferrer" className="block text-center text-sm text-blue-500 hover:text-blue-600 hover:underline mt-4">
-            View on Jisho.org →
-          </a>
-        )}
-      </>
-    );
+    content = <KanjiDetailsContent kanjiChar={kanjiChar} kanjiDetails={kanjiDetails} />;
   }
 
   return (
@@ -165,6 +143,15 @@ function KanjiDetailsModal({ isOpen, onClose, kanjiChar, kanjiDetails }) {
         )}
         {/* --- End NEW Section --- */}
 
+        {/* Vocabulary card for the word the Kanji appeared in */}
+        {word && word.word && (
+          <AddWordToSrsButton
+            key={`${word.word}-${word.reading}`}
+            {...word}
+            className={kanjiDetails && !kanjiDetails.error ? 'mt-2' : 'mt-5 pt-4 border-t border-stone-200'}
+          />
+        )}
+
       </div>
     </div>
   );
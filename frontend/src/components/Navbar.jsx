@@ -1,5 +1,5 @@
 import React from 'react';
-import { BookOpenText, Repeat } from 'lucide-react'; // Icons for navigation
+import { BookOpenText, Library, Repeat, Layers, BarChart3, BookA } from 'lucide-react'; // Icons for navigation
 
 // Simple Navbar component
 function Navbar({ activeView, setActiveView, handleLogout }) {
@@ -29,6 +29,14 @@ function Navbar({ activeView, setActiveView, handleLogout }) {
             <BookOpenText size={16} />
             Reader
           </button>
+          <button
+            onClick={() => setActiveView('library')}
+            className={getButtonClasses('library')}
+            aria-current={activeView === 'library' ? 'page' : undefined}
+          >
+            <Library size={16} />
+            Library
+          </button>
           <button
             onClick={() => setActiveView('srs')}
             className={getButtonClasses('srs')}
@@ -37,6 +45,30 @@ function Navbar({ activeView, setActiveView, handleLogout }) {
             <Repeat size={16} />
             SRS Review
           </button>
+          <button
+            onClick={() => setActiveView('dictionary')}
+            className={getButtonClasses('dictionary')}
+            aria-current={activeView === 'dictionary' ? 'page' : undefined}
+          >
+            <BookA size={16} />
+            Dictionary
+          </button>
+          <button
+            onClick={() => setActiveView('cards')}
+            className={getButtonClasses('cards')}
+            aria-current={activeView === 'cards' ? 'page' : undefined}
+          >
+            <Layers size={16} />
+            Cards
+          </button>
+          <button
+            onClick={() => setActiveView('stats')}
+            className={getButtonClasses('stats')}
+            aria-current={activeView === 'stats' ? 'page' : undefined}
+          >
+            <BarChart3 size={16} />
+            Stats
+          </button>
           {/* Add more navigation buttons here if needed later */}
         </div>
 
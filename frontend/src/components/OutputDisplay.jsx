@@ -1,8 +1,10 @@
 // src/components/OutputDisplay.jsx
-// (Modified to add onClick handler to Kanji spans)
-import React, { useCallback, useState } from 'react';
+// (Modified to add onClick handler to Kanji spans and word-level tooltips)
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import Tippy from '@tippyjs/react';
 import 'tippy.js/dist/tippy.css';
+import SentenceExplanation from './SentenceExplanation';
+import AddWordToSrsButton from './AddWordToSrsButton';
 
 // --- KanjiTooltipContent (Displays content *inside* the hover tooltip) ---
 // (This remains the same as before, included for completeness)
@@ -60,102 +62,432 @@ function KanjiTooltipContent({ details, kanjiChar }) {
 // --- End KanjiTooltipContent ---
 
 
+// --- WordTooltipContent (Word-level tooltip shown above a grouped word) ---
+// The vocabulary card for a word: its dictionary form, with the reading only when the word is
+// written in that form (the backend looks up the others); the sentence is kept as its context
+function vocabCardFor(word, sentence) {
+  const head = word.tokens[0];
+  const surface = word.tokens.map(token => token.surface).join('');
+  const dictionaryForm = head.base_form && head.base_form !== '*' ? head.base_form : surface;
+  const isDictionaryForm = word.tokens.length === 1 && dictionaryForm === surface;
+  return {
+    word: dictionaryForm,
+    reading: isDictionaryForm && head.reading && head.reading !== '*' ? head.reading : null,
+    sentence,
+  };
+}
+
+function WordTooltipContent({ word, vocabCard }) {
+  const head = word.tokens[0];
+  const surface = word.tokens.map(token => token.surface).join('');
+  const reading = word.tokens.every(token => token.reading)
+    ? word.tokens.map(token => token.reading).join('')
+    : null;
+
+  return (
+    <div className="text-left max-w-xs">
+      <h4 className="font-bold text-xl mb-1">{surface}</h4>
+      {reading && reading !== surface && <p className="text-sm mb-1"><strong>Reading:</strong> {reading}</p>}
+      {head.base_form !== surface && <p className="text-sm mb-1"><strong>Dictionary form:</strong> {head.base_form}</p>}
+      <p className="text-sm mb-1">
+        <strong>Part of speech:</strong> {head.pos}{head.pos_detail ? ` (${head.pos_detail})` : ''}
+      </p>
+      {/* Show how the word is built when it is made of several morphemes (食べ|させ|られ|た) */}
+      {word.tokens.length > 1 && (
+        <p className="text-xs">{word.tokens.map(token => token.surface).join(' | ')}</p>
+      )}
+      <AddWordToSrsButton {...vocabCard} className="mt-2" />
+    </div>
+  );
+}
+// --- End WordTooltipContent ---
+
+
+// --- Furigana helpers ---
+// Regular expression to identify Kanji characters
+const kanjiRegex = /[\u4E00-\u9FAF\u3400-\u4DBF]/;
+
+// The pieces a sentence is drawn from, each with character offsets in the sentence:
+// the backend's furigana `segments` ({ text, reading, kanji, known }), or the plain
+// text as a single piece when there are none (older results, non-ruby modes).
+function sentencePieces(sentence, useSegments) {
+  if (useSegments && sentence.segments && sentence.segments.length > 0) return sentence.segments;
+  const text = useSegments ? sentence.original_sentence : (sentence.furigana_html || sentence.original_sentence);
+  return text ? [{ text, reading: null, start: 0, end: text.length }] : [];
+}
+
+// Groups the tokens returned by the backend into words (tokens sharing a word_index)
+// and assigns each furigana piece to the word it belongs to. Plain text is split at
+// word boundaries; a piece with a reading stays whole and goes to the word where it starts.
+function groupPiecesIntoWords(pieces, tokens) {
+  const words = [];
+  tokens.forEach(token => {
+    const last = words[words.length - 1];
+    if (last && last.index === token.word_index) {
+      last.tokens.push(token);
+      last.end = token.end;
+    } else {
+      words.push({ index: token.word_index, tokens: [token], start: token.start, end: token.end, pieces: [] });
+    }
+  });
+  if (words.length === 0) return [];
+
+  const wordAt = (position) => words.find(word => position >= word.start && position < word.end) || words[words.length - 1];
+
+  pieces.forEach(piece => {
+    if (piece.reading) {
+      wordAt(piece.start).pieces.push(piece);
+      return;
+    }
+    let position = piece.start;
+    while (position < piece.end) {
+      const word = wordAt(position);
+      const sliceEnd = Math.min(piece.end, Math.max(word.end, position + 1));
+      word.pieces.push({
+        text: piece.text.substring(position - piece.start, sliceEnd - piece.start),
+        reading: null,
+        start: position,
+        end: sliceEnd,
+      });
+      position = sliceEnd;
+    }
+  });
+
+  return words;
+}
+// --- End Furigana helpers ---
+
+
+// Groups consecutive sentences sharing a paragraph_index into paragraphs. Sentences
+// without one (older results) each get a paragraph of their own.
+function groupIntoParagraphs(sentences) {
+  const paragraphs = [];
+  sentences.forEach((sentence, index) => {
+    const last = paragraphs[paragraphs.length - 1];
+    const hasParagraph = sentence.paragraph_index !== undefined && sentence.paragraph_index !== null;
+    if (hasParagraph && last && last.paragraphIndex === sentence.paragraph_index) {
+      last.sentences.push({ sentence, index });
+    } else {
+      paragraphs.push({
+        key: index,
+        paragraphIndex: hasParagraph ? sentence.paragraph_index : null,
+        isHeading: Boolean(sentence.is_heading),
+        sentences: [{ sentence, index }],
+      });
+    }
+  });
+  return paragraphs;
+}
+
+
+// --- FuriganaToolbar (reading mode / script / known-kanji switch) ---
+const FURIGANA_MODE_CHOICES = [
+  { value: 'furigana', label: 'Ruby' },
+  { value: 'okurigana', label: 'Inline' },
+  { value: 'spaced', label: 'Reading only' },
+];
+const FURIGANA_SCRIPT_CHOICES = [
+  { value: 'hiragana', label: 'ひらがな' },
+  { value: 'katakana', label: 'カタカナ' },
+  { value: 'romaji', label: 'Romaji' },
+];
+
+function FuriganaToolbar({ options, onChange, disabled }) {
+  const choiceButtons = (choices, key, groupLabel) => (
+    <div role="group" aria-label={groupLabel} className="inline-flex rounded-md border border-stone-300 overflow-hidden">
+      {choices.map(choice => (
+        <button
+          key={choice.value}
+          type="button"
+          aria-pressed={options[key] === choice.value}
+          disabled={disabled}
+          onClick={() => onChange({ ...options, [key]: choice.value })}
+          className={`px-2 py-1 text-sm transition-colors ${
+            options[key] === choice.value ? 'bg-orange-600 text-white' : 'bg-white/80 text-stone-600 hover:bg-stone-100'
+          } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          {choice.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4 text-stone-600">
+      {choiceButtons(FURIGANA_MODE_CHOICES, 'mode', 'Furigana mode')}
+      {choiceButtons(FURIGANA_SCRIPT_CHOICES, 'to', 'Reading script')}
+      <label className="inline-flex items-center gap-1 text-sm">
+        <input
+          type="checkbox"
+          checked={options.hide_known}
+          disabled={disabled || options.mode === 'spaced'}
+          onChange={(e) => onChange({ ...options, hide_known: e.target.checked })}
+        />
+        Hide readings for known kanji
+      </label>
+    </div>
+  );
+}
+// --- End FuriganaToolbar ---
+
+
+// --- Subtitle cue helpers ---
+// 83450 -> "01:23.450", 3723450 -> "1:02:03.450"
+function formatTimestamp(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor(totalSeconds / 60) % 60).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  const millis = String(ms % 1000).padStart(3, '0');
+  return `${hours > 0 ? `${hours}:` : ''}${minutes}:${seconds}.${millis}`;
+}
+
+// "1:23", "01:02:03" or "83.5" -> milliseconds; null when it isn't a time
+function parseTimestamp(value) {
+  const match = value.trim().match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  const [, hours = '0', minutes = '0', seconds] = match;
+  return Math.round(((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000);
+}
+
+const hasTiming = (sentence) => typeof sentence.start_ms === 'number';
+
+// --- CueNavigator (previous / next cue and "go to time" for subtitle files) ---
+function CueNavigator({ cueIndexes, currentCue, onJump, onJumpToTime }) {
+  const [time, setTime] = useState('');
+  const position = cueIndexes.indexOf(currentCue);
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const ms = parseTimestamp(time);
+    if (ms !== null) onJumpToTime(ms);
+  };
+
+  return (
+    <div className="sticky top-0 z-20 flex flex-wrap items-center gap-3 mb-4 p-2 rounded-md bg-white/90 backdrop-blur-sm border border-stone-300/50 text-sm text-stone-600" aria-label="Cue navigation">
+      <button
+        type="button"
+        onClick={() => onJump(cueIndexes[position - 1])}
+        disabled={position <= 0}
+        className="px-2 py-1 rounded-md border border-stone-300 bg-white/80 hover:bg-stone-100 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        ← Previous cue
+      </button>
+      <button
+        type="button"
+        onClick={() => onJump(cueIndexes[position + 1])}
+        disabled={position === cueIndexes.length - 1}
+        className="px-2 py-1 rounded-md border border-stone-300 bg-white/80 hover:bg-stone-100 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Next cue →
+      </button>
+      <span>{position === -1 ? `${cueIndexes.length} cues` : `Cue ${position + 1} of ${cueIndexes.length}`}</span>
+      <form onSubmit={handleSubmit} className="flex items-center gap-1 ml-auto">
+        <input
+          type="text"
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+          placeholder="mm:ss"
+          aria-label="Go to time"
+          className="w-24 px-2 py-1 border border-stone-300 rounded-md bg-white/90 font-mono"
+        />
+        <button type="submit" className="px-2 py-1 rounded-md bg-orange-600 hover:bg-orange-700 text-white">Go</button>
+      </form>
+    </div>
+  );
+}
+// --- End subtitle cue helpers ---
+
+
 // --- Main OutputDisplay Component ---
 // Added handleKanjiClick prop
-function OutputDisplay({ processedData, isLoading, error, handleKanjiClick }) {
-
-  // Modified renderFurigana to include onClick handler on the Kanji span
-  const renderFurigana = useCallback((htmlString, kanjiDetailsMap) => {
-    if (!htmlString) return null; // Return null if no HTML string is provided
-
-    // Regular expression to identify Kanji characters
-    const kanjiRegex = /[\u4E00-\u9FAF\u3400-\u4DBF]/;
-    // Regular expression to find <ruby> tags generated by Kuroshiro
-    // It captures the base text (group 1) and the ruby text (group 2)
-    const rubyRegex = /<ruby>([^<]+)(?:<rp>.*?<\/rp>)?<rt>(.*?)<\/rt>(?:<rp>.*?<\/rp>)?<\/ruby>/gs;
-
-    const parts = []; // Array to hold React elements and strings
-    let lastIndex = 0; // Keep track of the end position of the last match
-    let match; // Variable to hold the result of regex execution
-
-    // Loop through all <ruby> tags found in the htmlString
-    while ((match = rubyRegex.exec(htmlString)) !== null) {
-      // Add the text segment before the current <ruby> tag, if any
-      if (match.index > lastIndex) {
-        parts.push(htmlString.substring(lastIndex, match.index));
-      }
+// furiganaOptions / onFuriganaOptionsChange drive the toolbar; without them it is hidden
+// Reading position: the last sentence whose top has scrolled above this share of the viewport
+const READING_LINE = 0.3;
+const RESUME_HIGHLIGHT_MS = 4000;
 
-      const baseText = match[1]; // The text inside <ruby> (e.g., "今日")
-      const rubyText = match[2]; // The text inside <rt> (e.g., "きょう")
-
-      // Process the base text character by character
-      const baseElements = baseText.split('').map((char, index) => {
-        // Check if the character is a Kanji
-        if (kanjiRegex.test(char)) {
-          // Get the details for this specific Kanji from the map passed down
-          const details = kanjiDetailsMap ? kanjiDetailsMap[char] : null;
-
-          // Wrap the Kanji character in a Tippy component for the hover tooltip
-          // AND a span with an onClick handler for the modal
-          return (
-            <Tippy
-              key={`${match.index}-base-${index}-tippy`} // Unique key for React
-              content={<KanjiTooltipContent details={details} kanjiChar={char} />} // Content for the tooltip
-              allowHTML={true} // Allow HTML in tooltip content
-              placement="bottom" // Tooltip position
-              animation="fade" // Tooltip animation
-              duration={[100, 100]} // Show/hide duration
-              interactive={true} // Allow interaction (clicking links) within the tooltip
-            >
-              {/* This span wraps the Kanji visually and handles the CLICK */}
-              <span
-                className="kanji-hover" // Class for hover styling (defined in CSS)
-                onClick={() => handleKanjiClick(char, details)} // *** ADDED onClick handler ***
-                                                               // Calls the function passed from App.jsx
-              >
-                {char} {/* The Kanji character itself */}
-              </span>
-            </Tippy>
-          );
-        } else {
-          // If it's not a Kanji, just return the character as is
-          return char;
-        }
-      });
+function OutputDisplay({ processedData, isLoading, error, handleKanjiClick, furiganaOptions, onFuriganaOptionsChange, isRenderingFurigana, onSentenceViewed, resumePosition }) {
+
+  // Wraps each Kanji of a base text in the hover tooltip + click handler for the modal;
+  // vocabCard is the word the Kanji belongs to, so the modal can offer to add it to SRS, and
+  // context the sentence it appears in ({ sentence, translation, sentence_index }), kept with kanji cards
+  const renderBaseText = useCallback((text, kanjiDetailsMap, keyPrefix, vocabCard, context) => {
+    return text.split('').map((char, index) => {
+      // If it's not a Kanji, just return the character as is
+      if (!kanjiRegex.test(char)) return char;
 
-      // Add the reconstructed <ruby> element with interactive Kanji spans
-      parts.push(
-        <ruby key={match.index}> {/* Unique key for React */}
-          {baseElements} {/* The base text, potentially with wrapped Kanji */}
-          <rt>{rubyText}</rt> {/* The furigana reading */}
-        </ruby>
+      // Get the details for this specific Kanji from the map passed down
+      const details = kanjiDetailsMap ? kanjiDetailsMap[char] : null;
+
+      // Wrap the Kanji character in a Tippy component for the hover tooltip
+      // AND a span with an onClick handler for the modal
+      return (
+        <Tippy
+          key={`${keyPrefix}-base-${index}-tippy`} // Unique key for React
+          content={<KanjiTooltipContent details={details} kanjiChar={char} />} // Content for the tooltip
+          allowHTML={true} // Allow HTML in tooltip content
+          placement="bottom" // Tooltip position
+          animation="fade" // Tooltip animation
+          duration={[100, 100]} // Show/hide duration
+          interactive={true} // Allow interaction (clicking links) within the tooltip
+        >
+          {/* This span wraps the Kanji visually and handles the CLICK */}
+          <span
+            className="kanji-hover" // Class for hover styling (defined in CSS)
+            onClick={() => handleKanjiClick(char, details, vocabCard, context)} // Calls the function passed from App.jsx
+          >
+            {char} {/* The Kanji character itself */}
+          </span>
+        </Tippy>
       );
+    });
+  }, [handleKanjiClick]);
+
+  // Renders one piece: a <ruby> (one per Kanji when the reading is split) with
+  // interactive Kanji, or just the interactive text when there is no reading to show
+  const renderPiece = useCallback((piece, kanjiDetailsMap, vocabCard, context) => {
+    const rubyFor = (text, reading, key) => (
+      <ruby key={key}> {/* Unique key for React */}
+        {renderBaseText(text, kanjiDetailsMap, key, vocabCard, context)} {/* The base text, potentially with wrapped Kanji */}
+        <rt>{reading}</rt> {/* The furigana reading */}
+      </ruby>
+    );
 
-      // Update lastIndex to the end of the current match
-      lastIndex = rubyRegex.lastIndex;
+    if (!piece.reading || piece.known) {
+      return <React.Fragment key={piece.start}>{renderBaseText(piece.text, kanjiDetailsMap, piece.start, vocabCard, context)}</React.Fragment>;
+    }
+    if (piece.kanji && piece.kanji.length > 0) {
+      return piece.kanji.map(part => (
+        part.known
+          ? <React.Fragment key={part.start}>{renderBaseText(part.text, kanjiDetailsMap, part.start, vocabCard, context)}</React.Fragment>
+          : rubyFor(part.text, part.reading, part.start)
+      ));
     }
+    return rubyFor(piece.text, piece.reading, piece.start);
+  }, [renderBaseText]);
 
-    // Add any remaining text after the last <ruby> tag
-    if (lastIndex < htmlString.length) {
-      parts.push(htmlString.substring(lastIndex));
+  // Renders a sentence from its furigana segments (ruby mode) or its furigana text
+  // (okurigana / reading-only modes). With word tokens, pieces are grouped into
+  // words, each with its own word-level tooltip. index: the sentence's position in processedData.
+  const renderSentenceText = useCallback((sentence, useSegments, index) => {
+    const kanjiDetailsMap = sentence.kanji_details_map;
+    const context = { sentence: sentence.original_sentence, translation: sentence.translation || null, sentence_index: index };
+    const pieces = sentencePieces(sentence, useSegments);
+    const tokens = useSegments ? sentence.tokens : null;
+    const words = tokens && tokens.length > 0 ? groupPiecesIntoWords(pieces, tokens) : [];
+
+    // No tokens (e.g. older results): render the pieces on their own
+    if (words.length === 0) {
+      return pieces.map(piece => renderPiece(piece, kanjiDetailsMap, undefined, context));
     }
 
-    // Return the array of elements/strings, or the original string if no ruby tags were found
-    return parts.length > 0 ? parts : [htmlString];
+    return words.map(word => {
+      // Punctuation is not worth a tooltip
+      if (word.tokens[0].pos === '記号') {
+        return <React.Fragment key={`word-${word.start}`}>{word.pieces.map(piece => renderPiece(piece, kanjiDetailsMap, undefined, context))}</React.Fragment>;
+      }
+      const vocabCard = vocabCardFor(word, sentence.original_sentence);
+      const content = word.pieces.map(piece => renderPiece(piece, kanjiDetailsMap, vocabCard, context));
+
+      return (
+        <Tippy
+          key={`word-${word.start}`}
+          content={<WordTooltipContent word={word} vocabCard={vocabCard} />}
+          placement="top" // Above the word, so it sits next to the Kanji tooltip below
+          animation="fade"
+          duration={[100, 100]}
+          interactive={true}
+        >
+          <span className="word-hover">{content}</span>
+        </Tippy>
+      );
+    });
+  }, [renderPiece]);
+
+
+  // Report the sentence the reader has reached while scrolling (at most once per frame);
+  // at the bottom of the page that is the last sentence
+  const resultsRef = useRef(null);
+  const lastViewedRef = useRef(null);
+  useEffect(() => {
+    if (!onSentenceViewed) return undefined;
+    let frame = null;
+    const reportPosition = () => {
+      frame = null;
+      const cards = resultsRef.current ? [...resultsRef.current.querySelectorAll('[data-sentence-index]')] : [];
+      if (cards.length === 0) return;
+      const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+      const passed = cards.filter(card => card.getBoundingClientRect().top <= window.innerHeight * READING_LINE);
+      const card = atBottom ? cards[cards.length - 1] : passed[passed.length - 1];
+      if (!card) return;
+      const index = Number(card.dataset.sentenceIndex);
+      if (index !== lastViewedRef.current) {
+        lastViewedRef.current = index;
+        onSentenceViewed(index);
+      }
+    };
+    const handleScroll = () => {
+      if (frame === null) frame = window.requestAnimationFrame(reportPosition);
+    };
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, [onSentenceViewed]);
+
+  // Jump back to a saved position ({ index }) and highlight that sentence for a moment
+  const [highlightedIndex, setHighlightedIndex] = useState(null);
+  useEffect(() => {
+    if (!resumePosition || !resultsRef.current) return undefined;
+    const card = resultsRef.current.querySelector(`[data-sentence-index="${resumePosition.index}"]`);
+    if (!card) return undefined;
+    card.scrollIntoView({ block: 'center' });
+    lastViewedRef.current = resumePosition.index;
+    setHighlightedIndex(resumePosition.index);
+    const timer = setTimeout(() => setHighlightedIndex(null), RESUME_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [resumePosition]);
 
-  }, [handleKanjiClick]); // Add handleKanjiClick as a dependency for useCallback
+  // Subtitle cues: the cue jumped to last (previous / next move from there), highlighted
+  // the same way as a resumed sentence
+  const [currentCue, setCurrentCue] = useState(null);
+  const cueHighlightTimer = useRef(null);
+  useEffect(() => () => clearTimeout(cueHighlightTimer.current), []);
+  const cueIndexes = processedData ? processedData.flatMap((sentence, index) => (hasTiming(sentence) ? [index] : [])) : [];
+  const jumpToCue = (index) => {
+    if (index === undefined || !resultsRef.current) return;
+    setCurrentCue(index);
+    const card = resultsRef.current.querySelector(`[data-cue-index="${index}"]`);
+    if (card) card.scrollIntoView({ block: 'center' });
+    setHighlightedIndex(index);
+    clearTimeout(cueHighlightTimer.current);
+    cueHighlightTimer.current = setTimeout(() => setHighlightedIndex(null), RESUME_HIGHLIGHT_MS);
+  };
+  // The cue on screen at that time, or the next one when the time falls between cues
+  const jumpToTime = (ms) => {
+    const index = cueIndexes.find(cueIndex => processedData[cueIndex].end_ms > ms);
+    jumpToCue(index !== undefined ? index : cueIndexes[cueIndexes.length - 1]);
+  };
 
+  // Grammar breakdown panels, keyed by position and text so new results start closed.
+  // Closed panels stay mounted (hidden) so reopening doesn't ask the model again.
+  const [explanationPanels, setExplanationPanels] = useState({});
+  const toggleExplanation = (panelKey) => {
+    setExplanationPanels(current => ({ ...current, [panelKey]: !current[panelKey] }));
+  };
 
   // Determine current display state (loading, error, results, or initial)
   const hasResults = processedData && processedData.length > 0;
+  // Segments and word tooltips follow the sentence text, which only the ruby mode keeps
+  const useSegments = !furiganaOptions || furiganaOptions.mode === 'furigana';
   const showInitialMessage = !isLoading && !error && !hasResults;
 
   return (
     <section>
       <h2 className="text-xl font-semibold mb-4 text-stone-700">Results:</h2>
 
-      {/* Loading Indicator */}
-      {isLoading && (
+      {/* Loading Indicator (until the first streamed results arrive) */}
+      {isLoading && !hasResults && (
          <div className="flex justify-center items-center p-4">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-600"></div>
             <p className="text-stone-500 ml-3">Loading results...</p>
@@ -165,22 +497,122 @@ function OutputDisplay({ processedData, isLoading, error, handleKanjiClick }) {
       {/* Error Message Display */}
       {error && <p className="text-red-600 bg-red-100 p-3 rounded-md border border-red-300">Error: {error}</p>}
 
-      {/* Results Display Area */}
-      {!isLoading && !error && hasResults && (
-        <div className="space-y-4">
-          {/* Map over each processed sentence */}
-          {processedData.map((sentence, index) => (
-            <div key={index} className="p-4 border border-stone-300/50 rounded-md bg-white/80 shadow-sm">
-              {/* Render the sentence with Furigana and interactive Kanji */}
-              <p className="text-2xl mb-2 text-stone-800 leading-relaxed">
-                {renderFurigana(sentence.furigana_html || sentence.original_sentence, sentence.kanji_details_map)}
-              </p>
-              {/* Display the English translation */}
-              <p className="text-lg text-stone-700 italic mt-1">
-                {sentence.translation || '[No Translation Provided]'}
-              </p>
-              {/* Display any sentence-specific processing errors */}
-               {sentence.error && <p className="text-xs text-red-500 mt-1">Processing Error: {sentence.error}</p>}
+      {/* Furigana Toolbar (re-renders readings without translating again) */}
+      {!error && hasResults && furiganaOptions && onFuriganaOptionsChange && (
+        <FuriganaToolbar
+          options={furiganaOptions}
+          onChange={onFuriganaOptionsChange}
+          disabled={isLoading || isRenderingFurigana}
+        />
+      )}
+
+      {/* Cue navigation for subtitle files */}
+      {!error && cueIndexes.length > 0 && (
+        <CueNavigator cueIndexes={cueIndexes} currentCue={currentCue} onJump={jumpToCue} onJumpToTime={jumpToTime} />
+      )}
+
+      {/* Results Display Area (sentences stream in while isLoading) */}
+      {!error && hasResults && (
+        <div className="space-y-4" ref={resultsRef}>
+          {/* One card per paragraph, its sentences in reading order */}
+          {groupIntoParagraphs(processedData).map(paragraph => (
+            <div
+              key={paragraph.key}
+              className={paragraph.isHeading
+                ? 'pt-2 border-b-2 border-orange-600/40'
+                : 'p-4 border border-stone-300/50 rounded-md bg-white/80 shadow-sm space-y-3'}
+            >
+              {paragraph.sentences.map(({ sentence, index }) => sentence.pending ? (
+                // Placeholder while this sentence is still being processed
+                <div key={index} data-cue-index={hasTiming(sentence) ? index : undefined} className="p-2 border border-dashed border-stone-300 rounded-md bg-white/50" aria-busy="true">
+                  {hasTiming(sentence) && (
+                    <p className="text-xs font-mono text-stone-400 mb-1">{formatTimestamp(sentence.start_ms)} → {formatTimestamp(sentence.end_ms)}</p>
+                  )}
+                  <p className="text-2xl mb-2 text-stone-400 leading-relaxed">{sentence.original_sentence}</p>
+                  <div className="flex items-center text-sm text-stone-400">
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-orange-400 mr-2"></div>
+                    Processing sentence...
+                  </div>
+                </div>
+              ) : (
+                <div
+                  key={index}
+                  data-sentence-index={index}
+                  data-cue-index={hasTiming(sentence) ? index : undefined}
+                  className={`relative rounded-md transition-colors duration-700 ${index === highlightedIndex ? 'bg-orange-100 ring-2 ring-orange-300' : ''}`}
+                >
+                  {/* Mark results reused from the server's sentence cache */}
+                  {sentence.cached && (
+                    <span className="absolute top-0 right-0 text-xs px-2 py-0.5 rounded-full bg-stone-100 text-stone-500 border border-stone-200" title="Reused from an earlier run, no new translation call">
+                      cached
+                    </span>
+                  )}
+                  {/* Cue timing of subtitle files; clicking it makes this the current cue */}
+                  {hasTiming(sentence) && (
+                    <button
+                      type="button"
+                      onClick={() => jumpToCue(index)}
+                      title="Continue cue navigation from here"
+                      className="block text-xs font-mono text-stone-500 hover:text-orange-700 mb-1"
+                    >
+                      <time dateTime={`PT${sentence.start_ms / 1000}S`}>{formatTimestamp(sentence.start_ms)}</time>
+                      {' → '}
+                      <time dateTime={`PT${sentence.end_ms / 1000}S`}>{formatTimestamp(sentence.end_ms)}</time>
+                    </button>
+                  )}
+                  {/* Render the sentence with Furigana and interactive Kanji (headings as headings) */}
+                  {sentence.is_heading ? (
+                    <h3 className="text-3xl font-semibold mb-2 text-stone-800 leading-relaxed">
+                      {renderSentenceText(sentence, useSegments, index)}
+                    </h3>
+                  ) : (
+                    <p className="text-2xl mb-2 text-stone-800 leading-relaxed">
+                      {renderSentenceText(sentence, useSegments, index)}
+                    </p>
+                  )}
+                  {/* Display the English translation (null = no translator configured, furigana only) */}
+                  {sentence.translation !== null && (
+                    <p className="text-lg text-stone-700 italic mt-1">
+                      {sentence.translation || '[No Translation Provided]'}
+                      {sentence.translator === 'local' && (
+                        <span className="ml-2 text-xs not-italic text-stone-400" title="Word-by-word dictionary glosses, not a full translation">
+                          (gloss)
+                        </span>
+                      )}
+                    </p>
+                  )}
+                  {/* Why the translation failed (provider error, or an output the server rejected) */}
+                  {sentence.translation_error && <p className="text-xs text-red-500 mt-1">Translation Error: {sentence.translation_error}</p>}
+                  {/* Display any sentence-specific processing errors */}
+                  {sentence.error && <p className="text-xs text-red-500 mt-1">Processing Error: {sentence.error}</p>}
+                  {/* Grammar breakdown (the paragraph goes along as context) */}
+                  {!sentence.is_heading && (() => {
+                    const panelKey = `${index}:${sentence.original_sentence}`;
+                    return (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => toggleExplanation(panelKey)}
+                          aria-expanded={Boolean(explanationPanels[panelKey])}
+                          className="text-xs text-orange-700 hover:text-orange-800 hover:underline"
+                        >
+                          {explanationPanels[panelKey] ? 'Hide explanation' : 'Explain'}
+                        </button>
+                        {panelKey in explanationPanels && (
+                          <div hidden={!explanationPanels[panelKey]}>
+                            <SentenceExplanation
+                              sentence={sentence.original_sentence}
+                              context={paragraph.sentences.length > 1
+                                ? paragraph.sentences.map(({ sentence: other }) => other.original_sentence).join('')
+                                : null}
+                            />
+                          </div>
+                        )}
+                      </>
+                    );
+                  })()}
+                </div>
+              ))}
             </div>
           ))}
         </div>
@@ -203,6 +635,13 @@ function OutputDisplay({ processedData, isLoading, error, handleKanjiClick }) {
         .kanji-hover:hover {
            background-color: rgba(255, 235, 59, 0.6); /* Yellow highlight on hover */
         }
+        .word-hover {
+          border-radius: 3px;
+          transition: box-shadow 0.2s ease-in-out;
+        }
+        .word-hover:hover {
+          box-shadow: inset 0 -2px 0 rgba(249, 115, 22, 0.8); /* Orange underline for the whole word */
+        }
         rt { /* Style for the furigana text */
             font-size: 0.7em;
             position: relative;
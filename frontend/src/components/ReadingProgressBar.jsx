@@ -0,0 +1,23 @@
+// src/components/ReadingProgressBar.jsx
+// Thin percent-complete bar for saved documents
+import React from 'react';
+
+function ReadingProgressBar({ percent, label }) {
+  return (
+    <div className="flex items-center gap-2">
+      <div
+        className="flex-grow h-1.5 rounded-full bg-stone-200 overflow-hidden"
+        role="progressbar"
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-label={label || 'Reading progress'}
+      >
+        <div className="h-full bg-orange-500 transition-all duration-300" style={{ width: `${percent}%` }} />
+      </div>
+      <span className="text-xs text-stone-500 w-10 text-right">{percent}%</span>
+    </div>
+  );
+}
+
+export default ReadingProgressBar;
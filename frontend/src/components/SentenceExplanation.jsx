@@ -0,0 +1,119 @@
+// src/components/SentenceExplanation.jsx
+// Grammar breakdown panel for one sentence card (POST /api/explain-sentence)
+import React, { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+// One titled list of the breakdown; hidden when the model found nothing to list
+function ExplanationList({ title, items, renderItem }) {
+  if (!items || items.length === 0) return null;
+  return (
+    <div>
+      <h4 className="text-xs font-semibold uppercase tracking-wide text-stone-500 mb-1">{title}</h4>
+      <ul className="space-y-1">
+        {items.map((item, index) => <li key={index}>{renderItem(item)}</li>)}
+      </ul>
+    </div>
+  );
+}
+
+function SentenceExplanation({ sentence, context }) {
+  const [explanation, setExplanation] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const token = localStorage.getItem('authToken');
+
+    const fetchExplanation = async () => {
+      try {
+        const response = await fetch(API_BASE_URL + '/api/explain-sentence', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+          body: JSON.stringify({ sentence, context }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          if (response.status === 401 || response.status === 403) {
+            throw new Error("Authentication failed. Please log in again.");
+          }
+          throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+        }
+        if (!cancelled) setExplanation(data);
+      } catch (err) {
+        console.error('Sentence explanation error:', err);
+        if (!cancelled) setError(err.message);
+      }
+    };
+    fetchExplanation();
+    return () => { cancelled = true; };
+  }, [sentence, context]);
+
+  if (error) {
+    return <p className="mt-2 text-sm text-red-600 bg-red-100 p-2 rounded-md border border-red-300">Error: {error}</p>;
+  }
+  if (!explanation) {
+    return (
+      <div className="mt-2 flex items-center text-sm text-stone-500" aria-busy="true">
+        <Loader2 className="animate-spin h-4 w-4 mr-2" />
+        Explaining sentence...
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 p-3 rounded-md bg-stone-50 border border-stone-200 space-y-3 text-sm text-stone-700" aria-label="Grammar breakdown">
+      <ExplanationList
+        title="Clauses"
+        items={explanation.clauses}
+        renderItem={clause => (
+          <>
+            <span className="text-base text-stone-800">{clause.text}</span>
+            <span className="ml-2 text-stone-500">({clause.role})</span>
+            {clause.translation && <span className="block italic">{clause.translation}</span>}
+          </>
+        )}
+      />
+      <ExplanationList
+        title="Particles"
+        items={explanation.particles}
+        renderItem={particle => (
+          <>
+            <span className="text-base text-orange-700 font-medium mr-2">{particle.particle}</span>
+            {particle.role}
+            {particle.attaches_to && <span className="text-stone-500"> — marks {particle.attaches_to}</span>}
+          </>
+        )}
+      />
+      <ExplanationList
+        title="Conjugations"
+        items={explanation.conjugations}
+        renderItem={conjugation => (
+          <>
+            <span className="text-base text-stone-800">{conjugation.surface}</span>
+            <span className="mx-2 text-stone-400">←</span>
+            <span className="text-base text-stone-800">{conjugation.dictionary_form}</span>
+            <span className="ml-2 text-stone-500">{conjugation.form}</span>
+          </>
+        )}
+      />
+      <ExplanationList
+        title="Grammar points"
+        items={explanation.grammar_points}
+        renderItem={point => (
+          <>
+            <span className="font-medium text-stone-800">{point.name}</span>
+            {point.jlpt_level && (
+              <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-orange-100 text-orange-700 border border-orange-200">{point.jlpt_level}</span>
+            )}
+            <span className="block">{point.explanation}</span>
+          </>
+        )}
+      />
+    </div>
+  );
+}
+
+export default SentenceExplanation;
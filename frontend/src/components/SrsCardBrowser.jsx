@@ -0,0 +1,301 @@
+// src/components/SrsCardBrowser.jsx
+// Card browser: the user's SRS cards a page at a time (GET /api/srs/cards), filtered by stage,
+// type, JLPT level and a search. Selected cards can be suspended, unsuspended, buried until
+// tomorrow, reset or deleted (POST /api/srs/cards/:action).
+import React, { useCallback, useEffect, useState } from 'react';
+import { Loader2, Search, ChevronLeft, ChevronRight, AlertCircle } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+const PAGE_SIZE = 50;
+const MATURE_INTERVAL = 21; // days, as on the backend
+
+const STATUSES = [
+  { value: '', label: 'All stages' },
+  { value: 'due', label: 'Due' },
+  { value: 'new', label: 'New' },
+  { value: 'learning', label: 'Learning' },
+  { value: 'young', label: 'Young' },
+  { value: 'mature', label: 'Mature' },
+  { value: 'suspended', label: 'Suspended' },
+  { value: 'buried', label: 'Buried' },
+];
+const TYPES = [
+  { value: '', label: 'Kanji and words' },
+  { value: 'kanji', label: 'Kanji' },
+  { value: 'vocab', label: 'Words' },
+];
+const JLPT_LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+const SORTS = [
+  { value: 'due', label: 'Due first' },
+  { value: 'added', label: 'Recently added' },
+];
+
+// Bulk actions; `confirm` asks first, for the ones that lose progress
+const ACTIONS = [
+  { value: 'suspend', label: 'Suspend', done: 'suspended' },
+  { value: 'unsuspend', label: 'Unsuspend', done: 'unsuspended' },
+  { value: 'bury', label: 'Bury until tomorrow', done: 'buried until tomorrow' },
+  { value: 'reset', label: 'Reset progress', done: 'reset', confirm: 'Reset the progress of' },
+  { value: 'delete', label: 'Delete', done: 'deleted', confirm: 'Delete' },
+];
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+});
+
+const cardLabel = (card) => (card.card_type === 'kanji' ? card.kanji : card.word);
+const cardKey = (card) => `${card.card_type}-${cardLabel(card)}-${card.reading || ''}`;
+const cardRef = (card) => (card.card_type === 'kanji'
+  ? { card_type: 'kanji', kanji: card.kanji }
+  : { card_type: 'vocab', word: card.word, reading: card.reading });
+const plural = (count) => `${count} ${count === 1 ? 'card' : 'cards'}`;
+
+const cardStage = (card) => {
+  if (card.repetition === 0) return card.interval === 0 ? 'New' : 'Learning';
+  return card.interval >= MATURE_INTERVAL ? 'Mature' : 'Young';
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+function CardMeaning({ card, kanjiDetailsMap }) {
+  if (card.card_type === 'vocab') return card.meaning || <span className="text-stone-400">—</span>;
+  const details = kanjiDetailsMap[card.kanji];
+  if (!details || details.error || !details.meanings) return <span className="text-stone-400">—</span>;
+  return details.meanings.slice(0, 3).join(', ');
+}
+
+function SrsCardBrowser() {
+  const [filters, setFilters] = useState({ status: '', type: '', jlpt: '', sort: 'due' });
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState(null); // { cards, total, kanji_details_map }
+  const [selected, setSelected] = useState(() => new Set()); // cardKey of the selected cards
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(null);
+
+  const loadPage = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset, sort: filters.sort });
+    ['status', 'type', 'jlpt'].forEach(name => { if (filters[name]) params.set(name, filters[name]); });
+    if (search) params.set('q', search);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/srs/cards?${params}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+      setPage(data);
+      setSelected(new Set());
+    } catch (err) {
+      console.error('SRS cards error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, search, offset]);
+
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  const changeFilter = (name, value) => {
+    setFilters(previous => ({ ...previous, [name]: value }));
+    setOffset(0);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+    setOffset(0);
+  };
+
+  const toggleCard = (card) => {
+    setSelected(previous => {
+      const next = new Set(previous);
+      if (next.has(cardKey(card))) next.delete(cardKey(card));
+      else next.add(cardKey(card));
+      return next;
+    });
+  };
+
+  const cards = page ? page.cards : [];
+  const allSelected = cards.length > 0 && cards.every(card => selected.has(cardKey(card)));
+  const toggleAll = () => setSelected(allSelected ? new Set() : new Set(cards.map(cardKey)));
+
+  const handleAction = async (action) => {
+    const targets = cards.filter(card => selected.has(cardKey(card)));
+    if (action.confirm && !window.confirm(`${action.confirm} ${plural(targets.length)}?`)) return;
+    setIsUpdating(true);
+    setMessage('');
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/srs/cards/${action.value}`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ cards: targets.map(cardRef), tz: Intl.DateTimeFormat().resolvedOptions().timeZone }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+      setMessage(`${plural(data.count)} ${action.done}.`);
+      // Deleting the last cards of a page goes back a page
+      if (action.value === 'delete' && data.count >= cards.length && offset > 0) {
+        setOffset(Math.max(offset - PAGE_SIZE, 0));
+      } else {
+        await loadPage();
+      }
+    } catch (err) {
+      console.error('SRS card action error:', err);
+      setError(err.message);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const selectClasses = 'p-1.5 border border-stone-300 rounded-md bg-white text-sm';
+  const kanjiDetailsMap = (page && page.kanji_details_map) || {};
+
+  return (
+    <div className="text-stone-700">
+      <h2 className="text-xl font-semibold mb-4">Cards</h2>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <form onSubmit={handleSearch} className="flex items-center gap-1">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search cards"
+            aria-label="Search cards"
+            className="p-1.5 border border-stone-300 rounded-md text-sm w-40"
+          />
+          <button type="submit" className="p-1.5 rounded-md border border-stone-300 bg-white hover:bg-stone-100" aria-label="Search">
+            <Search size={16} />
+          </button>
+        </form>
+        <select aria-label="Stage" value={filters.status} onChange={(e) => changeFilter('status', e.target.value)} className={selectClasses}>
+          {STATUSES.map(status => <option key={status.value} value={status.value}>{status.label}</option>)}
+        </select>
+        <select aria-label="Card type" value={filters.type} onChange={(e) => changeFilter('type', e.target.value)} className={selectClasses}>
+          {TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+        </select>
+        <select aria-label="JLPT level" value={filters.jlpt} onChange={(e) => changeFilter('jlpt', e.target.value)} className={selectClasses}>
+          <option value="">Any JLPT level</option>
+          {JLPT_LEVELS.map(level => <option key={level} value={level}>JLPT {level} kanji</option>)}
+        </select>
+        <select aria-label="Sort" value={filters.sort} onChange={(e) => changeFilter('sort', e.target.value)} className={selectClasses}>
+          {SORTS.map(sort => <option key={sort.value} value={sort.value}>{sort.label}</option>)}
+        </select>
+      </div>
+
+      {/* Bulk actions on the selected cards */}
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <span className="text-stone-500">{selected.size} selected</span>
+        {ACTIONS.map(action => (
+          <button
+            key={action.value}
+            type="button"
+            onClick={() => handleAction(action)}
+            disabled={selected.size === 0 || isUpdating}
+            className={`px-2.5 py-1 rounded-md border transition-colors disabled:bg-stone-100 disabled:text-stone-400 disabled:border-stone-200 ${
+              action.value === 'delete'
+                ? 'border-red-300 text-red-700 bg-white hover:bg-red-50'
+                : 'border-stone-300 bg-white hover:bg-stone-100'
+            }`}
+          >
+            {action.label}
+          </button>
+        ))}
+        {isUpdating && <Loader2 size={16} className="animate-spin text-stone-500" />}
+        {message && <span className="text-green-700">{message}</span>}
+      </div>
+
+      {error && (
+        <p className="mb-3 flex items-center gap-1 text-sm text-red-600">
+          <AlertCircle size={14} /> Error: {error}
+        </p>
+      )}
+
+      {isLoading && !page ? (
+        <div className="flex items-center text-stone-500">
+          <Loader2 size={18} className="animate-spin mr-2" /> Loading cards...
+        </div>
+      ) : page && page.total === 0 ? (
+        <p className="p-6 border border-stone-300/50 rounded-md bg-white/80 text-stone-600">No cards match these filters.</p>
+      ) : page && (
+        <>
+          <table className={`w-full text-sm bg-white/80 border border-stone-300/50 rounded-md ${isLoading ? 'opacity-60' : ''}`}>
+            <thead className="text-left text-stone-500 border-b border-stone-200">
+              <tr>
+                <th className="p-2 w-8">
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all cards on this page" />
+                </th>
+                <th className="p-2">Card</th>
+                <th className="p-2">Meaning</th>
+                <th className="p-2">Stage</th>
+                <th className="p-2">Due</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cards.map(card => (
+                <tr key={cardKey(card)} className="border-b border-stone-100 last:border-0">
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(cardKey(card))}
+                      onChange={() => toggleCard(card)}
+                      aria-label={`Select ${cardLabel(card)}`}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <span className="text-lg text-stone-800">{cardLabel(card)}</span>
+                    {card.reading && <span className="ml-2 text-stone-500">{card.reading}</span>}
+                  </td>
+                  <td className="p-2"><CardMeaning card={card} kanjiDetailsMap={kanjiDetailsMap} /></td>
+                  <td className="p-2">
+                    {cardStage(card)}
+                    {card.suspended && <span className="ml-1 px-1.5 py-0.5 rounded bg-stone-200 text-stone-600 text-xs">Suspended</span>}
+                    {card.buried_until && new Date(card.buried_until) > new Date() && (
+                      <span className="ml-1 px-1.5 py-0.5 rounded bg-amber-100 text-amber-700 text-xs">Buried</span>
+                    )}
+                  </td>
+                  <td className="p-2 text-stone-500">{formatDate(card.due_date)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between mt-3 text-sm text-stone-500">
+            <span>{offset + 1}–{offset + cards.length} of {page.total}</span>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                disabled={offset === 0 || isLoading}
+                className="inline-flex items-center gap-1 px-2.5 py-1 rounded-md border border-stone-300 bg-white hover:bg-stone-100 disabled:text-stone-300"
+              >
+                <ChevronLeft size={14} /> Previous
+              </button>
+              <button
+                type="button"
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={offset + cards.length >= page.total || isLoading}
+                className="inline-flex items-center gap-1 px-2.5 py-1 rounded-md border border-stone-300 bg-white hover:bg-stone-100 disabled:text-stone-300"
+              >
+                Next <ChevronRight size={14} />
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SrsCardBrowser;
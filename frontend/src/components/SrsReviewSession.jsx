@@ -0,0 +1,274 @@
+// src/components/SrsReviewSession.jsx
+// SRS review session: the cards due now (GET /api/srs/due), one flashcard at a time. The front
+// shows the kanji or word; the back its meanings and readings (and for kanji, the sentences the
+// user met it in), then the user grades their recall 0-5 (/api/srs/review/:kanji, /api/srs/vocab/review). A summary ends the session.
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Loader2, RotateCcw, CheckCircle, AlertCircle } from 'lucide-react';
+import KanjiDetailsContent from './KanjiDetailsContent';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+const SESSION_SIZE = 20;
+
+// SM-2 grades; 3 and up count as recalled
+const GRADES = [
+  { value: 0, label: 'Forgot (0)' },
+  { value: 1, label: 'Incorrect (1)' },
+  { value: 2, label: 'Hard (2)' },
+  { value: 3, label: 'Okay (3)' },
+  { value: 4, label: 'Easy (4)' },
+  { value: 5, label: 'Perfect (5)' },
+];
+const RECALLED_GRADE = 3;
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+});
+
+const cardLabel = (card) => (card.card_type === 'kanji' ? card.kanji : card.word);
+const cardKey = (card) => `${card.card_type}-${cardLabel(card)}-${card.reading || ''}`;
+
+// durationMs: how long the card was on screen before it was graded
+const submitReview = async (card, grade, durationMs) => {
+  const request = card.card_type === 'kanji'
+    ? { url: `/api/srs/review/${encodeURIComponent(card.kanji)}`, body: { grade, duration_ms: durationMs } }
+    : { url: '/api/srs/vocab/review', body: { word: card.word, reading: card.reading, grade, duration_ms: durationMs } };
+  const response = await fetch(API_BASE_URL + request.url, {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify(request.body),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+};
+
+// A context sentence with every occurrence of the kanji highlighted
+function HighlightedSentence({ sentence, kanji }) {
+  return sentence.split(kanji).flatMap((part, index) => (
+    index === 0 ? [part] : [<mark key={index} className="bg-orange-100 text-orange-800 rounded px-0.5">{kanji}</mark>, part]
+  ));
+}
+
+// Where a context sentence came from: the document's title, the chapter and sentence numbers
+const contextSource = ({ document }) => [
+  document.title || 'Deleted document',
+  document.chapter_index !== null ? `chapter ${document.chapter_index + 1}` : null,
+  document.sentence_index !== null ? `sentence ${document.sentence_index + 1}` : null,
+].filter(Boolean).join(', ');
+
+function KanjiContexts({ kanji, contexts }) {
+  return (
+    <div className="mt-4 pt-3 border-t border-stone-200" aria-label="Context sentences">
+      <p className="text-sm text-stone-500 mb-1">Met in</p>
+      <ul className="space-y-2">
+        {contexts.map(context => (
+          <li key={context.sentence}>
+            <p className="text-lg text-stone-800"><HighlightedSentence sentence={context.sentence} kanji={kanji} /></p>
+            {context.translation && <p className="text-sm italic text-stone-600">{context.translation}</p>}
+            {context.document && <p className="text-xs text-stone-400">{contextSource(context)}</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Back of the card: the kanji's dictionary details and context sentences, or the word's
+// reading, meaning and sentence
+function CardBack({ card, kanjiDetailsMap }) {
+  if (card.card_type === 'kanji') {
+    const details = kanjiDetailsMap[card.kanji];
+    return (
+      <>
+        {!details || details.error
+          ? <p className="text-center text-stone-500">No details available for {card.kanji}.</p>
+          : <KanjiDetailsContent kanjiChar={card.kanji} kanjiDetails={details} />}
+        {card.contexts && card.contexts.length > 0 && <KanjiContexts kanji={card.kanji} contexts={card.contexts} />}
+      </>
+    );
+  }
+  return (
+    <div className="space-y-2 text-stone-700 text-center">
+      <p className="text-2xl text-orange-700">{card.reading}</p>
+      <p>{card.meaning || <span className="text-stone-500">No meaning saved.</span>}</p>
+      {card.source_sentence && (
+        <p className="pt-2 border-t border-stone-200 text-sm text-stone-600">{card.source_sentence}</p>
+      )}
+    </div>
+  );
+}
+
+// End of session: how many cards were recalled, and which to look at again
+function SessionSummary({ results, remaining, onRestart }) {
+  const recalled = results.filter(result => result.grade >= RECALLED_GRADE).length;
+  const averageGrade = results.reduce((sum, result) => sum + result.grade, 0) / results.length;
+  const missed = results.filter(result => result.grade < RECALLED_GRADE);
+
+  return (
+    <div className="p-6 border border-stone-300/50 rounded-md bg-white/80 shadow-sm text-stone-700" aria-label="Session summary">
+      <h3 className="flex items-center gap-2 text-lg font-semibold mb-3">
+        <CheckCircle size={18} className="text-green-600" /> Session complete
+      </h3>
+      <p>
+        Reviewed {results.length} {results.length === 1 ? 'card' : 'cards'} · recalled {recalled} ({Math.round((recalled / results.length) * 100)}%) · average grade {averageGrade.toFixed(1)}
+      </p>
+      {missed.length > 0 && (
+        <div className="mt-3">
+          <p className="text-sm text-stone-500 mb-1">To look at again</p>
+          <ul className="flex flex-wrap gap-1">
+            {missed.map(({ card }) => (
+              <li key={cardKey(card)} className="px-2 py-0.5 rounded border border-stone-300 bg-white">{cardLabel(card)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={onRestart}
+        className="mt-4 inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-orange-600 text-white hover:bg-orange-700"
+      >
+        <RotateCcw size={16} />
+        {remaining > 0 ? `Review ${remaining} more due` : 'Check for due cards'}
+      </button>
+    </div>
+  );
+}
+
+function SrsReviewSession() {
+  const [cards, setCards] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [kanjiDetailsMap, setKanjiDetailsMap] = useState({});
+  const [index, setIndex] = useState(0);
+  const [isRevealed, setIsRevealed] = useState(false);
+  const [results, setResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const shownAt = useRef(Date.now()); // when the current card was shown
+
+  const loadSession = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/srs/due?limit=${SESSION_SIZE}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+      setCards(data.cards);
+      setCounts(data.counts);
+      setKanjiDetailsMap(data.kanji_details_map || {});
+      setIndex(0);
+      setIsRevealed(false);
+      setResults([]);
+    } catch (err) {
+      console.error('SRS due cards error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSession();
+  }, [loadSession]);
+
+  useEffect(() => {
+    shownAt.current = Date.now();
+  }, [cards, index]);
+
+  const handleGrade = async (grade) => {
+    const card = cards[index];
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await submitReview(card, grade, Math.round(Date.now() - shownAt.current));
+      setResults(previous => [...previous, { card, grade }]);
+      setIndex(previous => previous + 1);
+      setIsRevealed(false);
+    } catch (err) {
+      console.error('SRS Review Submit Error:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center text-stone-500">
+        <Loader2 size={18} className="animate-spin mr-2" /> Loading due cards...
+      </div>
+    );
+  }
+  if (!counts) {
+    return <p className="text-red-600">Error: {error}</p>;
+  }
+  if (cards.length === 0) {
+    return (
+      <div className="p-6 border border-stone-300/50 rounded-md bg-white/80 shadow-sm text-stone-600">
+        <p>Nothing is due right now. {counts.total > 0 ? `You have ${counts.total} cards in your review queue.` : 'Add kanji or words to your review queue while reading.'}</p>
+      </div>
+    );
+  }
+  if (index >= cards.length) {
+    return <SessionSummary results={results} remaining={Math.max(counts.due - results.length, 0)} onRestart={loadSession} />;
+  }
+
+  const card = cards[index];
+  return (
+    <div className="max-w-xl">
+      <p className="text-sm text-stone-500 mb-2">
+        Card {index + 1} of {cards.length} · {counts.due} due ({counts.kanji.due} kanji, {counts.vocab.due} words)
+      </p>
+      <div className="p-6 border border-stone-300/50 rounded-md bg-white/80 shadow-sm" aria-label="Flashcard">
+        <p className="text-xs uppercase tracking-wide text-stone-400 text-center">{card.card_type === 'kanji' ? 'Kanji' : 'Word'}</p>
+        {(!isRevealed || card.card_type === 'vocab') && (
+          <p className="text-5xl text-center text-stone-800 my-4">{cardLabel(card)}</p>
+        )}
+        {isRevealed ? (
+          <CardBack card={card} kanjiDetailsMap={kanjiDetailsMap} />
+        ) : (
+          <button
+            type="button"
+            onClick={() => setIsRevealed(true)}
+            className="w-full mt-2 px-4 py-2 rounded-md text-sm font-medium bg-orange-600 text-white hover:bg-orange-700"
+          >
+            Show answer
+          </button>
+        )}
+      </div>
+
+      {isRevealed && (
+        <div className="mt-4">
+          <p className="text-sm text-stone-600 mb-2">Rate your recall:</p>
+          <div className="flex flex-wrap gap-2">
+            {GRADES.map(gradeInfo => (
+              <button
+                key={gradeInfo.value}
+                type="button"
+                onClick={() => handleGrade(gradeInfo.value)}
+                disabled={isSubmitting}
+                className={`px-3 py-1.5 text-xs sm:text-sm rounded-md border transition-colors ${
+                  isSubmitting
+                    ? 'bg-stone-200 text-stone-400 border-stone-300 cursor-not-allowed'
+                    : 'bg-white text-stone-700 border-stone-300 hover:bg-stone-100 active:bg-stone-200'
+                }`}
+              >
+                {gradeInfo.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-3 flex items-center gap-1 text-sm text-red-600">
+          <AlertCircle size={14} /> Error: {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SrsReviewSession;
@@ -0,0 +1,115 @@
+// src/components/SrsSettings.jsx
+// The user's SRS scheduler (GET/PUT /api/srs/settings): SM-2 or FSRS, and the target retention
+// FSRS schedules for. Switching to FSRS migrates the existing cards on the backend.
+import React, { useEffect, useState } from 'react';
+import { Settings, Loader2 } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+const ALGORITHMS = [
+  { value: 'sm2', label: 'SM-2', description: 'Classic SuperMemo-2: intervals grow by an ease factor per card.' },
+  { value: 'fsrs', label: 'FSRS', description: 'Models how well you remember each card; usually needs fewer reviews for the same retention.' },
+];
+
+function SrsSettings() {
+  const [settings, setSettings] = useState(null);
+  const [algorithm, setAlgorithm] = useState('sm2');
+  const [retentionPercent, setRetentionPercent] = useState(90);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const token = localStorage.getItem('authToken');
+    fetch(`${API_BASE_URL}/api/srs/settings`, { headers: { 'Authorization': `Bearer ${token}` } })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+        setSettings(data);
+        setAlgorithm(data.algorithm);
+        setRetentionPercent(Math.round(data.target_retention * 100));
+      })
+      .catch(err => {
+        console.error('SRS settings error:', err);
+        setMessage(`Error: ${err.message}`);
+      });
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/srs/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('authToken')}` },
+        body: JSON.stringify({ algorithm, target_retention: retentionPercent / 100 }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+      setSettings(data.settings);
+      setMessage(data.migrated_cards > 0 ? `Saved. ${data.migrated_cards} cards moved to FSRS.` : 'Saved.');
+    } catch (err) {
+      console.error('SRS settings error:', err);
+      setMessage(`Error: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <details className="mb-4 p-3 border border-stone-300/50 rounded-md bg-white/80 text-sm text-stone-700">
+      <summary className="flex items-center gap-2 cursor-pointer font-medium">
+        <Settings size={16} />
+        Scheduler{settings ? `: ${ALGORITHMS.find(choice => choice.value === settings.algorithm).label}` : ''}
+      </summary>
+      {settings && (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+          <fieldset className="space-y-1">
+            <legend className="sr-only">Scheduling algorithm</legend>
+            {ALGORITHMS.map(choice => (
+              <label key={choice.value} className="flex items-start gap-2">
+                <input
+                  type="radio"
+                  name="srs-algorithm"
+                  value={choice.value}
+                  checked={algorithm === choice.value}
+                  onChange={() => setAlgorithm(choice.value)}
+                  className="mt-1"
+                />
+                <span><strong>{choice.label}</strong> <span className="text-stone-500">{choice.description}</span></span>
+              </label>
+            ))}
+          </fieldset>
+          {algorithm === 'fsrs' && (
+            <label className="flex items-center gap-2">
+              Target retention
+              <input
+                type="number"
+                min="70"
+                max="99"
+                value={retentionPercent}
+                onChange={(e) => setRetentionPercent(Number(e.target.value))}
+                className="w-16 p-1 border border-stone-300 rounded-md text-right"
+              />
+              %
+            </label>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center gap-2 px-3 py-1.5 rounded-md font-medium bg-orange-600 text-white hover:bg-orange-700 disabled:bg-stone-300 disabled:text-stone-500"
+          >
+            {isSaving && <Loader2 size={14} className="animate-spin" />}
+            Save
+          </button>
+        </form>
+      )}
+      {message && (
+        <p className={`mt-2 ${message.startsWith('Error:') ? 'text-red-600' : 'text-green-700'}`}>{message}</p>
+      )}
+    </details>
+  );
+}
+
+export default SrsSettings;
@@ -0,0 +1,167 @@
+// src/components/SrsStats.jsx
+// SRS statistics (GET /api/srs/stats): retention, reviews per day over the last 30 days, the due
+// forecast for the next 30, card maturity and a heatmap of the reviews of the last year
+import React, { useEffect, useState } from 'react';
+import { BarChart3, Loader2 } from 'lucide-react';
+
+// Get API Base URL
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+const CHART_DAYS = 30;
+const HEATMAP_WEEKS = 53;
+const MATURITY_BARS = [
+  { key: 'new', label: 'New', className: 'bg-sky-400' },
+  { key: 'learning', label: 'Learning', className: 'bg-red-400' },
+  { key: 'young', label: 'Young', className: 'bg-lime-400' },
+  { key: 'mature', label: 'Mature (21+ days)', className: 'bg-green-600' },
+];
+// Heatmap shades, from no reviews to the busiest days
+const HEAT_CLASSES = ['bg-stone-200', 'bg-orange-200', 'bg-orange-300', 'bg-orange-500', 'bg-orange-700'];
+
+const percent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+// Calendar days as YYYY-MM-DD (the backend's days are in the user's time zone)
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+// Vertical bars, one per day
+function DayBars({ days, label, barClassName }) {
+  const max = Math.max(1, ...days.map(day => day.count));
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-stone-600 mb-1">{label}</h3>
+      <div className="flex items-end gap-px h-24 border-b border-stone-300" role="img" aria-label={label}>
+        {days.map(day => (
+          <div key={day.date} className="flex-1 h-full flex items-end" title={`${day.date}: ${day.count}`}>
+            <div className={`w-full ${barClassName}`} style={{ height: `${(day.count / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-stone-500 mt-1">
+        <span>{days[0].date}</span>
+        <span>{days[days.length - 1].date}</span>
+      </div>
+    </div>
+  );
+}
+
+// Stacked bar of the cards by stage
+function MaturityBar({ maturity }) {
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-stone-600 mb-1">Card maturity</h3>
+      <div className="flex h-3 rounded-full overflow-hidden bg-stone-200" role="img" aria-label="Cards by maturity">
+        {maturity.total > 0 && MATURITY_BARS.filter(bar => maturity[bar.key] > 0).map(bar => (
+          <div key={bar.key} className={bar.className} style={{ width: `${(maturity[bar.key] / maturity.total) * 100}%` }} title={`${bar.label}: ${maturity[bar.key]}`} />
+        ))}
+      </div>
+      <ul className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs text-stone-600">
+        {MATURITY_BARS.map(bar => (
+          <li key={bar.key} className="inline-flex items-center gap-1">
+            <span className={`inline-block w-2 h-2 rounded-full ${bar.className}`} />
+            {bar.label}: {maturity[bar.key]}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// One column per week (Sunday first) up to today, shaded by the number of reviews
+function ReviewHeatmap({ today, counts }) {
+  const start = addDays(today, -(HEATMAP_WEEKS - 1) * 7 - weekday(today));
+  const max = Math.max(0, ...counts.values());
+  const shade = (count) => (count === 0 ? HEAT_CLASSES[0] : HEAT_CLASSES[Math.min(4, Math.ceil((count / max) * 4))]);
+  const weeks = Array.from({ length: HEATMAP_WEEKS }, (_, week) => (
+    Array.from({ length: 7 }, (_, day) => addDays(start, week * 7 + day)).filter(date => date <= today)
+  ));
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-stone-600 mb-1">Reviews in the last year</h3>
+      <div className="flex gap-0.5 overflow-x-auto" role="img" aria-label="Review heatmap">
+        {weeks.map(dates => (
+          <div key={dates[0]} className="flex flex-col gap-0.5">
+            {dates.map(date => {
+              const count = counts.get(date) || 0;
+              return <div key={date} className={`w-2.5 h-2.5 rounded-sm ${shade(count)}`} title={`${date}: ${count} reviews`} />;
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SrsStats() {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    const token = localStorage.getItem('authToken');
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    fetch(`${API_BASE_URL}/api/srs/stats?tz=${encodeURIComponent(timeZone)}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+        if (isCurrent) setStats(data);
+      })
+      .catch(err => {
+        console.error('SRS statistics error:', err);
+        if (isCurrent) setError(err.message);
+      });
+    return () => { isCurrent = false; };
+  }, []);
+
+  if (error) return <p className="text-red-600">Error: {error}</p>;
+  if (!stats) {
+    return (
+      <div className="flex items-center text-stone-500">
+        <Loader2 size={18} className="animate-spin mr-2" /> Loading statistics...
+      </div>
+    );
+  }
+
+  const reviewCounts = new Map(stats.reviews_per_day.map(day => [day.date, day.count]));
+  const recentDays = Array.from({ length: CHART_DAYS }, (_, index) => {
+    const date = addDays(stats.today, index - CHART_DAYS + 1);
+    return { date, count: reviewCounts.get(date) || 0 };
+  });
+
+  return (
+    <section aria-label="SRS statistics" className="p-4 border border-stone-300/50 rounded-md bg-white/80 shadow-sm space-y-5 text-stone-700">
+      <h2 className="flex items-center gap-2 text-lg font-semibold">
+        <BarChart3 size={18} /> Statistics
+      </h2>
+
+      <dl className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+        <div>
+          <dt className="text-xs text-stone-500">Retention ({stats.retention.days} days)</dt>
+          <dd>{percent(stats.retention.rate)} of {stats.retention.reviews} reviews</dd>
+        </div>
+        <div>
+          <dt className="text-xs text-stone-500">Mature retention</dt>
+          <dd>{percent(stats.retention.mature.rate)} of {stats.retention.mature.reviews} reviews</dd>
+        </div>
+        <div>
+          <dt className="text-xs text-stone-500">Reviewed today</dt>
+          <dd>{reviewCounts.get(stats.today) || 0}</dd>
+        </div>
+        <div>
+          <dt className="text-xs text-stone-500">Due today</dt>
+          <dd>{stats.forecast[0].count} of {stats.maturity.total} cards</dd>
+        </div>
+      </dl>
+
+      <DayBars days={recentDays} label="Reviews per day" barClassName="bg-orange-400" />
+      <DayBars days={stats.forecast} label="Due in the next 30 days" barClassName="bg-sky-400" />
+      <MaturityBar maturity={stats.maturity} />
+      <ReviewHeatmap today={stats.today} counts={reviewCounts} />
+    </section>
+  );
+}
+
+export default SrsStats;
@@ -1,7 +1,65 @@
 // src/components/TextInput.jsx
 import React from 'react';
+import { FileText, X } from 'lucide-react';
+
+// Formats other than plain text (sent to /api/process-text): subtitle files are processed cue by
+// cue; Aozora Bunko text and HTML keep the author's ruby readings
+const FILE_EXTENSIONS = { srt: 'srt', vtt: 'vtt', ass: 'ass', ssa: 'ass', html: 'html', htm: 'html', xhtml: 'html' };
+const FORMAT_LABELS = {
+  srt: 'SRT subtitles: one card per cue',
+  vtt: 'VTT subtitles: one card per cue',
+  ass: 'ASS subtitles: one card per cue',
+  aozora: "Aozora Bunko text: the author's readings are kept",
+  html: "HTML: the author's ruby readings are kept",
+};
+const FORMAT_SUGGESTIONS = {
+  srt: 'Looks like SRT subtitles: process cue by cue',
+  vtt: 'Looks like VTT subtitles: process cue by cue',
+  ass: 'Looks like ASS subtitles: process cue by cue',
+  aozora: "Looks like Aozora Bunko text: keep the author's readings",
+  html: "Contains <ruby> readings: keep the author's readings",
+};
+
+// Format of the content, or null for plain text
+function detectInputFormat(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (/^WEBVTT\b/.test(start)) return 'vtt';
+  if (/^\[Script Info\]/i.test(start) || /^\[Events\]/im.test(start)) return 'ass';
+  if (/^\d+\r?\n\d+:\d{2}:\d{2},\d{1,3}\s*-->/.test(start)) return 'srt';
+  if (/<ruby[\s>]/i.test(text)) return 'html';
+  // 漢字《かんじ》 ruby or ［＃...］ editorial notes
+  if (/[｜|\u4E00-\u9FFF々\u30A1-\u30FA]《[^》\n]+》|［＃[^］\n]*］/.test(text)) return 'aozora';
+  return null;
+}
+
+// Files are UTF-8, except for Aozora Bunko's own downloads (Shift_JIS)
+function decodeFile(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('shift_jis').decode(buffer);
+  }
+}
+
+// inputFormat / setInputFormat are optional; without them files can't be opened.
+// Without handleAnalyzeDifficulty there is no "Analyze difficulty" button.
+function TextInput({ inputText, setInputText, handleProcessText, handleAnalyzeDifficulty, isLoading, inputFormat = 'text', setInputFormat }) {
+  const handleOpenFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow opening the same file again
+    if (!file) return;
+    const extension = file.name.split('.').pop().toLowerCase();
+    const reader = new FileReader();
+    reader.onload = () => {
+      const content = decodeFile(reader.result);
+      setInputText(content);
+      setInputFormat(detectInputFormat(content) || FILE_EXTENSIONS[extension] || 'text');
+    };
+    reader.readAsArrayBuffer(file);
+  };
+  // Pasted or reopened files in another format are offered processing in that format
+  const suggestedFormat = setInputFormat && inputFormat === 'text' ? detectInputFormat(inputText) : null;
 
-function TextInput({ inputText, setInputText, handleProcessText, isLoading }) {
   return (
     // Main wrapper with relative positioning for the SVG frame
     <div className="relative px-4 py-6 torii-input-container"> {/* Adjust padding as needed */}
@@ -47,17 +105,68 @@ function TextInput({ inputText, setInputText, handleProcessText, isLoading }) {
           placeholder="ここに日本語のテキストを入力してください..."
           disabled={isLoading}
         />
-        <button
-          onClick={handleProcessText}
-          disabled={isLoading || !inputText.trim()}
-          className={`mt-4 px-6 py-2 rounded-md text-white font-semibold transition-all duration-200 ease-in-out shadow focus:outline-none focus:ring-2 focus:ring-orange-600 focus:ring-offset-2 focus:ring-offset-orange-50 ${
-            isLoading || !inputText.trim()
-              ? 'bg-orange-600/50 cursor-not-allowed'
-              : 'bg-orange-600 hover:bg-orange-700 active:scale-95'
-          }`}
-        >
-          {isLoading ? 'Processing...' : 'Process Text'}
-        </button>
+        {setInputFormat && (
+          <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-stone-600">
+            <label className={`inline-flex items-center gap-1 ${isLoading ? 'opacity-50' : 'cursor-pointer hover:text-orange-700'}`}>
+              <FileText size={16} />
+              Open file (subtitles, Aozora Bunko, HTML)
+              <input
+                type="file"
+                accept=".srt,.vtt,.ass,.ssa,.txt,.html,.htm,.xhtml"
+                onChange={handleOpenFile}
+                disabled={isLoading}
+                aria-label="Open file"
+                className="sr-only"
+              />
+            </label>
+            {inputFormat !== 'text' && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-orange-100 text-orange-800 border border-orange-200">
+                {FORMAT_LABELS[inputFormat]}
+                <button
+                  type="button"
+                  onClick={() => setInputFormat('text')}
+                  title="Process as plain text"
+                  aria-label="Process as plain text"
+                  className="hover:text-orange-950"
+                >
+                  <X size={14} />
+                </button>
+              </span>
+            )}
+            {suggestedFormat && (
+              <button
+                type="button"
+                onClick={() => setInputFormat(suggestedFormat)}
+                className="px-2 py-0.5 rounded-full border border-orange-300 text-orange-700 hover:bg-orange-50"
+              >
+                {FORMAT_SUGGESTIONS[suggestedFormat]}
+              </button>
+            )}
+          </div>
+        )}
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={handleProcessText}
+            disabled={isLoading || !inputText.trim()}
+            className={`mt-4 px-6 py-2 rounded-md text-white font-semibold transition-all duration-200 ease-in-out shadow focus:outline-none focus:ring-2 focus:ring-orange-600 focus:ring-offset-2 focus:ring-offset-orange-50 ${
+              isLoading || !inputText.trim()
+                ? 'bg-orange-600/50 cursor-not-allowed'
+                : 'bg-orange-600 hover:bg-orange-700 active:scale-95'
+            }`}
+          >
+            {isLoading ? 'Processing...' : 'Process Text'}
+          </button>
+          {handleAnalyzeDifficulty && (
+            <button
+              type="button"
+              onClick={handleAnalyzeDifficulty}
+              disabled={isLoading || !inputText.trim()}
+              className="mt-4 px-4 py-2 rounded-md border border-orange-300 text-orange-700 font-semibold hover:bg-orange-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Analyze difficulty
+            </button>
+          )}
+        </div>
       </section>
 
       {/* Remove the old <style jsx> block for the CSS gate attempt */}
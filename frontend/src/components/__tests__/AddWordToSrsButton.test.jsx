@@ -0,0 +1,43 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import AddWordToSrsButton from '../AddWordToSrsButton';
+
+describe('AddWordToSrsButton Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('adds the word with its sentence and shows the confirmation', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ message: "Word '食べる（たべる）' added to your review queue." })
+    });
+
+    render(<AddWordToSrsButton word="食べる" reading={null} sentence="彼は食べた。" />);
+    fireEvent.click(screen.getByRole('button', { name: /add word 食べる to srs/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/added to your review queue/)).toBeInTheDocument();
+    });
+    expect(fetchMock.mock.calls[0][0]).toContain('/api/srs/vocab');
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ word: '食べる', sentence: '彼は食べた。' });
+    expect(screen.getByRole('button', { name: /add word 食べる to srs/i })).toBeDisabled();
+  });
+
+  test('shows the error from the backend', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ error: 'reading is required (the word is not in the dictionary).' })
+    });
+
+    render(<AddWordToSrsButton word="寿司" />);
+    fireEvent.click(screen.getByRole('button', { name: /add word 寿司 to srs/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Error: reading is required/)).toBeInTheDocument();
+    });
+    expect(screen.getByRole('button', { name: /add word 寿司 to srs/i })).toBeEnabled();
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ChapterToc from '../ChapterToc';
+
+const mockChapters = [
+  { index: 0, title: '一', processed: true, sentence_count: 12 },
+  { index: 1, title: '二', processed: false, sentence_count: null },
+];
+
+describe('ChapterToc Component', () => {
+  test('lists the chapters and opens another one', () => {
+    const onSelectChapter = vi.fn();
+
+    render(<ChapterToc chapters={mockChapters} currentIndex={0} onSelectChapter={onSelectChapter} disabled={false} />);
+
+    expect(screen.getByRole('navigation', { name: 'Chapters' })).toBeInTheDocument();
+    expect(screen.getByText('12 sentences')).toBeInTheDocument();
+    expect(screen.getByText('Not processed yet')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /一/ })).toHaveAttribute('aria-current', 'true');
+
+    fireEvent.click(screen.getByRole('button', { name: /二/ }));
+    expect(onSelectChapter).toHaveBeenCalledWith(1);
+  });
+
+  test('does not switch chapters while one is loading', () => {
+    const onSelectChapter = vi.fn();
+
+    render(<ChapterToc chapters={mockChapters} currentIndex={0} onSelectChapter={onSelectChapter} disabled={true} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /二/ }));
+    expect(onSelectChapter).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ContinueReading from '../ContinueReading';
+
+describe('ContinueReading Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('lists started documents with their progress and reopens them', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        documents: [{ id: 3, title: '吾輩は猫である', sentence_count: 20, last_sentence_index: 4, percent_complete: 25 }],
+        total: 1
+      })
+    });
+    const onOpenDocument = vi.fn();
+
+    render(<ContinueReading onOpenDocument={onOpenDocument} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('吾輩は猫である')).toBeInTheDocument();
+    });
+    expect(fetchMock.mock.calls[0][0]).toContain('/api/documents?status=in_progress');
+    expect(screen.getByText('Sentence 5 of 20')).toBeInTheDocument();
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '25');
+
+    fireEvent.click(screen.getByText('吾輩は猫である'));
+    expect(onOpenDocument).toHaveBeenCalledWith(3);
+  });
+
+  test('renders nothing when no document is in progress', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ documents: [], total: 0 })
+    });
+
+    const { container } = render(<ContinueReading onOpenDocument={vi.fn()} />);
+
+    await waitFor(() => expect(fetchMock).toHaveBeenCalled());
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import DictionarySearch from '../DictionarySearch';
+
+const mockSearchResponse = {
+  query: 'taberu',
+  normalized_query: 'たべる',
+  results: [
+    {
+      id: 1358280,
+      kanji: [{ text: '食べる', common: true, tags: [] }],
+      readings: [{ text: 'たべる', common: true, tags: [] }],
+      senses: [{ pos: ['v1', 'vt'], glosses: ['to eat'], misc: [] }],
+      common: true,
+      frequency_rank: 25
+    }
+  ],
+  tags: { v1: 'Ichidan verb', vt: 'transitive verb' },
+  kanji_details_map: { '食': { meanings: ['eat', 'food'] } }
+};
+
+describe('DictionarySearch Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('searches and renders entries with readings, senses and markers', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve(mockSearchResponse)
+    });
+
+    render(<DictionarySearch handleKanjiClick={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText(/search the dictionary/i), { target: { value: 'taberu' } });
+    fireEvent.click(screen.getByRole('button', { name: /search/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('to eat')).toBeInTheDocument();
+    });
+    expect(fetchMock.mock.calls[0][0]).toContain('/api/dictionary/search?q=taberu');
+    expect(screen.getByText('たべる')).toBeInTheDocument();
+    expect(screen.getByText('common')).toBeInTheDocument();
+    expect(screen.getByTitle('Ichidan verb')).toBeInTheDocument();
+  });
+
+  test('opens kanji details for a kanji in the headword', async () => {
+    vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve(mockSearchResponse)
+    });
+    const handleKanjiClick = vi.fn();
+
+    render(<DictionarySearch handleKanjiClick={handleKanjiClick} />);
+
+    fireEvent.change(screen.getByLabelText(/search the dictionary/i), { target: { value: 'taberu' } });
+    fireEvent.click(screen.getByRole('button', { name: /search/i }));
+
+    const kanji = await screen.findByTitle('Show details for 食');
+    fireEvent.click(kanji);
+
+    expect(handleKanjiClick).toHaveBeenCalledWith('食', { meanings: ['eat', 'food'] }, { word: '食べる', reading: 'たべる', meaning: 'to eat' });
+  });
+
+  test('shows the error returned by the backend', async () => {
+    vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 503,
+      json: () => Promise.resolve({ error: 'Dictionary is not available.' })
+    });
+
+    render(<DictionarySearch handleKanjiClick={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText(/search the dictionary/i), { target: { value: '猫' } });
+    fireEvent.click(screen.getByRole('button', { name: /search/i }));
+
+    expect(await screen.findByText(/Dictionary is not available/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import DifficultyReport from '../DifficultyReport';
+
+const REPORT = {
+  character_count: 12,
+  sentences: { count: 2, mean_length: 6, median_length: 6, max_length: 8, long_share: 0 },
+  kanji: {
+    total: 6,
+    unique: 5,
+    jlpt: { N5: 3, N4: 0, N3: 1, N2: 0, N1: 0, none: 1 },
+    grade: { grade_1: 2, grade_2: 2, grade_3: 0, grade_4: 0, grade_5: 0, grade_6: 0, junior_high: 0, jinmeiyo: 0, none: 1 },
+    known: 2,
+    known_share: 0.4,
+    known_occurrence_share: 0.5,
+    unknown: [{ character: '語', count: 2, jlpt: 'N5' }, { character: '彙', count: 1, jlpt: null }],
+  },
+  words: { total: 7, with_kanji: 4, known: 1, known_share: 0.25 },
+  estimate: { score: 34, label: 'Elementary', jlpt_level: 'N4' },
+};
+
+describe('DifficultyReport Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('analyzes the input and summarizes the report', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve(REPORT)
+    });
+
+    render(<DifficultyReport input={{ text: '日本語を読む。', format: 'text' }} />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/Elementary \(34\/100\)/)).toBeInTheDocument();
+    });
+    expect(fetchMock.mock.calls[0][0]).toContain('/api/analyze-difficulty');
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ text: '日本語を読む。', format: 'text' });
+    expect(screen.getByText(/about JLPT N4/)).toBeInTheDocument();
+    expect(screen.getByText('2 of 5 (40%)')).toBeInTheDocument();
+    expect(screen.getByText('1 of 4 with kanji (25%)')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Kanji by JLPT level' })).toBeInTheDocument();
+    expect(screen.getByText(/Grade 1 2 · Grade 2 2 · Other 1/)).toBeInTheDocument();
+    expect(screen.getByText('彙')).toBeInTheDocument();
+  });
+
+  test('shows the error when the analysis fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ error: 'No text provided.' })
+    });
+
+    render(<DifficultyReport input={{ text: ' ', format: 'text' }} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Error: No text provided.')).toBeInTheDocument();
+    });
+  });
+
+  test('renders nothing without input', () => {
+    const { container } = render(<DifficultyReport input={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import DocumentLibrary from '../DocumentLibrary';
+
+const mockDocuments = [
+  { id: 7, title: '夕飯', preview: 'ご飯を食べた。', sentence_count: 1, created_at: '2024-05-01T10:00:00.000Z', updated_at: '2024-05-01T10:00:00.000Z' },
+  { id: 3, title: '吾輩は猫である', preview: '吾輩は猫である。名前はまだ無い。', sentence_count: 2, created_at: '2024-04-01T10:00:00.000Z', updated_at: '2024-04-01T10:00:00.000Z' }
+];
+
+const jsonResponse = (data, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(data) });
+
+describe('DocumentLibrary Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('lists saved documents and opens one', async () => {
+    vi.spyOn(window, 'fetch').mockResolvedValue(jsonResponse({ documents: mockDocuments, total: 2 }));
+    const onOpenDocument = vi.fn();
+
+    render(<DocumentLibrary onOpenDocument={onOpenDocument} currentDocumentId={null} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('吾輩は猫である')).toBeInTheDocument();
+    });
+    expect(screen.getByText('ご飯を食べた。')).toBeInTheDocument();
+    expect(screen.getByText(/2 sentences/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('夕飯'));
+    expect(onOpenDocument).toHaveBeenCalledWith(7);
+  });
+
+  test('renames and deletes documents', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch')
+      .mockResolvedValueOnce(jsonResponse({ documents: mockDocuments, total: 2 }))
+      .mockResolvedValueOnce(jsonResponse({ ...mockDocuments[0], title: '晩ご飯' }))
+      .mockResolvedValueOnce({ ok: true, status: 204 });
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    render(<DocumentLibrary onOpenDocument={vi.fn()} currentDocumentId={7} />);
+    await waitFor(() => {
+      expect(screen.getByText('夕飯')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByLabelText('Rename 夕飯'));
+    fireEvent.change(screen.getByLabelText('Document title'), { target: { value: '晩ご飯' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    await waitFor(() => {
+      expect(screen.getByText('晩ご飯')).toBeInTheDocument();
+    });
+    expect(fetchMock.mock.calls[1][0]).toContain('/api/documents/7');
+    expect(fetchMock.mock.calls[1][1]).toMatchObject({ method: 'PATCH', body: JSON.stringify({ title: '晩ご飯' }) });
+
+    fireEvent.click(screen.getByLabelText('Delete 吾輩は猫である'));
+    await waitFor(() => {
+      expect(screen.queryByText('吾輩は猫である')).not.toBeInTheDocument();
+    });
+    expect(fetchMock.mock.calls[2][1]).toMatchObject({ method: 'DELETE' });
+  });
+
+  test('imports an EPUB and opens it', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch')
+      .mockResolvedValueOnce(jsonResponse({ documents: [], total: 0 }))
+      .mockResolvedValueOnce(jsonResponse({ id: 9, title: '吾輩は猫である', chapter_count: 2 }, 201));
+    const onOpenDocument = vi.fn();
+    const book = new File(['PK'], 'neko.epub', { type: 'application/epub+zip' });
+
+    render(<DocumentLibrary onOpenDocument={onOpenDocument} currentDocumentId={null} />);
+    await waitFor(() => {
+      expect(screen.getByText(/no saved documents yet/i)).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText('Import EPUB'), { target: { files: [book] } });
+
+    await waitFor(() => {
+      expect(onOpenDocument).toHaveBeenCalledWith(9);
+    });
+    expect(fetchMock.mock.calls[1][0]).toContain('/api/documents/epub');
+    expect(fetchMock.mock.calls[1][1]).toMatchObject({ method: 'POST', body: book });
+    expect(fetchMock.mock.calls[1][1].headers['Content-Type']).toBe('application/epub+zip');
+  });
+
+  test('shows an empty library', async () => {
+    vi.spyOn(window, 'fetch').mockResolvedValue(jsonResponse({ documents: [], total: 0 }));
+
+    render(<DocumentLibrary onOpenDocument={vi.fn()} currentDocumentId={null} />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/no saved documents yet/i)).toBeInTheDocument();
+    });
+  });
+});
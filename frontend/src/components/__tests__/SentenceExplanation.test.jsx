@@ -0,0 +1,48 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import SentenceExplanation from '../SentenceExplanation';
+
+describe('SentenceExplanation Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('renders clauses, particles, conjugations and grammar points', async () => {
+    vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        sentence: '本を読んでしまった。',
+        clauses: [{ text: '本を読んでしまった。', role: 'main clause', translation: 'I ended up reading the book.' }],
+        particles: [{ particle: 'を', role: 'direct object marker', attaches_to: '本' }],
+        conjugations: [{ surface: '読んでしまった', dictionary_form: '読む', form: 'te-form + しまう, past' }],
+        grammar_points: [{ name: '〜てしまう', jlpt_level: 'N4', explanation: 'Completion or regret.' }]
+      })
+    });
+
+    render(<SentenceExplanation sentence="本を読んでしまった。" context={null} />);
+
+    expect(screen.getByText(/explaining sentence/i)).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.getByText('〜てしまう')).toBeInTheDocument();
+    });
+    expect(screen.getByText('(main clause)')).toBeInTheDocument();
+    expect(screen.getByText('direct object marker')).toBeInTheDocument();
+    expect(screen.getByText('読む')).toBeInTheDocument();
+    expect(screen.getByText('N4')).toBeInTheDocument();
+  });
+
+  test('shows the server error', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 503,
+      json: () => Promise.resolve({ error: 'Grammar explanations are not available.' })
+    });
+
+    render(<SentenceExplanation sentence="本を読んだ。" context={null} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Error: Grammar explanations are not available.')).toBeInTheDocument();
+    });
+  });
+});
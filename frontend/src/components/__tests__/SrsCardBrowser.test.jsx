@@ -0,0 +1,80 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SrsCardBrowser from '../SrsCardBrowser';
+
+const PAGE = {
+  cards: [
+    { card_type: 'kanji', kanji: '日', interval: 30, repetition: 4, efactor: 2.5, due_date: '2024-06-01T10:00:00.000Z', suspended: false, buried_until: null },
+    { card_type: 'vocab', word: '食べる', reading: 'たべる', meaning: 'to eat', interval: 0, repetition: 0, efactor: 2.5, due_date: '2024-05-02T10:00:00.000Z', suspended: true, buried_until: null },
+  ],
+  total: 2,
+  limit: 50,
+  offset: 0,
+  kanji_details_map: { 日: { meanings: ['day', 'sun'], jlpt: 'N5' } },
+};
+
+const jsonResponse = (data, ok = true) => ({ ok, status: ok ? 200 : 400, json: () => Promise.resolve(data) });
+
+describe('SrsCardBrowser Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('lists cards and reloads them with the chosen filters', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue(jsonResponse(PAGE));
+
+    render(<SrsCardBrowser />);
+
+    expect(await screen.findByText('day, sun')).toBeInTheDocument();
+    expect(screen.getByText('Mature', { selector: 'td' })).toBeInTheDocument();
+    expect(screen.getByText('to eat')).toBeInTheDocument();
+    expect(screen.getByText('Suspended', { selector: 'span' })).toBeInTheDocument();
+    expect(screen.getByText('1–2 of 2')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('JLPT level'), { target: { value: 'N5' } });
+    fireEvent.change(screen.getByLabelText('Search cards'), { target: { value: '日' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(3));
+    const url = new URL(fetchMock.mock.calls[2][0]);
+    expect(url.pathname).toBe('/api/srs/cards');
+    expect(Object.fromEntries(url.searchParams)).toEqual({ limit: '50', offset: '0', sort: 'due', jlpt: 'N5', q: '日' });
+  });
+
+  test('applies bulk actions to the selected cards', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const fetchMock = vi.spyOn(window, 'fetch').mockImplementation(async (url, options = {}) => (
+      options.method === 'POST' ? jsonResponse({ action: 'delete', count: 2 }) : jsonResponse(PAGE)
+    ));
+
+    render(<SrsCardBrowser />);
+
+    fireEvent.click(await screen.findByLabelText('Select all cards on this page'));
+    expect(screen.getByText('2 selected')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+    expect(await screen.findByText('2 cards deleted.')).toBeInTheDocument();
+    expect(window.confirm).toHaveBeenCalledWith('Delete 2 cards?');
+    const [url, options] = fetchMock.mock.calls[1];
+    expect(url).toMatch(/\/api\/srs\/cards\/delete$/);
+    expect(JSON.parse(options.body).cards).toEqual([
+      { card_type: 'kanji', kanji: '日' },
+      { card_type: 'vocab', word: '食べる', reading: 'たべる' },
+    ]);
+    await waitFor(() => expect(screen.getByText('0 selected')).toBeInTheDocument());
+  });
+
+  test('keeps the selection when the user cancels', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue(jsonResponse(PAGE));
+
+    render(<SrsCardBrowser />);
+
+    fireEvent.click(await screen.findByLabelText('Select 日'));
+    fireEvent.click(screen.getByRole('button', { name: 'Reset progress' }));
+
+    expect(window.confirm).toHaveBeenCalledWith('Reset the progress of 1 card?');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('1 selected')).toBeInTheDocument();
+  });
+});
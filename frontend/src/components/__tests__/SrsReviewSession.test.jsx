@@ -0,0 +1,92 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SrsReviewSession from '../SrsReviewSession';
+
+const DUE = {
+  cards: [
+    { card_type: 'kanji', kanji: '日', interval: 1, repetition: 1, efactor: 2.5, due_date: '2024-05-01T10:00:00.000Z' },
+    { card_type: 'vocab', word: '食べる', reading: 'たべる', meaning: 'to eat', source_sentence: 'ご飯を食べた。', interval: 0, repetition: 0, efactor: 2.5, due_date: '2024-05-02T10:00:00.000Z' },
+  ],
+  counts: { due: 3, total: 12, kanji: { due: 2, total: 10 }, vocab: { due: 1, total: 2 } },
+  limit: 20,
+  kanji_details_map: { 日: { meanings: ['day', 'sun'], readings_on: ['ニチ'], readings_kun: ['ひ'], jlpt: 'N5' } },
+};
+
+const jsonResponse = (data, ok = true) => ({ ok, status: ok ? 200 : 400, json: () => Promise.resolve(data) });
+
+describe('SrsReviewSession Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('reviews the due cards and summarizes the session', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockImplementation(async (url) => (
+      url.includes('/api/srs/due') ? jsonResponse(DUE) : jsonResponse({ message: 'Review recorded successfully.' })
+    ));
+
+    render(<SrsReviewSession />);
+
+    expect(await screen.findByText('日')).toBeInTheDocument();
+    expect(screen.getByText(/Card 1 of 2 · 3 due/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Show answer' }));
+    expect(screen.getByText(/day, sun/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Easy (4)' }));
+
+    expect(await screen.findByText('食べる')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Show answer' }));
+    expect(screen.getByText('to eat')).toBeInTheDocument();
+    expect(screen.getByText('ご飯を食べた。')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Forgot (0)' }));
+
+    expect(await screen.findByText('Session complete')).toBeInTheDocument();
+    expect(screen.getByText(/Reviewed 2 cards · recalled 1 \(50%\) · average grade 2.0/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /review 1 more due/i })).toBeInTheDocument();
+
+    expect(fetchMock.mock.calls[1][0]).toContain('/api/srs/review/%E6%97%A5');
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ grade: 4, duration_ms: expect.any(Number) });
+    expect(fetchMock.mock.calls[2][0]).toContain('/api/srs/vocab/review');
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body)).toEqual({ word: '食べる', reading: 'たべる', grade: 0, duration_ms: expect.any(Number) });
+  });
+
+  test('shows the sentences the kanji was met in on the back, with the kanji highlighted', async () => {
+    const contexts = [
+      { sentence: '今日は日曜日です。', translation: 'Today is Sunday.', document: { id: 7, title: '日記', chapter_index: 1, sentence_index: 4 }, created_at: '2024-04-29T10:00:00.000Z' },
+      { sentence: '日が昇る。', translation: null, document: null, created_at: '2024-04-28T10:00:00.000Z' },
+    ];
+    vi.spyOn(window, 'fetch').mockResolvedValue(jsonResponse({ ...DUE, cards: [{ ...DUE.cards[0], contexts }] }));
+
+    render(<SrsReviewSession />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Show answer' }));
+    const list = screen.getByLabelText('Context sentences');
+    expect(list.querySelectorAll('mark')).toHaveLength(4);
+    expect(list.querySelector('li p').textContent).toBe('今日は日曜日です。');
+    expect(screen.getByText('Today is Sunday.')).toBeInTheDocument();
+    expect(screen.getByText('日記, chapter 2, sentence 5')).toBeInTheDocument();
+  });
+
+  test('says when nothing is due', async () => {
+    vi.spyOn(window, 'fetch').mockResolvedValue(jsonResponse({ ...DUE, cards: [], counts: { ...DUE.counts, due: 0 } }));
+
+    render(<SrsReviewSession />);
+
+    expect(await screen.findByText(/Nothing is due right now. You have 12 cards/)).toBeInTheDocument();
+  });
+
+  test('keeps the card when the review fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(window, 'fetch').mockImplementation(async (url) => (
+      url.includes('/api/srs/due') ? jsonResponse(DUE) : jsonResponse({ error: 'Failed to process review.' }, false)
+    ));
+
+    render(<SrsReviewSession />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Show answer' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Okay (3)' }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Error: Failed to process review/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/Card 1 of 2/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SrsSettings from '../SrsSettings';
+
+const jsonResponse = (data, ok = true) => ({ ok, status: ok ? 200 : 400, json: () => Promise.resolve(data) });
+
+describe('SrsSettings Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('switches to FSRS with a target retention', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockImplementation(async (url, options = {}) => (
+      options.method === 'PUT'
+        ? jsonResponse({ settings: { algorithm: 'fsrs', target_retention: 0.85 }, migrated_cards: 12 })
+        : jsonResponse({ algorithm: 'sm2', target_retention: 0.9 })
+    ));
+
+    render(<SrsSettings />);
+
+    expect(await screen.findByText('Scheduler: SM-2')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/target retention/i)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('radio', { name: /FSRS/ }));
+    fireEvent.change(screen.getByLabelText(/target retention/i), { target: { value: '85' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(await screen.findByText('Saved. 12 cards moved to FSRS.')).toBeInTheDocument();
+    expect(screen.getByText('Scheduler: FSRS')).toBeInTheDocument();
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ algorithm: 'fsrs', target_retention: 0.85 });
+  });
+
+  test('shows the error from the backend', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(window, 'fetch').mockImplementation(async (url, options = {}) => (
+      options.method === 'PUT'
+        ? jsonResponse({ error: 'Failed to save SRS settings.' }, false)
+        : jsonResponse({ algorithm: 'fsrs', target_retention: 0.9 })
+    ));
+
+    render(<SrsSettings />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Save' }));
+
+    expect(await screen.findByText('Error: Failed to save SRS settings.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import SrsStats from '../SrsStats';
+
+const forecast = Array.from({ length: 30 }, (_, index) => ({
+  date: new Date(Date.UTC(2024, 4, 2 + index)).toISOString().slice(0, 10),
+  count: index === 0 ? 7 : 1,
+}));
+
+const STATS = {
+  time_zone: 'Asia/Tokyo',
+  today: '2024-05-02',
+  retention: { days: 30, reviews: 40, recalled: 34, rate: 0.85, mature: { reviews: 10, recalled: 9, rate: 0.9 } },
+  reviews_per_day: [
+    { date: '2023-12-24', count: 3, recalled: 3 },
+    { date: '2024-05-01', count: 12, recalled: 10 },
+    { date: '2024-05-02', count: 4, recalled: 4 },
+  ],
+  forecast,
+  maturity: { new: 4, learning: 1, young: 5, mature: 2, total: 12 },
+};
+
+describe('SrsStats Component', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('shows retention, charts and the review heatmap', async () => {
+    const fetchMock = vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve(STATS)
+    });
+
+    render(<SrsStats />);
+
+    expect(await screen.findByText('85% of 40 reviews')).toBeInTheDocument();
+    expect(fetchMock.mock.calls[0][0]).toMatch(/\/api\/srs\/stats\?tz=/);
+    expect(screen.getByText('90% of 10 reviews')).toBeInTheDocument();
+    expect(screen.getByText('7 of 12 cards')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Reviews per day' }).children).toHaveLength(30);
+    expect(screen.getByTitle('2024-05-01: 12')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Due in the next 30 days' }).children).toHaveLength(30);
+    expect(screen.getByText('Mature (21+ days): 2')).toBeInTheDocument();
+    // Older reviews only show in the heatmap, which ends today
+    expect(screen.getByTitle('2023-12-24: 3 reviews')).toBeInTheDocument();
+    expect(screen.getByTitle('2024-05-02: 4 reviews')).toBeInTheDocument();
+    expect(screen.queryByTitle('2024-05-03: 0 reviews')).not.toBeInTheDocument();
+  });
+
+  test('shows the error from the backend', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 500,
+      json: () => Promise.resolve({ error: 'Failed to load statistics.' })
+    });
+
+    render(<SrsStats />);
+
+    expect(await screen.findByText('Error: Failed to load statistics.')).toBeInTheDocument();
+  });
+});
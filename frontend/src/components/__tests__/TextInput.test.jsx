@@ -1,5 +1,5 @@
 import { describe, test, expect, vi } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import TextInput from '../TextInput';
 
 describe('TextInput Component', () => {
@@ -99,4 +99,103 @@ describe('TextInput Component', () => {
     fireEvent.click(sampleButtons[0]);
     expect(mockSetInputText).toHaveBeenCalled();
   });
+  test('opens a subtitle file to process it cue by cue', async () => {
+    const mockSetInputText = vi.fn();
+    const mockSetInputFormat = vi.fn();
+    const srt = '1\n00:00:01,000 --> 00:00:03,500\n行こう。\n';
+
+    render(
+      <TextInput
+        inputText=""
+        setInputText={mockSetInputText}
+        handleProcessText={vi.fn()}
+        isLoading={false}
+        inputFormat="text"
+        setInputFormat={mockSetInputFormat}
+      />
+    );
+
+    const file = new File([srt], 'episode01.srt', { type: 'application/x-subrip' });
+    fireEvent.change(screen.getByLabelText('Open file'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(mockSetInputFormat).toHaveBeenCalledWith('srt');
+    });
+    expect(mockSetInputText).toHaveBeenCalledWith(srt);
+  });
+
+  test('offers cue-by-cue processing for pasted subtitles', () => {
+    const mockSetInputFormat = vi.fn();
+
+    const { rerender } = render(
+      <TextInput
+        inputText={'WEBVTT\n\n00:01.000 --> 00:02.000\n行こう。'}
+        setInputText={vi.fn()}
+        handleProcessText={vi.fn()}
+        isLoading={false}
+        inputFormat="text"
+        setInputFormat={mockSetInputFormat}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /looks like vtt subtitles/i }));
+    expect(mockSetInputFormat).toHaveBeenCalledWith('vtt');
+
+    rerender(
+      <TextInput
+        inputText={'WEBVTT\n\n00:01.000 --> 00:02.000\n行こう。'}
+        setInputText={vi.fn()}
+        handleProcessText={vi.fn()}
+        isLoading={false}
+        inputFormat="vtt"
+        setInputFormat={mockSetInputFormat}
+      />
+    );
+    expect(screen.getByText(/VTT subtitles: one card per cue/)).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Process as plain text'));
+    expect(mockSetInputFormat).toHaveBeenLastCalledWith('text');
+  });
+
+  test('opens Shift_JIS Aozora Bunko files and keeps the author\'s readings', async () => {
+    const mockSetInputText = vi.fn();
+    const mockSetInputFormat = vi.fn();
+
+    render(
+      <TextInput
+        inputText=""
+        setInputText={mockSetInputText}
+        handleProcessText={vi.fn()}
+        isLoading={false}
+        inputFormat="text"
+        setInputFormat={mockSetInputFormat}
+      />
+    );
+
+    // 猫《ねこ》 in Shift_JIS
+    const bytes = new Uint8Array([148, 76, 129, 115, 130, 203, 130, 177, 129, 116]);
+    fireEvent.change(screen.getByLabelText('Open file'), { target: { files: [new File([bytes], 'neko.txt')] } });
+
+    await waitFor(() => {
+      expect(mockSetInputFormat).toHaveBeenCalledWith('aozora');
+    });
+    expect(mockSetInputText).toHaveBeenCalledWith('猫《ねこ》');
+  });
+
+  test('offers to keep the ruby of pasted HTML', () => {
+    const mockSetInputFormat = vi.fn();
+
+    render(
+      <TextInput
+        inputText="<ruby>猫<rt>ねこ</rt></ruby>である。"
+        setInputText={vi.fn()}
+        handleProcessText={vi.fn()}
+        isLoading={false}
+        inputFormat="text"
+        setInputFormat={mockSetInputFormat}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /contains <ruby> readings/i }));
+    expect(mockSetInputFormat).toHaveBeenCalledWith('html');
+  });
 });